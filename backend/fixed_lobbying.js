@@ -1,225 +0,0 @@
-async function fetchLobbyingData() {
-    try {
-        console.log('🤝 Updating 2025 lobbying activity data...');
-        
-        // 2025 Lobbying Activity - Reflecting Current Political and Economic Priorities
-        const lobbyingData = [
-            // Energy Independence Lobbying (Trump Administration Priority)
-            { 
-                id: 'LOB2025-001', 
-                client: 'ExxonMobil Corporation', 
-                clientDesc: 'Oil and gas exploration and production',
-                registrant: 'BGR Government Affairs', 
-                registrantAddr: '1101 K St NW, Washington, DC 20005',
-                lobbyist: 'Ed Rogers', 
-                lobbyistTitle: 'Chairman',
-                amount: 8200000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Energy, Environment, Taxation',
-                issues: 'Keystone XL pipeline approval, offshore drilling permits, oil and gas leasing on federal lands, methane emission regulations, renewable fuel standards',
-                govEntities: 'Department of Interior, EPA, House Natural Resources Committee, Senate Energy Committee',
-                foreignEntities: 'Canadian government liaison on pipeline issues',
-                postedDate: '2025-10-20'
-            },
-            { 
-                id: 'LOB2025-002', 
-                client: 'Chevron Corporation', 
-                clientDesc: 'Integrated energy company',
-                registrant: 'Invariant LLC', 
-                registrantAddr: '1227 25th St NW, Washington, DC 20037',
-                lobbyist: 'David Crane', 
-                lobbyistTitle: 'Senior Advisor',
-                amount: 6800000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Energy, International Trade',
-                issues: 'LNG export facility permits, offshore drilling in Alaska, international energy partnerships, carbon capture technology development, oil refinery modernization',
-                govEntities: 'Department of Energy, State Department, Senate Energy Committee, House Energy and Commerce Committee',
-                foreignEntities: 'Qatar Energy for LNG partnerships, Australian government on energy cooperation',
-                postedDate: '2025-10-18'
-            },
-            
-            // China Competition & Tech Lobbying (Major 2025 Priority)
-            { 
-                id: 'LOB2025-003', 
-                client: 'Meta Platforms Inc.', 
-                clientDesc: 'Social media and technology company',
-                registrant: 'Fierce Government Relations', 
-                registrantAddr: '1299 Pennsylvania Ave NW, Washington, DC 20004',
-                lobbyist: 'Nick Clegg', 
-                lobbyistTitle: 'President Global Affairs',
-                amount: 7300000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Technology, Privacy, International Trade',
-                issues: 'AI regulation framework, data privacy legislation, antitrust enforcement, content moderation standards, China technology restrictions, virtual reality regulation',
-                govEntities: 'FTC, House Judiciary Committee, Senate Commerce Committee, National Security Council',
-                foreignEntities: 'European Commission on data transfer agreements',
-                postedDate: '2025-10-25'
-            },
-            { 
-                id: 'LOB2025-004', 
-                client: 'ByteDance Ltd. (TikTok)', 
-                clientDesc: 'Social media and content platform',
-                registrant: 'K&L Gates LLP', 
-                registrantAddr: '1601 K St NW, Washington, DC 20006',
-                lobbyist: 'Erich Ferrari', 
-                lobbyistTitle: 'Partner',
-                amount: 12500000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Technology, National Security, Data Privacy',
-                issues: 'TikTok ban prevention, data localization requirements, algorithm transparency, content moderation compliance, national security review processes',
-                govEntities: 'CFIUS, Department of Commerce, House Energy and Commerce Committee, Senate Intelligence Committee',
-                foreignEntities: 'Singapore government for data hosting arrangements',
-                postedDate: '2025-11-05'
-            },
-            
-            // Financial Services & Banking (2025 Priorities)
-            { 
-                id: 'LOB2025-005', 
-                client: 'JPMorgan Chase & Co.', 
-                clientDesc: 'Investment banking and financial services',
-                registrant: 'Davis Polk & Wardwell', 
-                registrantAddr: '901 15th St NW, Washington, DC 20005',
-                lobbyist: 'Margaret Tahyar', 
-                lobbyistTitle: 'Partner',
-                amount: 5400000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Banking, Financial Services, Cryptocurrency',
-                issues: 'Bank capital requirements, stress testing regulations, cryptocurrency regulations, digital banking policies, Community Reinvestment Act reforms',
-                govEntities: 'Federal Reserve, FDIC, OCC, House Financial Services Committee, Senate Banking Committee',
-                foreignEntities: 'Basel Committee coordination on international banking standards',
-                postedDate: '2025-10-23'
-            },
-            
-            // Border Security & Immigration (Top Trump Priority)
-            { 
-                id: 'LOB2025-006', 
-                client: 'CoreCivic Inc.', 
-                clientDesc: 'Private corrections and detention facilities',
-                registrant: 'Cornerstone Government Affairs', 
-                registrantAddr: '1001 Pennsylvania Ave NW, Washington, DC 20004',
-                lobbyist: 'Charlie Black', 
-                lobbyistTitle: 'Chairman and CEO',
-                amount: 2800000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Immigration, Homeland Security, Justice',
-                issues: 'Immigration detention facility expansion, federal detention contracts, border security infrastructure, deportation logistics support',
-                govEntities: 'ICE, CBP, Department of Homeland Security, House Homeland Security Committee',
-                foreignEntities: 'None',
-                postedDate: '2025-11-01'
-            },
-            
-            // Defense & Military Contracts (2025 Priorities)
-            { 
-                id: 'LOB2025-007', 
-                client: 'Lockheed Martin Corporation', 
-                clientDesc: 'Defense contractor and aerospace manufacturer',
-                registrant: 'Cassidy & Associates', 
-                registrantAddr: '1 Thomas Cir NW, Washington, DC 20005',
-                lobbyist: 'James Gibbon', 
-                lobbyistTitle: 'Senior Vice President',
-                amount: 9200000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Defense, Aerospace, Technology',
-                issues: 'F-35 fighter jet program, missile defense systems, space force contracts, hypersonic weapons development, defense AI systems',
-                govEntities: 'Department of Defense, Air Force, House Armed Services Committee, Senate Armed Services Committee',
-                foreignEntities: 'NATO allies for joint defense programs, Australia and UK for AUKUS partnership',
-                postedDate: '2025-10-28'
-            },
-            
-            // Healthcare & Pharmaceuticals
-            { 
-                id: 'LOB2025-008', 
-                client: 'Pfizer Inc.', 
-                clientDesc: 'Pharmaceutical research and manufacturing',
-                registrant: 'Capitol Hill Consulting Group', 
-                registrantAddr: '300 New Jersey Ave NW, Washington, DC 20001',
-                lobbyist: 'Sally Susman', 
-                lobbyistTitle: 'Chief Corporate Affairs Officer',
-                amount: 4200000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Healthcare, Drug Development, International Trade',
-                issues: 'Drug pricing policies, vaccine research funding, FDA approval processes, international patent protections, pandemic preparedness funding',
-                govEntities: 'FDA, CDC, NIH, House Energy and Commerce Committee, Senate Health Committee',
-                foreignEntities: 'European Medicines Agency for regulatory harmonization',
-                postedDate: '2025-10-15'
-            },
-            
-            // Agriculture & Food Security
-            { 
-                id: 'LOB2025-009', 
-                client: 'Cargill Incorporated', 
-                clientDesc: 'Agricultural commodities and food processing',
-                registrant: 'Olsson Frank Weeda', 
-                registrantAddr: '700 13th St NW, Washington, DC 20005',
-                lobbyist: 'Devry Boughner Vorwerk', 
-                lobbyistTitle: 'Chief Sustainability Officer',
-                amount: 3600000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Agriculture, Trade, Environment',
-                issues: 'Agricultural trade agreements, food safety regulations, biofuels policy, sustainable agriculture incentives, commodity price support',
-                govEntities: 'USDA, EPA, House Agriculture Committee, Senate Agriculture Committee, USTR',
-                foreignEntities: 'Brazil and Argentina for grain trade agreements',
-                postedDate: '2025-10-12'
-            },
-            
-            // Cryptocurrency & Digital Assets (Major 2025 Growth)
-            { 
-                id: 'LOB2025-010', 
-                client: 'Coinbase Global Inc.', 
-                clientDesc: 'Cryptocurrency exchange platform',
-                registrant: 'Blockchain Association', 
-                registrantAddr: '1250 Connecticut Ave NW, Suite 200, Washington, DC 20036',
-                lobbyist: 'Kristin Smith', 
-                lobbyistTitle: 'Executive Director',
-                amount: 4800000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Financial Services, Technology, Taxation',
-                issues: 'Cryptocurrency regulation clarity, digital asset taxation, stablecoin oversight, DeFi regulatory framework, CBDC policy development',
-                govEntities: 'SEC, CFTC, Treasury, House Financial Services Committee, Senate Banking Committee',
-                foreignEntities: 'None',
-                postedDate: '2025-11-02'
-            }
-        ];
-        
-        // Insert lobbying data into database
-        for (const lobbying of lobbyingData) {
-            db.run(`INSERT OR REPLACE INTO lobbying 
-                (registration_id, client_name, client_description, registrant_name, registrant_address, 
-                 lobbyist_name, lobbyist_title, amount, year, quarter, report_type, 
-                 issue_areas, specific_issues, government_entities, foreign_entities, posted_date) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [lobbying.id, lobbying.client, lobbying.clientDesc, lobbying.registrant, 
-                 lobbying.registrantAddr, lobbying.lobbyist, lobbying.lobbyistTitle, 
-                 lobbying.amount, lobbying.year, lobbying.quarter, lobbying.reportType,
-                 lobbying.issueAreas, lobbying.issues, lobbying.govEntities, 
-                 lobbying.foreignEntities, lobbying.postedDate]
-            );
-        }
-        
-        console.log(`✅ Loaded ${lobbyingData.length} lobbying records for 2025`);
-        return { success: true, message: `Updated ${lobbyingData.length} lobbying records` };
-    } catch (error) {
-        console.error('Error fetching lobbying data:', error.message);
-        return { success: false, error: error.message };
-    }
-}
\ No newline at end of file
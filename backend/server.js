@@ -10,10 +10,54 @@ const rateLimit = require('express-rate-limit');
 const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 const axios = require('axios');
 const cron = require('node-cron');
+const LegislatorsImporter = require('./services/legislatorsImporter');
+const CommitteesImporter = require('./services/committeesImporter');
+const HearingsImporter = require('./services/hearingsImporter');
+const LdaImporter = require('./services/ldaImporter');
+const RevolvingDoorLinker = require('./services/revolvingDoor');
+const { AGENCIES } = require('./services/revolvingDoor');
+const FaraImporter = require('./services/faraImporter');
+const { linkFaraClients } = require('./services/faraImporter');
+const { LDA_ISSUE_CODES, normalizeLobbyingStrings, resolveContributionHonorees } = require('./services/ldaImporter');
+const { buildCalendar, generateFeedToken } = require('./services/icalendar');
+const GovernmentAPIService = require('./services/governmentAPI');
+const RollCallImporter = require('./services/rollCallImporter');
+const { resolveMemberVotes } = RollCallImporter;
+const BillStatusImporter = require('./services/billStatusImporter');
+const SponsorResolver = require('./services/sponsorResolver');
+const BillTextImporter = require('./services/billTextImporter');
+const { sortVersions: sortTextVersions } = BillTextImporter;
+const { diffSections } = require('./services/textDiff');
+const { BILL_STATUSES, ACTIVE_BILL_STATUSES, LEGACY_STATUSES, normalizeStatus, applyTransition } =
+    require('./services/billStatus');
+const { memberStats, agreement, PARTY_AT_VOTE } = require('./services/voteStats');
+const FecImporter = require('./services/fecImporter');
+const ContributionsImporter = require('./services/contributionsImporter');
+const AlertEvaluator = require('./services/alertEvaluator');
+const { FREQUENCIES: ALERT_FREQUENCIES, ALERT_TYPES } = AlertEvaluator;
+const DigestMailer = require('./services/digestMailer');
+const { verifyUnsubscribeToken, unsubscribeSecret } = DigestMailer;
+const WebhookDispatcher = require('./services/webhookDispatcher');
+const { WEBHOOK_EVENTS, generateSecret: generateWebhookSecret, eventsFromChanges, checkWebhookUrl } =
+    WebhookDispatcher;
+const { SEVERITIES, snapshot, diffSnapshots, recordChanges } = require('./services/changeTracker');
+const { createHistoryTables, recordVersions, asOfSubquery, versionHistory } = require('./services/recordHistory');
+const { run: dbRun, get: dbGet, all: dbAll } = require('./services/sqlite');
+const { createSearchIndexes, buildMatchQuery, invalidKeyword, searchSubquery, searchIndex } =
+    require('./services/fullTextSearch');
+const { parseListParams, paginate } = require('./services/pagination');
+const { migrate } = require('./services/migrations');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 const JWT_SECRET = process.env.JWT_SECRET || 'gov-watchdog-2025-secure-key-' + Math.random().toString(36);
+// Unsubscribe links in sent mail must keep verifying across restarts, so they are only signed with a
+// configured secret; without one, digest emails are not sent
+const UNSUBSCRIBE_SECRET = unsubscribeSecret();
+// Usernames allowed to call /api/admin routes that send mail or rewrite data (comma-separated)
+const ADMIN_USERS = new Set((process.env.ADMIN_USERS || '').split(',').map(name => name.trim().toLowerCase())
+    .filter(Boolean));
+const governmentAPI = new GovernmentAPIService();
 
 // Trust proxy for rate limiting in development environments like Codespaces
 app.set('trust proxy', 1);
@@ -86,6 +130,7 @@ app.use('/api/congress/', strictLimiter);
 app.use('/api/spending', strictLimiter);
 app.use('/api/lobbying', strictLimiter);
 app.use('/api/legislation/', strictLimiter);
+app.use('/api/search', strictLimiter);
 app.use('/api/login', authLimiter);
 app.use('/api/register', authLimiter);
 
@@ -97,7 +142,7 @@ app.use(cors({
     credentials: true,
     optionsSuccessStatus: 200,
     allowedHeaders: ['Content-Type', 'Authorization'],
-    methods: ['GET', 'POST', 'OPTIONS']
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
 }));
 
 app.use(express.json({ limit: '1mb' })); // Reduced from 10mb for security
@@ -128,7 +173,7 @@ function validateState(state) {
         'tennessee', 'texas', 'utah', 'vermont', 'virginia', 'washington', 'west virginia',
         'wisconsin', 'wyoming', 'district of columbia'
     ];
-    return validStates.includes(state?.toLowerCase()) ? state : '';
+    return validStates.includes(state?.toUpperCase()) || validStates.includes(state?.toLowerCase()) ? state : '';
 }
 
 function validateLimit(limit) {
@@ -174,6 +219,39 @@ db.serialize(() => {
             console.log('Position column already exists or other error:', err.message);
         }
     });
+    
+    // Social handles, website and Senate LIS id from the congress-legislators dataset
+    ['facebook_handle', 'youtube_handle', 'website', 'lis_id'].forEach(column => {
+        db.run(`ALTER TABLE congress_members ADD COLUMN ${column} TEXT`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+                console.log(`${column} column already exists or other error:`, err.message);
+            }
+        });
+    });
+    
+    // Term-by-term service history (chamber, district and party per term)
+    db.run(`CREATE TABLE IF NOT EXISTS member_terms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bioguide_id TEXT,
+        chamber TEXT,
+        state TEXT,
+        district TEXT,
+        party TEXT,
+        start_date TEXT,
+        end_date TEXT,
+        state_rank TEXT,
+        senate_class INTEGER,
+        FOREIGN KEY(bioguide_id) REFERENCES congress_members(bioguide_id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_member_terms_member ON member_terms(bioguide_id)`);
+
+    // FEC candidate IDs per member (one per office sought), from congress-legislators
+    db.run(`CREATE TABLE IF NOT EXISTS member_fec_ids (
+        fec_id TEXT PRIMARY KEY,
+        bioguide_id TEXT,
+        FOREIGN KEY(bioguide_id) REFERENCES congress_members(bioguide_id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_member_fec_ids_member ON member_fec_ids(bioguide_id)`);
     db.run(`CREATE TABLE IF NOT EXISTS bills (
         bill_id TEXT PRIMARY KEY,
         congress INTEGER,
@@ -191,6 +269,211 @@ db.serialize(() => {
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )`);
     
+    // CRS policy area from GovInfo BILLSTATUS files
+    db.run(`ALTER TABLE bills ADD COLUMN policy_area TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+            console.log('policy_area column already exists or other error:', err.message);
+        }
+    });
+
+    // Earlier loads wrote ad hoc statuses; map them onto the lifecycle in billStatus.js
+    Object.entries(LEGACY_STATUSES).forEach(([legacy, status]) => {
+        db.run('UPDATE bills SET status = ? WHERE status = ?', [status, legacy]);
+    });
+    db.run(`UPDATE bills SET status = CASE WHEN bill_type LIKE 's%' THEN 'passed_senate' ELSE 'passed_house' END
+        WHERE status = 'passed'`);
+    
+    // Sponsor as written by sources that lack bioguide ids ("Rep. Roy (TX)"); see sponsorResolver
+    db.run(`ALTER TABLE bills ADD COLUMN sponsor_name TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+            console.log('sponsor_name column already exists or other error:', err.message);
+        }
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_bills_sponsor ON bills(sponsor_id)`);
+    // Sponsor strings that matched no member, or several, per Congress
+    db.run(`CREATE TABLE IF NOT EXISTS unresolved_sponsors (
+        sponsor_name TEXT,
+        congress INTEGER,
+        reason TEXT,
+        candidates TEXT,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY(sponsor_name, congress)
+    )`);
+    // Hand-made sponsor string -> member mappings, applied before name matching
+    db.run(`CREATE TABLE IF NOT EXISTS sponsor_aliases (
+        sponsor_name TEXT PRIMARY KEY,
+        bioguide_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(bioguide_id) REFERENCES congress_members(bioguide_id)
+    )`);
+
+    // Normalized bill details from GovInfo BILLSTATUS XML
+    db.run(`CREATE TABLE IF NOT EXISTS bill_actions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bill_id TEXT,
+        action_date TEXT,
+        action_time TEXT,
+        action_code TEXT,
+        action_type TEXT,
+        text TEXT,
+        source_system TEXT,
+        committee_code TEXT,
+        FOREIGN KEY(bill_id) REFERENCES bills(bill_id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_bill_actions_bill ON bill_actions(bill_id, action_date)`);
+    db.run(`CREATE TABLE IF NOT EXISTS bill_cosponsors (
+        bill_id TEXT,
+        bioguide_id TEXT,
+        full_name TEXT,
+        party TEXT,
+        state TEXT,
+        district TEXT,
+        sponsorship_date TEXT,
+        is_original INTEGER DEFAULT 0,
+        withdrawn_date TEXT,
+        PRIMARY KEY(bill_id, bioguide_id),
+        FOREIGN KEY(bill_id) REFERENCES bills(bill_id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_bill_cosponsors_member ON bill_cosponsors(bioguide_id)`);
+    // One row per committee or subcommittee activity (referral, markup, report...)
+    db.run(`CREATE TABLE IF NOT EXISTS bill_committees (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bill_id TEXT,
+        committee_code TEXT,
+        parent_code TEXT,
+        name TEXT,
+        chamber TEXT,
+        activity TEXT,
+        activity_date TEXT,
+        FOREIGN KEY(bill_id) REFERENCES bills(bill_id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_bill_committees_bill ON bill_committees(bill_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_bill_committees_committee ON bill_committees(committee_code)`);
+    
+    // Committees from the congress-legislators dataset; see services/committeesImporter.js
+    db.run(`CREATE TABLE IF NOT EXISTS committees (
+        committee_id TEXT PRIMARY KEY,
+        chamber TEXT,
+        name TEXT,
+        system_code TEXT,
+        url TEXT,
+        jurisdiction TEXT,
+        address TEXT,
+        phone TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_committees_system_code ON committees(system_code)`);
+    db.run(`CREATE TABLE IF NOT EXISTS subcommittees (
+        subcommittee_id TEXT PRIMARY KEY,
+        committee_id TEXT,
+        name TEXT,
+        system_code TEXT,
+        address TEXT,
+        phone TEXT,
+        FOREIGN KEY(committee_id) REFERENCES committees(committee_id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_subcommittees_committee ON subcommittees(committee_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_subcommittees_system_code ON subcommittees(system_code)`);
+    // committee_id is a committee or a subcommittee id; side is majority or minority
+    db.run(`CREATE TABLE IF NOT EXISTS committee_memberships (
+        committee_id TEXT,
+        bioguide_id TEXT,
+        name TEXT,
+        side TEXT,
+        rank INTEGER,
+        title TEXT,
+        role TEXT,
+        PRIMARY KEY(committee_id, bioguide_id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_committee_memberships_member ON committee_memberships(bioguide_id)`);
+    
+    // Hearings and markups from committee schedules; start_time is Eastern local time
+    db.run(`CREATE TABLE IF NOT EXISTS hearings (
+        hearing_id TEXT PRIMARY KEY,
+        chamber TEXT,
+        congress INTEGER,
+        meeting_type TEXT,
+        title TEXT,
+        committee_id TEXT,
+        subcommittee_id TEXT,
+        committee_name TEXT,
+        hearing_date TEXT,
+        start_time TEXT,
+        location TEXT,
+        status TEXT,
+        url TEXT,
+        source_file TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_hearings_date ON hearings(hearing_date)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_hearings_committee ON hearings(committee_id, hearing_date)`);
+    db.run(`CREATE TABLE IF NOT EXISTS hearing_bills (
+        hearing_id TEXT,
+        bill_id TEXT,
+        PRIMARY KEY(hearing_id, bill_id),
+        FOREIGN KEY(hearing_id) REFERENCES hearings(hearing_id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_hearing_bills_bill ON hearing_bills(bill_id)`);
+    // Saved hearing filters served as calendar feeds; filters is the JSON of /api/hearings query params
+    db.run(`CREATE TABLE IF NOT EXISTS hearing_feeds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        name TEXT,
+        filters TEXT,
+        token TEXT UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id)
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS related_bills (
+        bill_id TEXT,
+        related_bill_id TEXT,
+        relationship TEXT,
+        identified_by TEXT,
+        title TEXT,
+        latest_action TEXT,
+        latest_action_date TEXT,
+        PRIMARY KEY(bill_id, related_bill_id, relationship),
+        FOREIGN KEY(bill_id) REFERENCES bills(bill_id)
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS bill_subjects (
+        bill_id TEXT,
+        subject TEXT,
+        is_policy_area INTEGER DEFAULT 0,
+        PRIMARY KEY(bill_id, subject),
+        FOREIGN KEY(bill_id) REFERENCES bills(bill_id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_bill_subjects_subject ON bill_subjects(subject)`);
+    
+    // Bill text per version (Introduced, Reported, Engrossed...) from GovInfo BILLS files
+    db.run(`CREATE TABLE IF NOT EXISTS bill_text_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bill_id TEXT,
+        version_code TEXT,
+        version_name TEXT,
+        version_date TEXT,
+        format TEXT,
+        source_file TEXT,
+        full_text TEXT,
+        section_count INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(bill_id, version_code),
+        FOREIGN KEY(bill_id) REFERENCES bills(bill_id)
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS bill_text_sections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bill_id TEXT,
+        version_code TEXT,
+        position INTEGER,
+        section_key TEXT,
+        num TEXT,
+        heading TEXT,
+        text TEXT,
+        FOREIGN KEY(bill_id) REFERENCES bills(bill_id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_bill_text_sections_version
+        ON bill_text_sections(bill_id, version_code, position)`);
+    
     // Voting records
     db.run(`CREATE TABLE IF NOT EXISTS votes (
         vote_id TEXT PRIMARY KEY,
@@ -219,7 +502,27 @@ db.serialize(() => {
         FOREIGN KEY(vote_id) REFERENCES votes(vote_id),
         FOREIGN KEY(member_id) REFERENCES congress_members(bioguide_id)
     )`);
-    
+
+    // Congress number and present count from the House Clerk / Senate roll-call XML
+    ['congress', 'total_present'].forEach(column => {
+        db.run(`ALTER TABLE votes ADD COLUMN ${column} INTEGER`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+                console.log(`${column} column already exists or other error:`, err.message);
+            }
+        });
+    });
+    // Senate positions name members by LIS id; kept so unmatched ones resolve once the member loads
+    ['lis_id', 'last_name', 'state'].forEach(column => {
+        db.run(`ALTER TABLE member_votes ADD COLUMN ${column} TEXT`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+                console.log(`${column} column already exists or other error:`, err.message);
+            }
+        });
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_votes_date ON votes(date_time)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_member_votes_vote ON member_votes(vote_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_member_votes_member ON member_votes(member_id)`);
+
     // Campaign finance data
     db.run(`CREATE TABLE IF NOT EXISTS campaign_finance (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -234,6 +537,93 @@ db.serialize(() => {
         debt REAL,
         last_updated TEXT
     )`);
+
+    // Candidate details from the FEC candidate master and summary bulk files
+    [['state', 'TEXT'], ['district', 'TEXT'], ['incumbent_challenger', 'TEXT'], ['principal_committee_id', 'TEXT'],
+     ['individual_contributions', 'REAL']].forEach(([column, type]) => {
+        db.run(`ALTER TABLE campaign_finance ADD COLUMN ${column} ${type}`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+                console.log(`${column} column already exists or other error:`, err.message);
+            }
+        });
+    });
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_campaign_finance_candidate_cycle
+        ON campaign_finance(candidate_id, cycle)`);
+
+    // FEC committees and the candidates they are authorized by
+    db.run(`CREATE TABLE IF NOT EXISTS fec_committees (
+        committee_id TEXT,
+        cycle INTEGER,
+        name TEXT,
+        designation TEXT,
+        committee_type TEXT,
+        party TEXT,
+        connected_org TEXT,
+        candidate_id TEXT,
+        PRIMARY KEY(committee_id, cycle)
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS candidate_committees (
+        candidate_id TEXT,
+        committee_id TEXT,
+        cycle INTEGER,
+        designation TEXT,
+        committee_type TEXT,
+        PRIMARY KEY(candidate_id, committee_id, cycle)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_candidate_committees_committee ON candidate_committees(committee_id, cycle)`);
+
+    // Itemized FEC contributions from individuals and from committees to candidates
+    db.run(`CREATE TABLE IF NOT EXISTS individual_contributions (
+        sub_id TEXT PRIMARY KEY,
+        committee_id TEXT,
+        cycle INTEGER,
+        report_type TEXT,
+        transaction_type TEXT,
+        entity_type TEXT,
+        name TEXT,
+        city TEXT,
+        state TEXT,
+        zip_code TEXT,
+        employer TEXT,
+        occupation TEXT,
+        transaction_date TEXT,
+        amount REAL,
+        memo_code TEXT
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_individual_contributions_committee
+        ON individual_contributions(committee_id, cycle)`);
+    db.run(`CREATE TABLE IF NOT EXISTS committee_contributions (
+        sub_id TEXT PRIMARY KEY,
+        committee_id TEXT,
+        candidate_id TEXT,
+        cycle INTEGER,
+        report_type TEXT,
+        transaction_type TEXT,
+        recipient_name TEXT,
+        city TEXT,
+        state TEXT,
+        zip_code TEXT,
+        transaction_date TEXT,
+        amount REAL,
+        other_id TEXT,
+        memo_code TEXT
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_committee_contributions_candidate
+        ON committee_contributions(candidate_id, cycle)`);
+
+    // Per-candidate totals by employer, occupation, state, ZIP, donor and committee
+    db.run(`CREATE TABLE IF NOT EXISTS contribution_rollups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        candidate_id TEXT,
+        cycle INTEGER,
+        dimension TEXT,
+        value TEXT,
+        detail TEXT,
+        total_amount REAL,
+        contribution_count INTEGER
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_contribution_rollups_candidate
+        ON contribution_rollups(candidate_id, dimension, cycle)`);
     
     // Federal spending/contracts
     db.run(`CREATE TABLE IF NOT EXISTS federal_spending (
@@ -272,7 +662,176 @@ db.serialize(() => {
         posted_date TEXT,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )`);
-    
+
+    // Senate LDA filing details; registration_id names the registration or reporting period a row covers
+    [['filing_uuid', 'TEXT'], ['registrant_id', 'TEXT'], ['client_id', 'TEXT'], ['filing_period', 'TEXT'],
+     ['income', 'REAL'], ['expenses', 'REAL']].forEach(([column, type]) => {
+        db.run(`ALTER TABLE lobbying ADD COLUMN ${column} ${type}`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+                console.log(`${column} column already exists or other error:`, err.message);
+            }
+        });
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbying_registration ON lobbying(registration_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbying_registrant_client ON lobbying(registrant_id, client_id)`);
+
+    // Every LD-1/LD-2 filing imported, including amended and superseded ones
+    db.run(`CREATE TABLE IF NOT EXISTS lobbying_filings (
+        filing_uuid TEXT PRIMARY KEY,
+        registration_id TEXT,
+        filing_type TEXT,
+        report_type TEXT,
+        year INTEGER,
+        filing_period TEXT,
+        is_amendment INTEGER DEFAULT 0,
+        is_termination INTEGER DEFAULT 0,
+        income REAL,
+        expenses REAL,
+        posted_at TEXT,
+        superseded_by TEXT
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbying_filings_registration ON lobbying_filings(registration_id)`);
+
+    // Lobbyists on the current filing, with any covered government position they held
+    db.run(`CREATE TABLE IF NOT EXISTS lobbying_lobbyists (
+        lobbying_id INTEGER,
+        lobbyist_name TEXT,
+        lobbyist_id TEXT,
+        covered_position TEXT,
+        is_new INTEGER DEFAULT 0,
+        PRIMARY KEY (lobbying_id, lobbyist_name)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbying_lobbyists_name ON lobbying_lobbyists(lobbyist_name)`);
+
+    // General issue areas (LDA codes) and the specific issues lobbied on under each
+    db.run(`CREATE TABLE IF NOT EXISTS lobbying_issues (
+        lobbying_id INTEGER,
+        issue_code TEXT,
+        issue_area TEXT,
+        description TEXT
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbying_issues_lobbying ON lobbying_issues(lobbying_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbying_issues_code ON lobbying_issues(issue_code)`);
+
+    // Government offices (House, Senate, agencies) contacted and foreign entities with an interest
+    db.run(`CREATE TABLE IF NOT EXISTS lobbying_entities (
+        lobbying_id INTEGER,
+        entity_type TEXT,
+        name TEXT,
+        country TEXT,
+        PRIMARY KEY (lobbying_id, entity_type, name)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbying_entities_name ON lobbying_entities(name)`);
+    // house, senate or an agency code, matched against lobbyists' former offices
+    db.run(`ALTER TABLE lobbying_entities ADD COLUMN office_key TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+            console.log('office_key column already exists or other error:', err.message);
+        }
+    });
+
+    // Lobbyists' covered positions linked to the member, committee or agency they served
+    db.run(`CREATE TABLE IF NOT EXISTS lobbyist_positions (
+        lobbying_id INTEGER,
+        lobbyist_name TEXT,
+        covered_position TEXT,
+        position_title TEXT,
+        office_type TEXT,
+        bioguide_id TEXT,
+        committee_id TEXT,
+        agency_code TEXT,
+        office_key TEXT
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbyist_positions_lobbying ON lobbyist_positions(lobbying_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbyist_positions_member ON lobbyist_positions(bioguide_id)`);
+
+    // Foreign Agents Registration Act registrants and the foreign principals they represent
+    db.run(`CREATE TABLE IF NOT EXISTS fara_registrants (
+        registration_number TEXT PRIMARY KEY,
+        name TEXT,
+        business_name TEXT,
+        address TEXT,
+        city TEXT,
+        state TEXT,
+        zip TEXT,
+        registration_date TEXT,
+        termination_date TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS fara_foreign_principals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        registration_number TEXT,
+        principal_name TEXT,
+        country TEXT,
+        address TEXT,
+        city TEXT,
+        state TEXT,
+        registration_date TEXT,
+        termination_date TEXT,
+        UNIQUE (registration_number, principal_name, country)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_fara_principals_country ON fara_foreign_principals(country)`);
+    db.run(`CREATE TABLE IF NOT EXISTS fara_short_forms (
+        registration_number TEXT,
+        last_name TEXT,
+        first_name TEXT,
+        short_form_date TEXT,
+        termination_date TEXT,
+        PRIMARY KEY (registration_number, last_name, first_name)
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS fara_informational_materials (
+        registration_number TEXT,
+        date_stamped TEXT,
+        principal_name TEXT,
+        country TEXT,
+        document_type TEXT,
+        url TEXT,
+        PRIMARY KEY (registration_number, date_stamped, url)
+    )`);
+    // Foreign principals that are also LDA clients, matched by name
+    db.run(`CREATE TABLE IF NOT EXISTS fara_lda_clients (
+        principal_id INTEGER,
+        client_name TEXT,
+        PRIMARY KEY (principal_id, client_name)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_fara_lda_clients_client ON fara_lda_clients(client_name)`);
+
+    // LD-203 semiannual contribution reports by registrants and their lobbyists
+    db.run(`CREATE TABLE IF NOT EXISTS lobbying_contribution_reports (
+        filing_uuid TEXT PRIMARY KEY,
+        report_key TEXT,
+        registrant_id TEXT,
+        registrant_name TEXT,
+        lobbyist_name TEXT,
+        year INTEGER,
+        filing_period TEXT,
+        is_amendment INTEGER DEFAULT 0,
+        no_contributions INTEGER DEFAULT 0,
+        posted_at TEXT,
+        superseded_by TEXT
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbying_contribution_reports_key
+        ON lobbying_contribution_reports(report_key)`);
+
+    // Contributions listed on the current LD-203 reports; bioguide_id is the honoree when a member
+    db.run(`CREATE TABLE IF NOT EXISTS lobbying_contributions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filing_uuid TEXT,
+        registrant_id TEXT,
+        registrant_name TEXT,
+        lobbyist_name TEXT,
+        contributor_name TEXT,
+        contribution_type TEXT,
+        payee_name TEXT,
+        honoree_name TEXT,
+        bioguide_id TEXT,
+        amount REAL,
+        contribution_date TEXT,
+        year INTEGER
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbying_contributions_filing ON lobbying_contributions(filing_uuid)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_lobbying_contributions_member
+        ON lobbying_contributions(bioguide_id, contribution_date)`);
+
     // User alerts and subscriptions
     db.run(`CREATE TABLE IF NOT EXISTS user_alerts (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -284,6 +843,71 @@ db.serialize(() => {
         is_active INTEGER DEFAULT 1,
         FOREIGN KEY(user_id) REFERENCES users(id)
     )`);
+
+    // Alert names and evaluation bookkeeping for the scheduled alert evaluator
+    [['name', 'TEXT'], ['created_at', 'DATETIME'], ['last_checked', 'DATETIME']].forEach(([column, type]) => {
+        db.run(`ALTER TABLE user_alerts ADD COLUMN ${column} ${type}`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+                console.log(`${column} column already exists or other error:`, err.message);
+            }
+        });
+    });
+
+    // Records matched by an alert; content_hash keeps an unchanged record from matching twice
+    db.run(`CREATE TABLE IF NOT EXISTS alert_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alert_id INTEGER,
+        user_id INTEGER,
+        data_source TEXT,
+        entity_id TEXT,
+        title TEXT,
+        snippet TEXT,
+        content_hash TEXT,
+        matched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        notified_at DATETIME,
+        FOREIGN KEY(alert_id) REFERENCES user_alerts(id),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+    )`);
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_hits_unique
+        ON alert_hits(alert_id, data_source, entity_id, content_hash)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_alert_hits_user ON alert_hits(user_id, matched_at)`);
+
+    // Outbound webhooks; events is a JSON array of WEBHOOK_EVENTS names
+    db.run(`CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        url TEXT,
+        description TEXT,
+        events TEXT,
+        min_award_amount REAL,
+        secret TEXT,
+        is_active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id)
+    )`);
+
+    // Delivery log and retry queue for webhook events
+    db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        delivery_id TEXT UNIQUE,
+        webhook_id INTEGER,
+        event_type TEXT,
+        entity_id TEXT,
+        payload TEXT,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER,
+        next_attempt_at DATETIME,
+        last_attempt_at DATETIME,
+        response_status INTEGER,
+        error TEXT,
+        duration_ms INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME,
+        FOREIGN KEY(webhook_id) REFERENCES webhooks(id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)`);
     
     // Activity log for watchdog events
     db.run(`CREATE TABLE IF NOT EXISTS activity_log (
@@ -295,8 +919,32 @@ db.serialize(() => {
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         severity TEXT DEFAULT 'info'
     )`);
+
+    // Field-level detail for change events written by refreshes
+    ['field', 'old_value', 'new_value'].forEach(column => {
+        db.run(`ALTER TABLE activity_log ADD COLUMN ${column} TEXT`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+                console.log(`${column} column already exists or other error:`, err.message);
+            }
+        });
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_activity_log_entity ON activity_log(data_source, entity_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_activity_log_timestamp ON activity_log(timestamp)`);
+    
+    // Full-text search indexes over bills, spending and lobbying
+    createSearchIndexes(db);
+
+    // Versioned history of bills, spending and lobbying for as_of queries
+    createHistoryTables(db);
 });
 
+// Data migrations run once per database, after the schema above
+const migrated = migrate(db)
+    .then(({ from, to }) => {
+        if (to > from) console.log(`🗄️  Migrated database from schema version ${from} to ${to}`);
+    })
+    .catch(error => console.error('Database migration error:', error.message));
+
 // Authentication functions
 function genToken(user) {
     return jwt.sign({ userId: user.id, username: user.username }, JWT_SECRET, { expiresIn: '7d' });
@@ -326,925 +974,6 @@ async function fetchCongressData() {
     try {
         console.log('📡 Updating congressional data for 2025...');
         
-        // Comprehensive 2025 Congressional data with current leadership
-        const congressionalMembers = [
-            // 2025 House Leadership
-            { id: 'J000299', first: 'Mike', last: 'Johnson', party: 'R', state: 'LA', chamber: 'house', district: '4', phone: '(202) 225-2777', position: 'Speaker of the House' },
-            { id: 'J000305', first: 'Hakeem', last: 'Jeffries', party: 'D', state: 'NY', chamber: 'house', district: '8', phone: '(202) 225-5936', position: 'House Minority Leader' },
-            { id: 'S001195', first: 'Steve', last: 'Scalise', party: 'R', state: 'LA', chamber: 'house', district: '1', phone: '(202) 225-3015', position: 'House Majority Leader' },
-            
-            // 2025 Senate Leadership 
-            { id: 'T000250', first: 'John', last: 'Thune', party: 'R', state: 'SD', chamber: 'senate', phone: '(202) 224-2321', position: 'Senate Majority Leader' },
-            { id: 'S000148', first: 'Chuck', last: 'Schumer', party: 'D', state: 'NY', chamber: 'senate', phone: '(202) 224-6542', position: 'Senate Minority Leader' },
-            { id: 'C001056', first: 'John', last: 'Cornyn', party: 'R', state: 'TX', chamber: 'senate', phone: '(202) 224-2934', position: 'Senate Majority Whip' },
-            { id: 'D000563', first: 'Dick', last: 'Durbin', party: 'D', state: 'IL', chamber: 'senate', phone: '(202) 224-2152', position: 'Senate Minority Whip' },
-            
-            // Executive Branch (2025)
-            { id: 'POTUS47', first: 'Donald', last: 'Trump', party: 'R', state: 'FL', chamber: 'executive', position: 'President of the United States', phone: '(202) 456-1414' },
-            { id: 'VP49', first: 'J.D.', last: 'Vance', party: 'R', state: 'OH', chamber: 'executive', position: 'Vice President', phone: '(202) 456-1414' },
-            
-            // Senate (All 100 - Updated for 2025)
-            
-            // Alabama
-            { id: 'B001319', first: 'Katie', last: 'Britt', party: 'R', state: 'AL', chamber: 'senate', phone: '(202) 224-5744' },
-            { id: 'T000461', first: 'Tommy', last: 'Tuberville', party: 'R', state: 'AL', chamber: 'senate', phone: '(202) 224-4124' },
-            
-            // Alaska
-            { id: 'M001153', first: 'Lisa', last: 'Murkowski', party: 'R', state: 'AK', chamber: 'senate', phone: '(202) 224-6665' },
-            { id: 'S001198', first: 'Dan', last: 'Sullivan', party: 'R', state: 'AK', chamber: 'senate', phone: '(202) 224-3004' },
-            
-            // Arizona
-            { id: 'K000367', first: 'Mark', last: 'Kelly', party: 'D', state: 'AZ', chamber: 'senate', phone: '(202) 224-2235' },
-            { id: 'G000618', first: 'Ruben', last: 'Gallego', party: 'D', state: 'AZ', chamber: 'senate', phone: '(202) 224-4521' },
-            
-            // Arkansas
-            { id: 'B001236', first: 'John', last: 'Boozman', party: 'R', state: 'AR', chamber: 'senate', phone: '(202) 224-4843' },
-            { id: 'C001095', first: 'Tom', last: 'Cotton', party: 'R', state: 'AR', chamber: 'senate', phone: '(202) 224-2353' },
-            
-            // California
-            { id: 'P000145', first: 'Alex', last: 'Padilla', party: 'D', state: 'CA', chamber: 'senate', phone: '(202) 224-3553' },
-            { id: 'B001135', first: 'Laphonza', last: 'Butler', party: 'D', state: 'CA', chamber: 'senate', phone: '(202) 224-3841' },
-            
-            // Colorado
-            { id: 'B001267', first: 'Michael', last: 'Bennet', party: 'D', state: 'CO', chamber: 'senate', phone: '(202) 224-5852' },
-            { id: 'H001046', first: 'John', last: 'Hickenlooper', party: 'D', state: 'CO', chamber: 'senate', phone: '(202) 224-5941' },
-            
-            // Connecticut
-            { id: 'B001277', first: 'Richard', last: 'Blumenthal', party: 'D', state: 'CT', chamber: 'senate', phone: '(202) 224-2823' },
-            { id: 'M001169', first: 'Chris', last: 'Murphy', party: 'D', state: 'CT', chamber: 'senate', phone: '(202) 224-4041' },
-            
-            // Delaware
-            { id: 'C000174', first: 'Tom', last: 'Carper', party: 'D', state: 'DE', chamber: 'senate', phone: '(202) 224-2441' },
-            { id: 'C001088', first: 'Chris', last: 'Coons', party: 'D', state: 'DE', chamber: 'senate', phone: '(202) 224-5042' },
-            
-            // Florida
-            { id: 'R000595', first: 'Marco', last: 'Rubio', party: 'R', state: 'FL', chamber: 'senate', phone: '(202) 224-3041' },
-            { id: 'S001217', first: 'Rick', last: 'Scott', party: 'R', state: 'FL', chamber: 'senate', phone: '(202) 224-5274' },
-            
-            // Georgia
-            { id: 'O000174', first: 'Jon', last: 'Ossoff', party: 'D', state: 'GA', chamber: 'senate', phone: '(202) 224-3521' },
-            { id: 'W000790', first: 'Raphael', last: 'Warnock', party: 'D', state: 'GA', chamber: 'senate', phone: '(202) 224-3643' },
-            
-            // Hawaii
-            { id: 'S001194', first: 'Brian', last: 'Schatz', party: 'D', state: 'HI', chamber: 'senate', phone: '(202) 224-3934' },
-            { id: 'H001042', first: 'Mazie', last: 'Hirono', party: 'D', state: 'HI', chamber: 'senate', phone: '(202) 224-6361' },
-            
-            // Idaho
-            { id: 'C000127', first: 'Mike', last: 'Crapo', party: 'R', state: 'ID', chamber: 'senate', phone: '(202) 224-6142' },
-            { id: 'R000584', first: 'James', last: 'Risch', party: 'R', state: 'ID', chamber: 'senate', phone: '(202) 224-2752' },
-            
-            // Illinois
-            { id: 'D000563', first: 'Dick', last: 'Durbin', party: 'D', state: 'IL', chamber: 'senate', phone: '(202) 224-2152' },
-            { id: 'D000622', first: 'Tammy', last: 'Duckworth', party: 'D', state: 'IL', chamber: 'senate', phone: '(202) 224-2854' },
-            
-            // Indiana
-            { id: 'Y000064', first: 'Todd', last: 'Young', party: 'R', state: 'IN', chamber: 'senate', phone: '(202) 224-5623' },
-            { id: 'B001310', first: 'Mike', last: 'Braun', party: 'R', state: 'IN', chamber: 'senate', phone: '(202) 224-4814' },
-            
-            // Iowa
-            { id: 'G000386', first: 'Chuck', last: 'Grassley', party: 'R', state: 'IA', chamber: 'senate', phone: '(202) 224-3744' },
-            { id: 'E000295', first: 'Joni', last: 'Ernst', party: 'R', state: 'IA', chamber: 'senate', phone: '(202) 224-3254' },
-            
-            // Kansas
-            { id: 'M000934', first: 'Jerry', last: 'Moran', party: 'R', state: 'KS', chamber: 'senate', phone: '(202) 224-6521' },
-            { id: 'M001169', first: 'Roger', last: 'Marshall', party: 'R', state: 'KS', chamber: 'senate', phone: '(202) 224-4774' },
-            
-            // Kentucky
-            { id: 'M000355', first: 'Mitch', last: 'McConnell', party: 'R', state: 'KY', chamber: 'senate', phone: '(202) 224-2541' },
-            { id: 'P000603', first: 'Rand', last: 'Paul', party: 'R', state: 'KY', chamber: 'senate', phone: '(202) 224-4343' },
-            
-            // Louisiana
-            { id: 'C001075', first: 'Bill', last: 'Cassidy', party: 'R', state: 'LA', chamber: 'senate', phone: '(202) 224-5824' },
-            { id: 'K000393', first: 'John', last: 'Kennedy', party: 'R', state: 'LA', chamber: 'senate', phone: '(202) 224-4623' },
-            
-            // Maine
-            { id: 'C001035', first: 'Susan', last: 'Collins', party: 'R', state: 'ME', chamber: 'senate', phone: '(202) 224-2523' },
-            { id: 'K000383', first: 'Angus', last: 'King', party: 'I', state: 'ME', chamber: 'senate', phone: '(202) 224-5344' },
-            
-            // Maryland
-            { id: 'C000141', first: 'Ben', last: 'Cardin', party: 'D', state: 'MD', chamber: 'senate', phone: '(202) 224-4524' },
-            { id: 'V000128', first: 'Chris', last: 'Van Hollen', party: 'D', state: 'MD', chamber: 'senate', phone: '(202) 224-4654' },
-            
-            // Massachusetts
-            { id: 'W000817', first: 'Elizabeth', last: 'Warren', party: 'D', state: 'MA', chamber: 'senate', phone: '(202) 224-4543' },
-            { id: 'M000133', first: 'Ed', last: 'Markey', party: 'D', state: 'MA', chamber: 'senate', phone: '(202) 224-2742' },
-            
-            // Michigan
-            { id: 'S000770', first: 'Debbie', last: 'Stabenow', party: 'D', state: 'MI', chamber: 'senate', phone: '(202) 224-4822' },
-            { id: 'P000595', first: 'Gary', last: 'Peters', party: 'D', state: 'MI', chamber: 'senate', phone: '(202) 224-6221' },
-            
-            // Minnesota
-            { id: 'K000367', first: 'Amy', last: 'Klobuchar', party: 'D', state: 'MN', chamber: 'senate', phone: '(202) 224-3244' },
-            { id: 'S001203', first: 'Tina', last: 'Smith', party: 'D', state: 'MN', chamber: 'senate', phone: '(202) 224-5641' },
-            
-            // Mississippi
-            { id: 'W000437', first: 'Roger', last: 'Wicker', party: 'R', state: 'MS', chamber: 'senate', phone: '(202) 224-6253' },
-            { id: 'H001079', first: 'Cindy', last: 'Hyde-Smith', party: 'R', state: 'MS', chamber: 'senate', phone: '(202) 224-5054' },
-            
-            // Missouri
-            { id: 'H001089', first: 'Josh', last: 'Hawley', party: 'R', state: 'MO', chamber: 'senate', phone: '(202) 224-6154' },
-            { id: 'S001217', first: 'Eric', last: 'Schmitt', party: 'R', state: 'MO', chamber: 'senate', phone: '(202) 224-5721' },
-            
-            // Montana
-            { id: 'T000464', first: 'Jon', last: 'Tester', party: 'D', state: 'MT', chamber: 'senate', phone: '(202) 224-2644' },
-            { id: 'S001198', first: 'Tim', last: 'Sheehy', party: 'R', state: 'MT', chamber: 'senate', phone: '(202) 224-2651' },
-            
-            // Nebraska
-            { id: 'F000463', first: 'Deb', last: 'Fischer', party: 'R', state: 'NE', chamber: 'senate', phone: '(202) 224-6551' },
-            { id: 'R000618', first: 'Pete', last: 'Ricketts', party: 'R', state: 'NE', chamber: 'senate', phone: '(202) 224-4224' },
-            
-            // Nevada
-            { id: 'C001113', first: 'Catherine', last: 'Cortez Masto', party: 'D', state: 'NV', chamber: 'senate', phone: '(202) 224-3542' },
-            { id: 'R000608', first: 'Jacky', last: 'Rosen', party: 'D', state: 'NV', chamber: 'senate', phone: '(202) 224-6244' },
-            
-            // New Hampshire
-            { id: 'S001181', first: 'Jeanne', last: 'Shaheen', party: 'D', state: 'NH', chamber: 'senate', phone: '(202) 224-2841' },
-            { id: 'H001076', first: 'Maggie', last: 'Hassan', party: 'D', state: 'NH', chamber: 'senate', phone: '(202) 224-3324' },
-            
-            // New Jersey
-            { id: 'M000639', first: 'Bob', last: 'Menendez', party: 'D', state: 'NJ', chamber: 'senate', phone: '(202) 224-4744' },
-            { id: 'B001288', first: 'Cory', last: 'Booker', party: 'D', state: 'NJ', chamber: 'senate', phone: '(202) 224-3224' },
-            
-            // New Mexico
-            { id: 'H001046', first: 'Martin', last: 'Heinrich', party: 'D', state: 'NM', chamber: 'senate', phone: '(202) 224-5521' },
-            { id: 'L000570', first: 'Ben Ray', last: 'Lujan', party: 'D', state: 'NM', chamber: 'senate', phone: '(202) 224-6621' },
-            
-            // New York
-            { id: 'S000148', first: 'Chuck', last: 'Schumer', party: 'D', state: 'NY', chamber: 'senate', phone: '(202) 224-6542' },
-            { id: 'G000555', first: 'Kirsten', last: 'Gillibrand', party: 'D', state: 'NY', chamber: 'senate', phone: '(202) 224-4451' },
-            
-            // North Carolina
-            { id: 'B001135', first: 'Richard', last: 'Burr', party: 'R', state: 'NC', chamber: 'senate', phone: '(202) 224-3154' },
-            { id: 'T000476', first: 'Thom', last: 'Tillis', party: 'R', state: 'NC', chamber: 'senate', phone: '(202) 224-6342' },
-            
-            // North Dakota
-            { id: 'H001061', first: 'John', last: 'Hoeven', party: 'R', state: 'ND', chamber: 'senate', phone: '(202) 224-2551' },
-            { id: 'C001096', first: 'Kevin', last: 'Cramer', party: 'R', state: 'ND', chamber: 'senate', phone: '(202) 224-2043' },
-            
-            // Ohio
-            { id: 'B000944', first: 'Sherrod', last: 'Brown', party: 'D', state: 'OH', chamber: 'senate', phone: '(202) 224-2315' },
-            { id: 'V000134', first: 'J.D.', last: 'Vance', party: 'R', state: 'OH', chamber: 'senate', phone: '(202) 224-3353' },
-            
-            // Oklahoma
-            { id: 'I000024', first: 'Jim', last: 'Inhofe', party: 'R', state: 'OK', chamber: 'senate', phone: '(202) 224-4721' },
-            { id: 'L000575', first: 'James', last: 'Lankford', party: 'R', state: 'OK', chamber: 'senate', phone: '(202) 224-5754' },
-            
-            // Oregon
-            { id: 'W000779', first: 'Ron', last: 'Wyden', party: 'D', state: 'OR', chamber: 'senate', phone: '(202) 224-5244' },
-            { id: 'M001176', first: 'Jeff', last: 'Merkley', party: 'D', state: 'OR', chamber: 'senate', phone: '(202) 224-3753' },
-            
-            // Pennsylvania
-            { id: 'C001070', first: 'Bob', last: 'Casey', party: 'D', state: 'PA', chamber: 'senate', phone: '(202) 224-6324' },
-            { id: 'F000482', first: 'John', last: 'Fetterman', party: 'D', state: 'PA', chamber: 'senate', phone: '(202) 224-4254' },
-            
-            // Rhode Island
-            { id: 'R000122', first: 'Jack', last: 'Reed', party: 'D', state: 'RI', chamber: 'senate', phone: '(202) 224-4642' },
-            { id: 'W000802', first: 'Sheldon', last: 'Whitehouse', party: 'D', state: 'RI', chamber: 'senate', phone: '(202) 224-2921' },
-            
-            // South Carolina
-            { id: 'G000359', first: 'Lindsey', last: 'Graham', party: 'R', state: 'SC', chamber: 'senate', phone: '(202) 224-5972' },
-            { id: 'S001184', first: 'Tim', last: 'Scott', party: 'R', state: 'SC', chamber: 'senate', phone: '(202) 224-6121' },
-            
-            // South Dakota (Leadership)
-            { id: 'T000250', first: 'John', last: 'Thune', party: 'R', state: 'SD', chamber: 'senate', phone: '(202) 224-2321', position: 'Senate Majority Leader' },
-            { id: 'R000605', first: 'Mike', last: 'Rounds', party: 'R', state: 'SD', chamber: 'senate', phone: '(202) 224-5842' },
-            
-            // Tennessee
-            { id: 'A000360', first: 'Lamar', last: 'Alexander', party: 'R', state: 'TN', chamber: 'senate', phone: '(202) 224-4944' },
-            { id: 'B001243', first: 'Marsha', last: 'Blackburn', party: 'R', state: 'TN', chamber: 'senate', phone: '(202) 224-3344' },
-            
-            // Texas (Leadership)
-            { id: 'C001056', first: 'John', last: 'Cornyn', party: 'R', state: 'TX', chamber: 'senate', phone: '(202) 224-2934', position: 'Senate Majority Whip' },
-            { id: 'C001098', first: 'Ted', last: 'Cruz', party: 'R', state: 'TX', chamber: 'senate', phone: '(202) 224-5922' },
-            
-            // Utah
-            { id: 'L000577', first: 'Mike', last: 'Lee', party: 'R', state: 'UT', chamber: 'senate', phone: '(202) 224-5444' },
-            { id: 'R000615', first: 'Mitt', last: 'Romney', party: 'R', state: 'UT', chamber: 'senate', phone: '(202) 224-5251' },
-            
-            // Vermont
-            { id: 'L000174', first: 'Patrick', last: 'Leahy', party: 'D', state: 'VT', chamber: 'senate', phone: '(202) 224-4242' },
-            { id: 'S000033', first: 'Bernie', last: 'Sanders', party: 'I', state: 'VT', chamber: 'senate', phone: '(202) 224-5141' },
-            
-            // Virginia
-            { id: 'W000805', first: 'Mark', last: 'Warner', party: 'D', state: 'VA', chamber: 'senate', phone: '(202) 224-2023' },
-            { id: 'K000384', first: 'Tim', last: 'Kaine', party: 'D', state: 'VA', chamber: 'senate', phone: '(202) 224-4024' },
-            
-            // Washington
-            { id: 'M001111', first: 'Patty', last: 'Murray', party: 'D', state: 'WA', chamber: 'senate', phone: '(202) 224-2621' },
-            { id: 'C000127', first: 'Maria', last: 'Cantwell', party: 'D', state: 'WA', chamber: 'senate', phone: '(202) 224-3441' },
-            
-            // West Virginia
-            { id: 'M001183', first: 'Joe', last: 'Manchin', party: 'D', state: 'WV', chamber: 'senate', phone: '(202) 224-3954' },
-            { id: 'C001047', first: 'Shelley', last: 'Capito', party: 'R', state: 'WV', chamber: 'senate', phone: '(202) 224-6472' },
-            
-            // Wisconsin
-            { id: 'J000293', first: 'Ron', last: 'Johnson', party: 'R', state: 'WI', chamber: 'senate', phone: '(202) 224-5323' },
-            { id: 'B001230', first: 'Tammy', last: 'Baldwin', party: 'D', state: 'WI', chamber: 'senate', phone: '(202) 224-5653' },
-            
-            // Wyoming
-            { id: 'B001261', first: 'John', last: 'Barrasso', party: 'R', state: 'WY', chamber: 'senate', phone: '(202) 224-6441' },
-            { id: 'L000571', first: 'Cynthia', last: 'Lummis', party: 'R', state: 'WY', chamber: 'senate', phone: '(202) 224-3424' },
-            
-            // Nebraska
-            { id: 'F000463', first: 'Deb', last: 'Fischer', party: 'R', state: 'NE', chamber: 'senate', phone: '(202) 224-6551' },
-            { id: 'S001197', first: 'Ben', last: 'Sasse', party: 'R', state: 'NE', chamber: 'senate', phone: '(202) 224-4224' },
-            
-            // Nevada
-            { id: 'R000608', first: 'Jacky', last: 'Rosen', party: 'D', state: 'NV', chamber: 'senate', phone: '(202) 224-6244' },
-            { id: 'C001113', first: 'Catherine', last: 'Cortez Masto', party: 'D', state: 'NV', chamber: 'senate', phone: '(202) 224-3542' },
-            
-            // New Hampshire
-            { id: 'S000320', first: 'Jeanne', last: 'Shaheen', party: 'D', state: 'NH', chamber: 'senate', phone: '(202) 224-2841' },
-            { id: 'H001076', first: 'Maggie', last: 'Hassan', party: 'D', state: 'NH', chamber: 'senate', phone: '(202) 224-3324' },
-            
-            // New Jersey
-            { id: 'M000639', first: 'Bob', last: 'Menendez', party: 'D', state: 'NJ', chamber: 'senate', phone: '(202) 224-4744' },
-            { id: 'B001288', first: 'Cory', last: 'Booker', party: 'D', state: 'NJ', chamber: 'senate', phone: '(202) 224-3224' },
-            
-            // New Mexico
-            { id: 'H001046', first: 'Martin', last: 'Heinrich', party: 'D', state: 'NM', chamber: 'senate', phone: '(202) 224-5521' },
-            { id: 'L000570', first: 'Ben Ray', last: 'Luján', party: 'D', state: 'NM', chamber: 'senate', phone: '(202) 224-6621' },
-            
-            // New York
-            { id: 'S000148', first: 'Chuck', last: 'Schumer', party: 'D', state: 'NY', chamber: 'senate', phone: '(202) 224-6542' },
-            { id: 'G000555', first: 'Kirsten', last: 'Gillibrand', party: 'D', state: 'NY', chamber: 'senate', phone: '(202) 224-4451' },
-            
-            // North Carolina
-            { id: 'T000476', first: 'Thom', last: 'Tillis', party: 'R', state: 'NC', chamber: 'senate', phone: '(202) 224-6342' },
-            { id: 'B001135', first: 'Richard', last: 'Burr', party: 'R', state: 'NC', chamber: 'senate', phone: '(202) 224-3154' },
-            
-            // North Dakota
-            { id: 'H001061', first: 'John', last: 'Hoeven', party: 'R', state: 'ND', chamber: 'senate', phone: '(202) 224-2551' },
-            { id: 'C001096', first: 'Kevin', last: 'Cramer', party: 'R', state: 'ND', chamber: 'senate', phone: '(202) 224-2043' },
-            
-            // Ohio
-            { id: 'B000944', first: 'Sherrod', last: 'Brown', party: 'D', state: 'OH', chamber: 'senate', phone: '(202) 224-2315' },
-            { id: 'V000432', first: 'J.D.', last: 'Vance', party: 'R', state: 'OH', chamber: 'senate', phone: '(202) 224-3353' },
-            
-            // Oklahoma
-            { id: 'I000024', first: 'Jim', last: 'Inhofe', party: 'R', state: 'OK', chamber: 'senate', phone: '(202) 224-4721' },
-            { id: 'L000575', first: 'James', last: 'Lankford', party: 'R', state: 'OK', chamber: 'senate', phone: '(202) 224-5754' },
-            
-            // Oregon
-            { id: 'W000779', first: 'Ron', last: 'Wyden', party: 'D', state: 'OR', chamber: 'senate', phone: '(202) 224-5244' },
-            { id: 'M001176', first: 'Jeff', last: 'Merkley', party: 'D', state: 'OR', chamber: 'senate', phone: '(202) 224-3753' },
-            
-            // Pennsylvania
-            { id: 'C001070', first: 'Bob', last: 'Casey', party: 'D', state: 'PA', chamber: 'senate', phone: '(202) 224-6324' },
-            { id: 'T000461', first: 'Pat', last: 'Toomey', party: 'R', state: 'PA', chamber: 'senate', phone: '(202) 224-4254' },
-            
-            // Rhode Island
-            { id: 'R000122', first: 'Jack', last: 'Reed', party: 'D', state: 'RI', chamber: 'senate', phone: '(202) 224-4642' },
-            { id: 'W000802', first: 'Sheldon', last: 'Whitehouse', party: 'D', state: 'RI', chamber: 'senate', phone: '(202) 224-2921' },
-            
-            // South Carolina
-            { id: 'G000359', first: 'Lindsey', last: 'Graham', party: 'R', state: 'SC', chamber: 'senate', phone: '(202) 224-5972' },
-            { id: 'S001184', first: 'Tim', last: 'Scott', party: 'R', state: 'SC', chamber: 'senate', phone: '(202) 224-6121' },
-            
-            // South Dakota
-            { id: 'T000250', first: 'John', last: 'Thune', party: 'R', state: 'SD', chamber: 'senate', phone: '(202) 224-2321' },
-            { id: 'R000605', first: 'Mike', last: 'Rounds', party: 'R', state: 'SD', chamber: 'senate', phone: '(202) 224-5842' },
-            
-            // Tennessee
-            { id: 'A000360', first: 'Lamar', last: 'Alexander', party: 'R', state: 'TN', chamber: 'senate', phone: '(202) 224-4944' },
-            { id: 'B001243', first: 'Marsha', last: 'Blackburn', party: 'R', state: 'TN', chamber: 'senate', phone: '(202) 224-3344' },
-            
-            // Texas
-            { id: 'C001056', first: 'John', last: 'Cornyn', party: 'R', state: 'TX', chamber: 'senate', phone: '(202) 224-2934' },
-            { id: 'C001098', first: 'Ted', last: 'Cruz', party: 'R', state: 'TX', chamber: 'senate', phone: '(202) 224-5922' },
-            
-            // Utah
-            { id: 'H000338', first: 'Orrin', last: 'Hatch', party: 'R', state: 'UT', chamber: 'senate', phone: '(202) 224-5251' },
-            { id: 'L000577', first: 'Mike', last: 'Lee', party: 'R', state: 'UT', chamber: 'senate', phone: '(202) 224-5444' },
-            
-            // Vermont
-            { id: 'L000174', first: 'Patrick', last: 'Leahy', party: 'D', state: 'VT', chamber: 'senate', phone: '(202) 224-4242' },
-            { id: 'S000033', first: 'Bernie', last: 'Sanders', party: 'I', state: 'VT', chamber: 'senate', phone: '(202) 224-5141' },
-            
-            // Virginia
-            { id: 'W000805', first: 'Mark', last: 'Warner', party: 'D', state: 'VA', chamber: 'senate', phone: '(202) 224-2023' },
-            { id: 'K000384', first: 'Tim', last: 'Kaine', party: 'D', state: 'VA', chamber: 'senate', phone: '(202) 224-4024' },
-            
-            // Washington
-            { id: 'M001111', first: 'Patty', last: 'Murray', party: 'D', state: 'WA', chamber: 'senate', phone: '(202) 224-2621' },
-            { id: 'C000127', first: 'Maria', last: 'Cantwell', party: 'D', state: 'WA', chamber: 'senate', phone: '(202) 224-3441' },
-            
-            // West Virginia
-            { id: 'M001183', first: 'Joe', last: 'Manchin', party: 'D', state: 'WV', chamber: 'senate', phone: '(202) 224-3954' },
-            { id: 'C001047', first: 'Shelley', last: 'Capito', party: 'R', state: 'WV', chamber: 'senate', phone: '(202) 224-6472' },
-            
-            // Wisconsin
-            { id: 'J000293', first: 'Ron', last: 'Johnson', party: 'R', state: 'WI', chamber: 'senate', phone: '(202) 224-5323' },
-            { id: 'B001230', first: 'Tammy', last: 'Baldwin', party: 'D', state: 'WI', chamber: 'senate', phone: '(202) 224-5653' },
-            
-            // Wyoming
-            { id: 'B001261', first: 'John', last: 'Barrasso', party: 'R', state: 'WY', chamber: 'senate', phone: '(202) 224-6441' },
-            { id: 'L000571', first: 'Cynthia', last: 'Lummis', party: 'R', state: 'WY', chamber: 'senate', phone: '(202) 224-3424' },
-            
-            // Missing Senators to Complete 100 Total
-            // Colorado (missing 2nd senator)
-            { id: 'G000067', first: 'Cory', last: 'Gardner', party: 'R', state: 'CO', chamber: 'senate', phone: '(202) 224-5941' },
-            
-            // Connecticut (missing 2nd senator) 
-            { id: 'L000174', first: 'Joe', last: 'Lieberman', party: 'I', state: 'CT', chamber: 'senate', phone: '(202) 224-4041' },
-            
-            // Minnesota (missing 2nd senator)
-            { id: 'F000457', first: 'Al', last: 'Franken', party: 'D', state: 'MN', chamber: 'senate', phone: '(202) 224-5641' },
-            
-            // Tennessee (missing 2nd senator)
-            { id: 'C001095', first: 'Bill', last: 'Hagerty', party: 'R', state: 'TN', chamber: 'senate', phone: '(202) 224-3344' },
-            
-            // Alabama (missing senators - correcting count)
-            { id: 'J000174', first: 'Jeff', last: 'Sessions', party: 'R', state: 'AL', chamber: 'senate', phone: '(202) 224-4124' },
-            { id: 'S001202', first: 'Katie', last: 'Britt', party: 'R', state: 'AL', chamber: 'senate', phone: '(202) 224-5744' },
-            
-            // House Leadership (2025 - Republican Majority)
-            { id: 'J000299', first: 'Mike', last: 'Johnson', party: 'R', state: 'LA', chamber: 'house', district: '4', phone: '(202) 225-2777' }, // Speaker
-            { id: 'J000288', first: 'Hakeem', last: 'Jeffries', party: 'D', state: 'NY', chamber: 'house', district: '8', phone: '(202) 225-5936' }, // Minority Leader
-            { id: 'S001075', first: 'Steve', last: 'Scalise', party: 'R', state: 'LA', chamber: 'house', district: '1', phone: '(202) 225-3015' }, // Majority Leader
-            { id: 'P000197', first: 'Nancy', last: 'Pelosi', party: 'D', state: 'CA', chamber: 'house', district: '11', phone: '(202) 225-4965' }, // Former Speaker
-            
-            // House Representatives (Sample from major states)
-            { id: 'A000374', first: 'Ralph', last: 'Abraham', party: 'R', state: 'LA', chamber: 'house', district: '5', phone: '(202) 225-8490' },
-            { id: 'O000173', first: 'Alexandria', last: 'Ocasio-Cortez', party: 'D', state: 'NY', chamber: 'house', district: '14', phone: '(202) 225-3965' },
-            { id: 'G000551', first: 'Raúl', last: 'Grijalva', party: 'D', state: 'AZ', chamber: 'house', district: '7', phone: '(202) 225-2435' },
-            { id: 'J000032', first: 'Sheila', last: 'Jackson Lee', party: 'D', state: 'TX', chamber: 'house', district: '18', phone: '(202) 225-3816' },
-            { id: 'G000583', first: 'Josh', last: 'Gottheimer', party: 'D', state: 'NJ', chamber: 'house', district: '5', phone: '(202) 225-4465' },
-            { id: 'B001302', first: 'Andy', last: 'Biggs', party: 'R', state: 'AZ', chamber: 'house', district: '5', phone: '(202) 225-2635' },
-            { id: 'P000618', first: 'Katie', last: 'Porter', party: 'D', state: 'CA', chamber: 'house', district: '47', phone: '(202) 225-5611' },
-            { id: 'G000579', first: 'Mike', last: 'Gallagher', party: 'R', state: 'WI', chamber: 'house', district: '8', phone: '(202) 225-5665' },
-            { id: 'C001117', first: 'Angie', last: 'Craig', party: 'D', state: 'MN', chamber: 'house', district: '2', phone: '(202) 225-2271' },
-            { id: 'R000610', first: 'Guy', last: 'Reschenthaler', party: 'R', state: 'PA', chamber: 'house', district: '14', phone: '(202) 225-2065' },
-            { id: 'K000389', first: 'Ro', last: 'Khanna', party: 'D', state: 'CA', chamber: 'house', district: '17', phone: '(202) 225-2631' },
-            { id: 'C001134', first: 'Lauren', last: 'Boebert', party: 'R', state: 'CO', chamber: 'house', district: '3', phone: '(202) 225-4761' },
-            
-            // More House Representatives
-            { id: 'S001215', first: 'Haley', last: 'Stevens', party: 'D', state: 'MI', chamber: 'house', district: '11', phone: '(202) 225-8171' },
-            { id: 'H001090', first: 'Josh', last: 'Harder', party: 'D', state: 'CA', chamber: 'house', district: '9', phone: '(202) 225-4540' },
-            { id: 'B001291', first: 'Brian', last: 'Babin', party: 'R', state: 'TX', chamber: 'house', district: '36', phone: '(202) 225-1555' },
-            { id: 'M001208', first: 'Lucy', last: 'McBath', party: 'D', state: 'GA', chamber: 'house', district: '7', phone: '(202) 225-4272' },
-            { id: 'S001212', first: 'Pete', last: 'Stauber', party: 'R', state: 'MN', chamber: 'house', district: '8', phone: '(202) 225-6211' },
-            { id: 'D000628', first: 'Neal', last: 'Dunn', party: 'R', state: 'FL', chamber: 'house', district: '2', phone: '(202) 225-5235' },
-            { id: 'L000591', first: 'Elaine', last: 'Luria', party: 'D', state: 'VA', chamber: 'house', district: '2', phone: '(202) 225-4215' },
-            { id: 'C001119', first: 'Angie', last: 'Craig', party: 'D', state: 'MN', chamber: 'house', district: '2', phone: '(202) 225-2271' },
-            
-            // Additional House Representatives (Comprehensive Coverage)
-            // California Representatives (largest delegation - 52 seats)
-            { id: 'A000371', first: 'Pete', last: 'Aguilar', party: 'D', state: 'CA', chamber: 'house', district: '33', phone: '(202) 225-3201' },
-            { id: 'B001287', first: 'Ami', last: 'Bera', party: 'D', state: 'CA', chamber: 'house', district: '6', phone: '(202) 225-5716' },
-            { id: 'C001110', first: 'Lou', last: 'Correa', party: 'D', state: 'CA', chamber: 'house', district: '46', phone: '(202) 225-2965' },
-            { id: 'D000623', first: 'Mark', last: 'DeSaulnier', party: 'D', state: 'CA', chamber: 'house', district: '10', phone: '(202) 225-2095' },
-            { id: 'E000215', first: 'Anna', last: 'Eshoo', party: 'D', state: 'CA', chamber: 'house', district: '16', phone: '(202) 225-8104' },
-            { id: 'G000559', first: 'John', last: 'Garamendi', party: 'D', state: 'CA', chamber: 'house', district: '8', phone: '(202) 225-1880' },
-            { id: 'G000585', first: 'Jimmy', last: 'Gomez', party: 'D', state: 'CA', chamber: 'house', district: '34', phone: '(202) 225-6235' },
-            { id: 'H001056', first: 'Jaime', last: 'Herrera Beutler', party: 'R', state: 'WA', chamber: 'house', district: '3', phone: '(202) 225-3536' },
-            { id: 'H001068', first: 'Jared', last: 'Huffman', party: 'D', state: 'CA', chamber: 'house', district: '2', phone: '(202) 225-5161' },
-            { id: 'I000056', first: 'Darrell', last: 'Issa', party: 'R', state: 'CA', chamber: 'house', district: '48', phone: '(202) 225-3906' },
-            { id: 'J000298', first: 'Pramila', last: 'Jayapal', party: 'D', state: 'WA', chamber: 'house', district: '7', phone: '(202) 225-3106' },
-            { id: 'K000389', first: 'Ro', last: 'Khanna', party: 'D', state: 'CA', chamber: 'house', district: '17', phone: '(202) 225-2631' },
-            { id: 'L000551', first: 'Barbara', last: 'Lee', party: 'D', state: 'CA', chamber: 'house', district: '12', phone: '(202) 225-2661' },
-            { id: 'L000579', first: 'Alan', last: 'Lowenthal', party: 'D', state: 'CA', chamber: 'house', district: '47', phone: '(202) 225-7924' },
-            { id: 'M001163', first: 'Doris', last: 'Matsui', party: 'D', state: 'CA', chamber: 'house', district: '7', phone: '(202) 225-7163' },
-            { id: 'M001166', first: 'Jerry', last: 'McNerney', party: 'D', state: 'CA', chamber: 'house', district: '9', phone: '(202) 225-1947' },
-            { id: 'N000179', first: 'Grace', last: 'Napolitano', party: 'D', state: 'CA', chamber: 'house', district: '31', phone: '(202) 225-5256' },
-            { id: 'P000613', first: 'Jimmy', last: 'Panetta', party: 'D', state: 'CA', chamber: 'house', district: '19', phone: '(202) 225-2861' },
-            { id: 'R000486', first: 'Lucille', last: 'Roybal-Allard', party: 'D', state: 'CA', chamber: 'house', district: '40', phone: '(202) 225-1766' },
-            { id: 'S001156', first: 'Linda', last: 'Sánchez', party: 'D', state: 'CA', chamber: 'house', district: '38', phone: '(202) 225-6676' },
-            { id: 'S000030', first: 'Loretta', last: 'Sanchez', party: 'D', state: 'CA', chamber: 'house', district: '46', phone: '(202) 225-2965' },
-            { id: 'S001193', first: 'Eric', last: 'Swalwell', party: 'D', state: 'CA', chamber: 'house', district: '14', phone: '(202) 225-5065' },
-            { id: 'T000460', first: 'Mike', last: 'Thompson', party: 'D', state: 'CA', chamber: 'house', district: '4', phone: '(202) 225-3311' },
-            { id: 'V000130', first: 'Juan', last: 'Vargas', party: 'D', state: 'CA', chamber: 'house', district: '52', phone: '(202) 225-8045' },
-            { id: 'W000187', first: 'Maxine', last: 'Waters', party: 'D', state: 'CA', chamber: 'house', district: '43', phone: '(202) 225-2201' },
-            
-            // Texas Representatives (large delegation - 38 seats)
-            { id: 'A000055', first: 'Jodey', last: 'Arrington', party: 'R', state: 'TX', chamber: 'house', district: '19', phone: '(202) 225-4005' },
-            { id: 'B001248', first: 'Michael', last: 'Burgess', party: 'R', state: 'TX', chamber: 'house', district: '26', phone: '(202) 225-7772' },
-            { id: 'C001051', first: 'John', last: 'Carter', party: 'R', state: 'TX', chamber: 'house', district: '31', phone: '(202) 225-3864' },
-            { id: 'C001063', first: 'Henry', last: 'Cuellar', party: 'D', state: 'TX', chamber: 'house', district: '28', phone: '(202) 225-1640' },
-            { id: 'C001048', first: 'John', last: 'Culberson', party: 'R', state: 'TX', chamber: 'house', district: '7', phone: '(202) 225-2571' },
-            { id: 'D000615', first: 'Jeff', last: 'Duncan', party: 'R', state: 'SC', chamber: 'house', district: '3', phone: '(202) 225-5301' },
-            { id: 'E000294', first: 'Tom', last: 'Emmer', party: 'R', state: 'MN', chamber: 'house', district: '6', phone: '(202) 225-2331' },
-            { id: 'F000460', first: 'Blake', last: 'Farenthold', party: 'R', state: 'TX', chamber: 'house', district: '27', phone: '(202) 225-7742' },
-            { id: 'F000448', first: 'Trent', last: 'Franks', party: 'R', state: 'AZ', chamber: 'house', district: '8', phone: '(202) 225-4576' },
-            { id: 'G000377', first: 'Kay', last: 'Granger', party: 'R', state: 'TX', chamber: 'house', district: '12', phone: '(202) 225-5071' },
-            { id: 'G000410', first: 'Gene', last: 'Green', party: 'D', state: 'TX', chamber: 'house', district: '29', phone: '(202) 225-1688' },
-            { id: 'H001036', first: 'Jeb', last: 'Hensarling', party: 'R', state: 'TX', chamber: 'house', district: '5', phone: '(202) 225-3484' },
-            { id: 'H001067', first: 'Richard', last: 'Hudson', party: 'R', state: 'NC', chamber: 'house', district: '8', phone: '(202) 225-3715' },
-            { id: 'H001073', first: 'Will', last: 'Hurd', party: 'R', state: 'TX', chamber: 'house', district: '23', phone: '(202) 225-4511' },
-            { id: 'J000174', first: 'Sam', last: 'Johnson', party: 'R', state: 'TX', chamber: 'house', district: '3', phone: '(202) 225-4201' },
-            { id: 'J000126', first: 'Eddie Bernice', last: 'Johnson', party: 'D', state: 'TX', chamber: 'house', district: '30', phone: '(202) 225-8885' },
-            { id: 'M001158', first: 'Kenny', last: 'Marchant', party: 'R', state: 'TX', chamber: 'house', district: '24', phone: '(202) 225-6605' },
-            { id: 'M001157', first: 'Michael', last: 'McCaul', party: 'R', state: 'TX', chamber: 'house', district: '10', phone: '(202) 225-2401' },
-            { id: 'O000168', first: 'Pete', last: 'Olson', party: 'R', state: 'TX', chamber: 'house', district: '22', phone: '(202) 225-5951' },
-            { id: 'P000592', first: 'Ted', last: 'Poe', party: 'R', state: 'TX', chamber: 'house', district: '2', phone: '(202) 225-6565' },
-            { id: 'R000583', first: 'Ileana', last: 'Ros-Lehtinen', party: 'R', state: 'FL', chamber: 'house', district: '27', phone: '(202) 225-3931' },
-            { id: 'S000244', first: 'F. James', last: 'Sensenbrenner', party: 'R', state: 'WI', chamber: 'house', district: '5', phone: '(202) 225-5101' },
-            { id: 'S000250', first: 'Pete', last: 'Sessions', party: 'R', state: 'TX', chamber: 'house', district: '17', phone: '(202) 225-2231' },
-            { id: 'S001189', first: 'Austin', last: 'Scott', party: 'R', state: 'GA', chamber: 'house', district: '8', phone: '(202) 225-6531' },
-            { id: 'T000238', first: 'Mac', last: 'Thornberry', party: 'R', state: 'TX', chamber: 'house', district: '13', phone: '(202) 225-3706' },
-            { id: 'V000132', first: 'Filemon', last: 'Vela', party: 'D', state: 'TX', chamber: 'house', district: '34', phone: '(202) 225-9901' },
-            { id: 'W000814', first: 'Randy', last: 'Weber', party: 'R', state: 'TX', chamber: 'house', district: '14', phone: '(202) 225-2831' },
-            { id: 'W000816', first: 'Roger', last: 'Williams', party: 'R', state: 'TX', chamber: 'house', district: '25', phone: '(202) 225-9896' },
-            
-            // New York Representatives (26 seats)
-            { id: 'C001067', first: 'Yvette', last: 'Clarke', party: 'D', state: 'NY', chamber: 'house', district: '9', phone: '(202) 225-6231' },
-            { id: 'C001038', first: 'Joseph', last: 'Crowley', party: 'D', state: 'NY', chamber: 'house', district: '14', phone: '(202) 225-3965' },
-            { id: 'E000179', first: 'Eliot', last: 'Engel', party: 'D', state: 'NY', chamber: 'house', district: '16', phone: '(202) 225-2464' },
-            { id: 'H001038', first: 'Brian', last: 'Higgins', party: 'D', state: 'NY', chamber: 'house', district: '26', phone: '(202) 225-3306' },
-            { id: 'J000294', first: 'Hakeem', last: 'Jeffries', party: 'D', state: 'NY', chamber: 'house', district: '8', phone: '(202) 225-5936' },
-            { id: 'K000210', first: 'Peter', last: 'King', party: 'R', state: 'NY', chamber: 'house', district: '2', phone: '(202) 225-7896' },
-            { id: 'L000480', first: 'Nita', last: 'Lowey', party: 'D', state: 'NY', chamber: 'house', district: '17', phone: '(202) 225-6506' },
-            { id: 'M000087', first: 'Carolyn', last: 'Maloney', party: 'D', state: 'NY', chamber: 'house', district: '12', phone: '(202) 225-7944' },
-            { id: 'M001188', first: 'Grace', last: 'Meng', party: 'D', state: 'NY', chamber: 'house', district: '6', phone: '(202) 225-2601' },
-            { id: 'N000002', first: 'Jerrold', last: 'Nadler', party: 'D', state: 'NY', chamber: 'house', district: '10', phone: '(202) 225-5635' },
-            { id: 'R000053', first: 'Charles', last: 'Rangel', party: 'D', state: 'NY', chamber: 'house', district: '13', phone: '(202) 225-4365' },
-            { id: 'R000602', first: 'Kathleen', last: 'Rice', party: 'D', state: 'NY', chamber: 'house', district: '4', phone: '(202) 225-5516' },
-            { id: 'S000248', first: 'José', last: 'Serrano', party: 'D', state: 'NY', chamber: 'house', district: '15', phone: '(202) 225-4361' },
-            { id: 'S001201', first: 'Thomas', last: 'Suozzi', party: 'D', state: 'NY', chamber: 'house', district: '3', phone: '(202) 225-3335' },
-            { id: 'T000469', first: 'Paul', last: 'Tonko', party: 'D', state: 'NY', chamber: 'house', district: '20', phone: '(202) 225-5076' },
-            { id: 'V000081', first: 'Nydia', last: 'Velázquez', party: 'D', state: 'NY', chamber: 'house', district: '7', phone: '(202) 225-2361' },
-            { id: 'Z000017', first: 'Lee', last: 'Zeldin', party: 'R', state: 'NY', chamber: 'house', district: '1', phone: '(202) 225-3826' },
-            
-            // Florida Representatives (28 seats)
-            { id: 'B001257', first: 'Gus', last: 'Bilirakis', party: 'R', state: 'FL', chamber: 'house', district: '12', phone: '(202) 225-5755' },
-            { id: 'B001305', first: 'Ted', last: 'Budd', party: 'R', state: 'NC', chamber: 'house', district: '13', phone: '(202) 225-4531' },
-            { id: 'C001066', first: 'Kathy', last: 'Castor', party: 'D', state: 'FL', chamber: 'house', district: '14', phone: '(202) 225-3376' },
-            { id: 'C001111', first: 'Charlie', last: 'Crist', party: 'D', state: 'FL', chamber: 'house', district: '13', phone: '(202) 225-5961' },
-            { id: 'D000600', first: 'Mario', last: 'Diaz-Balart', party: 'R', state: 'FL', chamber: 'house', district: '25', phone: '(202) 225-4211' },
-            { id: 'F000462', first: 'Lois', last: 'Frankel', party: 'D', state: 'FL', chamber: 'house', district: '22', phone: '(202) 225-9890' },
-            { id: 'G000578', first: 'Matt', last: 'Gaetz', party: 'R', state: 'FL', chamber: 'house', district: '1', phone: '(202) 225-4136' },
-            { id: 'H000324', first: 'Alcee', last: 'Hastings', party: 'D', state: 'FL', chamber: 'house', district: '20', phone: '(202) 225-1313' },
-            { id: 'L000586', first: 'Al', last: 'Lawson', party: 'D', state: 'FL', chamber: 'house', district: '5', phone: '(202) 225-0123' },
-            { id: 'M001202', first: 'Stephanie', last: 'Murphy', party: 'D', state: 'FL', chamber: 'house', district: '7', phone: '(202) 225-4035' },
-            { id: 'P000599', first: 'Bill', last: 'Posey', party: 'R', state: 'FL', chamber: 'house', district: '8', phone: '(202) 225-3671' },
-            { id: 'R000435', first: 'Francis', last: 'Rooney', party: 'R', state: 'FL', chamber: 'house', district: '19', phone: '(202) 225-2536' },
-            { id: 'S001200', first: 'Darren', last: 'Soto', party: 'D', state: 'FL', chamber: 'house', district: '9', phone: '(202) 225-9889' },
-            { id: 'S001207', first: 'Donna', last: 'Shalala', party: 'D', state: 'FL', chamber: 'house', district: '27', phone: '(202) 225-3931' },
-            { id: 'W000797', first: 'Debbie', last: 'Wasserman Schultz', party: 'D', state: 'FL', chamber: 'house', district: '23', phone: '(202) 225-7931' },
-            { id: 'W000806', first: 'Daniel', last: 'Webster', party: 'R', state: 'FL', chamber: 'house', district: '11', phone: '(202) 225-1002' },
-            { id: 'Y000065', first: 'Ted', last: 'Yoho', party: 'R', state: 'FL', chamber: 'house', district: '3', phone: '(202) 225-5744' },
-            
-            // Pennsylvania Representatives (18 seats)
-            { id: 'B001269', first: 'Lou', last: 'Barletta', party: 'R', state: 'PA', chamber: 'house', district: '11', phone: '(202) 225-6511' },
-            { id: 'B001260', first: 'Charles', last: 'Boustany', party: 'R', state: 'LA', chamber: 'house', district: '3', phone: '(202) 225-2031' },
-            { id: 'B001298', first: 'Don', last: 'Bacon', party: 'R', state: 'NE', chamber: 'house', district: '2', phone: '(202) 225-4155' },
-            { id: 'C001090', first: 'Matt', last: 'Cartwright', party: 'D', state: 'PA', chamber: 'house', district: '8', phone: '(202) 225-5546' },
-            { id: 'C001106', first: 'Ryan', last: 'Costello', party: 'R', state: 'PA', chamber: 'house', district: '6', phone: '(202) 225-4315' },
-            { id: 'D000482', first: 'Mike', last: 'Doyle', party: 'D', state: 'PA', chamber: 'house', district: '14', phone: '(202) 225-2135' },
-            { id: 'E000296', first: 'Dwight', last: 'Evans', party: 'D', state: 'PA', chamber: 'house', district: '3', phone: '(202) 225-4001' },
-            { id: 'F000466', first: 'Brian', last: 'Fitzpatrick', party: 'R', state: 'PA', chamber: 'house', district: '1', phone: '(202) 225-4276' },
-            { id: 'K000376', first: 'Mike', last: 'Kelly', party: 'R', state: 'PA', chamber: 'house', district: '16', phone: '(202) 225-5406' },
-            { id: 'L000557', first: 'John', last: 'Larson', party: 'D', state: 'CT', chamber: 'house', district: '1', phone: '(202) 225-2265' },
-            { id: 'M001181', first: 'Patrick', last: 'Meehan', party: 'R', state: 'PA', chamber: 'house', district: '7', phone: '(202) 225-2011' },
-            { id: 'P000605', first: 'Scott', last: 'Perry', party: 'R', state: 'PA', chamber: 'house', district: '10', phone: '(202) 225-5836' },
-            { id: 'R000598', first: 'Keith', last: 'Rothfus', party: 'R', state: 'PA', chamber: 'house', district: '12', phone: '(202) 225-2065' },
-            { id: 'S001199', first: 'Lloyd', last: 'Smucker', party: 'R', state: 'PA', chamber: 'house', district: '11', phone: '(202) 225-2411' },
-            { id: 'T000467', first: 'Glenn', last: 'Thompson', party: 'R', state: 'PA', chamber: 'house', district: '15', phone: '(202) 225-5121' },
-            
-            // Illinois Representatives (18 seats)
-            { id: 'B001286', first: 'Cheri', last: 'Bustos', party: 'D', state: 'IL', chamber: 'house', district: '17', phone: '(202) 225-5905' },
-            { id: 'C001049', first: 'William Lacy', last: 'Clay', party: 'D', state: 'MO', chamber: 'house', district: '1', phone: '(202) 225-2406' },
-            { id: 'D000096', first: 'Danny', last: 'Davis', party: 'D', state: 'IL', chamber: 'house', district: '7', phone: '(202) 225-5006' },
-            { id: 'D000614', first: 'Sean', last: 'Duffy', party: 'R', state: 'WI', chamber: 'house', district: '7', phone: '(202) 225-3365' },
-            { id: 'F000454', first: 'Bill', last: 'Foster', party: 'D', state: 'IL', chamber: 'house', district: '11', phone: '(202) 225-3515' },
-            { id: 'G000535', first: 'Luis', last: 'Gutiérrez', party: 'D', state: 'IL', chamber: 'house', district: '4', phone: '(202) 225-8203' },
-            { id: 'H001059', first: 'Randy', last: 'Hultgren', party: 'R', state: 'IL', chamber: 'house', district: '14', phone: '(202) 225-2976' },
-            { id: 'K000009', first: 'Marcy', last: 'Kaptur', party: 'D', state: 'OH', chamber: 'house', district: '9', phone: '(202) 225-4146' },
-            { id: 'K000380', first: 'Dan', last: 'Kildee', party: 'D', state: 'MI', chamber: 'house', district: '5', phone: '(202) 225-3611' },
-            { id: 'K000385', first: 'Robin', last: 'Kelly', party: 'D', state: 'IL', chamber: 'house', district: '2', phone: '(202) 225-0773' },
-            { id: 'K000391', first: 'Raja', last: 'Krishnamoorthi', party: 'D', state: 'IL', chamber: 'house', district: '8', phone: '(202) 225-3711' },
-            { id: 'L000563', first: 'Daniel', last: 'Lipinski', party: 'D', state: 'IL', chamber: 'house', district: '3', phone: '(202) 225-5701' },
-            { id: 'Q000023', first: 'Mike', last: 'Quigley', party: 'D', state: 'IL', chamber: 'house', district: '5', phone: '(202) 225-4061' },
-            { id: 'R000515', first: 'Bobby', last: 'Rush', party: 'D', state: 'IL', chamber: 'house', district: '1', phone: '(202) 225-4372' },
-            { id: 'S001190', first: 'Bradley', last: 'Schneider', party: 'D', state: 'IL', chamber: 'house', district: '10', phone: '(202) 225-4835' },
-            
-            // Ohio Representatives (16 seats)
-            { id: 'B001281', first: 'Joyce', last: 'Beatty', party: 'D', state: 'OH', chamber: 'house', district: '3', phone: '(202) 225-4324' },
-            { id: 'C000266', first: 'Steve', last: 'Chabot', party: 'R', state: 'OH', chamber: 'house', district: '1', phone: '(202) 225-2216' },
-            { id: 'D000533', first: 'John', last: 'Duncan', party: 'R', state: 'TN', chamber: 'house', district: '2', phone: '(202) 225-5435' },
-            { id: 'F000455', first: 'Marcia', last: 'Fudge', party: 'D', state: 'OH', chamber: 'house', district: '11', phone: '(202) 225-7032' },
-            { id: 'G000563', first: 'Bob', last: 'Gibbs', party: 'R', state: 'OH', chamber: 'house', district: '7', phone: '(202) 225-6265' },
-            { id: 'J000292', first: 'Bill', last: 'Johnson', party: 'R', state: 'OH', chamber: 'house', district: '6', phone: '(202) 225-5705' },
-            { id: 'L000566', first: 'Robert', last: 'Latta', party: 'R', state: 'OH', chamber: 'house', district: '5', phone: '(202) 225-6405' },
-            { id: 'R000577', first: 'Tim', last: 'Ryan', party: 'D', state: 'OH', chamber: 'house', district: '13', phone: '(202) 225-5261' },
-            { id: 'S001187', first: 'Steve', last: 'Stivers', party: 'R', state: 'OH', chamber: 'house', district: '15', phone: '(202) 225-2015' },
-            { id: 'T000463', first: 'Michael', last: 'Turner', party: 'R', state: 'OH', chamber: 'house', district: '10', phone: '(202) 225-6465' },
-            { id: 'W000815', first: 'Brad', last: 'Wenstrup', party: 'R', state: 'OH', chamber: 'house', district: '2', phone: '(202) 225-3164' },
-            
-            // Michigan Representatives (14 seats)
-            { id: 'A000367', first: 'Justin', last: 'Amash', party: 'L', state: 'MI', chamber: 'house', district: '3', phone: '(202) 225-3831' },
-            { id: 'B001293', first: 'Mike', last: 'Bishop', party: 'R', state: 'MI', chamber: 'house', district: '8', phone: '(202) 225-4872' },
-            { id: 'C000714', first: 'John', last: 'Conyers', party: 'D', state: 'MI', chamber: 'house', district: '13', phone: '(202) 225-5126' },
-            { id: 'D000624', first: 'Debbie', last: 'Dingell', party: 'D', state: 'MI', chamber: 'house', district: '12', phone: '(202) 225-4071' },
-            { id: 'H001058', first: 'Bill', last: 'Huizenga', party: 'R', state: 'MI', chamber: 'house', district: '2', phone: '(202) 225-4401' },
-            { id: 'L000263', first: 'Sander', last: 'Levin', party: 'D', state: 'MI', chamber: 'house', district: '9', phone: '(202) 225-4961' },
-            { id: 'L000592', first: 'Andy', last: 'Levin', party: 'D', state: 'MI', chamber: 'house', district: '9', phone: '(202) 225-4961' },
-            { id: 'L000270', first: 'Brenda', last: 'Lawrence', party: 'D', state: 'MI', chamber: 'house', district: '14', phone: '(202) 225-5802' },
-            { id: 'M001194', first: 'John', last: 'Moolenaar', party: 'R', state: 'MI', chamber: 'house', district: '4', phone: '(202) 225-3561' },
-            { id: 'T000481', first: 'Rashida', last: 'Tlaib', party: 'D', state: 'MI', chamber: 'house', district: '13', phone: '(202) 225-5126' },
-            { id: 'U000031', first: 'Fred', last: 'Upton', party: 'R', state: 'MI', chamber: 'house', district: '6', phone: '(202) 225-3761' },
-            { id: 'W000798', first: 'Tim', last: 'Walberg', party: 'R', state: 'MI', chamber: 'house', district: '7', phone: '(202) 225-6276' },
-            
-            // Georgia Representatives (14 seats)
-            { id: 'A000372', first: 'Rick', last: 'Allen', party: 'R', state: 'GA', chamber: 'house', district: '12', phone: '(202) 225-2823' },
-            { id: 'B001282', first: 'Andy', last: 'Barr', party: 'R', state: 'KY', chamber: 'house', district: '6', phone: '(202) 225-4706' },
-            { id: 'C001103', first: 'Earl L.', last: 'Carter', party: 'R', state: 'GA', chamber: 'house', district: '1', phone: '(202) 225-5831' },
-            { id: 'C001093', first: 'Doug', last: 'Collins', party: 'R', state: 'GA', chamber: 'house', district: '9', phone: '(202) 225-9893' },
-            { id: 'F000465', first: 'Drew', last: 'Ferguson', party: 'R', state: 'GA', chamber: 'house', district: '3', phone: '(202) 225-5901' },
-            { id: 'G000560', first: 'Tom', last: 'Graves', party: 'R', state: 'GA', chamber: 'house', district: '14', phone: '(202) 225-5211' },
-            { id: 'H000324', first: 'Hank', last: 'Johnson', party: 'D', state: 'GA', chamber: 'house', district: '4', phone: '(202) 225-1605' },
-            { id: 'J000288', first: 'Henry', last: 'Johnson', party: 'D', state: 'GA', chamber: 'house', district: '4', phone: '(202) 225-1605' },
-            { id: 'L000287', first: 'John', last: 'Lewis', party: 'D', state: 'GA', chamber: 'house', district: '5', phone: '(202) 225-3801' },
-            { id: 'L000583', first: 'Barry', last: 'Loudermilk', party: 'R', state: 'GA', chamber: 'house', district: '11', phone: '(202) 225-2931' },
-            { id: 'S000185', first: 'Robert', last: 'Scott', party: 'D', state: 'VA', chamber: 'house', district: '3', phone: '(202) 225-8351' },
-            { id: 'W000810', first: 'Rob', last: 'Woodall', party: 'R', state: 'GA', chamber: 'house', district: '7', phone: '(202) 225-4272' },
-            
-            // North Carolina Representatives (13 seats)
-            { id: 'A000370', first: 'Alma', last: 'Adams', party: 'D', state: 'NC', chamber: 'house', district: '12', phone: '(202) 225-1510' },
-            { id: 'B001251', first: 'G.K.', last: 'Butterfield', party: 'D', state: 'NC', chamber: 'house', district: '1', phone: '(202) 225-3101' },
-            { id: 'F000450', first: 'Virginia', last: 'Foxx', party: 'R', state: 'NC', chamber: 'house', district: '5', phone: '(202) 225-2071' },
-            { id: 'H001065', first: 'George', last: 'Holding', party: 'R', state: 'NC', chamber: 'house', district: '2', phone: '(202) 225-3032' },
-            { id: 'J000255', first: 'Walter', last: 'Jones', party: 'R', state: 'NC', chamber: 'house', district: '3', phone: '(202) 225-3415' },
-            { id: 'M001187', first: 'Mark', last: 'Meadows', party: 'R', state: 'NC', chamber: 'house', district: '11', phone: '(202) 225-6401' },
-            { id: 'M001159', first: 'Cathy', last: 'McMorris Rodgers', party: 'R', state: 'WA', chamber: 'house', district: '5', phone: '(202) 225-2006' },
-            { id: 'P000523', first: 'David', last: 'Price', party: 'D', state: 'NC', chamber: 'house', district: '4', phone: '(202) 225-1784' },
-            { id: 'R000305', first: 'David', last: 'Rouzer', party: 'R', state: 'NC', chamber: 'house', district: '7', phone: '(202) 225-2731' },
-            { id: 'W000819', first: 'Mark', last: 'Walker', party: 'R', state: 'NC', chamber: 'house', district: '6', phone: '(202) 225-3065' },
-            
-            // Virginia Representatives (11 seats)
-            { id: 'B001292', first: 'Donald', last: 'Beyer', party: 'D', state: 'VA', chamber: 'house', district: '8', phone: '(202) 225-4376' },
-            { id: 'C001078', first: 'Gerry', last: 'Connolly', party: 'D', state: 'VA', chamber: 'house', district: '11', phone: '(202) 225-1492' },
-            { id: 'G000289', first: 'Bob', last: 'Goodlatte', party: 'R', state: 'VA', chamber: 'house', district: '6', phone: '(202) 225-5431' },
-            { id: 'G000568', first: 'Morgan', last: 'Griffith', party: 'R', state: 'VA', chamber: 'house', district: '9', phone: '(202) 225-3861' },
-            { id: 'S001165', first: 'Abigail', last: 'Spanberger', party: 'D', state: 'VA', chamber: 'house', district: '7', phone: '(202) 225-2815' },
-            { id: 'W000804', first: 'Robert', last: 'Wittman', party: 'R', state: 'VA', chamber: 'house', district: '1', phone: '(202) 225-4261' },
-            
-            // Washington Representatives (10 seats)
-            { id: 'D000617', first: 'Suzan', last: 'DelBene', party: 'D', state: 'WA', chamber: 'house', district: '1', phone: '(202) 225-6311' },
-            { id: 'H000874', first: 'Denny', last: 'Heck', party: 'D', state: 'WA', chamber: 'house', district: '10', phone: '(202) 225-9740' },
-            { id: 'K000381', first: 'Derek', last: 'Kilmer', party: 'D', state: 'WA', chamber: 'house', district: '6', phone: '(202) 225-5916' },
-            { id: 'L000560', first: 'Rick', last: 'Larsen', party: 'D', state: 'WA', chamber: 'house', district: '2', phone: '(202) 225-2605' },
-            { id: 'M000404', first: 'Jim', last: 'McDermott', party: 'D', state: 'WA', chamber: 'house', district: '7', phone: '(202) 225-3106' },
-            { id: 'N000189', first: 'Dan', last: 'Newhouse', party: 'R', state: 'WA', chamber: 'house', district: '4', phone: '(202) 225-5816' },
-            { id: 'R000578', first: 'Dave', last: 'Reichert', party: 'R', state: 'WA', chamber: 'house', district: '8', phone: '(202) 225-7761' },
-            { id: 'S000510', first: 'Adam', last: 'Smith', party: 'D', state: 'WA', chamber: 'house', district: '9', phone: '(202) 225-8901' },
-            
-            // Additional Representatives from smaller states
-            // Arizona (9 seats)
-            { id: 'G000565', first: 'Paul', last: 'Gosar', party: 'R', state: 'AZ', chamber: 'house', district: '4', phone: '(202) 225-2315' },
-            { id: 'K000368', first: 'Ann', last: 'Kirkpatrick', party: 'D', state: 'AZ', chamber: 'house', district: '2', phone: '(202) 225-2542' },
-            { id: 'L000589', first: 'Debbie', last: 'Lesko', party: 'R', state: 'AZ', chamber: 'house', district: '8', phone: '(202) 225-4576' },
-            { id: 'O000171', first: 'Tom', last: "O'Halleran", party: 'D', state: 'AZ', chamber: 'house', district: '1', phone: '(202) 225-3361' },
-            { id: 'S001183', first: 'David', last: 'Schweikert', party: 'R', state: 'AZ', chamber: 'house', district: '6', phone: '(202) 225-2190' },
-            { id: 'S001191', first: 'Kyrsten', last: 'Sinema', party: 'D', state: 'AZ', chamber: 'house', district: '9', phone: '(202) 225-9888' },
-            { id: 'G000574', first: 'Ruben', last: 'Gallego', party: 'D', state: 'AZ', chamber: 'house', district: '7', phone: '(202) 225-4065' },
-            
-            // New Jersey Representatives (12 seats)
-            { id: 'A000371', first: 'Donald', last: 'Norcross', party: 'D', state: 'NJ', chamber: 'house', district: '1', phone: '(202) 225-6501' },
-            { id: 'V000133', first: 'Jefferson', last: 'Van Drew', party: 'R', state: 'NJ', chamber: 'house', district: '2', phone: '(202) 225-6572' },
-            { id: 'K000394', first: 'Andy', last: 'Kim', party: 'D', state: 'NJ', chamber: 'house', district: '3', phone: '(202) 225-4765' },
-            { id: 'S001203', first: 'Chris', last: 'Smith', party: 'R', state: 'NJ', chamber: 'house', district: '4', phone: '(202) 225-3765' },
-            { id: 'G000583', first: 'Josh', last: 'Gottheimer', party: 'D', state: 'NJ', chamber: 'house', district: '5', phone: '(202) 225-4465' },
-            { id: 'P000034', first: 'Frank', last: 'Pallone', party: 'D', state: 'NJ', chamber: 'house', district: '6', phone: '(202) 225-4671' },
-            { id: 'M001203', first: 'Tom', last: 'Malinowski', party: 'D', state: 'NJ', chamber: 'house', district: '7', phone: '(202) 225-5361' },
-            { id: 'S001207', first: 'Mikie', last: 'Sherrill', party: 'D', state: 'NJ', chamber: 'house', district: '11', phone: '(202) 225-5034' },
-            { id: 'P000096', first: 'Bill', last: 'Pascrell', party: 'D', state: 'NJ', chamber: 'house', district: '9', phone: '(202) 225-5751' },
-            { id: 'P000604', first: 'Donald', last: 'Payne', party: 'D', state: 'NJ', chamber: 'house', district: '10', phone: '(202) 225-3436' },
-            { id: 'W000822', first: 'Bonnie', last: 'Watson Coleman', party: 'D', state: 'NJ', chamber: 'house', district: '12', phone: '(202) 225-5801' },
-            
-            // Indiana Representatives (9 seats)
-            { id: 'V000108', first: 'Pete', last: 'Visclosky', party: 'D', state: 'IN', chamber: 'house', district: '1', phone: '(202) 225-2461' },
-            { id: 'W000813', first: 'Jackie', last: 'Walorski', party: 'R', state: 'IN', chamber: 'house', district: '2', phone: '(202) 225-3915' },
-            { id: 'B001275', first: 'Jim', last: 'Banks', party: 'R', state: 'IN', chamber: 'house', district: '3', phone: '(202) 225-4436' },
-            { id: 'B001299', first: 'Jim', last: 'Baird', party: 'R', state: 'IN', chamber: 'house', district: '4', phone: '(202) 225-5037' },
-            { id: 'B001284', first: 'Susan', last: 'Brooks', party: 'R', state: 'IN', chamber: 'house', district: '5', phone: '(202) 225-2276' },
-            { id: 'P000615', first: 'Greg', last: 'Pence', party: 'R', state: 'IN', chamber: 'house', district: '6', phone: '(202) 225-3021' },
-            { id: 'C001072', first: 'Andre', last: 'Carson', party: 'D', state: 'IN', chamber: 'house', district: '7', phone: '(202) 225-4011' },
-            { id: 'B001295', first: 'Larry', last: 'Bucshon', party: 'R', state: 'IN', chamber: 'house', district: '8', phone: '(202) 225-4636' },
-            { id: 'H001074', first: 'Trey', last: 'Hollingsworth', party: 'R', state: 'IN', chamber: 'house', district: '9', phone: '(202) 225-5315' },
-            
-            // Missouri Representatives (8 seats)
-            { id: 'C001049', first: 'William', last: 'Clay', party: 'D', state: 'MO', chamber: 'house', district: '1', phone: '(202) 225-2406' },
-            { id: 'W000812', first: 'Ann', last: 'Wagner', party: 'R', state: 'MO', chamber: 'house', district: '2', phone: '(202) 225-1621' },
-            { id: 'L000569', first: 'Blaine', last: 'Luetkemeyer', party: 'R', state: 'MO', chamber: 'house', district: '3', phone: '(202) 225-2956' },
-            { id: 'H001053', first: 'Vicky', last: 'Hartzler', party: 'R', state: 'MO', chamber: 'house', district: '4', phone: '(202) 225-2876' },
-            { id: 'C001061', first: 'Emanuel', last: 'Cleaver', party: 'D', state: 'MO', chamber: 'house', district: '5', phone: '(202) 225-4535' },
-            { id: 'G000546', first: 'Sam', last: 'Graves', party: 'R', state: 'MO', chamber: 'house', district: '6', phone: '(202) 225-7041' },
-            { id: 'L000266', first: 'Jake', last: 'LaTurner', party: 'R', state: 'KS', chamber: 'house', district: '2', phone: '(202) 225-6601' },
-            { id: 'S001195', first: 'Jason', last: 'Smith', party: 'R', state: 'MO', chamber: 'house', district: '8', phone: '(202) 225-4404' },
-            
-            // Maryland Representatives (8 seats)
-            { id: 'H001052', first: 'Andy', last: 'Harris', party: 'R', state: 'MD', chamber: 'house', district: '1', phone: '(202) 225-5311' },
-            { id: 'R000576', first: 'Dutch', last: 'Ruppersberger', party: 'D', state: 'MD', chamber: 'house', district: '2', phone: '(202) 225-3061' },
-            { id: 'S001168', first: 'John', last: 'Sarbanes', party: 'D', state: 'MD', chamber: 'house', district: '3', phone: '(202) 225-4016' },
-            { id: 'B001304', first: 'Anthony', last: 'Brown', party: 'D', state: 'MD', chamber: 'house', district: '4', phone: '(202) 225-8699' },
-            { id: 'H000874', first: 'Steny', last: 'Hoyer', party: 'D', state: 'MD', chamber: 'house', district: '5', phone: '(202) 225-4131' },
-            { id: 'T000483', first: 'David', last: 'Trone', party: 'D', state: 'MD', chamber: 'house', district: '6', phone: '(202) 225-2721' },
-            { id: 'C000984', first: 'Elijah', last: 'Cummings', party: 'D', state: 'MD', chamber: 'house', district: '7', phone: '(202) 225-4741' },
-            { id: 'R000606', first: 'Jamie', last: 'Raskin', party: 'D', state: 'MD', chamber: 'house', district: '8', phone: '(202) 225-5341' },
-            
-            // Massachusetts Representatives (9 seats)
-            { id: 'N000015', first: 'Richard', last: 'Neal', party: 'D', state: 'MA', chamber: 'house', district: '1', phone: '(202) 225-5601' },
-            { id: 'M000312', first: 'Jim', last: 'McGovern', party: 'D', state: 'MA', chamber: 'house', district: '2', phone: '(202) 225-6101' },
-            { id: 'T000482', first: 'Lori', last: 'Trahan', party: 'D', state: 'MA', chamber: 'house', district: '3', phone: '(202) 225-3411' },
-            { id: 'K000379', first: 'Joe', last: 'Kennedy', party: 'D', state: 'MA', chamber: 'house', district: '4', phone: '(202) 225-5931' },
-            { id: 'C001101', first: 'Katherine', last: 'Clark', party: 'D', state: 'MA', chamber: 'house', district: '5', phone: '(202) 225-2836' },
-            { id: 'M000087', first: 'Seth', last: 'Moulton', party: 'D', state: 'MA', chamber: 'house', district: '6', phone: '(202) 225-8020' },
-            { id: 'P000593', first: 'Ayanna', last: 'Pressley', party: 'D', state: 'MA', chamber: 'house', district: '7', phone: '(202) 225-5111' },
-            { id: 'L000562', first: 'Stephen', last: 'Lynch', party: 'D', state: 'MA', chamber: 'house', district: '8', phone: '(202) 225-8273' },
-            { id: 'K000375', first: 'Bill', last: 'Keating', party: 'D', state: 'MA', chamber: 'house', district: '9', phone: '(202) 225-3111' },
-            
-            // Minnesota Representatives (8 seats)
-            { id: 'W000799', first: 'Tim', last: 'Walz', party: 'D', state: 'MN', chamber: 'house', district: '1', phone: '(202) 225-2472' },
-            { id: 'C001051', first: 'Angie', last: 'Craig', party: 'D', state: 'MN', chamber: 'house', district: '2', phone: '(202) 225-2271' },
-            { id: 'P000594', first: 'Dean', last: 'Phillips', party: 'D', state: 'MN', chamber: 'house', district: '3', phone: '(202) 225-2871' },
-            { id: 'M001143', first: 'Betty', last: 'McCollum', party: 'D', state: 'MN', chamber: 'house', district: '4', phone: '(202) 225-6631' },
-            { id: 'O000173', first: 'Ilhan', last: 'Omar', party: 'D', state: 'MN', chamber: 'house', district: '5', phone: '(202) 225-4755' },
-            { id: 'E000296', first: 'Tom', last: 'Emmer', party: 'R', state: 'MN', chamber: 'house', district: '6', phone: '(202) 225-2331' },
-            { id: 'P000258', first: 'Collin', last: 'Peterson', party: 'D', state: 'MN', chamber: 'house', district: '7', phone: '(202) 225-2165' },
-            { id: 'S001212', first: 'Pete', last: 'Stauber', party: 'R', state: 'MN', chamber: 'house', district: '8', phone: '(202) 225-6211' },
-            
-            // Colorado Representatives (8 seats)
-            { id: 'D000197', first: 'Diana', last: 'DeGette', party: 'D', state: 'CO', chamber: 'house', district: '1', phone: '(202) 225-4431' },
-            { id: 'N000191', first: 'Joe', last: 'Neguse', party: 'D', state: 'CO', chamber: 'house', district: '2', phone: '(202) 225-2161' },
-            { id: 'T000470', first: 'Scott', last: 'Tipton', party: 'R', state: 'CO', chamber: 'house', district: '3', phone: '(202) 225-4761' },
-            { id: 'B001297', first: 'Ken', last: 'Buck', party: 'R', state: 'CO', chamber: 'house', district: '4', phone: '(202) 225-4676' },
-            { id: 'L000564', first: 'Doug', last: 'Lamborn', party: 'R', state: 'CO', chamber: 'house', district: '5', phone: '(202) 225-4422' },
-            { id: 'C000060', first: 'Jason', last: 'Crow', party: 'D', state: 'CO', chamber: 'house', district: '6', phone: '(202) 225-7882' },
-            { id: 'P000593', first: 'Ed', last: 'Perlmutter', party: 'D', state: 'CO', chamber: 'house', district: '7', phone: '(202) 225-2645' },
-            
-            // South Carolina Representatives (7 seats)
-            { id: 'W000795', first: 'Joe', last: 'Wilson', party: 'R', state: 'SC', chamber: 'house', district: '2', phone: '(202) 225-2452' },
-            { id: 'D000615', first: 'Jeff', last: 'Duncan', party: 'R', state: 'SC', chamber: 'house', district: '3', phone: '(202) 225-5301' },
-            { id: 'T000193', first: 'William', last: 'Timmons', party: 'R', state: 'SC', chamber: 'house', district: '4', phone: '(202) 225-6030' },
-            { id: 'N000190', first: 'Ralph', last: 'Norman', party: 'R', state: 'SC', chamber: 'house', district: '5', phone: '(202) 225-5501' },
-            { id: 'C001107', first: 'Jim', last: 'Clyburn', party: 'D', state: 'SC', chamber: 'house', district: '6', phone: '(202) 225-3315' },
-            { id: 'R000582', first: 'Tom', last: 'Rice', party: 'R', state: 'SC', chamber: 'house', district: '7', phone: '(202) 225-9895' },
-            
-            // Oregon Representatives (6 seats)
-            { id: 'B001278', first: 'Suzanne', last: 'Bonamici', party: 'D', state: 'OR', chamber: 'house', district: '1', phone: '(202) 225-0855' },
-            { id: 'W000791', first: 'Greg', last: 'Walden', party: 'R', state: 'OR', chamber: 'house', district: '2', phone: '(202) 225-6730' },
-            { id: 'B000574', first: 'Earl', last: 'Blumenauer', party: 'D', state: 'OR', chamber: 'house', district: '3', phone: '(202) 225-4811' },
-            { id: 'D000191', first: 'Peter', last: 'DeFazio', party: 'D', state: 'OR', chamber: 'house', district: '4', phone: '(202) 225-6416' },
-            { id: 'S001180', first: 'Kurt', last: 'Schrader', party: 'D', state: 'OR', chamber: 'house', district: '5', phone: '(202) 225-5711' },
-            
-            // Connecticut Representatives (5 seats)
-            { id: 'L000557', first: 'John', last: 'Larson', party: 'D', state: 'CT', chamber: 'house', district: '1', phone: '(202) 225-2265' },
-            { id: 'C001069', first: 'Joe', last: 'Courtney', party: 'D', state: 'CT', chamber: 'house', district: '2', phone: '(202) 225-2076' },
-            { id: 'D000216', first: 'Rosa', last: 'DeLauro', party: 'D', state: 'CT', chamber: 'house', district: '3', phone: '(202) 225-3661' },
-            { id: 'H001047', first: 'Jim', last: 'Himes', party: 'D', state: 'CT', chamber: 'house', district: '4', phone: '(202) 225-5541' },
-            { id: 'H001081', first: 'Jahana', last: 'Hayes', party: 'D', state: 'CT', chamber: 'house', district: '5', phone: '(202) 225-4476' },
-            
-            // Utah Representatives (4 seats)
-            { id: 'B001250', first: 'Rob', last: 'Bishop', party: 'R', state: 'UT', chamber: 'house', district: '1', phone: '(202) 225-0453' },
-            { id: 'S001192', first: 'Chris', last: 'Stewart', party: 'R', state: 'UT', chamber: 'house', district: '2', phone: '(202) 225-9730' },
-            { id: 'C001114', first: 'John', last: 'Curtis', party: 'R', state: 'UT', chamber: 'house', district: '3', phone: '(202) 225-7751' },
-            { id: 'M001209', first: 'Ben', last: 'McAdams', party: 'D', state: 'UT', chamber: 'house', district: '4', phone: '(202) 225-3011' },
-            
-            // Nevada Representatives (4 seats)
-            { id: 'A000369', first: 'Mark', last: 'Amodei', party: 'R', state: 'NV', chamber: 'house', district: '2', phone: '(202) 225-6155' },
-            { id: 'T000468', first: 'Dina', last: 'Titus', party: 'D', state: 'NV', chamber: 'house', district: '1', phone: '(202) 225-5965' },
-            { id: 'L000590', first: 'Susie', last: 'Lee', party: 'D', state: 'NV', chamber: 'house', district: '3', phone: '(202) 225-3252' },
-            { id: 'H001066', first: 'Steven', last: 'Horsford', party: 'D', state: 'NV', chamber: 'house', district: '4', phone: '(202) 225-9894' },
-            
-            // Iowa Representatives (4 seats)
-            { id: 'F000467', first: 'Abby', last: 'Finkenauer', party: 'D', state: 'IA', chamber: 'house', district: '1', phone: '(202) 225-2911' },
-            { id: 'L000565', first: 'Dave', last: 'Loebsack', party: 'D', state: 'IA', chamber: 'house', district: '2', phone: '(202) 225-6576' },
-            { id: 'A000375', first: 'Cindy', last: 'Axne', party: 'D', state: 'IA', chamber: 'house', district: '3', phone: '(202) 225-5476' },
-            { id: 'K000362', first: 'Steve', last: 'King', party: 'R', state: 'IA', chamber: 'house', district: '4', phone: '(202) 225-4426' },
-            
-            // Arkansas Representatives (4 seats)
-            { id: 'C001087', first: 'Rick', last: 'Crawford', party: 'R', state: 'AR', chamber: 'house', district: '1', phone: '(202) 225-4076' },
-            { id: 'H001072', first: 'French', last: 'Hill', party: 'R', state: 'AR', chamber: 'house', district: '2', phone: '(202) 225-2506' },
-            { id: 'W000809', first: 'Steve', last: 'Womack', party: 'R', state: 'AR', chamber: 'house', district: '3', phone: '(202) 225-4301' },
-            { id: 'W000821', first: 'Bruce', last: 'Westerman', party: 'R', state: 'AR', chamber: 'house', district: '4', phone: '(202) 225-3772' },
-            
-            // Kansas Representatives (4 seats) 
-            { id: 'M000118', first: 'Roger', last: 'Marshall', party: 'R', state: 'KS', chamber: 'house', district: '1', phone: '(202) 225-2715' },
-            { id: 'E000298', first: 'Ron', last: 'Estes', party: 'R', state: 'KS', chamber: 'house', district: '4', phone: '(202) 225-6216' },
-            { id: 'D000629', first: 'Sharice', last: 'Davids', party: 'D', state: 'KS', chamber: 'house', district: '3', phone: '(202) 225-2865' },
-            
-            // Mississippi Representatives (4 seats)
-            { id: 'K000388', first: 'Trent', last: 'Kelly', party: 'R', state: 'MS', chamber: 'house', district: '1', phone: '(202) 225-4306' },
-            { id: 'T000193', first: 'Bennie', last: 'Thompson', party: 'D', state: 'MS', chamber: 'house', district: '2', phone: '(202) 225-5876' },
-            { id: 'H001045', first: 'Gregg', last: 'Harper', party: 'R', state: 'MS', chamber: 'house', district: '3', phone: '(202) 225-5031' },
-            { id: 'P000601', first: 'Steven', last: 'Palazzo', party: 'R', state: 'MS', chamber: 'house', district: '4', phone: '(202) 225-5772' },
-            
-            // Wisconsin (8 seats)
-            { id: 'G000576', first: 'Glenn', last: 'Grothman', party: 'R', state: 'WI', chamber: 'house', district: '6', phone: '(202) 225-2476' },
-            { id: 'K000188', first: 'Ron', last: 'Kind', party: 'D', state: 'WI', chamber: 'house', district: '3', phone: '(202) 225-5506' },
-            { id: 'M000689', first: 'John', last: 'Mica', party: 'R', state: 'FL', chamber: 'house', district: '7', phone: '(202) 225-4035' },
-            { id: 'M001160', first: 'Gwen', last: 'Moore', party: 'D', state: 'WI', chamber: 'house', district: '4', phone: '(202) 225-4572' },
-            { id: 'P000607', first: 'Mark', last: 'Pocan', party: 'D', state: 'WI', chamber: 'house', district: '2', phone: '(202) 225-2906' },
-            { id: 'R000570', first: 'Paul', last: 'Ryan', party: 'R', state: 'WI', chamber: 'house', district: '1', phone: '(202) 225-3031' },
-            { id: 'S001148', first: 'Mike', last: 'Simpson', party: 'R', state: 'ID', chamber: 'house', district: '2', phone: '(202) 225-5531' },
-            
-            // Tennessee (9 seats)
-            { id: 'B001243', first: 'Marsha', last: 'Blackburn', party: 'R', state: 'TN', chamber: 'house', district: '7', phone: '(202) 225-2811' },
-            { id: 'C001068', first: 'Steve', last: 'Cohen', party: 'D', state: 'TN', chamber: 'house', district: '9', phone: '(202) 225-3265' },
-            { id: 'C000754', first: 'Jim', last: 'Cooper', party: 'D', state: 'TN', chamber: 'house', district: '5', phone: '(202) 225-4311' },
-            { id: 'D000616', first: 'Scott', last: 'DesJarlais', party: 'R', state: 'TN', chamber: 'house', district: '4', phone: '(202) 225-6831' },
-            { id: 'F000459', first: 'Charles', last: 'Fleischmann', party: 'R', state: 'TN', chamber: 'house', district: '3', phone: '(202) 225-3271' },
-            { id: 'K000392', first: 'David', last: 'Kustoff', party: 'R', state: 'TN', chamber: 'house', district: '8', phone: '(202) 225-4714' },
-            { id: 'R000582', first: 'David', last: 'Roe', party: 'R', state: 'TN', chamber: 'house', district: '1', phone: '(202) 225-6356' },
-            { id: 'G000590', first: 'Mark', last: 'Green', party: 'R', state: 'TN', chamber: 'house', district: '7', phone: '(202) 225-2811' },
-            { id: 'H001084', first: 'Diana', last: 'Harshbarger', party: 'R', state: 'TN', chamber: 'house', district: '1', phone: '(202) 225-6356' },
-            
-            // Kentucky Representatives (6 seats)
-            { id: 'C001108', first: 'James', last: 'Comer', party: 'R', state: 'KY', chamber: 'house', district: '1', phone: '(202) 225-3115' },
-            { id: 'G000558', first: 'Brett', last: 'Guthrie', party: 'R', state: 'KY', chamber: 'house', district: '2', phone: '(202) 225-3501' },
-            { id: 'Y000062', first: 'John', last: 'Yarmuth', party: 'D', state: 'KY', chamber: 'house', district: '3', phone: '(202) 225-5401' },
-            { id: 'M001184', first: 'Thomas', last: 'Massie', party: 'R', state: 'KY', chamber: 'house', district: '4', phone: '(202) 225-3465' },
-            { id: 'R000395', first: 'Hal', last: 'Rogers', party: 'R', state: 'KY', chamber: 'house', district: '5', phone: '(202) 225-4601' },
-            { id: 'B001282', first: 'Andy', last: 'Barr', party: 'R', state: 'KY', chamber: 'house', district: '6', phone: '(202) 225-4706' },
-            
-            // Louisiana Representatives (6 seats)
-            { id: 'S001075', first: 'Steve', last: 'Scalise', party: 'R', state: 'LA', chamber: 'house', district: '1', phone: '(202) 225-3015' },
-            { id: 'C001067', first: 'Troy', last: 'Carter', party: 'D', state: 'LA', chamber: 'house', district: '2', phone: '(202) 225-6636' },
-            { id: 'H001077', first: 'Clay', last: 'Higgins', party: 'R', state: 'LA', chamber: 'house', district: '3', phone: '(202) 225-2031' },
-            { id: 'J000299', first: 'Mike', last: 'Johnson', party: 'R', state: 'LA', chamber: 'house', district: '4', phone: '(202) 225-2777' },
-            { id: 'A000374', first: 'Ralph', last: 'Abraham', party: 'R', state: 'LA', chamber: 'house', district: '5', phone: '(202) 225-8490' },
-            { id: 'G000577', first: 'Garret', last: 'Graves', party: 'R', state: 'LA', chamber: 'house', district: '6', phone: '(202) 225-3901' },
-            
-            // Oklahoma Representatives (5 seats)
-            { id: 'H001083', first: 'Kevin', last: 'Hern', party: 'R', state: 'OK', chamber: 'house', district: '1', phone: '(202) 225-2211' },
-            { id: 'M001190', first: 'Markwayne', last: 'Mullin', party: 'R', state: 'OK', chamber: 'house', district: '2', phone: '(202) 225-2701' },
-            { id: 'L000491', first: 'Frank', last: 'Lucas', party: 'R', state: 'OK', chamber: 'house', district: '3', phone: '(202) 225-5565' },
-            { id: 'C001053', first: 'Tom', last: 'Cole', party: 'R', state: 'OK', chamber: 'house', district: '4', phone: '(202) 225-6165' },
-            { id: 'B001299', first: 'Stephanie', last: 'Bice', party: 'R', state: 'OK', chamber: 'house', district: '5', phone: '(202) 225-2132' },
-            
-            // Alabama Representatives (7 seats)
-            { id: 'C001B05', first: 'Jerry', last: 'Carl', party: 'R', state: 'AL', chamber: 'house', district: '1', phone: '(202) 225-4931' },
-            { id: 'C001109', first: 'Barry', last: 'Moore', party: 'R', state: 'AL', chamber: 'house', district: '2', phone: '(202) 225-2901' },
-            { id: 'R000575', first: 'Mike', last: 'Rogers', party: 'R', state: 'AL', chamber: 'house', district: '3', phone: '(202) 225-3261' },
-            { id: 'A000055', first: 'Robert', last: 'Aderholt', party: 'R', state: 'AL', chamber: 'house', district: '4', phone: '(202) 225-4876' },
-            { id: 'B001274', first: 'Mo', last: 'Brooks', party: 'R', state: 'AL', chamber: 'house', district: '5', phone: '(202) 225-4801' },
-            { id: 'P000609', first: 'Gary', last: 'Palmer', party: 'R', state: 'AL', chamber: 'house', district: '6', phone: '(202) 225-4921' },
-            { id: 'S001205', first: 'Terri', last: 'Sewell', party: 'D', state: 'AL', chamber: 'house', district: '7', phone: '(202) 225-2665' },
-            
-            // West Virginia Representatives (2 seats)  
-            { id: 'M001195', first: 'Alex', last: 'Mooney', party: 'R', state: 'WV', chamber: 'house', district: '2', phone: '(202) 225-2711' },
-            { id: 'M001140', first: 'Carol', last: 'Miller', party: 'R', state: 'WV', chamber: 'house', district: '1', phone: '(202) 225-3452' },
-            
-            // Nebraska Representatives (3 seats)
-            { id: 'F000459', first: 'Jeff', last: 'Fortenberry', party: 'R', state: 'NE', chamber: 'house', district: '1', phone: '(202) 225-4806' },
-            { id: 'B001298', first: 'Don', last: 'Bacon', party: 'R', state: 'NE', chamber: 'house', district: '2', phone: '(202) 225-4155' },
-            { id: 'S001172', first: 'Adrian', last: 'Smith', party: 'R', state: 'NE', chamber: 'house', district: '3', phone: '(202) 225-6435' },
-            
-            // Idaho Representatives (2 seats)
-            { id: 'S001148', first: 'Mike', last: 'Simpson', party: 'R', state: 'ID', chamber: 'house', district: '2', phone: '(202) 225-5531' },
-            { id: 'F000469', first: 'Russ', last: 'Fulcher', party: 'R', state: 'ID', chamber: 'house', district: '1', phone: '(202) 225-6611' },
-            
-            // New Hampshire Representatives (2 seats)
-            { id: 'P000614', first: 'Chris', last: 'Pappas', party: 'D', state: 'NH', chamber: 'house', district: '1', phone: '(202) 225-5456' },
-            { id: 'K000382', first: 'Annie', last: 'Kuster', party: 'D', state: 'NH', chamber: 'house', district: '2', phone: '(202) 225-5206' },
-            
-            // Maine Representatives (2 seats)
-            { id: 'P000597', first: 'Chellie', last: 'Pingree', party: 'D', state: 'ME', chamber: 'house', district: '1', phone: '(202) 225-6116' },
-            { id: 'G000584', first: 'Jared', last: 'Golden', party: 'D', state: 'ME', chamber: 'house', district: '2', phone: '(202) 225-6306' },
-            
-            // Rhode Island Representatives (2 seats)
-            { id: 'C001084', first: 'David', last: 'Cicilline', party: 'D', state: 'RI', chamber: 'house', district: '1', phone: '(202) 225-4911' },
-            { id: 'L000559', first: 'James', last: 'Langevin', party: 'D', state: 'RI', chamber: 'house', district: '2', phone: '(202) 225-2735' },
-            
-            // Delaware Representative (1 seat - At Large)
-            { id: 'B001303', first: 'Lisa', last: 'Blunt Rochester', party: 'D', state: 'DE', chamber: 'house', district: 'At Large', phone: '(202) 225-4165' },
-            
-            // Vermont Representative (1 seat - At Large)
-            { id: 'W000800', first: 'Peter', last: 'Welch', party: 'D', state: 'VT', chamber: 'house', district: 'At Large', phone: '(202) 225-4115' },
-            
-            // Montana Representative (2 seats)
-            { id: 'G000584', first: 'Matt', last: 'Rosendale', party: 'R', state: 'MT', chamber: 'house', district: 'At Large', phone: '(202) 225-3211' },
-            { id: 'Z000018', first: 'Ryan', last: 'Zinke', party: 'R', state: 'MT', chamber: 'house', district: '1', phone: '(202) 225-3211' },
-            
-            // North Dakota Representative (1 seat - At Large)
-            { id: 'A000377', first: 'Kelly', last: 'Armstrong', party: 'R', state: 'ND', chamber: 'house', district: 'At Large', phone: '(202) 225-2611' },
-            
-            // South Dakota Representative (1 seat - At Large)
-            { id: 'J000301', first: 'Dusty', last: 'Johnson', party: 'R', state: 'SD', chamber: 'house', district: 'At Large', phone: '(202) 225-2801' },
-            
-            // Wyoming Representative (1 seat - At Large)
-            { id: 'H001079', first: 'Harriet', last: 'Hageman', party: 'R', state: 'WY', chamber: 'house', district: 'At Large', phone: '(202) 225-2311' },
-            
-            // Alaska Representative (1 seat - At Large)
-            { id: 'P000611', first: 'Mary', last: 'Peltola', party: 'D', state: 'AK', chamber: 'house', district: 'At Large', phone: '(202) 225-5765' },
-            
-            // Hawaii Representatives (2 seats)
-            { id: 'C001055', first: 'Ed', last: 'Case', party: 'D', state: 'HI', chamber: 'house', district: '1', phone: '(202) 225-2726' },
-            { id: 'K000396', first: 'Kaiali\'i', last: 'Kahele', party: 'D', state: 'HI', chamber: 'house', district: '2', phone: '(202) 225-4906' },
-            
-            // Additional major state representatives to reach closer to 435
-            
-            // More California Representatives (remaining districts)
-            { id: 'L000397', first: 'Zoe', last: 'Lofgren', party: 'D', state: 'CA', chamber: 'house', district: '19', phone: '(202) 225-3072' },
-            { id: 'E000215', first: 'Anna', last: 'Eshoo', party: 'D', state: 'CA', chamber: 'house', district: '18', phone: '(202) 225-8104' },
-            { id: 'K000394', first: 'Ro', last: 'Khanna', party: 'D', state: 'CA', chamber: 'house', district: '17', phone: '(202) 225-2631' },
-            { id: 'C001110', first: 'J.', last: 'Luis Correa', party: 'D', state: 'CA', chamber: 'house', district: '46', phone: '(202) 225-2965' },
-            { id: 'L000579', first: 'Alan', last: 'Lowenthal', party: 'D', state: 'CA', chamber: 'house', district: '47', phone: '(202) 225-7924' },
-            { id: 'R000486', first: 'Lucille', last: 'Roybal-Allard', party: 'D', state: 'CA', chamber: 'house', district: '40', phone: '(202) 225-1766' },
-            { id: 'W000187', first: 'Maxine', last: 'Waters', party: 'D', state: 'CA', chamber: 'house', district: '43', phone: '(202) 225-2201' },
-            { id: 'L000551', first: 'Barbara', last: 'Lee', party: 'D', state: 'CA', chamber: 'house', district: '13', phone: '(202) 225-2661' },
-            { id: 'S000030', first: 'Loretta', last: 'Sanchez', party: 'D', state: 'CA', chamber: 'house', district: '46', phone: '(202) 225-2965' },
-            { id: 'B001287', first: 'Ami', last: 'Bera', party: 'D', state: 'CA', chamber: 'house', district: '7', phone: '(202) 225-5716' },
-            
-            // More Texas Representatives (remaining districts)
-            { id: 'B000213', first: 'Joe', last: 'Barton', party: 'R', state: 'TX', chamber: 'house', district: '6', phone: '(202) 225-2002' },
-            { id: 'C001051', first: 'John', last: 'Carter', party: 'R', state: 'TX', chamber: 'house', district: '31', phone: '(202) 225-3864' },
-            { id: 'C000266', first: 'K.', last: 'Michael Conaway', party: 'R', state: 'TX', chamber: 'house', district: '11', phone: '(202) 225-3605' },
-            { id: 'C001048', first: 'John', last: 'Culberson', party: 'R', state: 'TX', chamber: 'house', district: '7', phone: '(202) 225-2571' },
-            { id: 'F000460', first: 'Blake', last: 'Farenthold', party: 'R', state: 'TX', chamber: 'house', district: '27', phone: '(202) 225-7742' },
-            { id: 'F000448', first: 'Trent', last: 'Franks', party: 'R', state: 'AZ', chamber: 'house', district: '8', phone: '(202) 225-4576' },
-            { id: 'G000410', first: 'Gene', last: 'Green', party: 'D', state: 'TX', chamber: 'house', district: '29', phone: '(202) 225-1688' },
-            { id: 'H000636', first: 'Rubén', last: 'Hinojosa', party: 'D', state: 'TX', chamber: 'house', district: '15', phone: '(202) 225-2531' },
-            { id: 'H001036', first: 'Jeb', last: 'Hensarling', party: 'R', state: 'TX', chamber: 'house', district: '5', phone: '(202) 225-3484' },
-            { id: 'J000174', first: 'Sam', last: 'Johnson', party: 'R', state: 'TX', chamber: 'house', district: '3', phone: '(202) 225-4201' },
-            
-            // More New York Representatives (remaining districts)
-            { id: 'E000179', first: 'Eliot', last: 'Engel', party: 'D', state: 'NY', chamber: 'house', district: '16', phone: '(202) 225-2464' },
-            { id: 'M001137', first: 'Gregory', last: 'Meeks', party: 'D', state: 'NY', chamber: 'house', district: '5', phone: '(202) 225-3461' },
-            { id: 'N000002', first: 'Jerrold', last: 'Nadler', party: 'D', state: 'NY', chamber: 'house', district: '10', phone: '(202) 225-5635' },
-            { id: 'R000053', first: 'Charles', last: 'Rangel', party: 'D', state: 'NY', chamber: 'house', district: '13', phone: '(202) 225-4365' },
-            { id: 'S000248', first: 'José', last: 'Serrano', party: 'D', state: 'NY', chamber: 'house', district: '15', phone: '(202) 225-4361' },
-            { id: 'T000469', first: 'Paul', last: 'Tonko', party: 'D', state: 'NY', chamber: 'house', district: '20', phone: '(202) 225-5076' },
-            { id: 'V000081', first: 'Nydia', last: 'Velázquez', party: 'D', state: 'NY', chamber: 'house', district: '7', phone: '(202) 225-2361' },
-            { id: 'H001038', first: 'Brian', last: 'Higgins', party: 'D', state: 'NY', chamber: 'house', district: '26', phone: '(202) 225-3306' },
-            { id: 'K000210', first: 'Peter', last: 'King', party: 'R', state: 'NY', chamber: 'house', district: '2', phone: '(202) 225-7896' },
-            { id: 'L000480', first: 'Nita', last: 'Lowey', party: 'D', state: 'NY', chamber: 'house', district: '17', phone: '(202) 225-6506' },
-            
-            // FINAL PUSH - Remaining House Representatives to reach 435
-            
-            // More Florida Representatives
-            { id: 'C001066', first: 'Kathy', last: 'Castor', party: 'D', state: 'FL', chamber: 'house', district: '14', phone: '(202) 225-3376' },
-            { id: 'D000626', first: 'Warren', last: 'Davidson', party: 'R', state: 'OH', chamber: 'house', district: '8', phone: '(202) 225-6205' },
-            { id: 'D000628', first: 'Neal', last: 'Dunn', party: 'R', state: 'FL', chamber: 'house', district: '2', phone: '(202) 225-5235' },
-            { id: 'F000462', first: 'Lois', last: 'Frankel', party: 'D', state: 'FL', chamber: 'house', district: '21', phone: '(202) 225-9890' },
-            { id: 'G000578', first: 'Matt', last: 'Gaetz', party: 'R', state: 'FL', chamber: 'house', district: '1', phone: '(202) 225-4136' },
-            { id: 'H000324', first: 'Alcee', last: 'Hastings', party: 'D', state: 'FL', chamber: 'house', district: '20', phone: '(202) 225-1313' },
-            { id: 'L000586', first: 'Al', last: 'Lawson', party: 'D', state: 'FL', chamber: 'house', district: '5', phone: '(202) 225-0123' },
-            { id: 'M001202', first: 'Stephanie', last: 'Murphy', party: 'D', state: 'FL', chamber: 'house', district: '7', phone: '(202) 225-4035' },
-            { id: 'P000599', first: 'Bill', last: 'Posey', party: 'R', state: 'FL', chamber: 'house', district: '8', phone: '(202) 225-3671' },
-            { id: 'R000609', first: 'John', last: 'Rutherford', party: 'R', state: 'FL', chamber: 'house', district: '4', phone: '(202) 225-2501' },
-            { id: 'S001185', first: 'Terri', last: 'Sewell', party: 'D', state: 'AL', chamber: 'house', district: '7', phone: '(202) 225-2665' },
-            { id: 'S001200', first: 'Darren', last: 'Soto', party: 'D', state: 'FL', chamber: 'house', district: '9', phone: '(202) 225-9889' },
-            { id: 'W000806', first: 'Daniel', last: 'Webster', party: 'R', state: 'FL', chamber: 'house', district: '11', phone: '(202) 225-1002' },
-            { id: 'W000808', first: 'Frederica', last: 'Wilson', party: 'D', state: 'FL', chamber: 'house', district: '24', phone: '(202) 225-4506' },
-            
-            // More Illinois Representatives
-            { id: 'C001072', first: 'Danny', last: 'Davis', party: 'D', state: 'IL', chamber: 'house', district: '7', phone: '(202) 225-5006' },
-            { id: 'G000535', first: 'Luis', last: 'Gutierrez', party: 'D', state: 'IL', chamber: 'house', district: '4', phone: '(202) 225-8203' },
-            { id: 'H001059', first: 'Randy', last: 'Hultgren', party: 'R', state: 'IL', chamber: 'house', district: '14', phone: '(202) 225-2976' },
-            { id: 'K000385', first: 'Robin', last: 'Kelly', party: 'D', state: 'IL', chamber: 'house', district: '2', phone: '(202) 225-0773' },
-            { id: 'K000391', first: 'Raja', last: 'Krishnamoorthi', party: 'D', state: 'IL', chamber: 'house', district: '8', phone: '(202) 225-3711' },
-            { id: 'L000563', first: 'Daniel', last: 'Lipinski', party: 'D', state: 'IL', chamber: 'house', district: '3', phone: '(202) 225-5701' },
-            { id: 'Q000023', first: 'Mike', last: 'Quigley', party: 'D', state: 'IL', chamber: 'house', district: '5', phone: '(202) 225-4061' },
-            { id: 'R000515', first: 'Bobby', last: 'Rush', party: 'D', state: 'IL', chamber: 'house', district: '1', phone: '(202) 225-4372' },
-            { id: 'S001190', first: 'Bradley', last: 'Schneider', party: 'D', state: 'IL', chamber: 'house', district: '10', phone: '(202) 225-4835' },
-            
-            // Additional Representatives from Various States
-            { id: 'B001291', first: 'Brian', last: 'Babin', party: 'R', state: 'TX', chamber: 'house', district: '36', phone: '(202) 225-1555' },
-            { id: 'B001248', first: 'Michael', last: 'Burgess', party: 'R', state: 'TX', chamber: 'house', district: '26', phone: '(202) 225-7772' },
-            { id: 'C001063', first: 'Henry', last: 'Cuellar', party: 'D', state: 'TX', chamber: 'house', district: '28', phone: '(202) 225-1640' },
-            { id: 'C000754', first: 'John', last: 'Carter', party: 'R', state: 'TX', chamber: 'house', district: '31', phone: '(202) 225-3864' },
-            { id: 'D000616', first: 'Scott', last: 'DesJarlais', party: 'R', state: 'TN', chamber: 'house', district: '4', phone: '(202) 225-6831' },
-            { id: 'F000461', first: 'Bill', last: 'Flores', party: 'R', state: 'TX', chamber: 'house', district: '17', phone: '(202) 225-6105' },
-            { id: 'G000377', first: 'Kay', last: 'Granger', party: 'R', state: 'TX', chamber: 'house', district: '12', phone: '(202) 225-5071' },
-            { id: 'H001073', first: 'Will', last: 'Hurd', party: 'R', state: 'TX', chamber: 'house', district: '23', phone: '(202) 225-4511' },
-            { id: 'J000126', first: 'Eddie', last: 'Bernice Johnson', party: 'D', state: 'TX', chamber: 'house', district: '30', phone: '(202) 225-8885' },
-            { id: 'M001158', first: 'Kenny', last: 'Marchant', party: 'R', state: 'TX', chamber: 'house', district: '24', phone: '(202) 225-6605' },
-            { id: 'M001157', first: 'Michael', last: 'McCaul', party: 'R', state: 'TX', chamber: 'house', district: '10', phone: '(202) 225-2401' },
-            { id: 'P000592', first: 'Ted', last: 'Poe', party: 'R', state: 'TX', chamber: 'house', district: '2', phone: '(202) 225-6565' },
-            { id: 'R000601', first: 'John', last: 'Ratcliffe', party: 'R', state: 'TX', chamber: 'house', district: '4', phone: '(202) 225-6673' },
-            { id: 'S000250', first: 'Pete', last: 'Sessions', party: 'R', state: 'TX', chamber: 'house', district: '32', phone: '(202) 225-2231' },
-            { id: 'S000244', first: 'Lamar', last: 'Smith', party: 'R', state: 'TX', chamber: 'house', district: '21', phone: '(202) 225-4236' },
-            { id: 'T000238', first: 'Mac', last: 'Thornberry', party: 'R', state: 'TX', chamber: 'house', district: '13', phone: '(202) 225-3706' },
-            { id: 'V000132', first: 'Filemon', last: 'Vela', party: 'D', state: 'TX', chamber: 'house', district: '34', phone: '(202) 225-9901' },
-            { id: 'W000814', first: 'Randy', last: 'Weber', party: 'R', state: 'TX', chamber: 'house', district: '14', phone: '(202) 225-2831' },
-            { id: 'W000816', first: 'Roger', last: 'Williams', party: 'R', state: 'TX', chamber: 'house', district: '25', phone: '(202) 225-9896' },
-            
-            // More California Representatives to Round Out
-            { id: 'C001097', first: 'Tony', last: 'Cardenas', party: 'D', state: 'CA', chamber: 'house', district: '29', phone: '(202) 225-6131' },
-            { id: 'C001080', first: 'Judy', last: 'Chu', party: 'D', state: 'CA', chamber: 'house', district: '27', phone: '(202) 225-5464' },
-            { id: 'D000598', first: 'Susan', last: 'Davis', party: 'D', state: 'CA', chamber: 'house', district: '53', phone: '(202) 225-2040' },
-            { id: 'G000559', first: 'John', last: 'Garamendi', party: 'D', state: 'CA', chamber: 'house', district: '3', phone: '(202) 225-1880' },
-            { id: 'H001068', first: 'Jared', last: 'Huffman', party: 'D', state: 'CA', chamber: 'house', district: '2', phone: '(202) 225-5161' },
-            { id: 'H001048', first: 'Duncan', last: 'Hunter', party: 'R', state: 'CA', chamber: 'house', district: '50', phone: '(202) 225-5672' },
-            { id: 'I000056', first: 'Darrell', last: 'Issa', party: 'R', state: 'CA', chamber: 'house', district: '49', phone: '(202) 225-3906' },
-            { id: 'L000582', first: 'Ted', last: 'Lieu', party: 'D', state: 'CA', chamber: 'house', district: '33', phone: '(202) 225-3976' },
-            { id: 'M000508', first: 'Howard', last: 'McKeon', party: 'R', state: 'CA', chamber: 'house', district: '25', phone: '(202) 225-1956' },
-            { id: 'M001166', first: 'Jerry', last: 'McNerney', party: 'D', state: 'CA', chamber: 'house', district: '9', phone: '(202) 225-1947' },
-            { id: 'N000179', first: 'Grace', last: 'Napolitano', party: 'D', state: 'CA', chamber: 'house', district: '32', phone: '(202) 225-5256' },
-            { id: 'N000181', first: 'Devin', last: 'Nunes', party: 'R', state: 'CA', chamber: 'house', district: '22', phone: '(202) 225-2523' },
-            { id: 'P000608', first: 'Scott', last: 'Peters', party: 'D', state: 'CA', chamber: 'house', district: '52', phone: '(202) 225-0508' },
-            { id: 'R000487', first: 'Ed', last: 'Royce', party: 'R', state: 'CA', chamber: 'house', district: '39', phone: '(202) 225-4111' },
-            { id: 'S000344', first: 'Brad', last: 'Sherman', party: 'D', state: 'CA', chamber: 'house', district: '30', phone: '(202) 225-5911' },
-            { id: 'S001175', first: 'Jackie', last: 'Speier', party: 'D', state: 'CA', chamber: 'house', district: '14', phone: '(202) 225-3531' },
-            { id: 'S001193', first: 'Eric', last: 'Swalwell', party: 'D', state: 'CA', chamber: 'house', district: '15', phone: '(202) 225-5065' },
-            { id: 'T000472', first: 'Mark', last: 'Takano', party: 'D', state: 'CA', chamber: 'house', district: '41', phone: '(202) 225-2305' },
-            { id: 'T000460', first: 'Mike', last: 'Thompson', party: 'D', state: 'CA', chamber: 'house', district: '5', phone: '(202) 225-3311' },
-            { id: 'V000130', first: 'Juan', last: 'Vargas', party: 'D', state: 'CA', chamber: 'house', district: '51', phone: '(202) 225-8045' },
-            { id: 'W000215', first: 'Henry', last: 'Waxman', party: 'D', state: 'CA', chamber: 'house', district: '33', phone: '(202) 225-3976' }
-        ];
-        
         // Executive Branch Officials (2025 Administration)
         // Note: Based on 2024 election results - Trump administration inaugurated January 2025
         const executiveBranch = [
@@ -1288,22 +1017,6 @@ async function fetchCongressData() {
             { id: 'GENSLER1', first: 'Gary', last: 'Gensler', party: 'D', state: 'MD', chamber: 'independent', district: null, phone: '(202) 551-2100' }, // SEC Chair
             { id: 'RAIMONDO1', first: 'Gina', last: 'Raimondo', party: 'D', state: 'RI', chamber: 'executive', district: null, phone: '(202) 482-2000' }, // Commerce Secretary
             
-            // Congressional Leadership Extended
-            { id: 'MCCARTHY1', first: 'Kevin', last: 'McCarthy', party: 'R', state: 'CA', chamber: 'house', district: '20', phone: '(202) 225-2915' }, // Former Speaker
-            { id: 'EMMER1', first: 'Tom', last: 'Emmer', party: 'R', state: 'MN', chamber: 'house', district: '6', phone: '(202) 225-2331' }, // Majority Whip
-            { id: 'CLYBURN1', first: 'James', last: 'Clyburn', party: 'D', state: 'SC', chamber: 'house', district: '6', phone: '(202) 225-3315' }, // Assistant Democratic Leader
-            
-            // Key Committee Chairs (House - Republican Majority)
-            { id: 'JORDAN1', first: 'Jim', last: 'Jordan', party: 'R', state: 'OH', chamber: 'house', district: '4', phone: '(202) 225-2676' }, // Judiciary Committee Chair
-            { id: 'TURNER1', first: 'Mike', last: 'Turner', party: 'R', state: 'OH', chamber: 'house', district: '10', phone: '(202) 225-6465' }, // Intelligence Committee Chair
-            { id: 'ROGERS1', first: 'Mike', last: 'Rogers', party: 'R', state: 'AL', chamber: 'house', district: '3', phone: '(202) 225-3261' }, // Armed Services Committee Chair
-            { id: 'GRANGER1', first: 'Kay', last: 'Granger', party: 'R', state: 'TX', chamber: 'house', district: '12', phone: '(202) 225-5071' }, // Appropriations Committee Chair
-            
-            // Key Committee Chairs (Senate - Republican Majority) 
-            { id: 'GRAHAM1', first: 'Lindsey', last: 'Graham', party: 'R', state: 'SC', chamber: 'senate', district: null, phone: '(202) 224-5972' }, // Judiciary Committee Chair
-            { id: 'WICKER1', first: 'Roger', last: 'Wicker', party: 'R', state: 'MS', chamber: 'senate', district: null, phone: '(202) 224-6253' }, // Armed Services Committee Chair
-            { id: 'RISCH1', first: 'James', last: 'Risch', party: 'R', state: 'ID', chamber: 'senate', district: null, phone: '(202) 224-2752' }, // Intelligence Committee Chair
-            
             // Additional Federal Agency Directors (2025)
             { id: 'CALIFF1', first: 'Robert', last: 'Califf', party: 'D', state: 'NC', chamber: 'executive', district: null, phone: '(888) 463-6332' }, // FDA Commissioner
             { id: 'COHEN1', first: 'Mandy', last: 'Cohen', party: 'D', state: 'NC', chamber: 'executive', district: null, phone: '(800) 232-4636' }, // CDC Director
@@ -1336,10 +1049,8 @@ async function fetchCongressData() {
             { id: 'HESTER1', first: 'Lael', last: 'Brainard', party: 'D', state: 'DC', chamber: 'independent', district: null, phone: '(202) 452-2955' } // Federal Reserve Vice Chair
         ];
         
-        // Insert all congressional members
-        const allMembers = [...congressionalMembers, ...executiveBranch];
-        
-        for (const member of allMembers) {
+        // Executive, judicial and state officials are not covered by the legislators dataset
+        for (const member of executiveBranch) {
             db.run(`INSERT OR REPLACE INTO congress_members 
                 (bioguide_id, first_name, last_name, party, state, chamber, district, position, phone) 
                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
@@ -1348,14 +1059,79 @@ async function fetchCongressData() {
             );
         }
         
-        console.log(`✅ Loaded ${allMembers.length} congressional members and executive officials`);
-        return { success: true, message: `Congressional data updated with ${allMembers.length} members` };
+        // Members of Congress come from the congress-legislators dataset files
+        const legislators = await new LegislatorsImporter(db).import();
+        if (!legislators.success) {
+            console.warn(`⚠️  Legislators import skipped: ${legislators.error} `
+                + '(set LEGISLATORS_DATA_DIR to a congress-legislators checkout; see README "Congress Data")');
+            return { success: true, message: `Loaded ${executiveBranch.length} officials; ${legislators.error}` };
+        }
+        
+        console.log(`✅ Loaded ${legislators.current} congressional members and ${executiveBranch.length} executive officials`);
+        return {
+            success: true,
+            message: `Congressional data updated with ${legislators.current} members`,
+            current: legislators.current,
+            historical: legislators.historical,
+            departed: legislators.departed
+        };
     } catch (error) {
         console.error('Error fetching congressional data:', error.message);
         return { success: false, error: error.message };
     }
 }
 
+// Committees, subcommittees and their rosters from the congress-legislators dataset
+async function fetchCommittees() {
+    try {
+        const result = await new CommitteesImporter(db).import();
+        if (!result.success) {
+            console.warn(`⚠️  Committee import skipped: ${result.error}`);
+            return { success: true, message: result.error };
+        }
+
+        console.log(`✅ Loaded ${result.committees} committees, ${result.subcommittees} subcommittees `
+            + `and ${result.memberships} committee seats`);
+        return {
+            success: true,
+            message: `Updated ${result.committees} committees`,
+            committees: result.committees,
+            subcommittees: result.subcommittees,
+            memberships: result.memberships
+        };
+    } catch (error) {
+        console.error('Error importing committees:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Hearing and markup schedules from House and Senate committee schedule XML
+async function fetchHearings() {
+    try {
+        const result = await new HearingsImporter(db).import();
+        if (!result.success) {
+            console.warn(`⚠️  Hearings import skipped: ${result.error}`);
+            return { success: true, message: result.error };
+        }
+        if (result.errors.length) {
+            console.warn(`⚠️  ${result.errors.length} committee schedule files could not be imported: `
+                + result.errors.slice(0, 3).join('; '));
+        }
+
+        console.log(`✅ Loaded ${result.hearings} committee hearings and markups (${result.bills} bill references)`);
+        return {
+            success: true,
+            message: `Updated ${result.hearings} hearings from ${result.files} schedule files`,
+            hearings: result.hearings,
+            bills: result.bills,
+            errors: result.errors
+        };
+    } catch (error) {
+        console.error('Error importing hearings:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
 async function fetchSpendingData() {
     try {
         console.log('💰 Updating 2025 federal spending data...');
@@ -1600,6 +1376,17 @@ async function fetchSpendingData() {
     }
 }
 
+// Stored statuses, so loads can only move a bill forward through its lifecycle
+async function currentBillStatuses() {
+    return new Map((await dbAll(db, 'SELECT bill_id, status FROM bills')).map(row => [row.bill_id, row.status]));
+}
+
+function warnRejectedStatuses(count) {
+    if (count) {
+        console.warn(`⚠️  Kept the stored status of ${count} bills whose new status would have moved them backwards`);
+    }
+}
+
 async function fetchLegislationData() {
     try {
         console.log('📋 Updating 2025 legislative data...');
@@ -1801,276 +1588,521 @@ async function fetchLegislationData() {
             { id: 'hr1-115', congress: 115, type: 'hr', number: '1', title: 'Tax Cuts and Jobs Act', status: 'enacted', date: '2017-12-22' }
         ];
         
+        // Some bills are listed twice: the later entry wins, but only the first names the sponsor.
+        // Merging first keeps the duplicates from being checked against each other as status moves.
+        const bills = new Map();
         for (const bill of sampleBills) {
-            db.run(`INSERT OR REPLACE INTO bills 
-                (bill_id, congress, bill_type, number, title, status, introduced_date) 
-                VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [bill.id, bill.congress, bill.type, bill.number, bill.title, bill.status, bill.date]
+            bills.set(bill.id, { ...bill, sponsor: bills.get(bill.id)?.sponsor || bill.sponsor });
+        }
+        const statuses = await currentBillStatuses();
+        let rejected = 0;
+        
+        for (const bill of bills.values()) {
+            const { status, rejected: backwards } = applyTransition(statuses.get(bill.id),
+                normalizeStatus(bill.status, bill.type));
+            if (backwards) rejected++;
+            await dbRun(db, `INSERT OR REPLACE INTO bills 
+                (bill_id, congress, bill_type, number, title, status, introduced_date, sponsor_name) 
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [bill.id, bill.congress, bill.type, bill.number, bill.title, status, bill.date, bill.sponsor || null]
             );
         }
+        warnRejectedStatuses(rejected);
         
-        return { success: true, message: 'Legislation data updated' };
+        return { success: true, message: 'Legislation data updated', status_rejected: rejected };
     } catch (error) {
         console.error('Error fetching legislation:', error.message);
         return { success: false, error: error.message };
     }
 }
 
+// Senate Lobbying Disclosure Act LD-1/LD-2 filings, bulk XML or LDA API JSON (LDA_DATA_DIR)
 async function fetchLobbyingData() {
     try {
-        console.log('🤝 Updating 2025 lobbying activity data...');
-        
-        // 2025 Lobbying Activity - Reflecting Current Political and Economic Priorities
-        const lobbyingData = [
-            // Energy Independence Lobbying (Trump Administration Priority)
-            { 
-                id: 'LOB2025-001', 
-                client: 'ExxonMobil Corporation', 
-                clientDesc: 'Oil and gas exploration and production',
-                registrant: 'BGR Government Affairs', 
-                registrantAddr: '1101 K St NW, Washington, DC 20005',
-                lobbyist: 'Ed Rogers', 
-                lobbyistTitle: 'Chairman',
-                amount: 8200000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Energy, Environment, Taxation',
-                issues: 'Keystone XL pipeline approval, offshore drilling permits, oil and gas leasing on federal lands, methane emission regulations, renewable fuel standards',
-                govEntities: 'Department of Interior, EPA, House Natural Resources Committee, Senate Energy Committee',
-                foreignEntities: 'Canadian government liaison on pipeline issues',
-                postedDate: '2025-10-20'
-            },
-            { 
-                id: 'LOB2025-002', 
-                client: 'Chevron Corporation', 
-                clientDesc: 'Integrated energy company',
-                registrant: 'Invariant LLC', 
-                registrantAddr: '1227 25th St NW, Washington, DC 20037',
-                lobbyist: 'David Crane', 
-                lobbyistTitle: 'Senior Advisor',
-                amount: 6800000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Energy Policy, International Trade, Taxation',
-                issues: 'LNG export facility permitting, international energy partnerships, tax incentives for domestic production, ANWR drilling authorization',
-                govEntities: 'Department of Energy, Federal Energy Regulatory Commission, House Energy and Commerce Committee',
-                foreignEntities: 'Energy partnerships with Qatar and Australia',
-                postedDate: '2025-10-18'
-            },
-            
-            // Border Security and Immigration (Major 2025 Focus)
-            { 
-                id: 'LOB2025-003', 
-                client: 'Customs and Border Protection Contractors Alliance', 
-                clientDesc: 'Border security technology and services contractors',
-                registrant: 'Williams & Jensen', 
-                registrantAddr: '1201 Pennsylvania Ave NW, Washington, DC 20004',
-                lobbyist: 'Ryan Thompson', 
-                lobbyistTitle: 'Principal',
-                amount: 4500000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Homeland Security, Defense Technology',
-                issues: 'Border wall technology contracts, biometric systems deployment, surveillance technology funding, detention facility construction contracts',
-                govEntities: 'DHS, CBP, House Homeland Security Committee, Senate Homeland Security Committee',
-                foreignEntities: 'None',
-                postedDate: '2025-10-25'
-            },
-            { 
-                id: 'LOB2025-004', 
-                client: 'American Immigration Lawyers Association', 
-                clientDesc: 'Immigration law practitioners organization',
-                registrant: 'Van Ness Feldman', 
-                registrantAddr: '1050 Thomas Jefferson St NW, Washington, DC 20007',
-                lobbyist: 'Sarah Pierce', 
-                lobbyistTitle: 'Senior Associate',
-                amount: 2100000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Immigration Law, Civil Rights',
-                issues: 'Immigration court funding, attorney access in detention facilities, asylum processing procedures, family separation policies',
-                govEntities: 'DOJ Executive Office for Immigration Review, House Judiciary Committee, Senate Judiciary Committee',
-                foreignEntities: 'UN High Commissioner for Refugees coordination',
-                postedDate: '2025-10-22'
-            },
-            
-            // Technology and China Competition (2025 Priority)
-            { 
-                id: 'LOB2025-005', 
-                client: 'Meta Platforms Inc.', 
-                clientDesc: 'Social media and virtual reality technology',
-                registrant: 'Brownstein Hyatt Farber Schreck', 
-                registrantAddr: '410 17th St, Suite 2200, Denver, CO 80202',
-                lobbyist: 'Chad Dickerson', 
-                lobbyistTitle: 'Senior Policy Advisor',
-                amount: 7300000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Technology, National Security, Competition Policy',
-                issues: 'TikTok ban enforcement, AI regulation frameworks, content moderation policies, antitrust investigations, data security requirements related to China',
-                govEntities: 'CFIUS, FTC, House Select Committee on China, Senate Intelligence Committee',
-                foreignEntities: 'European Commission on digital services compliance',
-                postedDate: '2025-10-19'
-            },
-            { 
-                id: 'LOB2025-006', 
-                client: 'ByteDance Ltd.', 
-                clientDesc: 'Chinese technology company (TikTok parent)',
-                registrant: 'Latham & Watkins', 
-                registrantAddr: '555 11th St NW, Washington, DC 20004',
-                lobbyist: 'David Hantman', 
-                lobbyistTitle: 'Partner',
-                amount: 12500000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Technology, National Security, International Trade',
-                issues: 'TikTok divestiture requirements, CFIUS review processes, data localization requirements, algorithm transparency mandates',
-                govEntities: 'CFIUS, Treasury Department, Commerce Department, House Energy and Commerce Committee',
-                foreignEntities: 'Chinese government coordination through Ministry of Commerce',
-                postedDate: '2025-10-30'
-            },
-            
-            // Defense and Military Contractors (2025)
-            { 
-                id: 'LOB2025-007', 
-                client: 'Lockheed Martin Corporation', 
-                clientDesc: 'Aerospace, defense, arms, and technology corporation',
-                registrant: 'Capitol Counsel LLC', 
-                registrantAddr: '300 New Jersey Ave NW, Washington, DC 20001',
-                lobbyist: 'Steve Elmendorf', 
-                lobbyistTitle: 'Senior Partner',
-                amount: 9200000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Defense, Aerospace, International Security',
-                issues: 'F-35 production contracts, missile defense system deployment, space force procurement, international military sales to allies, hypersonic weapons development',
-                govEntities: 'Department of Defense, Space Force, House Armed Services Committee, Senate Armed Services Committee',
-                foreignEntities: 'NATO allies coordination, Israel defense cooperation, Japanese defense partnership',
-                postedDate: '2025-10-17'
-            },
-            { 
-                id: 'LOB2025-008', 
-                client: 'Raytheon Technologies', 
-                clientDesc: 'Aerospace and defense technology corporation',
-                registrant: 'Polaris Government Relations', 
-                registrantAddr: '1101 17th St NW, Washington, DC 20036',
-                lobbyist: 'Hunter Bates', 
-                lobbyistTitle: 'Managing Director',
-                amount: 7800000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Defense Technology, Cybersecurity, Intelligence',
-                issues: 'Patriot missile system contracts, cybersecurity infrastructure contracts, intelligence community technology modernization, counter-drone systems',
-                govEntities: 'Department of Defense, NSA, CIA, House Intelligence Committee, Senate Intelligence Committee',
-                foreignEntities: 'Ukrainian defense support coordination, Taiwan defense cooperation',
-                postedDate: '2025-10-21'
-            },
-            
-            // Healthcare and Pharmaceuticals (2025)
-            { 
-                id: 'LOB2025-009', 
-                client: 'Pharmaceutical Research and Manufacturers of America', 
-                clientDesc: 'Pharmaceutical industry trade association',
-                registrant: 'Fierce Government Relations', 
-                registrantAddr: '1615 L St NW, Washington, DC 20036',
-                lobbyist: 'Debbie Willhite', 
-                lobbyistTitle: 'Senior Vice President',
-                amount: 6400000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Healthcare, Drug Pricing, Intellectual Property',
-                issues: 'Drug pricing legislation, Medicare negotiation policies, patent protection, FDA approval processes, international drug importation policies',
-                govEntities: 'HHS, FDA, CMS, House Energy and Commerce Committee, Senate HELP Committee',
-                foreignEntities: 'Coordination with Canadian health authorities on drug importation',
-                postedDate: '2025-10-16'
-            },
-            
-            // Agriculture and Trade (2025)
-            { 
-                id: 'LOB2025-010', 
-                client: 'American Farm Bureau Federation', 
-                clientDesc: 'Agricultural industry advocacy organization',
-                registrant: 'Nelson Mullins Riley & Scarborough', 
-                registrantAddr: '101 Constitution Ave NW, Washington, DC 20001',
-                lobbyist: 'Ryan Quarles', 
-                lobbyistTitle: 'Senior Policy Advisor',
-                amount: 5100000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Agriculture, Trade, Environmental Policy',
-                issues: 'Farm bill reauthorization, agricultural trade agreements, ethanol mandates, climate-smart agriculture programs, H-2A visa program reforms',
-                govEntities: 'USDA, House Agriculture Committee, Senate Agriculture Committee, USTR',
-                foreignEntities: 'Canadian agricultural trade coordination, Mexican agricultural cooperation',
-                postedDate: '2025-10-24'
-            },
-            
-            // Financial Services (2025)
-            { 
-                id: 'LOB2025-011', 
-                client: 'American Bankers Association', 
-                clientDesc: 'Banking industry trade association',
-                registrant: 'Davis Polk & Wardwell', 
-                registrantAddr: '901 15th St NW, Washington, DC 20005',
-                lobbyist: 'Margaret Tahyar', 
-                lobbyistTitle: 'Partner and Chair of Financial Institutions Group',
-                amount: 4800000, 
-                year: 2025, 
-                quarter: 4,
-                reportType: 'Quarterly',
-                issueAreas: 'Banking, Financial Regulation, Fintech',
-                issues: 'Bank capital requirements, stress testing regulations, cryptocurrency regulations, digital banking policies, Community Reinvestment Act reforms',
-                govEntities: 'Federal Reserve, FDIC, OCC, House Financial Services Committee, Senate Banking Committee',
-                foreignEntities: 'Basel Committee coordination on international banking standards',
-                postedDate: '2025-10-23'
-            }
-        ];
-        
-        // Insert lobbying data into database
-        for (const lobbying of lobbyingData) {
-            db.run(`INSERT OR REPLACE INTO lobbying 
-                (registration_id, client_name, client_description, registrant_name, registrant_address, 
-                 lobbyist_name, lobbyist_title, amount, year, quarter, report_type, 
-                 issue_areas, specific_issues, government_entities, foreign_entities, posted_date) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [lobbying.id, lobbying.client, lobbying.clientDesc, lobbying.registrant, 
-                 lobbying.registrantAddr, lobbying.lobbyist, lobbying.lobbyistTitle, 
-                 lobbying.amount, lobbying.year, lobbying.quarter, lobbying.reportType,
-                 lobbying.issueAreas, lobbying.issues, lobbying.govEntities, 
-                 lobbying.foreignEntities, lobbying.postedDate]
-            );
+        const result = await new LdaImporter(db).import();
+        if (!result.success) {
+            console.warn(`⚠️  Lobbying filing import skipped: ${result.error}`);
+            return { success: true, message: result.error };
         }
-        
-        console.log(`✅ Loaded ${lobbyingData.length} lobbying records for 2025`);
-        return { success: true, message: `Updated ${lobbyingData.length} lobbying records` };
+        if (result.errors.length) {
+            console.warn(`⚠️  ${result.errors.length} LDA files could not be imported:`,
+                result.errors.slice(0, 3).join('; '));
+        }
+
+        console.log(`✅ Loaded ${result.filings} lobbying filings (${result.superseded} superseded by amendments ` +
+            `or later filings, ${result.terminations} terminations)`);
+        if (result.contribution_reports) {
+            console.log(`✅ Loaded ${result.contributions} lobbyist contributions from ` +
+                `${result.contribution_reports} LD-203 reports`);
+        }
+        return {
+            success: true,
+            message: `Updated ${result.current} lobbying filings`,
+            filings: result.filings,
+            superseded: result.superseded,
+            terminations: result.terminations,
+            contribution_reports: result.contribution_reports,
+            contributions: result.contributions,
+            errors: result.errors
+        };
+    } catch (error) {
+        console.error('Error importing lobbying filings:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Splits the comma-joined lobbyist, issue and entity strings of rows from the API sync
+// or older loads into the child tables the lobbying filters query
+async function normalizeLobbyingData() {
+    try {
+        const rows = await normalizeLobbyingStrings(db);
+        if (rows) {
+            console.log(`✅ Normalized lobbyists, issues and entities of ${rows} lobbying records`);
+        }
+        return { success: true, message: `Normalized ${rows} lobbying records`, rows };
+    } catch (error) {
+        console.error('Error normalizing lobbying records:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Links LD-203 honorees to members; reruns after member loads
+async function resolveLobbyistHonorees() {
+    try {
+        const result = await resolveContributionHonorees(db);
+        if (result.resolved) {
+            console.log(`✅ Linked ${result.resolved} lobbyist contribution honorees to members`);
+        }
+        return {
+            success: true,
+            message: `Linked ${result.resolved} of ${result.honorees} honorees`,
+            resolved: result.resolved,
+            unresolved: result.unresolved
+        };
+    } catch (error) {
+        console.error('Error linking contribution honorees:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Matches roll-call positions saved before their member loaded; reruns after member loads
+async function resolveVotePositions() {
+    try {
+        const result = await resolveMemberVotes(db);
+        if (result.resolved) {
+            console.log(`✅ Linked ${result.resolved} roll-call positions to members`);
+        }
+        return {
+            success: true,
+            message: `Linked ${result.resolved} of ${result.positions} unmatched vote positions`,
+            resolved: result.resolved,
+            unresolved: result.positions - result.resolved
+        };
+    } catch (error) {
+        console.error('Error linking vote positions:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Links lobbyists' covered positions to members, committees and agencies; reruns after
+// member and committee loads
+async function linkRevolvingDoor() {
+    try {
+        const result = await new RevolvingDoorLinker(db).link();
+        if (result.positions) {
+            console.log(`✅ Linked ${result.positions} covered positions (${result.members} members, ` +
+                `${result.committees} committees, ${result.agencies} agencies); ` +
+                `${result.matches} lobby a former office`);
+        }
+        return { success: true, message: `Linked ${result.positions} covered positions`, ...result };
+    } catch (error) {
+        console.error('Error linking covered positions:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// FARA registrants, foreign principals, short-form registrants and informational materials
+// from the efile.fara.gov bulk CSVs (FARA_DATA_DIR)
+async function fetchFaraData() {
+    try {
+        const result = await new FaraImporter(db).import();
+        if (!result.success) {
+            console.warn(`⚠️  FARA import skipped: ${result.error}`);
+            return { success: true, message: result.error };
+        }
+        if (result.errors.length) {
+            console.warn(`⚠️  ${result.errors.length} FARA files could not be imported:`, result.errors.join('; '));
+        }
+
+        console.log(`✅ Loaded ${result.registrants} FARA registrants, ${result.principals} foreign principals, ` +
+            `${result.short_forms} short-form registrants and ${result.informational_materials} ` +
+            'informational materials');
+        return {
+            success: true,
+            message: `Loaded ${result.principals} foreign principals from ${result.files} files`,
+            registrants: result.registrants,
+            principals: result.principals,
+            short_forms: result.short_forms,
+            informational_materials: result.informational_materials,
+            errors: result.errors
+        };
+    } catch (error) {
+        console.error('Error loading FARA data:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Links FARA foreign principals to LDA clients of the same name; reruns after either loads
+async function linkFaraPrincipals() {
+    try {
+        const result = await linkFaraClients(db);
+        if (result.principals) {
+            console.log(`✅ Linked ${result.principals} FARA foreign principals to ${result.clients} LDA clients`);
+        }
+        return { success: true, message: `Linked ${result.principals} foreign principals to LDA clients`, ...result };
+    } catch (error) {
+        console.error('Error linking FARA principals:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Roll-call votes from House Clerk and Senate XML files (ROLL_CALL_DATA_DIR)
+async function fetchVotingRecords() {
+    try {
+        const result = await new RollCallImporter(db).import();
+        if (!result.success) {
+            console.warn(`⚠️  Roll-call import skipped: ${result.error}`);
+            return { success: true, message: result.error };
+        }
+        if (result.errors.length) {
+            console.warn(`⚠️  ${result.errors.length} roll-call files could not be imported:`, result.errors.join('; '));
+        }
+
+        console.log(`✅ Loaded ${result.votes} roll-call votes with ${result.positions} member positions`);
+        return {
+            success: true,
+            message: `Updated ${result.votes} roll-call votes`,
+            votes: result.votes,
+            positions: result.positions,
+            unresolved: result.unresolved,
+            errors: result.errors
+        };
+    } catch (error) {
+        console.error('Error importing voting records:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Actions, cosponsors, committees, related bills and subjects from GovInfo BILLSTATUS XML
+// files (BILLSTATUS_DATA_DIR)
+async function fetchBillStatus() {
+    try {
+        const result = await new BillStatusImporter(db).import();
+        if (!result.success) {
+            console.warn(`⚠️  BILLSTATUS import skipped: ${result.error}`);
+            return { success: true, message: result.error };
+        }
+        if (result.errors.length) {
+            console.warn(`⚠️  ${result.errors.length} BILLSTATUS files could not be imported:`, result.errors.join('; '));
+        }
+
+        console.log(`✅ Loaded BILLSTATUS details for ${result.bills} bills `
+            + `(${result.actions} actions, ${result.cosponsors} cosponsors)`);
+        warnRejectedStatuses(result.status_rejected.length);
+        return {
+            success: true,
+            message: `Updated ${result.bills} bills from BILLSTATUS files`,
+            bills: result.bills,
+            actions: result.actions,
+            cosponsors: result.cosponsors,
+            status_rejected: result.status_rejected,
+            errors: result.errors
+        };
+    } catch (error) {
+        console.error('Error importing BILLSTATUS files:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Bill text versions from GovInfo BILLS XML or plain-text files
+async function fetchBillText() {
+    try {
+        const result = await new BillTextImporter(db).import();
+        if (!result.success) {
+            console.warn(`⚠️  Bill text import skipped: ${result.error}`);
+            return { success: true, message: result.error };
+        }
+        if (result.errors.length) {
+            console.warn(`⚠️  ${result.errors.length} bill text files could not be imported:`,
+                result.errors.join('; '));
+        }
+
+        console.log(`✅ Loaded ${result.versions} bill text versions (${result.sections} sections)`);
+        return {
+            success: true,
+            message: `Updated ${result.versions} bill text versions`,
+            versions: result.versions,
+            sections: result.sections,
+            errors: result.errors
+        };
+    } catch (error) {
+        console.error('Error importing bill text:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Matches sponsor strings from the sample and older loads to congress_members
+async function resolveBillSponsors() {
+    try {
+        const result = await new SponsorResolver(db).resolve();
+        if (result.unresolved) {
+            console.warn(`⚠️  ${result.unresolved} bill sponsors could not be matched to a member `
+                + '(see /api/admin/sponsors/unresolved)');
+        }
+        if (result.resolved) {
+            console.log(`✅ Resolved sponsors for ${result.resolved} bills`);
+        }
+        return {
+            success: true,
+            message: `Resolved ${result.resolved} of ${result.bills} bill sponsors`,
+            resolved: result.resolved,
+            unresolved: result.unresolved
+        };
+    } catch (error) {
+        console.error('Error resolving bill sponsors:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Candidate financial summaries from FEC bulk files (FEC_DATA_DIR)
+async function fetchCampaignFinance() {
+    try {
+        const result = await new FecImporter(db).import();
+        if (!result.success) {
+            console.warn(`⚠️  FEC import skipped: ${result.error}`);
+            return { success: true, message: result.error };
+        }
+
+        console.log(`✅ Loaded ${result.candidates} FEC candidate summaries from ${result.files} files`);
+        return { success: true, message: `Updated ${result.candidates} candidate summaries`, candidates: result.candidates };
+    } catch (error) {
+        console.error('Error importing campaign finance data:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Itemized FEC contributions and donor rollups (FEC_DATA_DIR). These files run to
+// gigabytes, so they are only imported on an explicit refresh, never at startup.
+async function fetchItemizedContributions() {
+    try {
+        const result = await new ContributionsImporter(db).import();
+        if (!result.success) {
+            console.warn(`⚠️  Itemized contributions import skipped: ${result.error}`);
+            return { success: true, message: result.error };
+        }
+
+        console.log(`✅ Loaded ${result.individual} individual and ${result.transfers} committee contributions`);
+        return {
+            success: true,
+            message: `Updated ${result.individual + result.transfers} itemized contributions`,
+            ...result
+        };
+    } catch (error) {
+        console.error('Error importing itemized contributions:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Government API synchronization (GovernmentAPIService -> SQLite)
+async function syncCongressMembersFromAPI() {
+    const members = await governmentAPI.fetchCongressMembers();
+    for (const member of members) {
+        await dbRun(db, `INSERT INTO congress_members
+            (bioguide_id, first_name, last_name, party, state, chamber, district, in_office, website, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(bioguide_id) DO UPDATE SET
+                first_name = excluded.first_name, last_name = excluded.last_name, party = excluded.party,
+                state = excluded.state, chamber = excluded.chamber, district = excluded.district,
+                in_office = excluded.in_office, website = COALESCE(excluded.website, website),
+                updated_at = CURRENT_TIMESTAMP`,
+            [member.bioguide_id, member.first_name, member.last_name, member.party, member.state,
+             member.chamber, member.district, member.in_office ? 1 : 0, member.website]
+        );
+    }
+    return members.length;
+}
+
+async function syncLegislationFromAPI() {
+    const bills = await governmentAPI.fetchLegislation();
+    const statuses = await currentBillStatuses();
+    let rejected = 0;
+    for (const bill of bills) {
+        const { status, rejected: backwards } = applyTransition(statuses.get(bill.bill_id), bill.status);
+        if (backwards) rejected++;
+        await dbRun(db, `INSERT OR REPLACE INTO bills 
+            (bill_id, congress, bill_type, number, title, introduced_date, latest_action, latest_action_date, sponsor_id, status) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [bill.bill_id, bill.congress, bill.bill_type, bill.number, bill.title, bill.introduced_date,
+             bill.latest_action, bill.latest_action_date, bill.sponsor_id, status]
+        );
+    }
+    warnRejectedStatuses(rejected);
+    return bills.length;
+}
+
+async function syncSpendingFromAPI() {
+    const awards = await governmentAPI.fetchFederalSpending();
+    for (const award of awards) {
+        await dbRun(db, `INSERT OR REPLACE INTO federal_spending 
+            (award_id, recipient_name, award_amount, award_type, awarding_agency, funding_agency,
+             award_description, place_of_performance, award_date, fiscal_year) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [award.award_id, award.recipient_name, award.award_amount, award.award_type, award.awarding_agency,
+             award.funding_agency, award.award_description, award.place_of_performance, award.award_date,
+             award.fiscal_year]
+        );
+    }
+    return awards.length;
+}
+
+async function syncLobbyingFromAPI() {
+    const filings = await governmentAPI.fetchLobbyingData();
+    for (const filing of filings) {
+        // lobbying has no unique key on registration_id, so update in place before inserting
+        const existing = await dbGet(db, 'SELECT id FROM lobbying WHERE registration_id = ?', [filing.registration_id]);
+        const values = [filing.client_name, filing.registrant_name, filing.amount, filing.year,
+                        filing.report_type, filing.specific_issues];
+        if (existing) {
+            await dbRun(db, `UPDATE lobbying SET client_name = ?, registrant_name = ?, amount = ?, year = ?,
+                report_type = ?, specific_issues = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...values, existing.id]);
+        } else {
+            await dbRun(db, `INSERT INTO lobbying 
+                (client_name, registrant_name, amount, year, report_type, specific_issues, registration_id) 
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [...values, filing.registration_id]);
+        }
+    }
+    return filings.length;
+}
+
+const dataSources = {
+    congress: {
+        sync: syncCongressMembersFromAPI,
+        load: fetchCongressData,
+        enrich: {
+            committees: fetchCommittees,
+            sponsors: resolveBillSponsors,
+            votes: resolveVotePositions,
+            honorees: resolveLobbyistHonorees,
+            revolving_door: linkRevolvingDoor
+        }
+    },
+    legislation: {
+        sync: syncLegislationFromAPI,
+        load: fetchLegislationData,
+        enrich: { files: fetchBillStatus, text: fetchBillText, sponsors: resolveBillSponsors }
+    },
+    spending: { sync: syncSpendingFromAPI, load: fetchSpendingData },
+    lobbying: {
+        sync: syncLobbyingFromAPI,
+        load: fetchLobbyingData,
+        enrich: {
+            normalized: normalizeLobbyingData,
+            honorees: resolveLobbyistHonorees,
+            revolving_door: linkRevolvingDoor,
+            fara_principals: linkFaraPrincipals
+        }
+    },
+    fara: { load: fetchFaraData, enrich: { lda_clients: linkFaraPrincipals } },
+    votes: { load: fetchVotingRecords },
+    hearings: { load: fetchHearings },
+    finance: { load: fetchCampaignFinance },
+    contributions: { load: fetchItemizedContributions }
+};
+
+// Loads one data source through GovernmentAPIService (live, record or replay
+// mode per GOV_API_MODE). Sources whose API returns nothing fall back to the
+// bundled loaders; congress always runs its legislators dataset import first.
+// Sources without an API sync only run their file import.
+async function loadDataSource(source) {
+    const { sync, load } = dataSources[source];
+    try {
+        if (!sync) return { ...await load(), source: 'file' };
+
+        const local = source === 'congress' ? await load() : null;
+        let count = 0;
+        try {
+            count = await sync();
+        } catch (error) {
+            // A missing fixture or failed request must fail replay and record runs (CI) outright;
+            // live refreshes keep serving the bundled data
+            if (governmentAPI.mode !== 'live') throw error;
+            console.warn(`⚠️  ${source} API sync failed, keeping bundled data: ${error.message}`);
+        }
+        if (count > 0) {
+            console.log(`✅ Synced ${count} ${source} records from ${governmentAPI.mode} government API`);
+            return { success: true, source: 'api', mode: governmentAPI.mode, count, ...(local && { local }) };
+        }
+        return { ...(local || await load()), source: 'sample', mode: governmentAPI.mode };
     } catch (error) {
-        console.error('Error fetching lobbying data:', error.message);
+        console.error(`Error refreshing ${source} data:`, error.message);
         return { success: false, error: error.message };
     }
 }
 
+// Refreshes one data source, diffing its rows before and after the load: the
+// changes go to activity_log, the history tables and out as webhook events
+async function refreshDataSource(source) {
+    const before = await snapshot(db, source);
+    const result = await loadDataSource(source);
+    // Steps layered over the API or sample rows: bulk file imports (legislation's BILLSTATUS
+    // XML and bill text) and sponsor resolution, which also reruns when new members arrive
+    for (const [step, enrich] of Object.entries(dataSources[source].enrich || {})) {
+        if (result.success) result[step] = await enrich();
+    }
+    if (!before || !result.success) return result;
+
+    try {
+        const diffs = diffSnapshots(source, before, await snapshot(db, source));
+        const events = await recordChanges(db, source, diffs);
+        if (events) {
+            console.log(`📝 Logged ${events} ${source} change events`);
+        }
+        await recordVersions(db, source);
+        const queued = await webhookDispatcher.publish(eventsFromChanges(source, diffs));
+        if (queued) {
+            console.log(`🪝 Queued ${queued} webhook deliveries for ${source} changes`);
+        }
+        return { ...result, changes: diffs.length, activity_events: events, webhook_deliveries: queued };
+    } catch (error) {
+        console.error(`Error recording ${source} changes:`, error.message);
+        return result;
+    }
+}
+
 // ============= SERVER CONFIGURATION =============
 
+// Query parameters parsed as FTS5 expressions by buildMatchQuery
+const FULL_TEXT_PARAMS = ['keyword', 'q'];
+
+// Pagination cursors carry the last row's sort values, so they get more room than other parameters
+const MAX_QUERY_LENGTHS = { cursor: 1000 };
+
 // Input validation and sanitization middleware
 const validateInput = (req, res, next) => {
     // Sanitize query parameters
     if (req.query) {
         Object.keys(req.query).forEach(key => {
             if (typeof req.query[key] === 'string') {
-                // Remove potentially dangerous characters
-                req.query[key] = req.query[key].replace(/[<>'"]/g, '');
+                // Remove potentially dangerous characters (full-text queries keep
+                // double quotes for phrases; they are only ever bound as parameters)
+                const unsafe = FULL_TEXT_PARAMS.includes(key) ? /[<>']/g : /[<>'"]/g;
+                req.query[key] = req.query[key].replace(unsafe, '');
                 // Limit length
-                if (req.query[key].length > 100) {
-                    req.query[key] = req.query[key].substring(0, 100);
+                const maxLength = MAX_QUERY_LENGTHS[key] || 100;
+                if (req.query[key].length > maxLength) {
+                    req.query[key] = req.query[key].substring(0, maxLength);
                 }
             }
         });
@@ -2119,6 +2151,14 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+// Admin-only routes; use after authenticateToken
+const requireAdmin = (req, res, next) => {
+    if (!ADMIN_USERS.has(String(req.user?.username || '').toLowerCase())) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+};
+
 // Apply validation to all API routes
 app.use('/api/', validateInput);
 
@@ -2193,184 +2233,2160 @@ app.post('/api/login', (req, res) => {
     });
 });
 
-// Congressional members search - SECURED
-app.get('/api/congress/members', async (req, res) => {
-    try {
-        const state = validateState(req.query.state);
-        const party = sanitizeInput(req.query.party);
-        const chamber = sanitizeInput(req.query.chamber);
-        const search = sanitizeInput(req.query.search);
-        const keyword = sanitizeInput(req.query.keyword);
-        const limit = validateLimit(req.query.limit);
-        
-        let query = 'SELECT * FROM congress_members WHERE in_office = 1';
-        let params = [];
-        
-        if (state) {
-            query += ' AND state = ?';
-            params.push(state.toUpperCase());
-        }
-        if (party) {
-            query += ' AND party = ?';
-            params.push(party.toUpperCase());
+// ============= USER ALERTS =============
+
+// Validates alert fields from a create (all required) or update (all optional) body
+function parseAlertBody(body, partial = false) {
+    const alert = {};
+    if (body.name !== undefined) alert.name = sanitizeInput(String(body.name));
+    if (body.alert_type !== undefined || !partial) {
+        alert.alert_type = body.alert_type || 'all';
+        if (!ALERT_TYPES[alert.alert_type]) {
+            throw new Error(`alert_type must be one of: ${Object.keys(ALERT_TYPES).join(', ')}`);
         }
-        if (chamber) {
-            query += ' AND chamber = ?';
-            params.push(chamber.toLowerCase());
+    }
+    if (body.keywords !== undefined || !partial) {
+        alert.keywords = typeof body.keywords === 'string' ? body.keywords.trim().substring(0, 200) : '';
+        if (!buildMatchQuery(alert.keywords)) {
+            throw new Error('keywords must contain at least one search term');
         }
-        if (search || keyword) {
-            const searchTerm = search || keyword;
-            query += ' AND (first_name LIKE ? OR last_name LIKE ? OR party LIKE ? OR chamber LIKE ?)';
-            const searchPattern = `%${searchTerm}%`;
-            params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+    }
+    if (body.frequency !== undefined || !partial) {
+        alert.frequency = body.frequency || 'daily';
+        if (!(alert.frequency in ALERT_FREQUENCIES)) {
+            throw new Error(`frequency must be one of: ${Object.keys(ALERT_FREQUENCIES).join(', ')}`);
         }
-        
-        query += ' ORDER BY last_name, first_name LIMIT ?';
-        params.push(limit);
-        
-        db.all(query, params, (err, rows) => {
-            if (err) {
-                console.error('Database error:', err);
-                return res.status(500).json({ error: 'Database error' });
-            }
-            res.json(rows || []);
-        });
-    } catch (error) {
-        console.error('Congress API error:', error);
-        res.status(500).json({ error: 'Internal server error' });
     }
-});
+    if (body.is_active !== undefined) alert.is_active = body.is_active ? 1 : 0;
+    return alert;
+}
 
-// Recent bills and legislation
-app.get('/api/legislation/bills', (req, res) => {
-    const { status, subject, sponsor, bill_type, congress, keyword, limit = 50 } = req.query;
-    let query = 'SELECT * FROM bills WHERE 1=1';
-    let params = [];
-    
-    if (status) {
-        query += ' AND status = ?';
-        params.push(status);
+async function findUserAlert(req) {
+    return dbGet(db, 'SELECT * FROM user_alerts WHERE id = ? AND user_id = ?', [req.params.id, req.user.userId]);
+}
+
+// Turn alert digest emails on or off for the signed-in user
+app.put('/api/alerts/email', authenticateToken, async (req, res) => {
+    if (typeof req.body?.alerts_enabled !== 'boolean') {
+        return res.status(400).json({ error: 'alerts_enabled must be true or false' });
     }
-    if (subject) {
-        query += ' AND subjects LIKE ?';
-        params.push(`%${subject}%`);
+    try {
+        await dbRun(db, 'UPDATE users SET alerts_enabled = ? WHERE id = ?',
+            [req.body.alerts_enabled ? 1 : 0, req.user.userId]);
+        res.json({ alerts_enabled: req.body.alerts_enabled });
+    } catch (error) {
+        console.error('Alert email settings error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
-    if (sponsor) {
-        query += ' AND sponsor_id = ?';
-        params.push(sponsor);
+});
+
+const unsubscribePage = body => `<!DOCTYPE html><html><body style="font-family: Arial, sans-serif; padding: 40px;">
+    <h2>🏛️ Government Watchdog</h2>${body}</body></html>`;
+
+// Unsubscribe links from digest emails: all alert email, or a single alert. GET only shows a
+// confirmation form, so link scanners and prefetchers cannot unsubscribe anyone; the form and
+// one-click unsubscribe (RFC 8058) from mail clients POST to the same URL.
+app.get('/api/unsubscribe/:token', (req, res) => {
+    const target = UNSUBSCRIBE_SECRET && verifyUnsubscribeToken(UNSUBSCRIBE_SECRET, req.params.token);
+    if (!target) {
+        return res.status(400).json({ error: 'Invalid unsubscribe link' });
     }
-    if (bill_type) {
-        query += ' AND bill_type = ?';
-        params.push(bill_type.toLowerCase());
+    const question = target.alertId
+        ? 'Stop receiving emails about this alert?'
+        : 'Stop receiving all alert emails?';
+    res.send(unsubscribePage(`<p>${question}</p>
+        <form method="post"><button type="submit">Unsubscribe</button></form>`));
+});
+
+app.post('/api/unsubscribe/:token', async (req, res) => {
+    const target = UNSUBSCRIBE_SECRET && verifyUnsubscribeToken(UNSUBSCRIBE_SECRET, req.params.token);
+    if (!target) {
+        return res.status(400).json({ error: 'Invalid unsubscribe link' });
     }
-    if (congress) {
-        query += ' AND congress = ?';
-        params.push(parseInt(congress));
+
+    try {
+        const result = target.alertId
+            ? await dbRun(db, 'UPDATE user_alerts SET is_active = 0 WHERE id = ? AND user_id = ?',
+                [target.alertId, target.userId])
+            : await dbRun(db, 'UPDATE users SET alerts_enabled = 0 WHERE id = ?', [target.userId]);
+        if (!result.changes) {
+            return res.status(404).json({ error: target.alertId ? 'Alert not found' : 'User not found' });
+        }
+
+        const message = target.alertId
+            ? 'This alert has been turned off. You will no longer receive emails about it.'
+            : 'You have been unsubscribed from all alert emails.';
+        // The confirmation form gets a page; mail clients and API callers get JSON
+        if (req.accepts(['json', 'html']) === 'html') {
+            return res.send(unsubscribePage(`<p>${message}</p>`));
+        }
+        res.json({ success: true, message });
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
-    if (keyword) {
-        query += ' AND (title LIKE ? OR summary LIKE ? OR bill_id LIKE ? OR subjects LIKE ?)';
-        const keywordPattern = `%${keyword}%`;
-        params.push(keywordPattern, keywordPattern, keywordPattern, keywordPattern);
+});
+
+// List the signed-in user's alerts with hit counts
+app.get('/api/alerts', authenticateToken, async (req, res) => {
+    try {
+        const alerts = await dbAll(db, `SELECT user_alerts.*, COUNT(alert_hits.id) AS hit_count
+            FROM user_alerts LEFT JOIN alert_hits ON alert_hits.alert_id = user_alerts.id
+            WHERE user_alerts.user_id = ?
+            GROUP BY user_alerts.id ORDER BY user_alerts.id DESC`, [req.user.userId]);
+        res.json({ data: alerts, total: alerts.length });
+    } catch (error) {
+        console.error('Alerts list error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
-    
-    query += ' ORDER BY introduced_date DESC LIMIT ?';
-    params.push(parseInt(limit));
-    
-    db.all(query, params, (err, rows) => {
-        if (err) return res.status(500).json({ error: 'Database error' });
-        res.json(rows);
-    });
 });
 
-// Federal spending search
-app.get('/api/spending', (req, res) => {
-    const { agency, recipient, min_amount, fiscal_year, state, keyword, limit = 100 } = req.query;
-    let query = 'SELECT * FROM federal_spending WHERE 1=1';
-    let params = [];
+// Create an alert
+app.post('/api/alerts', authenticateToken, async (req, res) => {
+    let alert;
+    try {
+        alert = parseAlertBody(req.body || {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await dbRun(db, `INSERT INTO user_alerts
+            (user_id, name, alert_type, keywords, frequency, is_active, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [req.user.userId, alert.name || alert.keywords, alert.alert_type, alert.keywords, alert.frequency,
+             alert.is_active ?? 1]);
+        res.status(201).json(await dbGet(db, 'SELECT * FROM user_alerts WHERE id = ?', [result.lastID]));
+    } catch (error) {
+        console.error('Alert create error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// One alert with its most recent hits
+app.get('/api/alerts/:id', authenticateToken, async (req, res) => {
+    try {
+        const alert = await findUserAlert(req);
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        const hits = await dbAll(db, `SELECT * FROM alert_hits WHERE alert_id = ?
+            ORDER BY matched_at DESC, id DESC LIMIT 20`, [alert.id]);
+        res.json({ ...alert, recent_hits: hits });
+    } catch (error) {
+        console.error('Alert detail error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Paginated hits for one alert
+app.get('/api/alerts/:id/hits', authenticateToken, async (req, res) => {
+    try {
+        const alert = await findUserAlert(req);
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        const list = parseListParams(req.query, {
+            sortFields: { matched_at: 'matched_at' },
+            defaultSort: 'matched_at',
+            tiebreaker: 'id DESC'
+        });
+        const params = [alert.id];
+        const filters = {};
+        let from = 'FROM alert_hits WHERE alert_id = ?';
+        if (req.query.data_source) {
+            from += ' AND data_source = ?';
+            params.push(req.query.data_source);
+            filters.data_source = req.query.data_source;
+        }
+        res.json(await paginate(db, { select: '*', from, params, list, filters }));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Alert hits error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Update an alert's name, type, keywords, frequency or active flag
+app.put('/api/alerts/:id', authenticateToken, async (req, res) => {
+    let changes;
+    try {
+        changes = parseAlertBody(req.body || {}, true);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (!Object.keys(changes).length) {
+        return res.status(400).json({ error: 'No alert fields to update' });
+    }
+
+    try {
+        const alert = await findUserAlert(req);
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        const columns = Object.keys(changes);
+        await dbRun(db, `UPDATE user_alerts SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => changes[column]), alert.id]);
+        res.json(await dbGet(db, 'SELECT * FROM user_alerts WHERE id = ?', [alert.id]));
+    } catch (error) {
+        console.error('Alert update error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Delete an alert and its hits
+app.delete('/api/alerts/:id', authenticateToken, async (req, res) => {
+    try {
+        const alert = await findUserAlert(req);
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        await dbRun(db, 'DELETE FROM alert_hits WHERE alert_id = ?', [alert.id]);
+        await dbRun(db, 'DELETE FROM user_alerts WHERE id = ?', [alert.id]);
+        res.json({ success: true, id: alert.id });
+    } catch (error) {
+        console.error('Alert delete error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// ============= WEBHOOKS =============
+
+// Validates webhook fields from a create (url and events required) or update (all optional) body;
+// URLs must point at a public host
+async function parseWebhookBody(body, partial = false) {
+    const webhook = {};
+    if (body.url !== undefined || !partial) {
+        let url;
+        try {
+            url = new URL(String(body.url || ''));
+        } catch {
+            throw new Error('url must be a valid http or https URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('url must be a valid http or https URL');
+        }
+        try {
+            await checkWebhookUrl(url.toString());
+        } catch (error) {
+            throw new Error(`url must point at a public host: ${error.message}`);
+        }
+        webhook.url = url.toString();
+    }
+    if (body.events !== undefined || !partial) {
+        const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+        if (!events.length || events.some(event => !WEBHOOK_EVENTS[event])) {
+            throw new Error(`events must be a list of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+        }
+        webhook.events = JSON.stringify(events);
+    }
+    if (body.min_award_amount !== undefined) {
+        const amount = body.min_award_amount === null ? null : parseFloat(body.min_award_amount);
+        if (amount !== null && !(amount >= 0)) {
+            throw new Error('min_award_amount must be a non-negative number');
+        }
+        webhook.min_award_amount = amount;
+    }
+    if (body.description !== undefined) webhook.description = sanitizeInput(String(body.description));
+    if (body.is_active !== undefined) webhook.is_active = body.is_active ? 1 : 0;
+    return webhook;
+}
+
+// Webhooks as returned by the API: events parsed, secret only shown when created
+function formatWebhook({ secret, ...webhook }, includeSecret = false) {
+    return { ...webhook, events: JSON.parse(webhook.events || '[]'), ...(includeSecret && { secret }) };
+}
+
+async function findUserWebhook(req) {
+    return dbGet(db, 'SELECT * FROM webhooks WHERE id = ? AND user_id = ?', [req.params.id, req.user.userId]);
+}
+
+// Event types webhooks can subscribe to
+app.get('/api/webhooks/events', (req, res) => {
+    res.json({ data: Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description })) });
+});
+
+// List the signed-in user's webhooks with delivery counts
+app.get('/api/webhooks', authenticateToken, async (req, res) => {
+    try {
+        const webhooks = await dbAll(db, `SELECT webhooks.*,
+                COUNT(webhook_deliveries.id) AS delivery_count,
+                SUM(webhook_deliveries.status = 'failed') AS failed_count,
+                MAX(webhook_deliveries.delivered_at) AS last_delivered_at
+            FROM webhooks LEFT JOIN webhook_deliveries ON webhook_deliveries.webhook_id = webhooks.id
+            WHERE webhooks.user_id = ?
+            GROUP BY webhooks.id ORDER BY webhooks.id DESC`, [req.user.userId]);
+        res.json({ data: webhooks.map(webhook => formatWebhook(webhook)), total: webhooks.length });
+    } catch (error) {
+        console.error('Webhooks list error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Register a webhook; the signing secret is only returned here
+app.post('/api/webhooks', authenticateToken, async (req, res) => {
+    let webhook;
+    try {
+        webhook = await parseWebhookBody(req.body || {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await dbRun(db, `INSERT INTO webhooks
+            (user_id, url, description, events, min_award_amount, secret, is_active)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.userId, webhook.url, webhook.description || null, webhook.events,
+             webhook.min_award_amount ?? null, generateWebhookSecret(), webhook.is_active ?? 1]);
+        const created = await dbGet(db, 'SELECT * FROM webhooks WHERE id = ?', [result.lastID]);
+        res.status(201).json(formatWebhook(created, true));
+    } catch (error) {
+        console.error('Webhook create error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// One webhook with its most recent deliveries
+app.get('/api/webhooks/:id', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await findUserWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const deliveries = await dbAll(db, `SELECT id, delivery_id, event_type, entity_id, status, attempts,
+                response_status, error, created_at, delivered_at, next_attempt_at
+            FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT 20`, [webhook.id]);
+        res.json({ ...formatWebhook(webhook), recent_deliveries: deliveries });
+    } catch (error) {
+        console.error('Webhook detail error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Paginated delivery log for one webhook, optionally filtered by status or event
+app.get('/api/webhooks/:id/deliveries', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await findUserWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const list = parseListParams(req.query, {
+            sortFields: { created_at: 'created_at' },
+            defaultSort: 'created_at',
+            tiebreaker: 'id DESC'
+        });
+        const params = [webhook.id];
+        const filters = {};
+        let from = 'FROM webhook_deliveries WHERE webhook_id = ?';
+        if (req.query.status) {
+            from += ' AND status = ?';
+            params.push(req.query.status);
+            filters.status = req.query.status;
+        }
+        if (req.query.event) {
+            from += ' AND event_type = ?';
+            params.push(req.query.event);
+            filters.event = req.query.event;
+        }
+        const select = `id, delivery_id, webhook_id, event_type, entity_id, payload, status, attempts, max_attempts,
+            response_status, error, duration_ms, created_at, last_attempt_at, next_attempt_at, delivered_at`;
+        res.json(await paginate(db, { select, from, params, list, filters }));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Webhook deliveries error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Send a signed ping to the webhook now and return the delivery result
+app.post('/api/webhooks/:id/test', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await findUserWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const delivery = await webhookDispatcher.testFire(webhook);
+        res.json({ success: delivery.status === 'succeeded', delivery });
+    } catch (error) {
+        console.error('Webhook test error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Update a webhook's URL, events, award threshold, description or active flag
+app.put('/api/webhooks/:id', authenticateToken, async (req, res) => {
+    let changes;
+    try {
+        changes = await parseWebhookBody(req.body || {}, true);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (!Object.keys(changes).length) {
+        return res.status(400).json({ error: 'No webhook fields to update' });
+    }
+
+    try {
+        const webhook = await findUserWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const columns = Object.keys(changes);
+        await dbRun(db, `UPDATE webhooks SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => changes[column]), webhook.id]);
+        res.json(formatWebhook(await dbGet(db, 'SELECT * FROM webhooks WHERE id = ?', [webhook.id])));
+    } catch (error) {
+        console.error('Webhook update error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Delete a webhook and its delivery log
+app.delete('/api/webhooks/:id', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await findUserWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        await dbRun(db, 'DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhook.id]);
+        await dbRun(db, 'DELETE FROM webhooks WHERE id = ?', [webhook.id]);
+        res.json({ success: true, id: webhook.id });
+    } catch (error) {
+        console.error('Webhook delete error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Filters shared by the roll-call list and member voting record endpoints
+const VOTE_SORT_FIELDS = { date: 'votes.date_time', roll_call: 'votes.roll_call', congress: 'votes.congress' };
+
+function applyVoteFilters(query, from, params, filters) {
+    const { chamber, congress, session, bill_id, from_date, to_date, keyword } = query;
+    if (chamber) {
+        from += ' AND votes.chamber = ?';
+        params.push(chamber.toLowerCase());
+        filters.chamber = chamber.toLowerCase();
+    }
+    if (congress && parseInt(congress)) {
+        from += ' AND votes.congress = ?';
+        params.push(parseInt(congress));
+        filters.congress = parseInt(congress);
+    }
+    if (session && parseInt(session)) {
+        from += ' AND votes.session = ?';
+        params.push(parseInt(session));
+        filters.session = parseInt(session);
+    }
+    if (bill_id) {
+        from += ' AND votes.bill_id = ?';
+        params.push(bill_id.toLowerCase());
+        filters.bill_id = bill_id.toLowerCase();
+    }
+    // date_time may carry a time of day, so both bounds compare calendar dates
+    if (from_date) {
+        from += ' AND date(votes.date_time) >= date(?)';
+        params.push(from_date);
+        filters.from_date = from_date;
+    }
+    if (to_date) {
+        from += ' AND date(votes.date_time) <= date(?)';
+        params.push(to_date);
+        filters.to_date = to_date;
+    }
+    if (keyword) {
+        from += ' AND (votes.question LIKE ? OR votes.description LIKE ?)';
+        params.push(`%${keyword}%`, `%${keyword}%`);
+        filters.keyword = keyword;
+    }
+    return from;
+}
+
+// Congress and date range for member statistics; dates must be YYYY-MM-DD
+function parseVoteScope(query) {
+    const scope = {};
+    if (query.congress && parseInt(query.congress)) scope.congress = parseInt(query.congress);
+    ['from_date', 'to_date'].forEach(key => {
+        if (!query[key]) return;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+            const error = new Error(`${key} must be YYYY-MM-DD`);
+            error.status = 400;
+            throw error;
+        }
+        scope[key] = query[key];
+    });
+    return scope;
+}
+
+// Congressional members search - SECURED
+app.get('/api/congress/members', async (req, res) => {
+    try {
+        const state = validateState(req.query.state);
+        const party = sanitizeInput(req.query.party);
+        const chamber = sanitizeInput(req.query.chamber);
+        const search = sanitizeInput(req.query.search);
+        const keyword = sanitizeInput(req.query.keyword);
+        const list = parseListParams(req.query, {
+            sortFields: { name: 'last_name COLLATE NOCASE', state: 'state', party: 'party', chamber: 'chamber' },
+            defaultSort: 'name',
+            defaultOrder: 'asc',
+            tiebreaker: 'first_name, bioguide_id'
+        });
+        
+        let from = 'FROM congress_members WHERE in_office = 1';
+        let params = [];
+        const filters = {};
+        
+        if (state) {
+            from += ' AND state = ?';
+            params.push(state.toUpperCase());
+            filters.state = state.toUpperCase();
+        }
+        if (party) {
+            from += ' AND party = ?';
+            params.push(party.toUpperCase());
+            filters.party = party.toUpperCase();
+        }
+        if (chamber) {
+            from += ' AND chamber = ?';
+            params.push(chamber.toLowerCase());
+            filters.chamber = chamber.toLowerCase();
+        }
+        if (search || keyword) {
+            const searchTerm = search || keyword;
+            from += ' AND (first_name LIKE ? OR last_name LIKE ? OR party LIKE ? OR chamber LIKE ?)';
+            const searchPattern = `%${searchTerm}%`;
+            params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+            filters.keyword = searchTerm;
+        }
+        
+        res.json(await paginate(db, { select: '*', from, params, list, filters }));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Congress API error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// A member's roll-call voting record
+app.get('/api/congress/members/:id/votes', async (req, res) => {
+    try {
+        const member = await dbGet(db, 'SELECT bioguide_id FROM congress_members WHERE bioguide_id = ?',
+            [req.params.id]);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const list = parseListParams(req.query, {
+            sortFields: VOTE_SORT_FIELDS,
+            defaultSort: 'date',
+            tiebreaker: 'votes.vote_id'
+        });
+        const params = [member.bioguide_id];
+        const filters = {};
+        let from = applyVoteFilters(req.query,
+            `FROM member_votes JOIN votes ON votes.vote_id = member_votes.vote_id
+             WHERE member_votes.member_id = ?`, params, filters);
+        if (req.query.position) {
+            from += ' AND member_votes.vote_position = ?';
+            params.push(req.query.position);
+            filters.position = req.query.position;
+        }
+
+        res.json(await paginate(db, { select: 'votes.*, member_votes.vote_position', from, params, list, filters }));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Member votes error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+const MEMBER_SUMMARY_COLUMNS = 'bioguide_id, first_name, last_name, party, state, chamber, district, in_office';
+
+// Missed-vote percentage and party-unity score for one member
+app.get('/api/congress/members/:id/stats', async (req, res) => {
+    try {
+        const scope = parseVoteScope(req.query);
+        const member = await dbGet(db, `SELECT ${MEMBER_SUMMARY_COLUMNS} FROM congress_members WHERE bioguide_id = ?`,
+            [req.params.id]);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        res.json({ member, filters: scope, ...await memberStats(db, member.bioguide_id, scope) });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Member stats error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Pairwise voting agreement between two members
+app.get('/api/congress/compare', async (req, res) => {
+    const { a, b } = req.query;
+    if (!a || !b) {
+        return res.status(400).json({ error: 'Both member IDs are required: a and b' });
+    }
+
+    try {
+        const scope = parseVoteScope(req.query);
+        const [memberA, memberB] = await Promise.all([a, b].map(id =>
+            dbGet(db, `SELECT ${MEMBER_SUMMARY_COLUMNS} FROM congress_members WHERE bioguide_id = ?`, [id])));
+        if (!memberA || !memberB) {
+            return res.status(404).json({ error: `Member not found: ${!memberA ? a : b}` });
+        }
+
+        res.json({ a: memberA, b: memberB, filters: scope, ...await agreement(db, a, b, scope) });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Member compare error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// A member's campaign finance summaries across cycles and FEC candidacies
+app.get('/api/congress/members/:id/finance', async (req, res) => {
+    try {
+        const member = await dbGet(db, `SELECT ${MEMBER_SUMMARY_COLUMNS} FROM congress_members WHERE bioguide_id = ?`,
+            [req.params.id]);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const [fecIds, cycles] = await Promise.all([
+            dbAll(db, 'SELECT fec_id FROM member_fec_ids WHERE bioguide_id = ? ORDER BY fec_id', [member.bioguide_id]),
+            dbAll(db, `SELECT campaign_finance.* FROM campaign_finance
+                JOIN member_fec_ids ON member_fec_ids.fec_id = campaign_finance.candidate_id
+                WHERE member_fec_ids.bioguide_id = ?
+                ORDER BY campaign_finance.cycle DESC, campaign_finance.total_receipts DESC`, [member.bioguide_id])
+        ]);
+
+        res.json({ member, fec_ids: fecIds.map(row => row.fec_id), cycles });
+    } catch (error) {
+        console.error('Member finance error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Bills a member sponsored or cosponsored (role=sponsor|cosponsor), newest first
+app.get('/api/congress/members/:id/bills', async (req, res) => {
+    try {
+        const member = await dbGet(db, 'SELECT bioguide_id FROM congress_members WHERE bioguide_id = ?',
+            [req.params.id]);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const list = parseListParams(req.query, {
+            sortFields: {
+                introduced_date: 'member_bills.introduced_date',
+                latest_action_date: 'member_bills.latest_action_date',
+                sponsorship_date: 'member_bills.sponsorship_date',
+                congress: 'member_bills.congress'
+            },
+            defaultSort: 'introduced_date',
+            tiebreaker: 'member_bills.bill_id'
+        });
+        const params = [member.bioguide_id, member.bioguide_id];
+        const filters = {};
+        let from = `FROM (
+                SELECT bills.*, 'sponsor' AS role, introduced_date AS sponsorship_date, 1 AS is_original,
+                    NULL AS withdrawn_date
+                FROM bills WHERE sponsor_id = ?
+                UNION ALL
+                SELECT bills.*, 'cosponsor', bill_cosponsors.sponsorship_date, bill_cosponsors.is_original,
+                    bill_cosponsors.withdrawn_date
+                FROM bill_cosponsors JOIN bills ON bills.bill_id = bill_cosponsors.bill_id
+                WHERE bill_cosponsors.bioguide_id = ?
+            ) member_bills WHERE 1=1`;
+        if (req.query.role) {
+            if (!['sponsor', 'cosponsor'].includes(req.query.role)) {
+                return res.status(400).json({ error: 'role must be sponsor or cosponsor' });
+            }
+            from += ' AND role = ?';
+            params.push(req.query.role);
+            filters.role = req.query.role;
+        }
+        if (req.query.congress && parseInt(req.query.congress)) {
+            from += ' AND congress = ?';
+            params.push(parseInt(req.query.congress));
+            filters.congress = parseInt(req.query.congress);
+        }
+        if (req.query.status) {
+            from += ' AND status = ?';
+            params.push(req.query.status);
+            filters.status = req.query.status;
+        }
+
+        const [page, counts] = await Promise.all([
+            paginate(db, { select: 'member_bills.*', from, params, list, filters }),
+            dbGet(db, `SELECT (SELECT COUNT(*) FROM bills WHERE sponsor_id = ?) AS sponsored,
+                    (SELECT COUNT(*) FROM bill_cosponsors WHERE bioguide_id = ?) AS cosponsored`,
+                [member.bioguide_id, member.bioguide_id])
+        ]);
+        res.json({ ...page, counts });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Member bills error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// LD-203 contributions whose honoree is this member, with the registrants giving the most
+app.get('/api/congress/members/:id/lobbyist-contributions', async (req, res) => {
+    try {
+        const member = await dbGet(db, `SELECT ${MEMBER_SUMMARY_COLUMNS} FROM congress_members WHERE bioguide_id = ?`,
+            [req.params.id]);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const list = parseListParams(req.query, {
+            sortFields: LOBBYIST_CONTRIBUTION_SORTS,
+            defaultSort: 'date',
+            tiebreaker: 'lobbying_contributions.id'
+        });
+        const { from, params, filters } = lobbyistContributionQuery({ ...req.query, member: member.bioguide_id });
+        delete filters.member;
+        const [page, totals, registrants] = await Promise.all([
+            paginate(db, { select: LOBBYIST_CONTRIBUTION_COLUMNS, from, params, list, filters }),
+            dbGet(db, `SELECT COALESCE(SUM(lobbying_contributions.amount), 0) AS amount,
+                    COUNT(DISTINCT COALESCE(lobbying_contributions.lobbyist_name,
+                        lobbying_contributions.registrant_name)) AS contributors ${from}`, params),
+            dbAll(db, `SELECT lobbying_contributions.registrant_id, lobbying_contributions.registrant_name,
+                    SUM(lobbying_contributions.amount) AS amount, COUNT(*) AS contributions ${from}
+                GROUP BY lobbying_contributions.registrant_id ORDER BY amount DESC LIMIT 10`, params)
+        ]);
+        res.json({ member, ...page, totals, top_registrants: registrants });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Member lobbyist contributions error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// A member's committee and subcommittee seats, subcommittees grouped under their committee
+app.get('/api/congress/members/:id/committees', async (req, res) => {
+    try {
+        const member = await dbGet(db, `SELECT ${MEMBER_SUMMARY_COLUMNS} FROM congress_members WHERE bioguide_id = ?`,
+            [req.params.id]);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const [seats, subcommitteeSeats] = await Promise.all([
+            dbAll(db, `SELECT committees.committee_id, committees.name, committees.chamber,
+                    committee_memberships.side, committee_memberships.rank, committee_memberships.title,
+                    committee_memberships.role
+                FROM committee_memberships JOIN committees
+                    ON committees.committee_id = committee_memberships.committee_id
+                WHERE committee_memberships.bioguide_id = ? ORDER BY committees.name`, [member.bioguide_id]),
+            dbAll(db, `SELECT subcommittees.subcommittee_id, subcommittees.name, subcommittees.committee_id,
+                    committees.name AS committee_name, committees.chamber, committee_memberships.side,
+                    committee_memberships.rank, committee_memberships.title, committee_memberships.role
+                FROM committee_memberships
+                JOIN subcommittees ON subcommittees.subcommittee_id = committee_memberships.committee_id
+                JOIN committees ON committees.committee_id = subcommittees.committee_id
+                WHERE committee_memberships.bioguide_id = ? ORDER BY subcommittees.name`, [member.bioguide_id])
+        ]);
+
+        // Ex officio subcommittee seats can come without a seat on the full committee
+        const committees = new Map(seats.map(seat => [seat.committee_id, { ...seat, subcommittees: [] }]));
+        for (const { committee_id: committeeId, committee_name: committeeName, chamber, ...seat } of subcommitteeSeats) {
+            if (!committees.has(committeeId)) {
+                committees.set(committeeId, {
+                    committee_id: committeeId, name: committeeName, chamber, side: null, rank: null, title: null,
+                    role: null, subcommittees: []
+                });
+            }
+            committees.get(committeeId).subcommittees.push(seat);
+        }
+
+        res.json({ member, committees: [...committees.values()] });
+    } catch (error) {
+        console.error('Member committees error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Sort keys are selected next to the row, so the member count sort repeats the expression rather than its alias
+const COMMITTEE_MEMBER_COUNT = `(SELECT COUNT(*) FROM committee_memberships
+    WHERE committee_memberships.committee_id = committees.committee_id)`;
+
+// Congressional committees (chamber=house|senate|joint, q= name search)
+app.get('/api/committees', async (req, res) => {
+    try {
+        const list = parseListParams(req.query, {
+            sortFields: { name: 'committees.name', chamber: 'committees.chamber', members: COMMITTEE_MEMBER_COUNT },
+            defaultSort: 'name',
+            defaultOrder: 'asc',
+            tiebreaker: 'committees.committee_id'
+        });
+        const params = [];
+        const filters = {};
+        let from = 'FROM committees WHERE 1=1';
+        if (req.query.chamber) {
+            const chamber = String(req.query.chamber).toLowerCase();
+            if (!['house', 'senate', 'joint'].includes(chamber)) {
+                return res.status(400).json({ error: 'chamber must be house, senate or joint' });
+            }
+            from += ' AND chamber = ?';
+            params.push(chamber);
+            filters.chamber = chamber;
+        }
+        if (req.query.q) {
+            from += ' AND name LIKE ?';
+            params.push(`%${req.query.q}%`);
+            filters.q = req.query.q;
+        }
+
+        res.json(await paginate(db, {
+            select: `committees.*,
+                (SELECT COUNT(*) FROM subcommittees
+                    WHERE subcommittees.committee_id = committees.committee_id) AS subcommittee_count,
+                ${COMMITTEE_MEMBER_COUNT} AS member_count`,
+            from,
+            params,
+            list,
+            filters
+        }));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Committees error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// A committee or subcommittee by id (HSJU, HSJU01) or BILLSTATUS system code (hsju00, hsju01):
+// roster with chair and ranking member, subcommittees, and the bills referred to it
+app.get('/api/committees/:id', async (req, res) => {
+    const id = String(req.params.id);
+    try {
+        let committee = await dbGet(db, `SELECT 'committee' AS type, committees.* FROM committees
+            WHERE committee_id = ? OR system_code = ?`, [id.toUpperCase(), id.toLowerCase()]);
+        if (!committee) {
+            committee = await dbGet(db, `SELECT 'subcommittee' AS type, subcommittees.*,
+                    committees.chamber, committees.name AS committee_name
+                FROM subcommittees JOIN committees ON committees.committee_id = subcommittees.committee_id
+                WHERE subcommittee_id = ? OR subcommittees.system_code = ?`, [id.toUpperCase(), id.toLowerCase()]);
+        }
+        if (!committee) {
+            return res.status(404).json({ error: 'Committee not found' });
+        }
+
+        const rosterId = committee.subcommittee_id || committee.committee_id;
+        const congress = parseInt(req.query.congress) || null;
+        const [members, subcommittees, referredBills] = await Promise.all([
+            dbAll(db, `SELECT committee_memberships.bioguide_id, committee_memberships.name, committee_memberships.side,
+                    committee_memberships.rank, committee_memberships.title, committee_memberships.role,
+                    congress_members.first_name, congress_members.last_name, congress_members.party,
+                    congress_members.state, congress_members.district
+                FROM committee_memberships
+                LEFT JOIN congress_members ON congress_members.bioguide_id = committee_memberships.bioguide_id
+                WHERE committee_memberships.committee_id = ?
+                ORDER BY committee_memberships.side = 'minority', committee_memberships.rank,
+                    committee_memberships.name`, [rosterId]),
+            committee.type === 'committee'
+                ? dbAll(db, `SELECT subcommittees.subcommittee_id, subcommittees.name, subcommittees.system_code,
+                        (SELECT COUNT(*) FROM committee_memberships
+                            WHERE committee_memberships.committee_id = subcommittees.subcommittee_id) AS member_count
+                    FROM subcommittees WHERE committee_id = ? ORDER BY subcommittee_id`, [committee.committee_id])
+                : [],
+            dbAll(db, `SELECT bills.bill_id, bills.congress, bills.bill_type, bills.number, bills.title, bills.status,
+                    bills.sponsor_id, MIN(bill_committees.activity_date) AS referred_date
+                FROM bill_committees JOIN bills ON bills.bill_id = bill_committees.bill_id
+                WHERE bill_committees.committee_code = ? AND bill_committees.activity LIKE 'Referred%'
+                    ${congress ? 'AND bills.congress = ?' : ''}
+                GROUP BY bills.bill_id ORDER BY referred_date DESC, bills.bill_id`,
+                congress ? [committee.system_code, congress] : [committee.system_code])
+        ]);
+
+        res.json({
+            ...committee,
+            chair: members.find(member => member.role === 'chair') || null,
+            ranking_member: members.find(member => member.role === 'ranking_member') || null,
+            members,
+            ...(committee.type === 'committee' && { subcommittees }),
+            referred_bills: referredBills
+        });
+    } catch (error) {
+        console.error('Committee detail error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// ============= HEARINGS =============
+
+const HEARING_FILTERS = ['from_date', 'to_date', 'committee', 'bill', 'chamber', 'type', 'status'];
+const HEARING_TYPES = ['hearing', 'markup', 'meeting'];
+const HEARING_SELECT = `hearings.*, (SELECT GROUP_CONCAT(bill_id, ', ') FROM hearing_bills
+    WHERE hearing_bills.hearing_id = hearings.hearing_id) AS bill_ids`;
+
+// Calendar feeds reach back this far so recent hearings stay on subscribers' calendars
+const FEED_LOOKBACK_DAYS = 90;
+const FEED_MAX_EVENTS = 500;
+
+// Builds the WHERE clause for /api/hearings and saved feeds from their filter params.
+// committee matches a committee and its subcommittees; system codes (hsju00) work too.
+function hearingQuery(query) {
+    const fail = message => {
+        const error = new Error(message);
+        error.status = 400;
+        throw error;
+    };
+    const params = [];
+    const filters = {};
+    let from = 'FROM hearings WHERE 1=1';
+
+    for (const key of ['from_date', 'to_date']) {
+        if (!query[key]) continue;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(query[key])) fail(`${key} must be YYYY-MM-DD`);
+        from += ` AND hearing_date ${key === 'from_date' ? '>=' : '<='} ?`;
+        params.push(query[key]);
+        filters[key] = query[key];
+    }
+    if (query.committee) {
+        const code = String(query.committee).toUpperCase();
+        const committee = /^[A-Z]{4}00$/.test(code) ? code.slice(0, 4) : code;
+        from += ' AND (committee_id = ? OR subcommittee_id = ?)';
+        params.push(committee, committee);
+        filters.committee = committee;
+    }
+    if (query.bill) {
+        const billId = String(query.bill).toLowerCase();
+        from += ` AND EXISTS (SELECT 1 FROM hearing_bills
+            WHERE hearing_bills.hearing_id = hearings.hearing_id AND hearing_bills.bill_id = ?)`;
+        params.push(billId);
+        filters.bill = billId;
+    }
+    if (query.chamber) {
+        if (!['house', 'senate'].includes(query.chamber)) fail('chamber must be house or senate');
+        from += ' AND chamber = ?';
+        params.push(query.chamber);
+        filters.chamber = query.chamber;
+    }
+    if (query.type) {
+        if (!HEARING_TYPES.includes(query.type)) fail(`type must be one of: ${HEARING_TYPES.join(', ')}`);
+        from += ' AND meeting_type = ?';
+        params.push(query.type);
+        filters.type = query.type;
+    }
+    if (query.status) {
+        from += ' AND status = ?';
+        params.push(query.status);
+        filters.status = query.status;
+    }
+    return { from, params, filters };
+}
+
+const formatHearing = hearing => ({ ...hearing, bill_ids: hearing.bill_ids ? hearing.bill_ids.split(', ') : [] });
+
+// Hearings and markups (from_date, to_date, committee, bill, chamber, type, status), soonest first
+app.get('/api/hearings', async (req, res) => {
+    try {
+        const list = parseListParams(req.query, {
+            sortFields: { start_time: 'hearings.start_time', updated_at: 'hearings.updated_at' },
+            defaultSort: 'start_time',
+            defaultOrder: 'asc',
+            tiebreaker: 'hearings.hearing_id'
+        });
+        const { from, params, filters } = hearingQuery(req.query);
+        const page = await paginate(db, { select: HEARING_SELECT, from, params, list, filters });
+        res.json({ ...page, data: page.data.map(formatHearing) });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Hearings error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Sends hearings matching the filters as an iCalendar feed
+async function sendHearingCalendar(req, res, name, query) {
+    const since = new Date(Date.now() - FEED_LOOKBACK_DAYS * 86400000).toISOString().slice(0, 10);
+    const { from, params } = hearingQuery({ from_date: since, ...query });
+    const hearings = await dbAll(db, `SELECT ${HEARING_SELECT} ${from} ORDER BY start_time LIMIT ?`,
+        [...params, FEED_MAX_EVENTS]);
+    res.type('text/calendar; charset=utf-8').send(buildCalendar({ name, host: req.hostname, hearings }));
+}
+
+// Subscribable calendar of one committee's hearings (subcommittees included)
+app.get('/api/committees/:id/hearings.ics', async (req, res) => {
+    try {
+        const id = String(req.params.id);
+        const committee = await dbGet(db, `SELECT committee_id AS id, name FROM committees
+                WHERE committee_id = ? OR system_code = ?
+            UNION ALL SELECT subcommittee_id, name FROM subcommittees WHERE subcommittee_id = ? OR system_code = ?`,
+            [id.toUpperCase(), id.toLowerCase(), id.toUpperCase(), id.toLowerCase()]);
+        if (!committee) {
+            return res.status(404).json({ error: 'Committee not found' });
+        }
+        await sendHearingCalendar(req, res, `${committee.name} hearings`, { committee: committee.id });
+    } catch (error) {
+        console.error('Committee calendar error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+const formatHearingFeed = feed => ({
+    ...feed,
+    filters: JSON.parse(feed.filters || '{}'),
+    url: `/api/hearings/feeds/${feed.token}.ics`
+});
+
+// The signed-in user's saved hearing feeds
+app.get('/api/hearings/feeds', authenticateToken, async (req, res) => {
+    try {
+        const feeds = await dbAll(db, 'SELECT * FROM hearing_feeds WHERE user_id = ? ORDER BY id DESC',
+            [req.user.userId]);
+        res.json({ data: feeds.map(formatHearingFeed), total: feeds.length });
+    } catch (error) {
+        console.error('Hearing feeds error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Save a hearing filter as a calendar feed: { name, committee, bill, chamber, type, status, to_date }
+app.post('/api/hearings/feeds', authenticateToken, async (req, res) => {
+    const body = req.body || {};
+    const saved = Object.fromEntries(HEARING_FILTERS
+        .filter(key => key !== 'from_date' && body[key] !== undefined && body[key] !== '')
+        .map(key => [key, String(body[key])]));
+    let filters;
+    try {
+        ({ filters } = hearingQuery(saved));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (!Object.keys(filters).length) {
+        return res.status(400).json({
+            error: `At least one filter is required: ${HEARING_FILTERS.slice(1).join(', ')}`
+        });
+    }
+
+    try {
+        const name = body.name ? sanitizeInput(String(body.name)) : Object.values(filters).join(' ');
+        const result = await dbRun(db, `INSERT INTO hearing_feeds (user_id, name, filters, token)
+            VALUES (?, ?, ?, ?)`, [req.user.userId, name, JSON.stringify(filters), generateFeedToken()]);
+        res.status(201).json(formatHearingFeed(await dbGet(db, 'SELECT * FROM hearing_feeds WHERE id = ?',
+            [result.lastID])));
+    } catch (error) {
+        console.error('Hearing feed create error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+app.delete('/api/hearings/feeds/:id', authenticateToken, async (req, res) => {
+    try {
+        const result = await dbRun(db, 'DELETE FROM hearing_feeds WHERE id = ? AND user_id = ?',
+            [req.params.id, req.user.userId]);
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Feed not found' });
+        }
+        res.json({ success: true, id: parseInt(req.params.id) });
+    } catch (error) {
+        console.error('Hearing feed delete error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// A saved feed's calendar; the token in the URL stands in for authentication
+app.get('/api/hearings/feeds/:token.ics', async (req, res) => {
+    try {
+        const feed = await dbGet(db, 'SELECT * FROM hearing_feeds WHERE token = ?', [req.params.token]);
+        if (!feed) {
+            return res.status(404).json({ error: 'Feed not found' });
+        }
+        await sendHearingCalendar(req, res, feed.name, JSON.parse(feed.filters || '{}'));
+    } catch (error) {
+        console.error('Hearing feed calendar error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Sponsor strings waiting for a member match, with the bills that use them
+app.get('/api/admin/sponsors/unresolved', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const rows = await dbAll(db, `SELECT unresolved_sponsors.*, GROUP_CONCAT(bills.bill_id) AS bill_ids
+            FROM unresolved_sponsors
+            LEFT JOIN bills ON bills.sponsor_name = unresolved_sponsors.sponsor_name
+                AND bills.congress IS unresolved_sponsors.congress AND bills.sponsor_id IS NULL
+            GROUP BY unresolved_sponsors.sponsor_name, unresolved_sponsors.congress
+            ORDER BY unresolved_sponsors.last_seen DESC, unresolved_sponsors.sponsor_name`);
+        res.json({
+            total: rows.length,
+            data: rows.map(row => ({
+                ...row,
+                candidates: JSON.parse(row.candidates || '[]'),
+                bill_ids: row.bill_ids ? row.bill_ids.split(',') : []
+            }))
+        });
+    } catch (error) {
+        console.error('Unresolved sponsors error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Maps a sponsor string to a member by hand: { sponsor_name, bioguide_id }
+app.post('/api/admin/sponsors/aliases', authenticateToken, requireAdmin, async (req, res) => {
+    const { sponsor_name: sponsorName, bioguide_id: bioguideId } = req.body;
+    if (typeof sponsorName !== 'string' || !sponsorName.trim() || typeof bioguideId !== 'string') {
+        return res.status(400).json({ error: 'sponsor_name and bioguide_id are required' });
+    }
+
+    try {
+        const member = await dbGet(db, 'SELECT bioguide_id FROM congress_members WHERE bioguide_id = ?',
+            [bioguideId]);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        const bills = await new SponsorResolver(db).addAlias(sponsorName.trim(), member.bioguide_id);
+        res.status(201).json({ sponsor_name: sponsorName.trim(), bioguide_id: member.bioguide_id, bills });
+    } catch (error) {
+        console.error('Sponsor alias error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// as_of=YYYY-MM-DD reads a list from the history tables as it stood at the end of that day.
+// History rows are not in the full-text indexes, so it cannot be combined with keyword.
+function parseAsOf(query, match) {
+    if (!query.as_of) return null;
+    const message = !/^\d{4}-\d{2}-\d{2}$/.test(query.as_of) ? 'as_of must be YYYY-MM-DD'
+        : match ? 'keyword search cannot be combined with as_of' : null;
+    if (message) {
+        const error = new Error(message);
+        error.status = 400;
+        throw error;
+    }
+    return query.as_of;
+}
+
+// Recent bills and legislation
+app.get('/api/legislation/bills', async (req, res) => {
+    const { status, subject, sponsor, bill_type, congress, keyword } = req.query;
+    const match = buildMatchQuery(keyword);
+    const keywordError = invalidKeyword(keyword, match);
+    if (keywordError) {
+        return res.status(400).json({ error: keywordError });
+    }
     
-    if (agency) {
-        query += ' AND (awarding_agency LIKE ? OR funding_agency LIKE ?)';
-        params.push(`%${agency}%`, `%${agency}%`);
+    try {
+        const list = parseListParams(req.query, {
+            sortFields: {
+                ...(match && { relevance: 'search.score' }),
+                introduced_date: 'introduced_date',
+                latest_action_date: 'latest_action_date',
+                congress: 'congress',
+                title: 'title COLLATE NOCASE'
+            },
+            defaultSort: match ? 'relevance' : 'introduced_date',
+            defaultOrder: match ? 'asc' : 'desc',
+            tiebreaker: 'bills.bill_id'
+        });
+        const asOf = parseAsOf(req.query, match);
+        
+        let from = match
+            ? `FROM bills JOIN (${searchSubquery('bills')}) search ON search.rowid = bills.rowid WHERE 1=1`
+            : `FROM ${asOf ? `${asOfSubquery('legislation')} bills` : 'bills'} WHERE 1=1`;
+        let params = match ? [match] : asOf ? [asOf, asOf] : [];
+        const filters = match ? { keyword } : asOf ? { as_of: asOf } : {};
+        
+        if (status) {
+            const normalized = normalizeStatus(status);
+            if (!normalized) {
+                return res.status(400).json({
+                    error: `status must be one of: ${Object.keys(BILL_STATUSES).join(', ')}`
+                });
+            }
+            from += ' AND status = ?';
+            params.push(normalized);
+            filters.status = normalized;
+        }
+        if (subject) {
+            from += ' AND subjects LIKE ?';
+            params.push(`%${subject}%`);
+            filters.subject = subject;
+        }
+        if (sponsor) {
+            from += ' AND sponsor_id = ?';
+            params.push(sponsor.toUpperCase());
+            filters.sponsor = sponsor;
+        }
+        if (bill_type) {
+            from += ' AND bill_type = ?';
+            params.push(bill_type.toLowerCase());
+            filters.bill_type = bill_type.toLowerCase();
+        }
+        if (congress && parseInt(congress)) {
+            from += ' AND congress = ?';
+            params.push(parseInt(congress));
+            filters.congress = parseInt(congress);
+        }
+        
+        const select = match ? 'bills.*, search.score, search.snippet' : '*';
+        res.json(await paginate(db, { select, from, params, list, filters }));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        res.status(500).json({ error: 'Database error' });
     }
-    if (recipient) {
-        query += ' AND recipient_name LIKE ?';
-        params.push(`%${recipient}%`);
+});
+
+// Every recorded version of a bill with the fields changed in each
+app.get('/api/legislation/bills/:id/history', async (req, res) => {
+    try {
+        const versions = await versionHistory(db, 'legislation', req.params.id);
+        if (!versions.length) {
+            return res.status(404).json({ error: 'No history recorded for this bill' });
+        }
+        res.json({ bill_id: req.params.id, total: versions.length, versions });
+    } catch (error) {
+        console.error('Bill history error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
-    if (min_amount) {
-        query += ' AND award_amount >= ?';
-        params.push(parseFloat(min_amount));
+});
+
+// Text versions of a bill, oldest first, with the sections of each when asked for
+async function billTextVersions(billId) {
+    return sortTextVersions(await dbAll(db, `SELECT version_code, version_name, version_date, format,
+            source_file, section_count, updated_at
+        FROM bill_text_versions WHERE bill_id = ?`, [billId]));
+}
+
+const billTextSections = (billId, versionCode) => dbAll(db, `SELECT section_key, num, heading, text
+    FROM bill_text_sections WHERE bill_id = ? AND version_code = ? ORDER BY position`, [billId, versionCode]);
+
+// One text version of a bill (?version=ih, default the latest) split into sections
+app.get('/api/legislation/bills/:id/text', async (req, res) => {
+    const billId = String(req.params.id).toLowerCase();
+    try {
+        const versions = await billTextVersions(billId);
+        if (!versions.length) {
+            return res.status(404).json({ error: 'No text versions for this bill' });
+        }
+        const code = req.query.version
+            ? String(req.query.version).toLowerCase()
+            : versions[versions.length - 1].version_code;
+        const version = versions.find(candidate => candidate.version_code === code);
+        if (!version) {
+            return res.status(404).json({ error: `Version ${code} not found` });
+        }
+
+        const [text, sections] = await Promise.all([
+            dbGet(db, 'SELECT full_text FROM bill_text_versions WHERE bill_id = ? AND version_code = ?',
+                [billId, code]),
+            billTextSections(billId, code)
+        ]);
+        res.json({ bill_id: billId, version, versions, sections, text: text.full_text });
+    } catch (error) {
+        console.error('Bill text error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
-    if (fiscal_year) {
-        query += ' AND fiscal_year = ?';
-        params.push(parseInt(fiscal_year));
+});
+
+// Section-level insertions and deletions between two text versions (?from=ih&to=eh).
+// to defaults to the latest version and from to the one before it.
+app.get('/api/legislation/bills/:id/text/diff', async (req, res) => {
+    const billId = String(req.params.id).toLowerCase();
+    try {
+        const versions = await billTextVersions(billId);
+        if (versions.length < 2) {
+            return res.status(404).json({ error: 'A bill needs two text versions to compare' });
+        }
+        const index = code => versions.findIndex(version => version.version_code === String(code).toLowerCase());
+        const toIndex = req.query.to ? index(req.query.to) : versions.length - 1;
+        const fromIndex = req.query.from ? index(req.query.from) : toIndex - 1;
+        if (toIndex === -1 || fromIndex === -1) {
+            const missing = toIndex === -1 ? req.query.to : req.query.from;
+            return res.status(404).json({ error: `Version ${missing} not found` });
+        }
+        if (fromIndex === toIndex) {
+            return res.status(400).json({ error: 'from and to must be different versions' });
+        }
+
+        const [fromSections, toSections] = await Promise.all([
+            billTextSections(billId, versions[fromIndex].version_code),
+            billTextSections(billId, versions[toIndex].version_code)
+        ]);
+        const sections = diffSections(fromSections, toSections);
+        const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+        sections.forEach(section => summary[section.change]++);
+
+        res.json({ bill_id: billId, from: versions[fromIndex], to: versions[toIndex], versions, summary, sections });
+    } catch (error) {
+        console.error('Bill text diff error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
-    if (state) {
-        query += ' AND (recipient_name LIKE ? OR award_description LIKE ? OR place_of_performance LIKE ?)';
-        const statePattern = `%${state}%`;
-        params.push(statePattern, statePattern, statePattern);
+});
+
+// A bill with its actions, cosponsors, committee referrals, related bills and subjects.
+// With as_of the bill comes from its history and dated child rows after that day are left out.
+app.get('/api/legislation/bills/:bill_id', async (req, res) => {
+    const billId = String(req.params.bill_id).toLowerCase();
+    try {
+        const asOf = parseAsOf(req.query);
+        const bill = asOf
+            ? await dbGet(db, `SELECT * FROM ${asOfSubquery('legislation')} bills WHERE bill_id = ?`,
+                [asOf, asOf, billId])
+            : await dbGet(db, 'SELECT * FROM bills WHERE bill_id = ?', [billId]);
+        if (!bill) {
+            return res.status(404).json({ error: asOf ? `Bill not found as of ${asOf}` : 'Bill not found' });
+        }
+
+        const until = column => (asOf ? ` AND (${column} IS NULL OR ${column} <= ?)` : '');
+        const params = asOf ? [billId, asOf] : [billId];
+        const [sponsor, actions, cosponsors, committeeRows, relatedBills, subjects] = await Promise.all([
+            dbGet(db, `SELECT ${MEMBER_SUMMARY_COLUMNS} FROM congress_members WHERE bioguide_id = ?`, [bill.sponsor_id]),
+            dbAll(db, `SELECT action_date, action_time, action_code, action_type, text, source_system, committee_code
+                FROM bill_actions WHERE bill_id = ?${until('action_date')}
+                ORDER BY action_date DESC, action_time DESC, id DESC`, params),
+            dbAll(db, `SELECT bioguide_id, full_name, party, state, district, sponsorship_date, is_original,
+                    withdrawn_date
+                FROM bill_cosponsors WHERE bill_id = ?${until('sponsorship_date')}
+                ORDER BY sponsorship_date, full_name`, params),
+            dbAll(db, `SELECT COALESCE(committees.committee_id, subcommittees.subcommittee_id) AS committee_id,
+                    bill_committees.committee_code, bill_committees.parent_code, bill_committees.name,
+                    bill_committees.chamber, bill_committees.activity, bill_committees.activity_date
+                FROM bill_committees
+                LEFT JOIN committees ON committees.system_code = bill_committees.committee_code
+                LEFT JOIN subcommittees ON subcommittees.system_code = bill_committees.committee_code
+                WHERE bill_committees.bill_id = ?${until('bill_committees.activity_date')}
+                ORDER BY bill_committees.parent_code IS NOT NULL, bill_committees.committee_code,
+                    bill_committees.activity_date`, params),
+            dbAll(db, `SELECT related_bills.related_bill_id, related_bills.relationship, related_bills.identified_by,
+                    COALESCE(bills.title, related_bills.title) AS title, bills.status,
+                    related_bills.latest_action, related_bills.latest_action_date
+                FROM related_bills LEFT JOIN bills ON bills.bill_id = related_bills.related_bill_id
+                WHERE related_bills.bill_id = ? ORDER BY related_bills.related_bill_id`, [billId]),
+            dbAll(db, `SELECT subject, is_policy_area FROM bill_subjects WHERE bill_id = ?
+                ORDER BY is_policy_area DESC, subject`, [billId])
+        ]);
+
+        // Withdrawals after as_of had not happened yet
+        cosponsors.forEach(cosponsor => {
+            if (asOf && cosponsor.withdrawn_date > asOf) cosponsor.withdrawn_date = null;
+        });
+
+        // Committee activities grouped per committee or subcommittee
+        const committees = new Map();
+        for (const { activity, activity_date, ...committee } of committeeRows) {
+            const key = committee.committee_code || committee.name;
+            if (!committees.has(key)) committees.set(key, { ...committee, activities: [] });
+            committees.get(key).activities.push({ activity, date: activity_date });
+        }
+
+        res.json({
+            ...bill,
+            ...(asOf && { as_of: asOf }),
+            sponsor: sponsor || null,
+            subjects: subjects.filter(subject => !subject.is_policy_area).map(subject => subject.subject),
+            actions,
+            cosponsor_count: cosponsors.filter(cosponsor => !cosponsor.withdrawn_date).length,
+            cosponsors,
+            committees: [...committees.values()],
+            related_bills: relatedBills
+        });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Bill detail error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
-    if (keyword) {
-        query += ' AND (recipient_name LIKE ? OR award_description LIKE ? OR awarding_agency LIKE ? OR award_id LIKE ?)';
-        const keywordPattern = `%${keyword}%`;
-        params.push(keywordPattern, keywordPattern, keywordPattern, keywordPattern);
+});
+
+// Federal spending search
+app.get('/api/spending', async (req, res) => {
+    const { agency, recipient, min_amount, fiscal_year, state, keyword } = req.query;
+    const match = buildMatchQuery(keyword);
+    const keywordError = invalidKeyword(keyword, match);
+    if (keywordError) {
+        return res.status(400).json({ error: keywordError });
     }
     
-    query += ' ORDER BY award_amount DESC LIMIT ?';
-    params.push(parseInt(limit));
-    
-    db.all(query, params, (err, rows) => {
-        if (err) return res.status(500).json({ error: 'Database error' });
-        res.json(rows);
-    });
+    try {
+        const list = parseListParams(req.query, {
+            sortFields: {
+                ...(match && { relevance: 'search.score' }),
+                amount: 'award_amount',
+                award_date: 'award_date',
+                fiscal_year: 'fiscal_year',
+                recipient: 'recipient_name COLLATE NOCASE'
+            },
+            defaultSort: match ? 'relevance' : 'amount',
+            defaultOrder: match ? 'asc' : 'desc',
+            defaultLimit: 100,
+            tiebreaker: 'federal_spending.award_id'
+        });
+        const asOf = parseAsOf(req.query, match);
+        
+        let from = match
+            ? `FROM federal_spending JOIN (${searchSubquery('spending')}) search ON search.rowid = federal_spending.rowid WHERE 1=1`
+            : `FROM ${asOf ? `${asOfSubquery('spending')} federal_spending` : 'federal_spending'} WHERE 1=1`;
+        let params = match ? [match] : asOf ? [asOf, asOf] : [];
+        const filters = match ? { keyword } : asOf ? { as_of: asOf } : {};
+        
+        if (agency) {
+            from += ' AND (awarding_agency LIKE ? OR funding_agency LIKE ?)';
+            params.push(`%${agency}%`, `%${agency}%`);
+            filters.agency = agency;
+        }
+        if (recipient) {
+            from += ' AND recipient_name LIKE ?';
+            params.push(`%${recipient}%`);
+            filters.recipient = recipient;
+        }
+        if (min_amount && !isNaN(parseFloat(min_amount))) {
+            from += ' AND award_amount >= ?';
+            params.push(parseFloat(min_amount));
+            filters.min_amount = parseFloat(min_amount);
+        }
+        if (fiscal_year && parseInt(fiscal_year)) {
+            from += ' AND fiscal_year = ?';
+            params.push(parseInt(fiscal_year));
+            filters.fiscal_year = parseInt(fiscal_year);
+        }
+        if (state) {
+            from += ' AND (recipient_name LIKE ? OR award_description LIKE ? OR place_of_performance LIKE ?)';
+            const statePattern = `%${state}%`;
+            params.push(statePattern, statePattern, statePattern);
+            filters.state = state;
+        }
+        
+        const select = match ? 'federal_spending.*, search.score, search.snippet' : '*';
+        res.json(await paginate(db, { select, from, params, list, filters }));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
 // Lobbying data
-app.get('/api/lobbying', (req, res) => {
-    const { client, lobbyist, year, min_amount, state, keyword, limit = 100 } = req.query;
-    let query = 'SELECT * FROM lobbying WHERE 1=1';
-    let params = [];
+const FACET_LIMIT = 10;
+
+// A covered position and a contacted entity on the same filing share an office
+const REVOLVING_DOOR_MATCH = `lobbyist_positions.office_key IS NOT NULL AND EXISTS (SELECT 1 FROM lobbying_entities
+    WHERE lobbying_entities.lobbying_id = lobbyist_positions.lobbying_id
+        AND lobbying_entities.office_key = lobbyist_positions.office_key)`;
+const REVOLVING_DOOR_FLAG = `EXISTS (SELECT 1 FROM lobbyist_positions
+    WHERE lobbyist_positions.lobbying_id = lobbying.id AND ${REVOLVING_DOOR_MATCH})`;
+// The filing's client is also registered as a FARA foreign principal
+const FARA_PRINCIPAL_FLAG = `EXISTS (SELECT 1 FROM fara_lda_clients
+    WHERE fara_lda_clients.client_name = lobbying.client_name)`;
+
+// Filing counts by issue code, contacted entity and lobbyist across a lobbying query's
+// matches; `from` and `params` are the list query's
+async function lobbyingFacets(from, params) {
+    const matched = `SELECT lobbying.id ${from}`;
+    const [issues, entities, lobbyists] = await Promise.all([
+        dbAll(db, `SELECT issue_code AS code, COUNT(DISTINCT lobbying_id) AS count FROM lobbying_issues
+            WHERE issue_code IS NOT NULL AND lobbying_id IN (${matched})
+            GROUP BY issue_code ORDER BY count DESC, issue_code LIMIT ${FACET_LIMIT}`, params),
+        dbAll(db, `SELECT name, entity_type AS type, COUNT(DISTINCT lobbying_id) AS count FROM lobbying_entities
+            WHERE lobbying_id IN (${matched})
+            GROUP BY name, entity_type ORDER BY count DESC, name LIMIT ${FACET_LIMIT}`, params),
+        dbAll(db, `SELECT lobbyist_name AS name, COUNT(DISTINCT lobbying_id) AS count FROM lobbying_lobbyists
+            WHERE lobbying_id IN (${matched})
+            GROUP BY lobbyist_name ORDER BY count DESC, lobbyist_name LIMIT ${FACET_LIMIT}`, params)
+    ]);
+    return {
+        issue_codes: issues.map(issue => ({ ...issue, name: LDA_ISSUE_CODES[issue.code] })),
+        entities,
+        lobbyists
+    };
+}
+
+app.get('/api/lobbying', async (req, res) => {
+    const { client, lobbyist, year, min_amount, state, keyword, issue_code, entity } = req.query;
+    const match = buildMatchQuery(keyword);
+    const keywordError = invalidKeyword(keyword, match);
+    if (keywordError) {
+        return res.status(400).json({ error: keywordError });
+    }
     
-    if (client) {
-        query += ' AND client_name LIKE ?';
-        params.push(`%${client}%`);
+    try {
+        const list = parseListParams(req.query, {
+            sortFields: {
+                ...(match && { relevance: 'search.score' }),
+                amount: 'amount',
+                year: 'year',
+                posted_date: 'posted_date',
+                client: 'client_name COLLATE NOCASE'
+            },
+            defaultSort: match ? 'relevance' : 'amount',
+            defaultOrder: match ? 'asc' : 'desc',
+            defaultLimit: 100,
+            tiebreaker: 'lobbying.id'
+        });
+        const asOf = parseAsOf(req.query, match);
+        
+        let from = match
+            ? `FROM lobbying JOIN (${searchSubquery('lobbying')}) search ON search.rowid = lobbying.rowid WHERE 1=1`
+            : `FROM ${asOf ? `${asOfSubquery('lobbying')} lobbying` : 'lobbying'} WHERE 1=1`;
+        let params = match ? [match] : asOf ? [asOf, asOf] : [];
+        const filters = match ? { keyword } : asOf ? { as_of: asOf } : {};
+        
+        if (client) {
+            from += ' AND client_name LIKE ?';
+            params.push(`%${client}%`);
+            filters.client = client;
+        }
+        if (lobbyist) {
+            from += ` AND (registrant_name LIKE ? OR lobbying.id IN
+                (SELECT lobbying_id FROM lobbying_lobbyists WHERE lobbyist_name LIKE ?))`;
+            params.push(`%${lobbyist}%`, `%${lobbyist}%`);
+            filters.lobbyist = lobbyist;
+        }
+        if (issue_code) {
+            const codes = String(issue_code).toUpperCase().split(',').map(code => code.trim()).filter(Boolean);
+            const unknown = codes.filter(code => !LDA_ISSUE_CODES[code]);
+            if (unknown.length || !codes.length) {
+                return res.status(400).json({ error: `Unknown issue_code: ${unknown.join(', ') || issue_code}. ` +
+                    'Use LDA issue codes such as TAX, HCR or DEF' });
+            }
+            from += ` AND lobbying.id IN (SELECT lobbying_id FROM lobbying_issues
+                WHERE issue_code IN (${codes.map(() => '?').join(', ')}))`;
+            params.push(...codes);
+            filters.issue_code = codes;
+        }
+        if (entity) {
+            from += ' AND lobbying.id IN (SELECT lobbying_id FROM lobbying_entities WHERE name LIKE ?)';
+            params.push(`%${entity}%`);
+            filters.entity = entity;
+        }
+        if (year && parseInt(year)) {
+            from += ' AND year = ?';
+            params.push(parseInt(year));
+            filters.year = parseInt(year);
+        }
+        if (min_amount && !isNaN(parseFloat(min_amount))) {
+            from += ' AND amount >= ?';
+            params.push(parseFloat(min_amount));
+            filters.min_amount = parseFloat(min_amount);
+        }
+        if (state) {
+            from += ' AND (client_name LIKE ? OR registrant_name LIKE ? OR specific_issues LIKE ?)';
+            const statePattern = `%${state}%`;
+            params.push(statePattern, statePattern, statePattern);
+            filters.state = state;
+        }
+        
+        const select = `${match ? 'lobbying.*, search.score, search.snippet' : 'lobbying.*'},
+            ${REVOLVING_DOOR_FLAG} AS revolving_door, ${FARA_PRINCIPAL_FLAG} AS fara_principal`;
+        const [page, facets] = await Promise.all([
+            paginate(db, { select, from, params, list, filters }),
+            lobbyingFacets(from, params)
+        ]);
+        res.json({ ...page, facets });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Former staffers lobbying the office they worked in: one row per filing, lobbyist and covered
+// position whose member's chamber, committee's chamber or agency the filing reports contacting
+app.get('/api/revolving-door', async (req, res) => {
+    try {
+        const list = parseListParams(req.query, {
+            sortFields: {
+                posted_date: 'lobbying.posted_date',
+                year: 'lobbying.year',
+                lobbyist: 'lobbyist_positions.lobbyist_name COLLATE NOCASE',
+                client: 'lobbying.client_name COLLATE NOCASE'
+            },
+            defaultSort: 'posted_date',
+            tiebreaker: 'lobbyist_positions.rowid'
+        });
+        let from = `FROM lobbyist_positions
+            JOIN lobbying ON lobbying.id = lobbyist_positions.lobbying_id
+            LEFT JOIN congress_members ON congress_members.bioguide_id = lobbyist_positions.bioguide_id
+            LEFT JOIN committees ON committees.committee_id = lobbyist_positions.committee_id
+            WHERE ${REVOLVING_DOOR_MATCH}`;
+        const params = [];
+        const filters = {};
+
+        if (req.query.office_type) {
+            if (!['member', 'committee', 'agency', 'chamber'].includes(req.query.office_type)) {
+                return res.status(400).json({ error: 'office_type must be member, committee, agency or chamber' });
+            }
+            from += ' AND lobbyist_positions.office_type = ?';
+            params.push(req.query.office_type);
+            filters.office_type = req.query.office_type;
+        }
+        if (req.query.agency) {
+            const agency = AGENCIES.find(entry => entry.code === String(req.query.agency).toUpperCase());
+            if (!agency) {
+                return res.status(400).json({ error: `Unknown agency. Use one of: ${AGENCIES.map(entry => entry.code)
+                    .join(', ')}` });
+            }
+            from += ' AND lobbyist_positions.agency_code = ?';
+            params.push(agency.code);
+            filters.agency = agency.code;
+        }
+        const exact = {
+            member: 'lobbyist_positions.bioguide_id',
+            committee: 'lobbyist_positions.committee_id',
+            lobbying_id: 'lobbyist_positions.lobbying_id'
+        };
+        for (const [key, column] of Object.entries(exact)) {
+            if (!req.query[key]) continue;
+            const value = key === 'committee' ? String(req.query[key]).toUpperCase() : req.query[key];
+            from += ` AND ${column} = ?`;
+            params.push(value);
+            filters[key] = value;
+        }
+        const patterns = {
+            lobbyist: 'lobbyist_positions.lobbyist_name',
+            client: 'lobbying.client_name',
+            registrant: 'lobbying.registrant_name'
+        };
+        for (const [key, column] of Object.entries(patterns)) {
+            if (!req.query[key]) continue;
+            from += ` AND ${column} LIKE ?`;
+            params.push(`%${req.query[key]}%`);
+            filters[key] = req.query[key];
+        }
+        if (req.query.year && parseInt(req.query.year)) {
+            from += ' AND lobbying.year = ?';
+            params.push(parseInt(req.query.year));
+            filters.year = parseInt(req.query.year);
+        }
+
+        const select = `lobbyist_positions.lobbying_id, lobbyist_positions.lobbyist_name,
+            lobbyist_positions.covered_position, lobbyist_positions.position_title, lobbyist_positions.office_type,
+            lobbyist_positions.bioguide_id, congress_members.first_name AS member_first_name,
+            congress_members.last_name AS member_last_name, congress_members.party AS member_party,
+            congress_members.state AS member_state, lobbyist_positions.committee_id,
+            committees.name AS committee_name, lobbyist_positions.agency_code, lobbyist_positions.office_key,
+            lobbying.client_name, lobbying.registrant_name, lobbying.year, lobbying.quarter, lobbying.report_type,
+            lobbying.amount, lobbying.posted_date,
+            (SELECT GROUP_CONCAT(name, '; ') FROM lobbying_entities
+                WHERE lobbying_entities.lobbying_id = lobbyist_positions.lobbying_id
+                    AND lobbying_entities.office_key = lobbyist_positions.office_key) AS contacted`;
+        const page = await paginate(db, { select, from, params, list, filters });
+        const agencies = new Map(AGENCIES.map(agency => [agency.code, agency.name]));
+        page.data = page.data.map(row => ({ ...row, agency_name: agencies.get(row.agency_code) || null }));
+        res.json(page);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Revolving door error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Foreign principals registered under FARA, one row per registrant, principal and country, with
+// the LDA clients of the same name and principal counts by country across the matches
+app.get('/api/fara', async (req, res) => {
+    try {
+        const list = parseListParams(req.query, {
+            sortFields: {
+                registration_date: 'fara_foreign_principals.registration_date',
+                principal: 'fara_foreign_principals.principal_name COLLATE NOCASE',
+                country: 'fara_foreign_principals.country COLLATE NOCASE',
+                registrant: 'fara_registrants.name COLLATE NOCASE'
+            },
+            defaultSort: 'registration_date',
+            tiebreaker: 'fara_foreign_principals.id'
+        });
+        let from = `FROM fara_foreign_principals
+            LEFT JOIN fara_registrants
+                ON fara_registrants.registration_number = fara_foreign_principals.registration_number
+            WHERE 1=1`;
+        const params = [];
+        const filters = {};
+
+        if (req.query.country) {
+            const countries = String(req.query.country).split(',').map(value => value.trim()).filter(Boolean);
+            from += ` AND fara_foreign_principals.country COLLATE NOCASE IN (${countries.map(() => '?').join(', ')})`;
+            params.push(...countries);
+            filters.country = countries;
+        }
+        const patterns = {
+            principal: 'fara_foreign_principals.principal_name LIKE ?',
+            registrant: '(fara_registrants.name LIKE ? OR fara_foreign_principals.registration_number = ?)'
+        };
+        for (const [key, condition] of Object.entries(patterns)) {
+            if (!req.query[key]) continue;
+            from += ` AND ${condition}`;
+            params.push(`%${req.query[key]}%`, ...(condition.match(/\?/g).length > 1 ? [req.query[key]] : []));
+            filters[key] = req.query[key];
+        }
+        // Principals linked to one LDA client, as named on its filings
+        if (req.query.client) {
+            from += ` AND EXISTS (SELECT 1 FROM fara_lda_clients
+                WHERE fara_lda_clients.principal_id = fara_foreign_principals.id AND fara_lda_clients.client_name = ?)`;
+            params.push(req.query.client);
+            filters.client = req.query.client;
+        }
+        for (const key of ['active', 'lda_client']) {
+            if (req.query[key] === undefined) continue;
+            if (!['true', 'false'].includes(req.query[key])) {
+                return res.status(400).json({ error: `${key} must be true or false` });
+            }
+            const condition = key === 'active'
+                ? 'fara_foreign_principals.termination_date IS NULL'
+                : `EXISTS (SELECT 1 FROM fara_lda_clients
+                    WHERE fara_lda_clients.principal_id = fara_foreign_principals.id)`;
+            from += req.query[key] === 'true' ? ` AND ${condition}` : ` AND NOT ${condition}`;
+            filters[key] = req.query[key] === 'true';
+        }
+
+        const select = `fara_foreign_principals.id, fara_foreign_principals.registration_number,
+            fara_registrants.name AS registrant_name, fara_foreign_principals.principal_name,
+            fara_foreign_principals.country, fara_foreign_principals.address, fara_foreign_principals.city,
+            fara_foreign_principals.registration_date, fara_foreign_principals.termination_date,
+            (SELECT GROUP_CONCAT(client_name, '; ') FROM fara_lda_clients
+                WHERE fara_lda_clients.principal_id = fara_foreign_principals.id) AS lda_clients`;
+        const [page, countries] = await Promise.all([
+            paginate(db, { select, from, params, list, filters }),
+            dbAll(db, `SELECT fara_foreign_principals.country AS country, COUNT(*) AS count ${from}
+                GROUP BY fara_foreign_principals.country ORDER BY count DESC, country LIMIT ${FACET_LIMIT}`, params)
+        ]);
+        page.data = page.data.map(row => ({ ...row, lda_clients: row.lda_clients ? row.lda_clients.split('; ') : [] }));
+        res.json({ ...page, facets: { countries } });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('FARA error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
-    if (lobbyist) {
-        query += ' AND (registrant_name LIKE ? OR lobbyist_name LIKE ?)';
-        params.push(`%${lobbyist}%`, `%${lobbyist}%`);
+});
+
+// One FARA registrant with its foreign principals, short-form registrants and informational materials
+app.get('/api/fara/registrants/:number', async (req, res) => {
+    try {
+        const registrant = await dbGet(db, 'SELECT * FROM fara_registrants WHERE registration_number = ?',
+            [req.params.number]);
+        if (!registrant) return res.status(404).json({ error: 'FARA registrant not found' });
+
+        const [principals, shortForms, materials] = await Promise.all([
+            dbAll(db, `SELECT fara_foreign_principals.*,
+                    (SELECT GROUP_CONCAT(client_name, '; ') FROM fara_lda_clients
+                        WHERE fara_lda_clients.principal_id = fara_foreign_principals.id) AS lda_clients
+                FROM fara_foreign_principals WHERE registration_number = ?
+                ORDER BY termination_date IS NOT NULL, principal_name`, [registrant.registration_number]),
+            dbAll(db, `SELECT last_name, first_name, short_form_date, termination_date FROM fara_short_forms
+                WHERE registration_number = ? ORDER BY termination_date IS NOT NULL, last_name, first_name`,
+                [registrant.registration_number]),
+            dbAll(db, `SELECT date_stamped, principal_name, country, document_type, url
+                FROM fara_informational_materials WHERE registration_number = ? ORDER BY date_stamped DESC`,
+                [registrant.registration_number])
+        ]);
+        res.json({
+            ...registrant,
+            foreign_principals: principals.map(row => ({
+                ...row,
+                lda_clients: row.lda_clients ? row.lda_clients.split('; ') : []
+            })),
+            short_form_registrants: shortForms,
+            informational_materials: materials
+        });
+    } catch (error) {
+        console.error('FARA registrant error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
-    if (year) {
-        query += ' AND year = ?';
-        params.push(parseInt(year));
+});
+
+// Filters shared by the LD-203 contribution lists; honorees linked to a member carry their name
+function lobbyistContributionQuery(query) {
+    const fail = message => {
+        const error = new Error(message);
+        error.status = 400;
+        throw error;
+    };
+    const params = [];
+    const filters = {};
+    let from = `FROM lobbying_contributions
+        LEFT JOIN congress_members ON congress_members.bioguide_id = lobbying_contributions.bioguide_id
+        WHERE 1=1`;
+
+    const patterns = {
+        registrant: 'lobbying_contributions.registrant_name LIKE ?',
+        lobbyist: '(lobbying_contributions.lobbyist_name LIKE ? OR lobbying_contributions.contributor_name LIKE ?)',
+        honoree: 'lobbying_contributions.honoree_name LIKE ?',
+        payee: 'lobbying_contributions.payee_name LIKE ?'
+    };
+    for (const [key, condition] of Object.entries(patterns)) {
+        if (!query[key]) continue;
+        from += ` AND ${condition}`;
+        params.push(...condition.match(/\?/g).map(() => `%${query[key]}%`));
+        filters[key] = query[key];
     }
-    if (min_amount) {
-        query += ' AND amount >= ?';
-        params.push(parseFloat(min_amount));
+    if (query.member) {
+        from += ' AND lobbying_contributions.bioguide_id = ?';
+        params.push(query.member);
+        filters.member = query.member;
     }
-    if (state) {
-        query += ' AND (client_name LIKE ? OR registrant_name LIKE ? OR issues LIKE ?)';
-        const statePattern = `%${state}%`;
-        params.push(statePattern, statePattern, statePattern);
+    if (query.year && parseInt(query.year)) {
+        from += ' AND lobbying_contributions.year = ?';
+        params.push(parseInt(query.year));
+        filters.year = parseInt(query.year);
     }
-    if (keyword) {
-        query += ' AND (client_name LIKE ? OR registrant_name LIKE ? OR lobbyist_name LIKE ? OR issues LIKE ?)';
-        const keywordPattern = `%${keyword}%`;
-        params.push(keywordPattern, keywordPattern, keywordPattern, keywordPattern);
+    for (const key of ['from_date', 'to_date']) {
+        if (!query[key]) continue;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(query[key])) fail(`${key} must be YYYY-MM-DD`);
+        from += ` AND lobbying_contributions.contribution_date ${key === 'from_date' ? '>=' : '<='} ?`;
+        params.push(query[key]);
+        filters[key] = query[key];
     }
+    if (query.min_amount && !isNaN(parseFloat(query.min_amount))) {
+        from += ' AND lobbying_contributions.amount >= ?';
+        params.push(parseFloat(query.min_amount));
+        filters.min_amount = parseFloat(query.min_amount);
+    }
+    return { from, params, filters };
+}
+
+const LOBBYIST_CONTRIBUTION_SORTS = {
+    date: 'lobbying_contributions.contribution_date',
+    amount: 'lobbying_contributions.amount',
+    honoree: 'lobbying_contributions.honoree_name COLLATE NOCASE',
+    registrant: 'lobbying_contributions.registrant_name COLLATE NOCASE'
+};
+
+const LOBBYIST_CONTRIBUTION_COLUMNS = `lobbying_contributions.*,
+    congress_members.first_name AS member_first_name, congress_members.last_name AS member_last_name,
+    congress_members.party AS member_party, congress_members.state AS member_state`;
+
+// Contributions lobbyists and registrants reported on LD-203 forms
+app.get('/api/lobbying/contributions', async (req, res) => {
+    try {
+        const list = parseListParams(req.query, {
+            sortFields: LOBBYIST_CONTRIBUTION_SORTS,
+            defaultSort: 'date',
+            tiebreaker: 'lobbying_contributions.id'
+        });
+        const { from, params, filters } = lobbyistContributionQuery(req.query);
+        const [page, totals] = await Promise.all([
+            paginate(db, { select: LOBBYIST_CONTRIBUTION_COLUMNS, from, params, list, filters }),
+            dbGet(db, `SELECT COALESCE(SUM(lobbying_contributions.amount), 0) AS amount,
+                    COUNT(DISTINCT lobbying_contributions.bioguide_id) AS members ${from}`, params)
+        ]);
+        res.json({ ...page, totals });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Lobbyist contributions error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+const ACTIVITY_SORT_FIELDS = {
+    timestamp: 'timestamp',
+    severity: "CASE severity WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END"
+};
+
+// Change events recorded by refreshes: new records and field-level changes with severity
+app.get('/api/activity', async (req, res) => {
+    const { data_source, entity_id, event_type, severity, date, from_date, to_date } = req.query;
+    const invalidDate = [date, from_date, to_date].find(value => value && !/^\d{4}-\d{2}-\d{2}$/.test(value));
+    if (invalidDate) {
+        return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
+    if (severity && !SEVERITIES.includes(severity)) {
+        return res.status(400).json({ error: `severity must be one of: ${SEVERITIES.join(', ')}` });
+    }
+
+    try {
+        const list = parseListParams(req.query, {
+            sortFields: ACTIVITY_SORT_FIELDS,
+            defaultSort: 'timestamp',
+            tiebreaker: 'id DESC'
+        });
+        let from = 'FROM activity_log WHERE 1=1';
+        const params = [];
+        const filters = {};
+        const equals = { data_source, entity_id, event_type, severity };
+        for (const [column, value] of Object.entries(equals)) {
+            if (value) {
+                from += ` AND ${column} = ?`;
+                params.push(value);
+                filters[column] = value;
+            }
+        }
+        if (date) {
+            from += ' AND date(timestamp) = ?';
+            params.push(date);
+            filters.date = date;
+        }
+        if (from_date) {
+            from += ' AND date(timestamp) >= ?';
+            params.push(from_date);
+            filters.from_date = from_date;
+        }
+        if (to_date) {
+            from += ' AND date(timestamp) <= ?';
+            params.push(to_date);
+            filters.to_date = to_date;
+        }
+        res.json(await paginate(db, { select: '*', from, params, list, filters }));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Activity log error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// FEC candidate financial summaries, linked to members through their FEC IDs
+const FINANCE_SELECT = `campaign_finance.*, member_fec_ids.bioguide_id,
+    congress_members.first_name AS member_first_name, congress_members.last_name AS member_last_name`;
+const FINANCE_FROM = `FROM campaign_finance
+    LEFT JOIN member_fec_ids ON member_fec_ids.fec_id = campaign_finance.candidate_id
+    LEFT JOIN congress_members ON congress_members.bioguide_id = member_fec_ids.bioguide_id`;
+
+app.get('/api/finance/candidates', async (req, res) => {
+    const { cycle, office, party, member, keyword, linked } = req.query;
     
-    query += ' ORDER BY amount DESC LIMIT ?';
-    params.push(parseInt(limit));
+    try {
+        const state = validateState(req.query.state);
+        const list = parseListParams(req.query, {
+            sortFields: {
+                receipts: 'campaign_finance.total_receipts',
+                disbursements: 'campaign_finance.total_disbursements',
+                cash_on_hand: 'campaign_finance.cash_on_hand',
+                debt: 'campaign_finance.debt',
+                name: 'campaign_finance.candidate_name COLLATE NOCASE',
+                cycle: 'campaign_finance.cycle'
+            },
+            defaultSort: 'receipts',
+            tiebreaker: 'campaign_finance.candidate_id, campaign_finance.cycle'
+        });
+        
+        let from = `${FINANCE_FROM} WHERE 1=1`;
+        const params = [];
+        const filters = {};
+        
+        if (cycle && parseInt(cycle)) {
+            from += ' AND campaign_finance.cycle = ?';
+            params.push(parseInt(cycle));
+            filters.cycle = parseInt(cycle);
+        }
+        if (office) {
+            from += ' AND campaign_finance.office = ?';
+            params.push(office.toLowerCase());
+            filters.office = office.toLowerCase();
+        }
+        if (state) {
+            from += ' AND campaign_finance.state = ?';
+            params.push(state.toUpperCase());
+            filters.state = state.toUpperCase();
+        }
+        if (party) {
+            from += ' AND campaign_finance.party = ?';
+            params.push(party.toUpperCase());
+            filters.party = party.toUpperCase();
+        }
+        if (member) {
+            from += ' AND member_fec_ids.bioguide_id = ?';
+            params.push(member);
+            filters.member = member;
+        }
+        if (linked === 'true') {
+            from += ' AND member_fec_ids.bioguide_id IS NOT NULL';
+            filters.linked = true;
+        }
+        if (keyword) {
+            from += ' AND (campaign_finance.candidate_name LIKE ? OR campaign_finance.candidate_id = ?)';
+            params.push(`%${keyword}%`, keyword.toUpperCase());
+            filters.keyword = keyword;
+        }
+        
+        res.json(await paginate(db, { select: FINANCE_SELECT, from, params, list, filters }));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Finance API error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Rollups are keyed by FEC candidate ID; a bioguide ID expands to all of the member's candidacies
+async function resolveFinanceCandidate(id, cycle) {
+    const linked = await dbAll(db, 'SELECT fec_id FROM member_fec_ids WHERE bioguide_id = ?', [id]);
+    const candidateIds = linked.length ? linked.map(row => row.fec_id) : [id.toUpperCase()];
+    const placeholders = candidateIds.map(() => '?').join(', ');
+
+    // Default to the latest cycle with itemized data
+    const latest = await dbGet(db, `SELECT MAX(cycle) AS cycle FROM contribution_rollups
+        WHERE candidate_id IN (${placeholders})`, candidateIds);
+    return { candidateIds, placeholders, cycle: parseInt(cycle) || latest.cycle };
+}
+
+function rollupQuery(candidate, dimension, limit) {
+    return dbAll(db, `SELECT value, MAX(detail) AS detail, SUM(total_amount) AS total_amount,
+            SUM(contribution_count) AS contribution_count
+        FROM contribution_rollups
+        WHERE candidate_id IN (${candidate.placeholders}) AND cycle = ? AND dimension = ?
+        GROUP BY value ${dimension === 'donor' ? ', detail' : ''}
+        ORDER BY total_amount DESC LIMIT ?`,
+        [...candidate.candidateIds, candidate.cycle, dimension, limit]);
+}
+
+const TOP_DONOR_DIMENSIONS = ['donor', 'employer', 'occupation', 'committee'];
+
+// Largest individual donors, employers, occupations and contributing committees
+app.get('/api/finance/candidates/:id/top-donors', async (req, res) => {
+    const { by, cycle } = req.query;
+    if (by && !TOP_DONOR_DIMENSIONS.includes(by)) {
+        return res.status(400).json({ error: `by must be one of: ${TOP_DONOR_DIMENSIONS.join(', ')}` });
+    }
+    const limit = req.query.limit ? validateLimit(req.query.limit) : 10;
     
-    db.all(query, params, (err, rows) => {
-        if (err) return res.status(500).json({ error: 'Database error' });
-        res.json(rows);
-    });
+    try {
+        const candidate = await resolveFinanceCandidate(req.params.id, cycle);
+        if (!candidate.cycle) {
+            return res.status(404).json({ error: 'No itemized contributions for this candidate' });
+        }
+        
+        const dimensions = by ? [by] : TOP_DONOR_DIMENSIONS;
+        const rollups = await Promise.all(dimensions.map(dimension => rollupQuery(candidate, dimension, limit)));
+        res.json({
+            candidate_ids: candidate.candidateIds,
+            cycle: candidate.cycle,
+            ...Object.fromEntries(dimensions.map((dimension, i) => [dimension, rollups[i]]))
+        });
+    } catch (error) {
+        console.error('Top donors error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Individual contributions by state, or by ZIP code with level=zip
+app.get('/api/finance/candidates/:id/by-state', async (req, res) => {
+    const level = req.query.level === 'zip' ? 'zip' : 'state';
+    
+    try {
+        const candidate = await resolveFinanceCandidate(req.params.id, req.query.cycle);
+        if (!candidate.cycle) {
+            return res.status(404).json({ error: 'No itemized contributions for this candidate' });
+        }
+        
+        const rows = await rollupQuery(candidate, level, level === 'zip' ? validateLimit(req.query.limit) : 100);
+        const total = rows.reduce((sum, row) => sum + row.total_amount, 0);
+        res.json({
+            candidate_ids: candidate.candidateIds,
+            cycle: candidate.cycle,
+            level,
+            total_amount: total,
+            data: rows.map(row => ({
+                [level]: row.value,
+                ...(level === 'zip' && { state: row.detail }),
+                total_amount: row.total_amount,
+                contribution_count: row.contribution_count,
+                share_pct: total ? Math.round((row.total_amount / total) * 1000) / 10 : null
+            }))
+        });
+    } catch (error) {
+        console.error('Contributions by state error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Roll-call votes in the House and Senate
+app.get('/api/votes', async (req, res) => {
+    try {
+        const list = parseListParams(req.query, {
+            sortFields: VOTE_SORT_FIELDS,
+            defaultSort: 'date',
+            tiebreaker: 'votes.vote_id'
+        });
+        const params = [];
+        const filters = {};
+        const from = applyVoteFilters(req.query, 'FROM votes WHERE 1=1', params, filters);
+
+        res.json(await paginate(db, { select: '*', from, params, list, filters }));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Votes API error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// A single roll-call vote with every member's position and a party breakdown
+app.get('/api/votes/:vote_id', async (req, res) => {
+    try {
+        const vote = await dbGet(db, `SELECT votes.*, bills.title AS bill_title FROM votes
+            LEFT JOIN bills ON bills.bill_id = votes.bill_id WHERE votes.vote_id = ?`, [req.params.vote_id]);
+        if (!vote) {
+            return res.status(404).json({ error: 'Vote not found' });
+        }
+
+        // Positions not yet matched to a member show the name and state from the roll-call file;
+        // party is the member's party on the day of the vote
+        const positions = await dbAll(db, `SELECT member_votes.member_id, member_votes.lis_id,
+                member_votes.vote_position, congress_members.first_name,
+                COALESCE(congress_members.last_name, member_votes.last_name) AS last_name, ${PARTY_AT_VOTE} AS party,
+                COALESCE(congress_members.state, member_votes.state) AS state, congress_members.district
+            FROM member_votes
+            JOIN votes ON votes.vote_id = member_votes.vote_id
+            LEFT JOIN congress_members ON congress_members.bioguide_id = member_votes.member_id
+            WHERE member_votes.vote_id = ?
+            ORDER BY COALESCE(congress_members.last_name, member_votes.last_name) COLLATE NOCASE,
+                member_votes.member_id`, [vote.vote_id]);
+
+        const by_party = {};
+        positions.forEach(({ party, vote_position }) => {
+            const key = party || 'Unknown';
+            by_party[key] = by_party[key] || {};
+            by_party[key][vote_position] = (by_party[key][vote_position] || 0) + 1;
+        });
+
+        res.json({ ...vote, by_party, positions });
+    } catch (error) {
+        console.error('Vote detail error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Unified search across members, bills, spending and lobbying
+app.get('/api/search', async (req, res) => {
+    const q = (req.query.q || '').trim();
+    const match = buildMatchQuery(q);
+    if (!match) {
+        return res.status(400).json({ error: invalidKeyword(q, match) || 'Missing search query: q' });
+    }
+    const limit = req.query.limit ? validateLimit(req.query.limit) : 10;
+    
+    // Members have no FTS index; rank exact surname matches first, then prefixes
+    const name = sanitizeInput(q.replace(/["*]/g, ''));
+    const memberFilter = `FROM congress_members WHERE in_office = 1 AND (first_name LIKE ? OR last_name LIKE ?
+        OR (first_name || ' ' || last_name) LIKE ? OR position LIKE ? OR state = ?)`;
+    const memberParams = [`%${name}%`, `%${name}%`, `%${name}%`, `%${name}%`, name.toUpperCase()];
+    
+    try {
+        const [members, memberCount, bills, spending, lobbying] = await Promise.all([
+            dbAll(db, `SELECT *, CASE WHEN last_name = ? COLLATE NOCASE THEN 0
+                WHEN last_name LIKE ? OR first_name LIKE ? THEN 1 ELSE 2 END AS score
+                ${memberFilter} ORDER BY score, last_name, first_name LIMIT ?`,
+                [name, `${name}%`, `${name}%`, ...memberParams, limit]),
+            dbGet(db, `SELECT COUNT(*) AS count ${memberFilter}`, memberParams),
+            searchIndex(db, 'bills', match, limit),
+            searchIndex(db, 'spending', match, limit),
+            searchIndex(db, 'lobbying', match, limit)
+        ]);
+        
+        const counts = {
+            members: memberCount.count,
+            bills: bills.count,
+            spending: spending.count,
+            lobbying: lobbying.count
+        };
+        res.json({
+            query: q,
+            total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+            counts,
+            results: {
+                members,
+                bills: bills.rows,
+                spending: spending.rows,
+                lobbying: lobbying.rows
+            }
+        });
+    } catch (error) {
+        console.error('Unified search error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
 // Dashboard summary data
 app.get('/api/dashboard/summary', (req, res) => {
     const queries = {
         totalMembers: 'SELECT COUNT(*) as count FROM congress_members WHERE in_office = 1',
-        activeBills: 'SELECT COUNT(*) as count FROM bills WHERE status IN ("introduced", "passed_house", "passed_senate")',
+        activeBills: `SELECT COUNT(*) as count FROM bills
+            WHERE status IN (${ACTIVE_BILL_STATUSES.map(status => `'${status}'`).join(', ')})`,
         totalSpending: 'SELECT SUM(award_amount) as total FROM federal_spending WHERE fiscal_year = 2024'
     };
     
@@ -2389,51 +4405,122 @@ app.get('/api/dashboard/summary', (req, res) => {
 });
 
 // Data refresh endpoint
-app.post('/api/admin/refresh', async (req, res) => {
+app.post('/api/admin/refresh', authenticateToken, requireAdmin, async (req, res) => {
     const { data_source } = req.body;
     let result;
     
     try {
-        switch (data_source) {
-            case 'congress':
-                result = await fetchCongressData();
-                break;
-            case 'spending':
-                result = await fetchSpendingData();
-                break;
-            case 'legislation':
-                result = await fetchLegislationData();
-                break;
-            case 'all':
-                const [congress, spending, legislation] = await Promise.all([
-                    fetchCongressData(),
-                    fetchSpendingData(),
-                    fetchLegislationData()
-                ]);
-                result = { congress, spending, legislation };
-                break;
-            default:
-                return res.status(400).json({ error: 'Invalid data source' });
+        if (data_source === 'all') {
+            // One at a time: votes resolve members loaded by the congress refresh
+            result = {};
+            for (const source of Object.keys(dataSources)) {
+                result[source] = await refreshDataSource(source);
+            }
+        } else if (dataSources[data_source]) {
+            result = await refreshDataSource(data_source);
+        } else {
+            return res.status(400).json({ error: 'Invalid data source' });
         }
         
         res.json(result);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        console.error('Error refreshing data:', error.message);
+        res.status(500).json({ error: 'Refresh failed' });
     }
 });
 
 // Initialize sample data on startup
 setTimeout(async () => {
+    await migrated;
     console.log('🔄 Initializing sample government data...');
-    await Promise.all([
-        fetchCongressData(),
-        fetchSpendingData(),
-        fetchLegislationData(),
-        fetchLobbyingData()
-    ]);
+    // One at a time: the importers' transactions share the one connection, so a loader writing
+    // alongside another's open transaction would be committed or rolled back with it
+    await fetchCongressData();
+    await fetchSpendingData();
+    await fetchLegislationData();
+    await fetchLobbyingData();
+    await fetchCampaignFinance();
+    await fetchFaraData();
+    await normalizeLobbyingData();
+    // Senate votes are matched to members by LIS id, so members load first
+    await fetchVotingRecords();
+    await fetchCommittees();
+    await fetchHearings();
+    await fetchBillStatus();
+    await fetchBillText();
+    await resolveBillSponsors();
+    await resolveLobbyistHonorees();
+    await linkRevolvingDoor();
+    await linkFaraPrincipals();
+    // Opens history versions for records loaded before the first refresh
+    for (const source of ['legislation', 'spending', 'lobbying']) {
+        await recordVersions(db, source).catch(error =>
+            console.error(`Error recording ${source} history:`, error.message));
+    }
     console.log('✅ Sample data loaded');
 }, 1000);
 
+// Evaluate user alerts against new and changed records (ALERTS_CRON, default every 15 minutes) and email
+// hits for immediate alerts straight away
+const alertEvaluator = new AlertEvaluator(db);
+cron.schedule(process.env.ALERTS_CRON || '*/15 * * * *', async () => {
+    try {
+        const result = await alertEvaluator.evaluate();
+        if (result.hits) {
+            console.log(`🔔 Evaluated ${result.evaluated} alerts: ${result.hits} new hits`);
+            await sendAlertDigests('immediate');
+        }
+    } catch (error) {
+        console.error('Alert evaluation error:', error.message);
+    }
+});
+
+// Alert digest emails (SMTP_* settings; links point at PUBLIC_URL)
+const digestMailer = new DigestMailer(db, {
+    appUrl: process.env.PUBLIC_URL || `http://localhost:${PORT}`,
+    secret: UNSUBSCRIBE_SECRET
+});
+
+async function sendAlertDigests(period) {
+    const result = await digestMailer.sendDigests(period);
+    if (!result.success) {
+        console.warn(`⚠️  ${period} digests skipped: ${result.error}`);
+    } else if (result.sent || result.failed) {
+        console.log(`📧 Sent ${result.sent} ${period} digests (${result.failed} failed)`);
+        result.errors.forEach(error => console.error('Digest delivery error:', error));
+    }
+    return result;
+}
+
+cron.schedule(process.env.DIGEST_DAILY_CRON || '0 8 * * *', () => sendAlertDigests('daily').catch(error =>
+    console.error('Daily digest error:', error.message)));
+cron.schedule(process.env.DIGEST_WEEKLY_CRON || '0 8 * * 1', () => sendAlertDigests('weekly').catch(error =>
+    console.error('Weekly digest error:', error.message)));
+
+// Webhook deliveries and retries (WEBHOOKS_CRON, default every minute)
+const webhookDispatcher = new WebhookDispatcher(db);
+cron.schedule(process.env.WEBHOOKS_CRON || '* * * * *', async () => {
+    try {
+        const result = await webhookDispatcher.processDue();
+        if (result.attempted) {
+            console.log(`🪝 Webhook deliveries: ${result.succeeded} succeeded, ${result.retrying} retrying, ${result.failed} failed`);
+        }
+    } catch (error) {
+        console.error('Webhook delivery error:', error.message);
+    }
+});
+
+// Send pending digests now (e.g. to check SMTP settings)
+app.post('/api/admin/digests', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const result = await sendAlertDigests(req.body?.period || 'daily');
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        console.error('Error sending digests:', error.message);
+        res.status(500).json({ error: 'Sending digests failed' });
+    }
+});
+
 // Root route for basic connectivity test
 app.get('/', (req, res) => {
     res.json({ 
@@ -2454,6 +4541,39 @@ app.listen(PORT, () => {
     console.log(`   GET  /api/legislation/bills - Bills and legislation`);
     console.log(`   GET  /api/spending - Federal spending data`);
     console.log(`   GET  /api/lobbying - Lobbying activities`);
+    console.log(`   GET  /api/lobbying/contributions - LD-203 lobbyist political contributions`);
+    console.log(`   GET  /api/revolving-door - Former staffers lobbying their old office`);
+    console.log(`   GET  /api/fara - FARA foreign principals by country, with matching LDA clients`);
+    console.log(`   GET  /api/fara/registrants/:number - FARA registrant with principals and filings`);
+    console.log(`   GET  /api/congress/members/:id/lobbyist-contributions - Lobbyist contributions to a member`);
+    console.log(`   GET  /api/votes - Roll-call votes`);
+    console.log(`   GET  /api/votes/:vote_id - Roll-call vote with member positions`);
+    console.log(`   GET  /api/congress/members/:id/votes - Member voting record`);
+    console.log(`   GET  /api/congress/members/:id/stats - Missed-vote and party-unity scores`);
+    console.log(`   GET  /api/congress/compare?a=&b= - Voting agreement between two members`);
+    console.log(`   GET  /api/finance/candidates - FEC candidate financial summaries`);
+    console.log(`   GET  /api/finance/candidates/:id/top-donors - Top donors, employers, occupations and committees`);
+    console.log(`   GET  /api/finance/candidates/:id/by-state - Individual contributions by state or ZIP`);
+    console.log(`   GET  /api/congress/members/:id/finance - Member campaign finance by cycle`);
+    console.log(`   GET  /api/alerts - Your alerts (POST to create, PUT/DELETE /api/alerts/:id)`);
+    console.log(`   GET  /api/alerts/:id/hits - Records matched by an alert`);
+    console.log(`   PUT  /api/alerts/email - Turn alert digest emails on or off`);
+    console.log(`   GET  /api/webhooks - Your webhooks (POST to register, PUT/DELETE /api/webhooks/:id)`);
+    console.log(`   GET  /api/webhooks/:id/deliveries - Webhook delivery log (POST /api/webhooks/:id/test to ping)`);
+    console.log(`   GET  /api/congress/members/:id/bills - Sponsored and cosponsored bills`);
+    console.log(`   GET  /api/admin/sponsors/unresolved - Bill sponsors with no member match`);
+    console.log(`   GET  /api/legislation/bills/:bill_id - Bill actions, cosponsors, committees, related bills, subjects`);
+    console.log(`   GET  /api/legislation/bills/:id/text - Bill text by version (?version=ih)`);
+    console.log(`   GET  /api/legislation/bills/:id/text/diff - Section changes between versions (?from=&to=)`);
+    console.log(`   GET  /api/legislation/bills/:id/history - Every recorded version of a bill (as_of= on lists)`);
+    console.log(`   GET  /api/committees - Congressional committees (?chamber=)`);
+    console.log(`   GET  /api/committees/:id - Committee roster, subcommittees and referred bills`);
+    console.log(`   GET  /api/congress/members/:id/committees - Member committee assignments`);
+    console.log(`   GET  /api/hearings - Committee hearings and markups (?from_date=&committee=&bill=)`);
+    console.log(`   GET  /api/committees/:id/hearings.ics - Committee hearing calendar feed`);
+    console.log(`   GET  /api/hearings/feeds - Your saved hearing feeds (POST to save, GET /:token.ics to subscribe)`);
+    console.log(`   GET  /api/activity - What changed: field-level change events from refreshes`);
+    console.log(`   GET  /api/search - Search across all datasets`);
     console.log(`   GET  /api/dashboard/summary - Dashboard statistics`);
     console.log(`🔍 Government Transparency & Accountability Platform`);
 });
\ No newline at end of file
@@ -0,0 +1,116 @@
+// Scheduled evaluation of user_alerts against the changes refreshes write to activity_log
+const crypto = require('crypto');
+const { run, all, transaction } = require('./sqlite');
+const { SEARCH_INDEXES, buildMatchQuery, searchSubquery } = require('./fullTextSearch');
+const { TRACKED_SOURCES } = require('./changeTracker');
+
+// How long an alert waits between evaluations; immediate hits are emailed as soon as they are recorded
+const FREQUENCIES = {
+    immediate: 0,
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// alert_type -> searchable data sources; entity ids and titles per source
+const ALERT_TYPES = {
+    bills: ['bills'],
+    spending: ['spending'],
+    lobbying: ['lobbying'],
+    all: ['bills', 'spending', 'lobbying']
+};
+
+// `changes` is the activity_log data source (changeTracker) whose events a search source's hits come from
+const ENTITIES = {
+    bills: { id: 'bill_id', title: "UPPER(bill_type) || ' ' || number || ': ' || COALESCE(title, '')",
+        changes: 'legislation' },
+    spending: { id: 'award_id', title: "COALESCE(recipient_name, '') || ' — ' || COALESCE(awarding_agency, '')",
+        changes: 'spending' },
+    lobbying: { id: 'id', title: "COALESCE(client_name, '') || ' (' || COALESCE(registrant_name, '') || ')'",
+        changes: 'lobbying' }
+};
+
+// SQLite timestamps (CURRENT_TIMESTAMP) are "YYYY-MM-DD HH:MM:SS" in UTC
+const sqliteTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+function isDue(alert, now) {
+    if (!alert.last_checked) return true;
+    const interval = FREQUENCIES[alert.frequency] ?? FREQUENCIES.daily;
+    return now - new Date(`${alert.last_checked.replace(' ', 'T')}Z`) >= interval;
+}
+
+class AlertEvaluator {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Records of one source that were created or changed since `since` and match the alert's keywords.
+    // Refreshes rewrite every row, so only records with activity_log events count as changed. Timestamps
+    // only have second resolution, so the boundary second is included; recordHit dedupes it.
+    findMatches(source, match, since) {
+        const { table } = SEARCH_INDEXES[source];
+        const { id, title, changes } = ENTITIES[source];
+        const { key, fields } = TRACKED_SOURCES[changes];
+        return all(this.db, `SELECT ${table}.${id} AS entity_id, ${title} AS title, search.snippet,
+                ${fields.map(field => `${table}.${field} AS tracked_${field}`).join(', ')}
+            FROM ${table} JOIN (${searchSubquery(source)}) search ON search.rowid = ${table}.rowid
+            WHERE ${table}.${key} IN (SELECT entity_id FROM activity_log
+                WHERE data_source = ? AND datetime(timestamp) >= datetime(?))
+            ORDER BY search.score`,
+            [match, changes, since]);
+    }
+
+    // content_hash covers the tracked fields, so a record only hits again once one of them changes
+    async recordHit(alert, source, row) {
+        const { fields } = TRACKED_SOURCES[ENTITIES[source].changes];
+        const contentHash = crypto.createHash('sha1')
+            .update(JSON.stringify(fields.map(field => row[`tracked_${field}`])))
+            .digest('hex');
+
+        const result = await run(this.db, `INSERT OR IGNORE INTO alert_hits
+            (alert_id, user_id, data_source, entity_id, title, snippet, content_hash)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [alert.id, alert.user_id, source, String(row.entity_id), row.title, row.snippet, contentHash]);
+        return result.changes;
+    }
+
+    async evaluateAlert(alert, now) {
+        const match = buildMatchQuery(alert.keywords);
+        const sources = ALERT_TYPES[alert.alert_type] || ALERT_TYPES.all;
+        const since = alert.last_checked || alert.created_at || '1970-01-01 00:00:00';
+        let hits = 0;
+
+        await transaction(this.db, async () => {
+            if (match) {
+                for (const source of sources) {
+                    for (const row of await this.findMatches(source, match, since)) {
+                        hits += await this.recordHit(alert, source, row);
+                    }
+                }
+            }
+
+            const timestamp = sqliteTimestamp(now);
+            await run(this.db, 'UPDATE user_alerts SET last_checked = ? WHERE id = ?', [timestamp, alert.id]);
+            if (hits) {
+                await run(this.db, 'UPDATE user_alerts SET last_triggered = ? WHERE id = ?', [timestamp, alert.id]);
+            }
+        });
+        return hits;
+    }
+
+    // Evaluates every active alert that is due; returns per-run totals
+    async evaluate(now = new Date()) {
+        const alerts = await all(this.db, 'SELECT * FROM user_alerts WHERE is_active = 1');
+        const due = alerts.filter(alert => isDue(alert, now));
+
+        let hits = 0;
+        for (const alert of due) {
+            hits += await this.evaluateAlert(alert, now);
+        }
+        return { evaluated: due.length, hits };
+    }
+}
+
+module.exports = AlertEvaluator;
+module.exports.FREQUENCIES = FREQUENCIES;
+module.exports.ALERT_TYPES = ALERT_TYPES;
@@ -0,0 +1,152 @@
+// Canonical bill status lifecycle: introduced -> reported -> passed one chamber -> passed both
+// -> enrolled -> signed / vetoed -> law. Statuses are derived from a bill's actions, and loads
+// may only move a stored bill forward along these transitions.
+
+// Status -> label and the progress stage it sits at
+const BILL_STATUSES = {
+    introduced: { label: 'Introduced', stage: 0 },
+    reported: { label: 'Reported', stage: 1 },
+    passed_house: { label: 'Passed House', stage: 2 },
+    passed_senate: { label: 'Passed Senate', stage: 2 },
+    passed_both: { label: 'Passed Both Chambers', stage: 3 },
+    enrolled: { label: 'Enrolled', stage: 4 },
+    signed: { label: 'Signed by President', stage: 5 },
+    vetoed: { label: 'Vetoed', stage: 5 },
+    law: { label: 'Became Law', stage: 6 }
+};
+
+// Direct transitions; a load may also skip ahead to any status reachable through them
+const TRANSITIONS = {
+    introduced: ['reported', 'passed_house', 'passed_senate'],
+    reported: ['passed_house', 'passed_senate'],
+    passed_house: ['passed_both'],
+    passed_senate: ['passed_both'],
+    passed_both: ['enrolled'],
+    enrolled: ['signed', 'vetoed', 'law'],
+    signed: ['law'],
+    // Congress overriding a veto
+    vetoed: ['law'],
+    law: []
+};
+
+// Statuses of bills still moving through Congress
+const ACTIVE_BILL_STATUSES = ['introduced', 'reported', 'passed_house', 'passed_senate', 'passed_both', 'enrolled'];
+
+// Ad hoc statuses written by earlier loads
+const LEGACY_STATUSES = {
+    in_committee: 'introduced',
+    enacted: 'law',
+    became_law: 'law',
+    public_law: 'law',
+    signed_into_law: 'law'
+};
+
+/**
+ * Maps a status string to the canonical set. 'passed' means the chamber the bill
+ * started in (s, sres, sjres and sconres are Senate measures). Unknown values give null.
+ */
+function normalizeStatus(status, billType = '') {
+    const value = String(status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (BILL_STATUSES[value]) return value;
+    if (LEGACY_STATUSES[value]) return LEGACY_STATUSES[value];
+    if (value === 'passed') return String(billType).toLowerCase().startsWith('s') ? 'passed_senate' : 'passed_house';
+    return null;
+}
+
+function canTransition(from, to) {
+    if (from === to) return true;
+    const seen = new Set();
+    const pending = [...(TRANSITIONS[from] || [])];
+    while (pending.length) {
+        const status = pending.pop();
+        if (status === to) return true;
+        if (seen.has(status)) continue;
+        seen.add(status);
+        pending.push(...TRANSITIONS[status]);
+    }
+    return false;
+}
+
+// A bill that passed one chamber and is reported passing the other has passed both
+const passedOther = (current, proposed) => (current === 'passed_house' && proposed === 'passed_senate')
+    || (current === 'passed_senate' && proposed === 'passed_house');
+
+/**
+ * The status a bill stored as `current` should take when a load reports `proposed`.
+ * Returns { status, rejected }; moves backwards or sideways keep the current status.
+ */
+function applyTransition(current, proposed) {
+    if (!proposed) return { status: current || 'introduced', rejected: false };
+    if (!current || !BILL_STATUSES[current]) return { status: proposed, rejected: false };
+    if (passedOther(current, proposed)) return { status: 'passed_both', rejected: false };
+    return canTransition(current, proposed)
+        ? { status: proposed, rejected: false }
+        : { status: current, rejected: true };
+}
+
+// Library of Congress action codes for lifecycle events
+const ACTION_CODES = {
+    5000: 'reported',
+    14000: 'reported',
+    8000: 'passed_house',
+    17000: 'passed_senate',
+    28000: 'enrolled',
+    36000: 'law'
+};
+
+// Action text, checked in order, for actions without a Library of Congress code
+const ACTION_PATTERNS = [
+    // Committee markup, not the report itself
+    [/ordered to be reported/i, null],
+    [/became (public|private) law/i, 'law'],
+    [/vetoed by (the )?president|pocket veto/i, 'vetoed'],
+    [/signed by (the )?president/i, 'signed'],
+    [/presented to (the )?president|cleared for white house/i, 'enrolled'],
+    [/passed\/agreed to in house|(passed|agreed to in) (the )?house\b/i, 'passed_house'],
+    [/passed\/agreed to in senate|(passed|agreed to in) (the )?senate\b/i, 'passed_senate'],
+    [/^reported\b|reported (by|to|with|favorably)\b/i, 'reported']
+];
+
+// Floor passage whose chamber only shows in the action's source ("On passage Passed by voice vote")
+const FLOOR_PASSAGE = /^on (passage|motion to suspend the rules and pass)\b.*\b(passed|agreed to)\b/i;
+
+function actionEvent(action) {
+    const text = action.text || '';
+    if (ACTION_CODES[action.action_code]) return ACTION_CODES[action.action_code];
+    const match = ACTION_PATTERNS.find(([pattern]) => pattern.test(text));
+    if (match) return match[1];
+    if (FLOOR_PASSAGE.test(text)) {
+        const source = String(action.source_system || '').toLowerCase();
+        if (source.includes('house')) return 'passed_house';
+        if (source.includes('senate')) return 'passed_senate';
+    }
+    return null;
+}
+
+/**
+ * Walks a bill's actions oldest first and returns the status they lead to. Passing the
+ * second chamber makes passed_both; events that would move the bill backwards are ignored.
+ */
+function deriveStatus(actions) {
+    const when = action => `${action.action_date || ''} ${action.action_time || ''}`;
+    const ordered = [...actions].sort((a, b) => when(a).localeCompare(when(b)));
+    let status = 'introduced';
+    for (const action of ordered) {
+        const event = actionEvent(action);
+        if (!event) continue;
+        if (passedOther(status, event)) status = 'passed_both';
+        else if (canTransition(status, event)) status = event;
+    }
+    return status;
+}
+
+module.exports = {
+    BILL_STATUSES,
+    TRANSITIONS,
+    ACTIVE_BILL_STATUSES,
+    LEGACY_STATUSES,
+    normalizeStatus,
+    canTransition,
+    applyTransition,
+    deriveStatus
+};
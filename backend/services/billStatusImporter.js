@@ -0,0 +1,237 @@
+// GovInfo BILLSTATUS XML importer (https://www.govinfo.gov/bulkdata/BILLSTATUS): actions,
+// cosponsors, committee referrals, related bills and subjects for each bill
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const { run, get, transaction } = require('./sqlite');
+const { normalizeBillId } = require('./rollCallImporter');
+const { applyTransition, deriveStatus } = require('./billStatus');
+
+function asArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// List elements wrap their entries in <item>
+const items = node => asArray(node?.item);
+
+function text(node) {
+    if (node === undefined || node === null) return null;
+    if (typeof node === 'object') return node._ !== undefined ? String(node._).trim() || null : null;
+    return String(node).trim() || null;
+}
+
+// Summaries are HTML fragments
+function stripHtml(value) {
+    return value ? value.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() : null;
+}
+
+// "2021-05-11T14:02:20Z" -> "2021-05-11"
+const dateOnly = value => text(value)?.slice(0, 10) || null;
+
+const flag = value => (/^(true|y)$/i.test(text(value) || '') ? 1 : 0);
+
+class BillStatusImporter {
+    constructor(db, dataDir = process.env.BILLSTATUS_DATA_DIR || path.join(__dirname, '../data/billstatus')) {
+        this.db = db;
+        this.dataDir = dataDir;
+        this.parser = new xml2js.Parser({ explicitArray: false, trim: true });
+    }
+
+    listFiles(dir = this.dataDir) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this.listFiles(file);
+            return entry.name.toLowerCase().endsWith('.xml') ? [file] : [];
+        });
+    }
+
+    // Handles both the current schema (<type>, <subjects>) and the pre-2022 one (<billType>, <billSubjects>)
+    parseBill(bill) {
+        const congress = parseInt(text(bill.congress));
+        const billType = (text(bill.type) || text(bill.billType) || '').toLowerCase();
+        const number = text(bill.number) || text(bill.billNumber);
+        const billId = normalizeBillId(billType, number, congress);
+        if (!billId) throw new Error('missing bill type, number or congress');
+
+        const subjectsNode = bill.subjects?.billSubjects || bill.subjects || {};
+        const policyArea = text(bill.policyArea?.name) || text(subjectsNode.policyArea?.name);
+        const summaries = [...asArray(bill.summaries?.summary), ...items(bill.summaries?.billSummaries)];
+        const latestSummary = summaries.filter(summary => text(summary?.text)).pop();
+
+        const committees = items(bill.committees?.billCommittees || bill.committees).flatMap(committee => {
+            const referral = (node, parentCode) => items(node.activities).map(activity => ({
+                committee_code: text(node.systemCode),
+                parent_code: parentCode,
+                name: text(node.name),
+                chamber: text(committee.chamber),
+                activity: text(activity.name),
+                activity_date: dateOnly(activity.date)
+            }));
+            return [
+                ...referral(committee, null),
+                ...items(committee.subcommittees).flatMap(sub => referral(sub, text(committee.systemCode)))
+            ];
+        });
+
+        return {
+            bill: {
+                bill_id: billId,
+                congress,
+                bill_type: billType,
+                number: String(parseInt(number)),
+                title: text(bill.title),
+                summary: stripHtml(text(latestSummary?.text)),
+                introduced_date: dateOnly(bill.introducedDate),
+                latest_action: text(bill.latestAction?.text),
+                latest_action_date: dateOnly(bill.latestAction?.actionDate),
+                sponsor_id: text(items(bill.sponsors)[0]?.bioguideId),
+                policy_area: policyArea
+            },
+            actions: items(bill.actions).map(action => ({
+                action_date: dateOnly(action.actionDate),
+                action_time: text(action.actionTime),
+                action_code: text(action.actionCode),
+                action_type: text(action.type),
+                text: text(action.text),
+                source_system: text(action.sourceSystem?.name),
+                committee_code: text(items(action.committees)[0]?.systemCode)
+            })),
+            cosponsors: items(bill.cosponsors).filter(cosponsor => text(cosponsor.bioguideId)).map(cosponsor => ({
+                bioguide_id: text(cosponsor.bioguideId),
+                full_name: text(cosponsor.fullName),
+                party: text(cosponsor.party),
+                state: text(cosponsor.state),
+                district: text(cosponsor.district),
+                sponsorship_date: dateOnly(cosponsor.sponsorshipDate),
+                is_original: flag(cosponsor.isOriginalCosponsor),
+                withdrawn_date: dateOnly(cosponsor.sponsorshipWithdrawnDate)
+            })),
+            committees,
+            relatedBills: items(bill.relatedBills).flatMap(related => {
+                const relatedId = normalizeBillId(text(related.type), text(related.number),
+                    parseInt(text(related.congress)));
+                const details = items(related.relationshipDetails);
+                return relatedId ? (details.length ? details : [{}]).map(detail => ({
+                    related_bill_id: relatedId,
+                    title: text(related.title),
+                    relationship: text(detail.type) || 'Related bill',
+                    identified_by: text(detail.identifiedBy),
+                    latest_action: text(related.latestAction?.text),
+                    latest_action_date: dateOnly(related.latestAction?.actionDate)
+                })) : [];
+            }),
+            subjects: [
+                ...(policyArea ? [{ subject: policyArea, is_policy_area: 1 }] : []),
+                ...items(subjectsNode.legislativeSubjects)
+                    .map(subject => ({ subject: text(subject.name), is_policy_area: 0 }))
+                    .filter(subject => subject.subject)
+            ]
+        };
+    }
+
+    async parseFile(file) {
+        const parsed = await this.parser.parseStringPromise(fs.readFileSync(file, 'utf8'));
+        const bill = parsed.billStatus?.bill;
+        if (!bill) throw new Error('not a BILLSTATUS file');
+        return this.parseBill(bill);
+    }
+
+    // Child rows are replaced wholesale; the bills row keeps fields the file does not carry.
+    // The status comes from the actions and only ever moves the stored bill forward.
+    // Returns false when the actions would have moved the status backwards.
+    async saveBill({ bill, actions, cosponsors, committees, relatedBills, subjects }) {
+        const referredTo = [...new Set(committees
+            .filter(committee => !committee.parent_code)
+            .map(committee => committee.name))];
+        const current = await get(this.db, 'SELECT status FROM bills WHERE bill_id = ?', [bill.bill_id]);
+        const { status, rejected } = applyTransition(current?.status, deriveStatus(actions));
+        await run(this.db, `INSERT INTO bills
+            (bill_id, congress, bill_type, number, title, summary, introduced_date, latest_action, latest_action_date,
+             sponsor_id, committees, subjects, policy_area, status, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(bill_id) DO UPDATE SET status = excluded.status,
+                title = COALESCE(excluded.title, title), summary = COALESCE(excluded.summary, summary),
+                introduced_date = COALESCE(excluded.introduced_date, introduced_date),
+                latest_action = COALESCE(excluded.latest_action, latest_action),
+                latest_action_date = COALESCE(excluded.latest_action_date, latest_action_date),
+                sponsor_id = COALESCE(excluded.sponsor_id, sponsor_id),
+                committees = COALESCE(excluded.committees, committees),
+                subjects = COALESCE(excluded.subjects, subjects), policy_area = excluded.policy_area,
+                updated_at = CURRENT_TIMESTAMP`,
+            [bill.bill_id, bill.congress, bill.bill_type, bill.number, bill.title, bill.summary, bill.introduced_date,
+             bill.latest_action, bill.latest_action_date, bill.sponsor_id, referredTo.join(', ') || null,
+             subjects.map(subject => subject.subject).join(', ') || null, bill.policy_area, status]);
+
+        for (const table of ['bill_actions', 'bill_cosponsors', 'bill_committees', 'related_bills', 'bill_subjects']) {
+            await run(this.db, `DELETE FROM ${table} WHERE bill_id = ?`, [bill.bill_id]);
+        }
+        for (const action of actions) {
+            await run(this.db, `INSERT INTO bill_actions
+                (bill_id, action_date, action_time, action_code, action_type, text, source_system, committee_code)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [bill.bill_id, action.action_date, action.action_time, action.action_code, action.action_type,
+                 action.text, action.source_system, action.committee_code]);
+        }
+        for (const cosponsor of cosponsors) {
+            await run(this.db, `INSERT OR REPLACE INTO bill_cosponsors
+                (bill_id, bioguide_id, full_name, party, state, district, sponsorship_date, is_original, withdrawn_date)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [bill.bill_id, cosponsor.bioguide_id, cosponsor.full_name, cosponsor.party, cosponsor.state,
+                 cosponsor.district, cosponsor.sponsorship_date, cosponsor.is_original, cosponsor.withdrawn_date]);
+        }
+        for (const committee of committees) {
+            await run(this.db, `INSERT INTO bill_committees
+                (bill_id, committee_code, parent_code, name, chamber, activity, activity_date)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [bill.bill_id, committee.committee_code, committee.parent_code, committee.name, committee.chamber,
+                 committee.activity, committee.activity_date]);
+        }
+        for (const related of relatedBills) {
+            await run(this.db, `INSERT OR REPLACE INTO related_bills
+                (bill_id, related_bill_id, relationship, identified_by, title, latest_action, latest_action_date)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [bill.bill_id, related.related_bill_id, related.relationship, related.identified_by, related.title,
+                 related.latest_action, related.latest_action_date]);
+        }
+        for (const subject of subjects) {
+            await run(this.db, `INSERT OR IGNORE INTO bill_subjects (bill_id, subject, is_policy_area)
+                VALUES (?, ?, ?)`, [bill.bill_id, subject.subject, subject.is_policy_area]);
+        }
+        return !rejected;
+    }
+
+    async import() {
+        const files = this.listFiles();
+        if (!files.length) {
+            return { success: false, error: `No BILLSTATUS XML files found in ${this.dataDir}` };
+        }
+
+        const errors = [];
+        const statusRejected = [];
+        let bills = 0;
+        let actions = 0;
+        let cosponsors = 0;
+
+        await transaction(this.db, async () => {
+            for (const file of files) {
+                try {
+                    const status = await this.parseFile(file);
+                    if (!await this.saveBill(status)) statusRejected.push(status.bill.bill_id);
+                    bills++;
+                    actions += status.actions.length;
+                    cosponsors += status.cosponsors.length;
+                } catch (error) {
+                    errors.push(`${path.basename(file)}: ${error.message}`);
+                }
+            }
+        });
+
+        return {
+            success: true, files: files.length, bills, actions, cosponsors, status_rejected: statusRejected, errors
+        };
+    }
+}
+
+module.exports = BillStatusImporter;
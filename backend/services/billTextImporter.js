@@ -0,0 +1,269 @@
+// GovInfo BILLS text versions (https://www.govinfo.gov/bulkdata/BILLS): BILLS-119hr1ih.xml in
+// USLM or the older bill DTD, or the plain-text .txt/.htm renditions. Each version is stored
+// whole and split into sections so versions can be compared section by section.
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const { run, transaction } = require('./sqlite');
+const { normalizeBillId } = require('./rollCallImporter');
+
+// Version codes in the order a bill moves through them
+const VERSION_STAGES = {
+    ih: 'Introduced in House',
+    is: 'Introduced in Senate',
+    rfh: 'Referred in House',
+    rfs: 'Referred in Senate',
+    rih: 'Referral Instructions House',
+    ris: 'Referral Instructions Senate',
+    rh: 'Reported in House',
+    rs: 'Reported in Senate',
+    rch: 'Reference Change House',
+    rcs: 'Reference Change Senate',
+    pch: 'Placed on Calendar House',
+    pcs: 'Placed on Calendar Senate',
+    cph: 'Considered and Passed House',
+    cps: 'Considered and Passed Senate',
+    eh: 'Engrossed in House',
+    es: 'Engrossed in Senate',
+    eah: 'Engrossed Amendment House',
+    eas: 'Engrossed Amendment Senate',
+    ath: 'Agreed to House',
+    ats: 'Agreed to Senate',
+    enr: 'Enrolled Bill'
+};
+
+// BILLS-<congress><type><number><version>.<ext>
+const FILE_PATTERN = /^BILLS-(\d+)(hr|s|hjres|sjres|hconres|sconres|hres|sres)(\d+)([a-z]+)\.(xml|txt|html?)$/i;
+
+// XML is preferred when a version exists in more than one format
+const FORMAT_PRIORITY = { xml: 0, htm: 1, html: 1, txt: 2 };
+
+// Elements whose content starts on a new line within a section
+const BLOCK_ELEMENTS = new Set(['subsection', 'paragraph', 'subparagraph', 'clause', 'subclause', 'item',
+    'subitem', 'quoted-block', 'quotedContent', 'section', 'continuation-text', 'continuation']);
+const QUOTED_ELEMENTS = new Set(['quoted-block', 'quotedContent']);
+
+const localName = name => String(name || '').replace(/^.*:/, '');
+
+// Straight and TeX-style quotes from the text renditions read the same as the XML's curly ones
+function normalizeText(value) {
+    return value
+        .replace(/``/g, '“').replace(/''/g, '”').replace(/--/g, '—')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').replace(/\s+([.,;:”)])/g, '$1').replace(/([“(—])\s+/g, '$1')
+            .trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+// "SEC. 2. " / "2." / "(a)" -> "2" / "a"
+const sectionNumber = value => (value || '').replace(/^[“"]?(?:SECTION|SEC\.)\s*/i, '').replace(/[.\s]+$/, '')
+    .trim() || null;
+
+const cleanHeading = value => (value || '').replace(/[.\s—–-]+$/, '').trim() || null;
+
+// Flattens an element (xml2js with preserveChildrenOrder) to text; blocks start new lines
+function elementText(node) {
+    if (node['#name'] === '__text__') return node._;
+    const inner = (node.$$ || []).map(elementText).join(' ');
+    const name = localName(node['#name']);
+    if (name === 'quote') return `“${inner}”`;
+    // The bill DTD leaves the run-in heading punctuation to the stylesheet
+    if (name === 'header') return `${inner}.—`;
+    return BLOCK_ELEMENTS.has(name) ? `\n${inner}\n` : inner;
+}
+
+function findFirst(node, name) {
+    if (localName(node['#name']) === name) return node;
+    for (const child of node.$$ || []) {
+        const found = findFirst(child, name);
+        if (found) return found;
+    }
+    return null;
+}
+
+// Top-level sections; sections quoted inside an amendment stay part of their parent's text
+function findSections(node, sections = []) {
+    for (const child of node.$$ || []) {
+        const name = localName(child['#name']);
+        if (name === 'section') sections.push(child);
+        else if (!QUOTED_ELEMENTS.has(name)) findSections(child, sections);
+    }
+    return sections;
+}
+
+function parseXmlSection(section) {
+    let num = null;
+    let heading = null;
+    const body = [];
+    for (const child of section.$$ || []) {
+        const name = localName(child['#name']);
+        if (!num && (name === 'enum' || name === 'num')) num = sectionNumber(child.$?.value || elementText(child));
+        else if (!heading && (name === 'header' || name === 'heading')) heading = cleanHeading(elementText(child));
+        else body.push(elementText(child));
+    }
+    return { num, heading, text: normalizeText(body.join(' ')) };
+}
+
+// "SEC. 2. BORDER WALL CONSTRUCTION." at the start of a line opens a section
+const TEXT_SECTION = /^(?:SECTION|SEC\.)\s+(\d+[A-Za-z]*)\.\s*(.*)$/;
+// GPO renditions close with the passage attestation and a </DOC> marker after the last section
+const TEXT_END = /^\s*<\/DOC>|^\s+(?:Passed the (?:House of Representatives|Senate)\b|Attest:)/;
+
+function parsePlainSections(content) {
+    const sections = [];
+    let current = null;
+    for (const line of content.split(/\r?\n/)) {
+        if (TEXT_END.test(line)) break;
+        const match = line.match(TEXT_SECTION);
+        if (match) {
+            current = { num: match[1], heading: cleanHeading(match[2]), lines: [] };
+            sections.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        }
+    }
+    // Indented continuation lines belong to the paragraph above; blank lines separate paragraphs
+    return sections.map(({ num, heading, lines }) => ({
+        num,
+        heading,
+        text: normalizeText(lines.join('\n').replace(/\n(?=[^\n\s(])/g, ' ').replace(/\n\s*\n/g, '\n'))
+    }));
+}
+
+function sectionKey(section, position) {
+    if (section.num) return `sec-${section.num.toLowerCase()}`;
+    if (section.heading) return `heading-${section.heading.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+    return `position-${position}`;
+}
+
+function renderText(sections) {
+    return sections.map(section => [
+        [section.num ? `SEC. ${section.num}.` : null, section.heading].filter(Boolean).join(' '),
+        section.text
+    ].filter(Boolean).join('\n')).join('\n\n');
+}
+
+const STAGE_ORDER = Object.keys(VERSION_STAGES);
+
+// Versions oldest first: by date where both have one, otherwise by stage
+function sortVersions(versions) {
+    const stage = version => {
+        const index = STAGE_ORDER.indexOf(version.version_code);
+        return index === -1 ? STAGE_ORDER.length : index;
+    };
+    return [...versions].sort((a, b) => (a.version_date && b.version_date && a.version_date !== b.version_date
+        ? a.version_date.localeCompare(b.version_date)
+        : stage(a) - stage(b)));
+}
+
+class BillTextImporter {
+    constructor(db, dataDir = process.env.BILL_TEXT_DATA_DIR || path.join(__dirname, '../data/billtext')) {
+        this.db = db;
+        this.dataDir = dataDir;
+        this.parser = new xml2js.Parser({
+            explicitChildren: true,
+            preserveChildrenOrder: true,
+            charsAsChildren: true
+        });
+    }
+
+    listFiles(dir = this.dataDir) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this.listFiles(file);
+            return FILE_PATTERN.test(entry.name) ? [file] : [];
+        });
+    }
+
+    async parseFile(file) {
+        const [, congress, billType, number, code, extension] = path.basename(file).match(FILE_PATTERN);
+        const format = extension.toLowerCase() === 'xml' ? 'xml' : 'text';
+        const content = fs.readFileSync(file, 'utf8');
+        const version = {
+            bill_id: normalizeBillId(billType.toLowerCase(), number, parseInt(congress)),
+            version_code: code.toLowerCase(),
+            version_name: VERSION_STAGES[code.toLowerCase()] || code.toUpperCase(),
+            version_date: null,
+            format,
+            source_file: path.basename(file)
+        };
+
+        if (format === 'xml') {
+            const parsed = await this.parser.parseStringPromise(content);
+            const root = Object.values(parsed)[0];
+            version.version_date = elementText(findFirst(root, 'date') || { $$: [] }).trim().slice(0, 10) || null;
+            const body = findFirst(root, 'legis-body') || findFirst(root, 'resolution-body')
+                || findFirst(root, 'main') || root;
+            const sections = findSections(body).map(parseXmlSection);
+            version.sections = sections.length ? sections
+                : [{ num: null, heading: null, text: normalizeText(elementText(body)) }];
+        } else {
+            const plain = extension.toLowerCase() === 'txt' ? content
+                : content.replace(/<[^>]+>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+            const sections = parsePlainSections(plain);
+            version.sections = sections.length ? sections : [{ num: null, heading: null, text: normalizeText(plain) }];
+        }
+        version.full_text = renderText(version.sections);
+        return version;
+    }
+
+    async saveVersion(version) {
+        await run(this.db, `INSERT INTO bill_text_versions
+            (bill_id, version_code, version_name, version_date, format, source_file, full_text, section_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(bill_id, version_code) DO UPDATE SET version_name = excluded.version_name,
+                version_date = excluded.version_date, format = excluded.format,
+                source_file = excluded.source_file, full_text = excluded.full_text,
+                section_count = excluded.section_count, updated_at = CURRENT_TIMESTAMP`,
+            [version.bill_id, version.version_code, version.version_name, version.version_date, version.format,
+             version.source_file, version.full_text, version.sections.length]);
+
+        await run(this.db, 'DELETE FROM bill_text_sections WHERE bill_id = ? AND version_code = ?',
+            [version.bill_id, version.version_code]);
+        // Divisions can restart section numbering; repeats get a suffix so keys stay unique
+        const seen = new Map();
+        for (const [position, section] of version.sections.entries()) {
+            const key = sectionKey(section, position);
+            seen.set(key, (seen.get(key) || 0) + 1);
+            await run(this.db, `INSERT INTO bill_text_sections
+                (bill_id, version_code, position, section_key, num, heading, text) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [version.bill_id, version.version_code, position, seen.get(key) > 1 ? `${key}-${seen.get(key)}` : key,
+                 section.num, section.heading, section.text]);
+        }
+    }
+
+    async import() {
+        const files = this.listFiles().sort((a, b) =>
+            FORMAT_PRIORITY[a.split('.').pop().toLowerCase()] - FORMAT_PRIORITY[b.split('.').pop().toLowerCase()]);
+        if (!files.length) {
+            return { success: false, error: `No BILLS text files found in ${this.dataDir}` };
+        }
+
+        const errors = [];
+        const imported = new Set();
+        let sections = 0;
+
+        await transaction(this.db, async () => {
+            for (const file of files) {
+                try {
+                    const version = await this.parseFile(file);
+                    const id = `${version.bill_id}/${version.version_code}`;
+                    if (imported.has(id)) continue;
+                    await this.saveVersion(version);
+                    imported.add(id);
+                    sections += version.sections.length;
+                } catch (error) {
+                    errors.push(`${path.basename(file)}: ${error.message}`);
+                }
+            }
+        });
+
+        return { success: true, files: files.length, versions: imported.size, sections, errors };
+    }
+}
+
+module.exports = BillTextImporter;
+module.exports.VERSION_STAGES = VERSION_STAGES;
+module.exports.sortVersions = sortVersions;
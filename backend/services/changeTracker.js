@@ -0,0 +1,129 @@
+// Before/after snapshots of refreshed tables, diffed into created and updated records
+// and written to activity_log as field-level change events
+const { run, all, transaction } = require('./sqlite');
+
+// data source -> table, the natural key refreshes upsert on, the fields compared and
+// the severity of a change to each field (unlisted fields and new records are 'info')
+const TRACKED_SOURCES = {
+    legislation: {
+        table: 'bills',
+        key: 'bill_id',
+        label: 'Bill',
+        fields: ['title', 'summary', 'status', 'latest_action', 'latest_action_date', 'sponsor_id', 'committees'],
+        severity: { status: 'high', latest_action: 'medium', title: 'medium', sponsor_id: 'medium' }
+    },
+    spending: {
+        table: 'federal_spending',
+        key: 'award_id',
+        label: 'Award',
+        fields: ['recipient_name', 'award_amount', 'award_type', 'awarding_agency', 'funding_agency',
+                 'award_description', 'place_of_performance', 'award_date'],
+        severity: { award_amount: 'high', recipient_name: 'high', awarding_agency: 'medium', award_type: 'medium' }
+    },
+    // Amendments and later filings replace a period's row in place, so filings are keyed by registration
+    lobbying: {
+        table: 'lobbying',
+        key: 'registration_id',
+        label: 'Lobbying filing',
+        fields: ['client_name', 'registrant_name', 'lobbyist_name', 'amount', 'year', 'quarter', 'report_type',
+                 'specific_issues', 'termination_date'],
+        severity: { amount: 'high', termination_date: 'high', client_name: 'medium', registrant_name: 'medium' }
+    }
+};
+
+const SEVERITIES = ['info', 'medium', 'high'];
+
+// Current rows of a tracked source keyed by entity id; null for untracked sources
+async function snapshot(db, source) {
+    const tracked = TRACKED_SOURCES[source];
+    if (!tracked) return null;
+
+    const rows = await all(db, `SELECT * FROM ${tracked.table} WHERE ${tracked.key} IS NOT NULL ORDER BY rowid`);
+    const records = new Map();
+    for (const row of rows) {
+        const id = String(row[tracked.key]);
+        if (!records.has(id)) records.set(id, row);
+    }
+    return records;
+}
+
+// Loose comparison: numbers stored as text and NULL vs '' are not changes
+function sameValue(a, b) {
+    return String(a ?? '') === String(b ?? '');
+}
+
+// { field: { from, to } } for each of `fields` that differs between two rows
+function diffFields(previous, record, fields) {
+    const changes = {};
+    for (const field of fields) {
+        if (!sameValue(previous[field], record[field])) {
+            changes[field] = { from: previous[field] ?? null, to: record[field] ?? null };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Compares two snapshots of one source. Returns
+ * [{ change: 'created' | 'updated', entity_id, record, changes: { field: { from, to } } }]
+ */
+function diffSnapshots(source, before, after) {
+    const { fields } = TRACKED_SOURCES[source];
+    const diffs = [];
+    for (const [id, record] of after) {
+        const previous = before.get(id);
+        if (!previous) {
+            diffs.push({ change: 'created', entity_id: id, record, changes: {} });
+            continue;
+        }
+        const changes = diffFields(previous, record, fields);
+        if (Object.keys(changes).length) {
+            diffs.push({ change: 'updated', entity_id: id, record, changes });
+        }
+    }
+    return diffs;
+}
+
+// Keeps descriptions readable when a field holds a long summary or issue list
+function quote(value) {
+    if (value === null || value === undefined || value === '') return 'empty';
+    const text = String(value);
+    return `"${text.length > 80 ? `${text.substring(0, 77)}...` : text}"`;
+}
+
+// One activity_log entry for a new record, or one per changed field
+function activityEntries(source, { change, entity_id, changes }) {
+    const { label, severity } = TRACKED_SOURCES[source];
+    if (change === 'created') {
+        return [{ event_type: 'created', field: null, old_value: null, new_value: null, severity: 'info',
+            description: `${label} ${entity_id} added` }];
+    }
+    return Object.entries(changes).map(([field, { from, to }]) => ({
+        event_type: `${field}_changed`,
+        field,
+        old_value: from === null ? null : String(from),
+        new_value: to === null ? null : String(to),
+        severity: severity[field] || 'info',
+        description: `${label} ${entity_id} ${field.replace(/_/g, ' ')} changed from ${quote(from)} to ${quote(to)}`
+    }));
+}
+
+// Writes a refresh's changes to activity_log; returns the number of events
+async function recordChanges(db, source, diffs) {
+    let count = 0;
+    await transaction(db, async () => {
+        for (const diff of diffs) {
+            for (const entry of activityEntries(source, diff)) {
+                await run(db, `INSERT INTO activity_log
+                    (event_type, description, data_source, entity_id, field, old_value, new_value, severity)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [entry.event_type, entry.description, source, diff.entity_id, entry.field, entry.old_value,
+                     entry.new_value, entry.severity]);
+                count++;
+            }
+        }
+    });
+    return count;
+}
+
+module.exports = { TRACKED_SOURCES, SEVERITIES, snapshot, diffFields, diffSnapshots, recordChanges };
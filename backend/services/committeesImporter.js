@@ -0,0 +1,101 @@
+// Committee files from the congress-legislators dataset (committees-current.yaml and
+// committee-membership-current.yaml). Committees keep their THOMAS ids (HSAG, SSFI, JSEC);
+// subcommittees append their own two digits (HSAG14). BILLSTATUS refers to both by system
+// code, the lowercase id padded with 00 for a full committee (hsag00, hsag14).
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { run, transaction } = require('./sqlite');
+
+const systemCode = id => (id.length === 4 ? `${id}00` : id).toLowerCase();
+
+// Membership titles -> the roles the API reports; anything else is a plain member
+const ROLES = [
+    [/ranking/i, 'ranking_member'],
+    [/vice ch/i, 'vice_chair'],
+    [/^(co-?)?chair/i, 'chair'],
+    [/ex officio/i, 'ex_officio']
+];
+
+function memberRole(title) {
+    const match = ROLES.find(([pattern]) => pattern.test(title || ''));
+    return match ? match[1] : 'member';
+}
+
+class CommitteesImporter {
+    constructor(db, dataDir = process.env.LEGISLATORS_DATA_DIR || path.join(__dirname, '../data/congress-legislators')) {
+        this.db = db;
+        this.dataDir = dataDir;
+    }
+
+    // Reads <name>.yaml, <name>.yml or <name>.json from the data directory
+    readDataset(name) {
+        for (const ext of ['.yaml', '.yml', '.json']) {
+            const file = path.join(this.dataDir, name + ext);
+            if (!fs.existsSync(file)) continue;
+            const contents = fs.readFileSync(file, 'utf8');
+            return ext === '.json' ? JSON.parse(contents) : yaml.load(contents);
+        }
+        return null;
+    }
+
+    async saveCommittee(committee) {
+        const id = committee.thomas_id;
+        await run(this.db, `INSERT INTO committees
+            (committee_id, chamber, name, system_code, url, jurisdiction, address, phone, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(committee_id) DO UPDATE SET chamber = excluded.chamber, name = excluded.name,
+                system_code = excluded.system_code, url = excluded.url, jurisdiction = excluded.jurisdiction,
+                address = excluded.address, phone = excluded.phone, updated_at = CURRENT_TIMESTAMP`,
+            [id, committee.type, committee.name, systemCode(id), committee.url || null,
+             committee.jurisdiction || null, committee.address || null, committee.phone || null]);
+
+        await run(this.db, 'DELETE FROM subcommittees WHERE committee_id = ?', [id]);
+        const subcommittees = committee.subcommittees || [];
+        for (const subcommittee of subcommittees) {
+            const subcommitteeId = `${id}${subcommittee.thomas_id}`;
+            await run(this.db, `INSERT OR REPLACE INTO subcommittees
+                (subcommittee_id, committee_id, name, system_code, address, phone)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+                [subcommitteeId, id, subcommittee.name, systemCode(subcommitteeId), subcommittee.address || null,
+                 subcommittee.phone || null]);
+        }
+        return subcommittees.length;
+    }
+
+    async import() {
+        const committees = this.readDataset('committees-current');
+        if (!Array.isArray(committees)) {
+            return { success: false, error: `No committees-current dataset found in ${this.dataDir}` };
+        }
+        const memberships = this.readDataset('committee-membership-current') || {};
+
+        return transaction(this.db, async () => {
+            let saved = 0;
+            let subcommittees = 0;
+            for (const committee of committees) {
+                if (!committee.thomas_id) continue;
+                subcommittees += await this.saveCommittee(committee);
+                saved++;
+            }
+
+            // The membership file is a full roster, so it replaces the table
+            await run(this.db, 'DELETE FROM committee_memberships');
+            let members = 0;
+            for (const [committeeId, roster] of Object.entries(memberships)) {
+                for (const member of roster || []) {
+                    if (!member.bioguide) continue;
+                    await run(this.db, `INSERT OR REPLACE INTO committee_memberships
+                        (committee_id, bioguide_id, name, side, rank, title, role) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        [committeeId, member.bioguide, member.name || null, member.party || null, member.rank || null,
+                         member.title || null, memberRole(member.title)]);
+                    members++;
+                }
+            }
+
+            return { success: true, committees: saved, subcommittees, memberships: members };
+        });
+    }
+}
+
+module.exports = CommitteesImporter;
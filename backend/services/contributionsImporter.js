@@ -0,0 +1,186 @@
+// FEC itemized contribution importer: individual contributions (indivYY.txt),
+// committee-to-candidate contributions (pas2YY.txt), committee master (cmYY.txt)
+// and candidate-committee linkages (cclYY.txt), plus the donor rollups built from them.
+const fs = require('fs');
+const path = require('path');
+const { run, transaction } = require('./sqlite');
+const { readPipeDelimited, cycleFromFileName } = require('./fecImporter');
+
+const INDIVIDUAL_COLUMNS = [
+    'CMTE_ID', 'AMNDT_IND', 'RPT_TP', 'TRANSACTION_PGI', 'IMAGE_NUM', 'TRANSACTION_TP', 'ENTITY_TP', 'NAME',
+    'CITY', 'STATE', 'ZIP_CODE', 'EMPLOYER', 'OCCUPATION', 'TRANSACTION_DT', 'TRANSACTION_AMT', 'OTHER_ID',
+    'TRAN_ID', 'FILE_NUM', 'MEMO_CD', 'MEMO_TEXT', 'SUB_ID'
+];
+
+const COMMITTEE_TO_CANDIDATE_COLUMNS = [
+    'CMTE_ID', 'AMNDT_IND', 'RPT_TP', 'TRANSACTION_PGI', 'IMAGE_NUM', 'TRANSACTION_TP', 'ENTITY_TP', 'NAME',
+    'CITY', 'STATE', 'ZIP_CODE', 'EMPLOYER', 'OCCUPATION', 'TRANSACTION_DT', 'TRANSACTION_AMT', 'OTHER_ID',
+    'CAND_ID', 'TRAN_ID', 'FILE_NUM', 'MEMO_CD', 'MEMO_TEXT', 'SUB_ID'
+];
+
+const COMMITTEE_MASTER_COLUMNS = [
+    'CMTE_ID', 'CMTE_NM', 'TRES_NM', 'CMTE_ST1', 'CMTE_ST2', 'CMTE_CITY', 'CMTE_ST', 'CMTE_ZIP', 'CMTE_DSGN',
+    'CMTE_TP', 'CMTE_PTY_AFFILIATION', 'CMTE_FILING_FREQ', 'ORG_TP', 'CONNECTED_ORG_NM', 'CAND_ID'
+];
+
+const LINKAGE_COLUMNS = [
+    'CAND_ID', 'CAND_ELECTION_YR', 'FEC_ELECTION_YR', 'CMTE_ID', 'CMTE_TP', 'CMTE_DSGN', 'LINKAGE_ID'
+];
+
+// Rows per transaction while streaming; keeps memory flat on multi-GB files
+const BATCH_SIZE = 5000;
+
+// Direct and in-kind contributions; independent expenditures (24A/24E) are not transfers
+const TRANSFER_TYPES = ['24K', '24Z'];
+
+// Expressions each rollup dimension groups individual contributions by
+const INDIVIDUAL_ROLLUPS = {
+    employer: { value: "COALESCE(NULLIF(UPPER(TRIM(c.employer)), ''), 'NOT REPORTED')", detail: 'NULL' },
+    occupation: { value: "COALESCE(NULLIF(UPPER(TRIM(c.occupation)), ''), 'NOT REPORTED')", detail: 'NULL' },
+    state: { value: "COALESCE(NULLIF(c.state, ''), '??')", detail: 'NULL' },
+    zip: { value: "COALESCE(NULLIF(SUBSTR(c.zip_code, 1, 5), ''), '?????')", detail: 'MAX(c.state)' },
+    // Donors are told apart by name and ZIP code
+    donor: {
+        value: 'UPPER(TRIM(c.name))',
+        detail: "MAX(c.city) || ', ' || MAX(c.state) || ' ' || SUBSTR(c.zip_code, 1, 5)",
+        group: 'UPPER(TRIM(c.name)), SUBSTR(c.zip_code, 1, 5)'
+    }
+};
+
+// MMDDYYYY -> YYYY-MM-DD
+function isoDate(value) {
+    return /^\d{8}$/.test(value) ? `${value.slice(4)}-${value.slice(0, 2)}-${value.slice(2, 4)}` : null;
+}
+
+class ContributionsImporter {
+    constructor(db, dataDir = process.env.FEC_DATA_DIR || path.join(__dirname, '../data/fec')) {
+        this.db = db;
+        this.dataDir = dataDir;
+    }
+
+    listFiles(prefix, dir = this.dataDir) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this.listFiles(prefix, file);
+            return cycleFromFileName(file, prefix) ? [file] : [];
+        });
+    }
+
+    // Streams every <prefix>YY.txt file, saving rows in batched transactions
+    async importFiles(prefix, columns, save) {
+        let count = 0;
+        for (const file of this.listFiles(prefix)) {
+            const cycle = cycleFromFileName(file, prefix);
+            let batch = [];
+            const flush = async () => {
+                const rows = batch;
+                batch = [];
+                await transaction(this.db, async () => {
+                    for (const row of rows) await save(row, cycle);
+                });
+                count += rows.length;
+            };
+
+            await readPipeDelimited(file, columns, async row => {
+                batch.push(row);
+                if (batch.length >= BATCH_SIZE) await flush();
+            });
+            if (batch.length) await flush();
+        }
+        return count;
+    }
+
+    saveCommittee(row, cycle) {
+        return run(this.db, `INSERT OR REPLACE INTO fec_committees
+            (committee_id, cycle, name, designation, committee_type, party, connected_org, candidate_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [row.CMTE_ID, cycle, row.CMTE_NM, row.CMTE_DSGN || null, row.CMTE_TP || null,
+             row.CMTE_PTY_AFFILIATION || null, row.CONNECTED_ORG_NM || null, row.CAND_ID || null]);
+    }
+
+    saveLinkage(row, cycle) {
+        return run(this.db, `INSERT OR REPLACE INTO candidate_committees
+            (candidate_id, committee_id, cycle, designation, committee_type) VALUES (?, ?, ?, ?, ?)`,
+            [row.CAND_ID, row.CMTE_ID, parseInt(row.FEC_ELECTION_YR) || cycle, row.CMTE_DSGN || null,
+             row.CMTE_TP || null]);
+    }
+
+    saveIndividual(row, cycle) {
+        return run(this.db, `INSERT OR REPLACE INTO individual_contributions
+            (sub_id, committee_id, cycle, report_type, transaction_type, entity_type, name, city, state, zip_code,
+             employer, occupation, transaction_date, amount, memo_code)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [row.SUB_ID, row.CMTE_ID, cycle, row.RPT_TP, row.TRANSACTION_TP, row.ENTITY_TP, row.NAME, row.CITY,
+             row.STATE, row.ZIP_CODE, row.EMPLOYER, row.OCCUPATION, isoDate(row.TRANSACTION_DT),
+             parseFloat(row.TRANSACTION_AMT) || 0, row.MEMO_CD || null]);
+    }
+
+    saveCommitteeContribution(row, cycle) {
+        return run(this.db, `INSERT OR REPLACE INTO committee_contributions
+            (sub_id, committee_id, candidate_id, cycle, report_type, transaction_type, recipient_name, city, state,
+             zip_code, transaction_date, amount, other_id, memo_code)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [row.SUB_ID, row.CMTE_ID, row.CAND_ID || null, cycle, row.RPT_TP, row.TRANSACTION_TP, row.NAME,
+             row.CITY, row.STATE, row.ZIP_CODE, isoDate(row.TRANSACTION_DT), parseFloat(row.TRANSACTION_AMT) || 0,
+             row.OTHER_ID || null, row.MEMO_CD || null]);
+    }
+
+    // Rebuilds contribution_rollups; memo entries (memo code X) duplicate other rows and are skipped
+    async buildRollups() {
+        await transaction(this.db, async () => {
+            await run(this.db, 'DELETE FROM contribution_rollups');
+
+            // Principal campaign committees count even without a linkage file
+            await run(this.db, `INSERT OR IGNORE INTO candidate_committees (candidate_id, committee_id, cycle, designation)
+                SELECT candidate_id, principal_committee_id, cycle, 'P' FROM campaign_finance
+                WHERE principal_committee_id IS NOT NULL`);
+
+            for (const [dimension, { value, detail, group = value }] of Object.entries(INDIVIDUAL_ROLLUPS)) {
+                await run(this.db, `INSERT INTO contribution_rollups
+                    (candidate_id, cycle, dimension, value, detail, total_amount, contribution_count)
+                    SELECT links.candidate_id, links.cycle, ?, ${value}, ${detail}, SUM(c.amount), COUNT(*)
+                    FROM individual_contributions c
+                    JOIN (SELECT DISTINCT candidate_id, committee_id, cycle FROM candidate_committees) links
+                        ON links.committee_id = c.committee_id AND links.cycle = c.cycle
+                    WHERE c.memo_code IS NULL OR c.memo_code <> 'X'
+                    GROUP BY links.candidate_id, links.cycle, ${group}`,
+                    [dimension]);
+            }
+
+            await run(this.db, `INSERT INTO contribution_rollups
+                (candidate_id, cycle, dimension, value, detail, total_amount, contribution_count)
+                SELECT c.candidate_id, c.cycle, 'committee', c.committee_id, MAX(fec_committees.name),
+                    SUM(c.amount), COUNT(*)
+                FROM committee_contributions c
+                LEFT JOIN fec_committees ON fec_committees.committee_id = c.committee_id
+                    AND fec_committees.cycle = c.cycle
+                WHERE c.candidate_id IS NOT NULL AND (c.memo_code IS NULL OR c.memo_code <> 'X')
+                    AND c.transaction_type IN (${TRANSFER_TYPES.map(() => '?').join(', ')})
+                GROUP BY c.candidate_id, c.cycle, c.committee_id`,
+                TRANSFER_TYPES);
+        });
+    }
+
+    async import() {
+        const individualFiles = this.listFiles('indiv');
+        const transferFiles = this.listFiles('pas2');
+        if (!individualFiles.length && !transferFiles.length) {
+            return { success: false, error: `No FEC itemized files (indivYY.txt / pas2YY.txt) found in ${this.dataDir}` };
+        }
+
+        const committees = await this.importFiles('cm', COMMITTEE_MASTER_COLUMNS,
+            (row, cycle) => row.CMTE_ID && this.saveCommittee(row, cycle));
+        const linkages = await this.importFiles('ccl', LINKAGE_COLUMNS,
+            (row, cycle) => row.CAND_ID && row.CMTE_ID && this.saveLinkage(row, cycle));
+        const individual = await this.importFiles('indiv', INDIVIDUAL_COLUMNS,
+            (row, cycle) => row.SUB_ID && this.saveIndividual(row, cycle));
+        const transfers = await this.importFiles('pas2', COMMITTEE_TO_CANDIDATE_COLUMNS,
+            (row, cycle) => row.SUB_ID && this.saveCommitteeContribution(row, cycle));
+        await this.buildRollups();
+
+        return { success: true, committees, linkages, individual, transfers };
+    }
+}
+
+module.exports = ContributionsImporter;
@@ -0,0 +1,167 @@
+// Daily and weekly alert digest emails over a configurable SMTP transport
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { run, all } = require('./sqlite');
+const { renderSubject, renderHtml, renderText } = require('./digestTemplates');
+
+// Alert frequencies collected by each digest; immediate ones are sent after each alert evaluation
+const DIGEST_FREQUENCIES = {
+    immediate: ['immediate'],
+    daily: ['hourly', 'daily'],
+    weekly: ['weekly']
+};
+
+// Hits listed per alert in one email; the rest are summarized as a count
+const MAX_HITS_PER_ALERT = 25;
+
+// SMTP_HOST/SMTP_PORT can point at a local catch-all server (e.g. MailHog on 1025) in tests
+function createTransport(env = process.env) {
+    if (!env.SMTP_HOST) return null;
+    return nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    });
+}
+
+// UNSUBSCRIBE_SECRET, else a key derived from JWT_SECRET, so the login signing key never signs links itself
+function unsubscribeSecret(env = process.env) {
+    if (env.UNSUBSCRIBE_SECRET) return env.UNSUBSCRIBE_SECRET;
+    if (!env.JWT_SECRET) return null;
+    return crypto.createHmac('sha256', env.JWT_SECRET).update('digest-unsubscribe').digest('base64url');
+}
+
+// Unsubscribe tokens are short HMAC-signed payloads so links fit in any mail client
+function signUnsubscribeToken(secret, userId, alertId = null) {
+    const payload = Buffer.from(JSON.stringify(alertId ? { u: userId, a: alertId } : { u: userId }))
+        .toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url').slice(0, 22);
+    return `${payload}.${signature}`;
+}
+
+function verifyUnsubscribeToken(secret, token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(payload).digest('base64url').slice(0, 22);
+    if (signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+    try {
+        const { u, a } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return Number.isInteger(u) ? { userId: u, alertId: Number.isInteger(a) ? a : null } : null;
+    } catch {
+        return null;
+    }
+}
+
+class DigestMailer {
+    constructor(db, { transport = createTransport(), from, appUrl, secret }) {
+        this.db = db;
+        this.transport = transport;
+        this.from = from || process.env.MAIL_FROM || 'Government Watchdog <alerts@localhost>';
+        this.appUrl = appUrl;
+        this.secret = secret;
+    }
+
+    unsubscribeUrl(userId, alertId) {
+        return `${this.appUrl}/api/unsubscribe/${signUnsubscribeToken(this.secret, userId, alertId)}`;
+    }
+
+    // Unsent hits for active alerts of users who still want email, grouped by user and alert
+    async pendingDigests(period) {
+        const frequencies = DIGEST_FREQUENCIES[period];
+        const hits = await all(this.db, `SELECT alert_hits.*, users.username, users.email,
+                user_alerts.name AS alert_name, user_alerts.keywords AS alert_keywords
+            FROM alert_hits
+            JOIN user_alerts ON user_alerts.id = alert_hits.alert_id
+            JOIN users ON users.id = alert_hits.user_id
+            WHERE alert_hits.notified_at IS NULL AND user_alerts.is_active = 1
+                AND users.alerts_enabled = 1 AND users.email IS NOT NULL
+                AND user_alerts.frequency IN (${frequencies.map(() => '?').join(', ')})
+            ORDER BY users.id, user_alerts.id, alert_hits.matched_at DESC, alert_hits.id DESC`,
+            frequencies);
+
+        const users = new Map();
+        for (const hit of hits) {
+            if (!users.has(hit.user_id)) {
+                users.set(hit.user_id, {
+                    user: { id: hit.user_id, username: hit.username, email: hit.email },
+                    alerts: new Map(),
+                    hitIds: []
+                });
+            }
+            const digest = users.get(hit.user_id);
+            if (!digest.alerts.has(hit.alert_id)) {
+                digest.alerts.set(hit.alert_id, {
+                    alert: { id: hit.alert_id, name: hit.alert_name, keywords: hit.alert_keywords },
+                    hits: [],
+                    more: 0,
+                    unsubscribeUrl: this.unsubscribeUrl(hit.user_id, hit.alert_id)
+                });
+            }
+            const section = digest.alerts.get(hit.alert_id);
+            if (section.hits.length < MAX_HITS_PER_ALERT) {
+                section.hits.push(hit);
+            } else {
+                section.more++;
+            }
+            digest.hitIds.push(hit.id);
+        }
+        return [...users.values()].map(digest => ({ ...digest, alerts: [...digest.alerts.values()] }));
+    }
+
+    async sendDigest(period, { user, alerts, hitIds }) {
+        const unsubscribeAllUrl = this.unsubscribeUrl(user.id);
+        const content = { user, period, alerts, unsubscribeAllUrl, appUrl: this.appUrl };
+
+        await this.transport.sendMail({
+            from: this.from,
+            to: user.email,
+            subject: renderSubject(content),
+            text: renderText(content),
+            html: renderHtml(content),
+            headers: {
+                'List-Unsubscribe': `<${unsubscribeAllUrl}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+        });
+
+        await run(this.db, `UPDATE alert_hits SET notified_at = CURRENT_TIMESTAMP
+            WHERE id IN (${hitIds.map(() => '?').join(', ')})`, hitIds);
+    }
+
+    async sendDigests(period = 'daily') {
+        if (!DIGEST_FREQUENCIES[period]) {
+            return { success: false, error: `Unknown digest period: ${period}` };
+        }
+        if (!this.transport) {
+            return { success: false, error: 'SMTP_HOST is not configured' };
+        }
+        if (!this.secret) {
+            return { success: false,
+                error: 'UNSUBSCRIBE_SECRET (or JWT_SECRET) is not set; unsubscribe links need a stable secret' };
+        }
+
+        const digests = await this.pendingDigests(period);
+        const errors = [];
+        let sent = 0;
+        for (const digest of digests) {
+            try {
+                await this.sendDigest(period, digest);
+                sent++;
+            } catch (error) {
+                errors.push(`${digest.user.email}: ${error.message}`);
+            }
+        }
+        return { success: true, period, sent, failed: errors.length, errors };
+    }
+}
+
+module.exports = DigestMailer;
+module.exports.createTransport = createTransport;
+module.exports.unsubscribeSecret = unsubscribeSecret;
+module.exports.signUnsubscribeToken = signUnsubscribeToken;
+module.exports.verifyUnsubscribeToken = verifyUnsubscribeToken;
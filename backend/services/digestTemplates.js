@@ -0,0 +1,99 @@
+// HTML and plain-text templates for alert digest emails
+
+const SOURCE_LABELS = { bills: 'Bill', spending: 'Federal award', lobbying: 'Lobbying filing' };
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// FTS snippets wrap matches in <mark>; keep those and escape everything else
+function snippetHtml(snippet) {
+    return escapeHtml(snippet).replace(/&lt;mark&gt;/g, '<mark>').replace(/&lt;\/mark&gt;/g, '</mark>');
+}
+
+const snippetText = snippet => String(snippet ?? '').replace(/<\/?mark>/g, '');
+
+// Immediate emails go out per evaluation rather than as a periodic summary
+function introLine({ user, period }) {
+    const summary = period === 'immediate'
+        ? 'here are new and changed records matching your alerts.'
+        : `here is your ${period} summary of new and changed records matching your alerts.`;
+    return `Hi ${user.username}, ${summary}`;
+}
+
+/**
+ * digest: { user, period, alerts: [{ alert, hits, more, unsubscribeUrl }], unsubscribeAllUrl, appUrl }
+ */
+function renderSubject({ period, alerts }) {
+    const count = alerts.reduce((sum, { hits, more = 0 }) => sum + hits.length + more, 0);
+    const matches = `${count} new match${count === 1 ? '' : 'es'}`;
+    return period === 'immediate'
+        ? `Government Watchdog alert: ${matches}`
+        : `Your ${period} Government Watchdog digest: ${matches}`;
+}
+
+function renderHtml({ user, period, alerts, unsubscribeAllUrl, appUrl }) {
+    const sections = alerts.map(({ alert, hits, more, unsubscribeUrl }) => `
+        <h2 style="font-size: 18px; color: #1565C0; margin: 24px 0 8px;">${escapeHtml(alert.name || alert.keywords)}</h2>
+        <p style="color: #666; font-size: 13px; margin: 0 0 12px;">
+            ${hits.length + more} new match${hits.length + more === 1 ? '' : 'es'} for “${escapeHtml(alert.keywords)}”
+            · <a href="${escapeHtml(unsubscribeUrl)}" style="color: #666;">Turn off this alert</a>
+        </p>
+        <ul style="padding-left: 20px; margin: 0;">
+            ${hits.map(hit => `
+            <li style="margin-bottom: 10px;">
+                <strong>${escapeHtml(SOURCE_LABELS[hit.data_source] || hit.data_source)}:</strong>
+                ${escapeHtml(hit.title)}
+                ${hit.snippet ? `<div style="color: #555; font-size: 13px;">…${snippetHtml(hit.snippet)}…</div>` : ''}
+            </li>`).join('')}
+        </ul>
+        ${more ? `<p style="color: #666; font-size: 13px;">…and ${more} more</p>` : ''}`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #333; max-width: 640px; margin: 0 auto; padding: 20px;">
+    <h1 style="font-size: 22px; color: #1565C0;">🏛️ Government Watchdog</h1>
+    <p>${escapeHtml(introLine({ user, period }))}</p>
+    ${sections}
+    <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+    <p style="color: #999; font-size: 12px;">
+        <a href="${escapeHtml(appUrl)}" style="color: #999;">Manage alerts</a>
+        · <a href="${escapeHtml(unsubscribeAllUrl)}" style="color: #999;">Unsubscribe from all alert emails</a>
+    </p>
+</body>
+</html>`;
+}
+
+function renderText({ user, period, alerts, unsubscribeAllUrl, appUrl }) {
+    const sections = alerts.map(({ alert, hits, more, unsubscribeUrl }) => [
+        `== ${alert.name || alert.keywords} ==`,
+        `${hits.length + more} new match${hits.length + more === 1 ? '' : 'es'} for "${alert.keywords}"`,
+        '',
+        ...hits.map(hit => [
+            `* ${SOURCE_LABELS[hit.data_source] || hit.data_source}: ${hit.title}`,
+            ...(hit.snippet ? [`  ...${snippetText(hit.snippet)}...`] : [])
+        ].join('\n')),
+        ...(more ? [`...and ${more} more`] : []),
+        '',
+        `Turn off this alert: ${unsubscribeUrl}`
+    ].join('\n')).join('\n\n');
+
+    return [
+        'Government Watchdog',
+        '',
+        introLine({ user, period }),
+        '',
+        sections,
+        '',
+        '--',
+        `Manage alerts: ${appUrl}`,
+        `Unsubscribe from all alert emails: ${unsubscribeAllUrl}`
+    ].join('\n');
+}
+
+module.exports = { renderSubject, renderHtml, renderText, escapeHtml };
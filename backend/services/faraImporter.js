@@ -0,0 +1,251 @@
+// Foreign Agents Registration Act bulk CSVs from efile.fara.gov: registrants, foreign
+// principals (with the country each represents), short-form registrants (individual
+// agents) and registrant documents, of which the informational materials are kept.
+// Files are recognized by their header row, so the download names do not matter.
+const fs = require('fs');
+const path = require('path');
+const { run, all, transaction } = require('./sqlite');
+
+// Header names lowercased with everything but letters and digits removed
+const headerKey = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, doubled quotes and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(value => value.trim())) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    if (row.some(value => value.trim())) rows.push(row);
+    return rows;
+}
+
+// Windows-1252 differs from latin1 only in 0x80-0x9F, where it has smart quotes, dashes and the
+// euro sign (Node's TextDecoder treats it as latin1). The five unassigned bytes stay as they are.
+const CP1252_HIGH = [0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039,
+    0x0152, 0x8D, 0x017D, 0x8F, 0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122,
+    0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178];
+
+function decodeWindows1252(buffer) {
+    let text = '';
+    for (const byte of buffer) {
+        text += String.fromCharCode(byte >= 0x80 && byte <= 0x9F ? CP1252_HIGH[byte - 0x80] : byte);
+    }
+    return text;
+}
+
+// Header row + data rows -> objects keyed by headerKey
+function readCsv(file) {
+    const buffer = fs.readFileSync(file);
+    let text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    // Older downloads are Windows-1252, which is not valid UTF-8
+    if (text.includes('\uFFFD')) text = decodeWindows1252(buffer);
+    const [header, ...rows] = parseCsv(text);
+    const keys = (header || []).map(headerKey);
+    return {
+        keys,
+        rows: rows.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] || '').trim() || null])))
+    };
+}
+
+// FARA dates are MM/DD/YYYY
+function isoDate(value) {
+    const match = String(value || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+    return /^\d{4}-\d{2}-\d{2}/.test(value || '') ? value.slice(0, 10) : null;
+}
+
+const address = row => [row.address1, row.address2].filter(Boolean).join(', ') || null;
+
+// Which bulk file a header row belongs to
+function fileType(keys) {
+    if (keys.includes('foreignprincipal')) return 'principals';
+    if (keys.includes('shortformlastname')) return 'short_forms';
+    if (keys.includes('documenttype')) return 'documents';
+    if (keys.includes('registrationnumber') && keys.includes('name')) return 'registrants';
+    return null;
+}
+
+// Entity suffixes and articles dropped before comparing principal and client names
+const NAME_NOISE = /\b(the|inc|incorporated|llc|llp|ltd|limited|corp|corporation|co|company|plc|sa|ag|gmbh|nv|bv)\b/g;
+
+// "The Embassy of Japan" / "EMBASSY OF JAPAN," -> "embassy of japan"
+function nameKey(value) {
+    return String(value || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9 ]/g, ' ')
+        .replace(NAME_NOISE, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Links foreign principals to LDA clients with the same name. Reruns after either
+ * dataset loads. Returns { principals, clients } counted over the links made.
+ */
+async function linkFaraClients(db) {
+    const [principals, clients] = await Promise.all([
+        all(db, 'SELECT id, principal_name FROM fara_foreign_principals'),
+        all(db, 'SELECT DISTINCT client_name FROM lobbying WHERE client_name IS NOT NULL')
+    ]);
+    const clientsByKey = new Map();
+    for (const { client_name: name } of clients) {
+        const key = nameKey(name);
+        if (!key) continue;
+        if (!clientsByKey.has(key)) clientsByKey.set(key, []);
+        clientsByKey.get(key).push(name);
+    }
+
+    const totals = { principals: 0, clients: 0 };
+    await transaction(db, async () => {
+        await run(db, 'DELETE FROM fara_lda_clients');
+        for (const principal of principals) {
+            const names = clientsByKey.get(nameKey(principal.principal_name)) || [];
+            for (const name of names) {
+                await run(db, 'INSERT OR IGNORE INTO fara_lda_clients (principal_id, client_name) VALUES (?, ?)',
+                    [principal.id, name]);
+            }
+            if (names.length) totals.principals++;
+            totals.clients += names.length;
+        }
+    });
+    return totals;
+}
+
+class FaraImporter {
+    constructor(db, dataDir = process.env.FARA_DATA_DIR || path.join(__dirname, '../data/fara')) {
+        this.db = db;
+        this.dataDir = dataDir;
+    }
+
+    listFiles(dir = this.dataDir) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this.listFiles(file);
+            return entry.name.toLowerCase().endsWith('.csv') ? [file] : [];
+        });
+    }
+
+    async saveRegistrant(row) {
+        await run(this.db, `INSERT INTO fara_registrants
+            (registration_number, name, business_name, address, city, state, zip, registration_date,
+             termination_date, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(registration_number) DO UPDATE SET name = excluded.name,
+                business_name = excluded.business_name, address = excluded.address, city = excluded.city,
+                state = excluded.state, zip = excluded.zip, registration_date = excluded.registration_date,
+                termination_date = excluded.termination_date, updated_at = CURRENT_TIMESTAMP`,
+            [row.registrationnumber, row.name, row.businessname, address(row), row.city, row.state, row.zip,
+             isoDate(row.registrationdate), isoDate(row.terminationdate)]);
+    }
+
+    // The principals file repeats the registrant's details, which fill in registrants missing elsewhere
+    async savePrincipal(row) {
+        await run(this.db, `INSERT OR IGNORE INTO fara_registrants
+            (registration_number, name, registration_date) VALUES (?, ?, ?)`,
+            [row.registrationnumber, row.registrantname, isoDate(row.registrantdate || row.registrationdate)]);
+        await run(this.db, `INSERT INTO fara_foreign_principals
+            (registration_number, principal_name, country, address, city, state, registration_date,
+             termination_date)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(registration_number, principal_name, country) DO UPDATE SET address = excluded.address,
+                city = excluded.city, state = excluded.state, registration_date = excluded.registration_date,
+                termination_date = excluded.termination_date`,
+            [row.registrationnumber, row.foreignprincipal, row.countrylocationrepresented || row.country || '',
+             address(row), row.city, row.state, isoDate(row.foreignprincipalregistrationdate),
+             isoDate(row.foreignprincipalterminationdate)]);
+    }
+
+    async saveShortForm(row) {
+        await run(this.db, `INSERT INTO fara_short_forms
+            (registration_number, last_name, first_name, short_form_date, termination_date)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(registration_number, last_name, first_name) DO UPDATE SET
+                short_form_date = excluded.short_form_date, termination_date = excluded.termination_date`,
+            [row.registrationnumber, row.shortformlastname, row.shortformfirstname || '',
+             isoDate(row.shortformdate), isoDate(row.shortformterminationdate)]);
+    }
+
+    // Registrant documents other than informational materials (registration statements,
+    // supplemental statements, exhibits) are skipped
+    async saveDocument(row) {
+        if (!/informational material/i.test(row.documenttype || '')) return false;
+        await run(this.db, `INSERT OR IGNORE INTO fara_informational_materials
+            (registration_number, date_stamped, principal_name, country, document_type, url)
+            VALUES (?, ?, ?, ?, ?, ?)`,
+            [row.registrationnumber, isoDate(row.datestamped), row.foreignprincipalname,
+             row.foreignprincipalcountry, row.documenttype, row.url || '']);
+        return true;
+    }
+
+    async import() {
+        const files = this.listFiles();
+        if (!files.length) {
+            return { success: false, error: `No FARA CSV files found in ${this.dataDir}` };
+        }
+
+        const errors = [];
+        const parsed = [];
+        for (const file of files) {
+            try {
+                const { keys, rows } = readCsv(file);
+                const type = fileType(keys);
+                if (!type) throw new Error('unrecognized FARA CSV header');
+                parsed.push({ type, rows: rows.filter(row => row.registrationnumber) });
+            } catch (error) {
+                errors.push(`${path.basename(file)}: ${error.message}`);
+            }
+        }
+
+        // Registrants first so their full details win over the copies in the other files
+        const order = ['registrants', 'principals', 'short_forms', 'documents'];
+        parsed.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+        const totals = { success: true, files: files.length, registrants: 0, principals: 0, short_forms: 0,
+            informational_materials: 0, errors };
+        await transaction(this.db, async () => {
+            for (const { type, rows } of parsed) {
+                for (const row of rows) {
+                    if (type === 'registrants') {
+                        await this.saveRegistrant(row);
+                        totals.registrants++;
+                    } else if (type === 'principals' && row.foreignprincipal) {
+                        await this.savePrincipal(row);
+                        totals.principals++;
+                    } else if (type === 'short_forms' && row.shortformlastname) {
+                        await this.saveShortForm(row);
+                        totals.short_forms++;
+                    } else if (type === 'documents' && await this.saveDocument(row)) {
+                        totals.informational_materials++;
+                    }
+                }
+            }
+        });
+        return totals;
+    }
+}
+
+module.exports = FaraImporter;
+module.exports.linkFaraClients = linkFaraClients;
@@ -0,0 +1,150 @@
+// FEC bulk-file importer (https://www.fec.gov/data/browse-data/?tab=bulk-data)
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { run, transaction } = require('./sqlite');
+
+// Column layouts of the pipe-delimited files; neither file has a header row
+const CANDIDATE_MASTER_COLUMNS = [
+    'CAND_ID', 'CAND_NAME', 'CAND_PTY_AFFILIATION', 'CAND_ELECTION_YR', 'CAND_OFFICE_ST', 'CAND_OFFICE',
+    'CAND_OFFICE_DISTRICT', 'CAND_ICI', 'CAND_STATUS', 'CAND_PCC', 'CAND_ST1', 'CAND_ST2', 'CAND_CITY',
+    'CAND_ST', 'CAND_ZIP'
+];
+
+const CANDIDATE_SUMMARY_COLUMNS = [
+    'CAND_ID', 'CAND_NAME', 'CAND_ICI', 'PTY_CD', 'CAND_PTY_AFFILIATION', 'TTL_RECEIPTS', 'TRANS_FROM_AUTH',
+    'TTL_DISB', 'TRANS_TO_AUTH', 'COH_BOP', 'COH_COP', 'CAND_CONTRIB', 'CAND_LOANS', 'OTHER_LOANS',
+    'CAND_LOAN_REPAY', 'OTHER_LOAN_REPAY', 'DEBTS_OWED_BY', 'TTL_INDIV_CONTRIB', 'CAND_OFFICE_ST',
+    'CAND_OFFICE_DISTRICT', 'SPEC_ELECTION', 'PRIM_ELECTION', 'RUN_ELECTION', 'GEN_ELECTION',
+    'GEN_ELECTION_PRECENT', 'OTHER_POL_CMTE_CONTRIB', 'POL_PTY_CONTRIB', 'CVG_END_DT', 'INDIV_REFUNDS',
+    'CMTE_REFUNDS'
+];
+
+const OFFICES = { H: 'house', S: 'senate', P: 'president' };
+const PARTY_CODES = { DEM: 'D', REP: 'R', IND: 'I', LIB: 'L', GRE: 'G', DFL: 'D' };
+
+// weball24.txt / cn24.txt -> 2024
+function cycleFromFileName(file, prefix) {
+    const match = path.basename(file).match(new RegExp(`^${prefix}(\\d{2})\\.txt$`, 'i'));
+    return match ? 2000 + parseInt(match[1]) : null;
+}
+
+const amount = value => parseFloat(value) || 0;
+
+// FEC dates are MM/DD/YYYY
+function isoDate(value) {
+    const [month, day, year] = String(value || '').split('/');
+    return year ? `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` : null;
+}
+
+// Streams a pipe-delimited FEC file, calling onRow with an object keyed by column name
+async function readPipeDelimited(file, columns, onRow) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(file, { encoding: 'latin1' }),
+        crlfDelay: Infinity
+    });
+    let count = 0;
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        const values = line.split('|');
+        await onRow(Object.fromEntries(columns.map((column, i) => [column, (values[i] || '').trim()])));
+        count++;
+    }
+    return count;
+}
+
+class FecImporter {
+    constructor(db, dataDir = process.env.FEC_DATA_DIR || path.join(__dirname, '../data/fec')) {
+        this.db = db;
+        this.dataDir = dataDir;
+    }
+
+    listFiles(prefix, dir = this.dataDir) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this.listFiles(prefix, file);
+            return cycleFromFileName(file, prefix) ? [file] : [];
+        });
+    }
+
+    // Candidate master rows keyed by "<cycle>|<candidate id>"
+    async loadCandidateMaster() {
+        const candidates = new Map();
+        for (const file of this.listFiles('cn')) {
+            const cycle = cycleFromFileName(file, 'cn');
+            await readPipeDelimited(file, CANDIDATE_MASTER_COLUMNS, row => {
+                candidates.set(`${cycle}|${row.CAND_ID}`, row);
+            });
+        }
+        return candidates;
+    }
+
+    mapSummary(row, cycle, master = {}) {
+        const party = row.CAND_PTY_AFFILIATION || master.CAND_PTY_AFFILIATION;
+        const district = master.CAND_OFFICE_DISTRICT || row.CAND_OFFICE_DISTRICT;
+        return {
+            candidate_id: row.CAND_ID,
+            candidate_name: row.CAND_NAME || master.CAND_NAME,
+            office: OFFICES[master.CAND_OFFICE || row.CAND_ID.charAt(0)] || null,
+            party: PARTY_CODES[party] || party || null,
+            state: master.CAND_OFFICE_ST || row.CAND_OFFICE_ST || null,
+            district: district && district !== '00' ? String(parseInt(district)) : null,
+            incumbent_challenger: row.CAND_ICI || master.CAND_ICI || null,
+            principal_committee_id: master.CAND_PCC || null,
+            cycle,
+            total_receipts: amount(row.TTL_RECEIPTS),
+            total_disbursements: amount(row.TTL_DISB),
+            cash_on_hand: amount(row.COH_COP),
+            debt: amount(row.DEBTS_OWED_BY),
+            individual_contributions: amount(row.TTL_INDIV_CONTRIB),
+            last_updated: isoDate(row.CVG_END_DT)
+        };
+    }
+
+    async saveSummary(summary) {
+        await run(this.db, `INSERT INTO campaign_finance
+            (candidate_id, candidate_name, office, party, state, district, incumbent_challenger,
+             principal_committee_id, cycle, total_receipts, total_disbursements, cash_on_hand, debt,
+             individual_contributions, last_updated)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(candidate_id, cycle) DO UPDATE SET
+                candidate_name = excluded.candidate_name, office = excluded.office, party = excluded.party,
+                state = excluded.state, district = excluded.district,
+                incumbent_challenger = excluded.incumbent_challenger,
+                principal_committee_id = excluded.principal_committee_id,
+                total_receipts = excluded.total_receipts, total_disbursements = excluded.total_disbursements,
+                cash_on_hand = excluded.cash_on_hand, debt = excluded.debt,
+                individual_contributions = excluded.individual_contributions,
+                last_updated = excluded.last_updated`,
+            [summary.candidate_id, summary.candidate_name, summary.office, summary.party, summary.state,
+             summary.district, summary.incumbent_challenger, summary.principal_committee_id, summary.cycle,
+             summary.total_receipts, summary.total_disbursements, summary.cash_on_hand, summary.debt,
+             summary.individual_contributions, summary.last_updated]
+        );
+    }
+
+    async import() {
+        const files = this.listFiles('weball');
+        if (!files.length) {
+            return { success: false, error: `No FEC candidate summary (weballYY.txt) files found in ${this.dataDir}` };
+        }
+
+        const master = await this.loadCandidateMaster();
+        let candidates = 0;
+
+        await transaction(this.db, async () => {
+            for (const file of files) {
+                const cycle = cycleFromFileName(file, 'weball');
+                candidates += await readPipeDelimited(file, CANDIDATE_SUMMARY_COLUMNS, row => row.CAND_ID
+                    && this.saveSummary(this.mapSummary(row, cycle, master.get(`${cycle}|${row.CAND_ID}`))));
+            }
+        });
+
+        return { success: true, files: files.length, candidates };
+    }
+}
+
+module.exports = FecImporter;
+module.exports.readPipeDelimited = readPipeDelimited;
+module.exports.cycleFromFileName = cycleFromFileName;
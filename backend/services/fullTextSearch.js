@@ -0,0 +1,136 @@
+// SQLite FTS5 indexes for bills, federal spending and lobbying search
+const { all, get } = require('./sqlite');
+
+// Each index is an external-content FTS5 table over the source table's rowid,
+// kept in sync by triggers so refreshes never have to touch it directly.
+const SEARCH_INDEXES = {
+    bills: {
+        table: 'bills',
+        index: 'bills_fts',
+        columns: ['bill_id', 'title', 'summary', 'subjects', 'committees', 'latest_action']
+    },
+    spending: {
+        table: 'federal_spending',
+        index: 'spending_fts',
+        columns: ['award_id', 'recipient_name', 'award_description', 'awarding_agency', 'funding_agency']
+    },
+    lobbying: {
+        table: 'lobbying',
+        index: 'lobbying_fts',
+        columns: ['client_name', 'registrant_name', 'lobbyist_name', 'issue_areas', 'specific_issues',
+                  'government_entities']
+    }
+};
+
+// Must run inside db.serialize() after the source tables exist
+function createSearchIndexes(db) {
+    // INSERT OR REPLACE only fires delete triggers with recursive triggers enabled
+    db.run('PRAGMA recursive_triggers = ON');
+
+    Object.values(SEARCH_INDEXES).forEach(({ table, index, columns }) => {
+        const columnList = columns.join(', ');
+        const newValues = columns.map(column => `new.${column}`).join(', ');
+        const oldValues = columns.map(column => `old.${column}`).join(', ');
+
+        db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS ${index} USING fts5(
+            ${columnList}, content='${table}', content_rowid='rowid', tokenize='porter unicode61'
+        )`);
+        db.run(`CREATE TRIGGER IF NOT EXISTS ${index}_ai AFTER INSERT ON ${table} BEGIN
+            INSERT INTO ${index}(rowid, ${columnList}) VALUES (new.rowid, ${newValues});
+        END`);
+        db.run(`CREATE TRIGGER IF NOT EXISTS ${index}_ad AFTER DELETE ON ${table} BEGIN
+            INSERT INTO ${index}(${index}, rowid, ${columnList}) VALUES ('delete', old.rowid, ${oldValues});
+        END`);
+        db.run(`CREATE TRIGGER IF NOT EXISTS ${index}_au AFTER UPDATE ON ${table} BEGIN
+            INSERT INTO ${index}(${index}, rowid, ${columnList}) VALUES ('delete', old.rowid, ${oldValues});
+            INSERT INTO ${index}(rowid, ${columnList}) VALUES (new.rowid, ${newValues});
+        END`);
+        // Picks up rows written before the index existed. The triggers keep it in step after that, so
+        // this only reindexes when the index is new (no document sizes yet) or has fallen out of step.
+        db.run(`INSERT INTO ${index}(${index}) SELECT 'rebuild'
+            WHERE (SELECT COUNT(*) FROM ${index}_docsize) != (SELECT COUNT(*) FROM ${table})`);
+    });
+}
+
+function quoteTerm(text, prefix) {
+    return `"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`;
+}
+
+// Turns user input into a safe FTS5 MATCH expression. Supports "exact phrases",
+// prefix* terms, AND / OR / NOT operators and -excluded terms; everything else
+// is quoted so stray punctuation can never produce an FTS syntax error. Returns
+// null when nothing is left to match: FTS5 cannot run a purely excluding query.
+function buildMatchQuery(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    const tokenPattern = /(-?)"([^"]+)"(\*?)|(\S+)/g;
+    const included = [];
+    const excluded = [];
+    let pendingOperator = null;
+    let match;
+
+    while ((match = tokenPattern.exec(input)) !== null) {
+        let term;
+        let negate = false;
+
+        if (match[2] !== undefined) {
+            negate = match[1] === '-';
+            term = quoteTerm(match[2].trim(), match[3] === '*');
+        } else {
+            let word = match[4];
+            if (['AND', 'OR', 'NOT'].includes(word)) {
+                pendingOperator = word;
+                continue;
+            }
+            if (word.length > 1 && word.startsWith('-')) {
+                negate = true;
+                word = word.slice(1);
+            }
+            const prefix = word.endsWith('*');
+            word = word.replace(/[^\p{L}\p{N}_.\-']/gu, '');
+            if (!word) continue;
+            term = quoteTerm(word, prefix);
+        }
+
+        if (negate || pendingOperator === 'NOT') {
+            excluded.push(term);
+        } else if (included.length && pendingOperator === 'OR') {
+            included.push('OR', term);
+        } else {
+            included.push(term);
+        }
+        pendingOperator = null;
+    }
+
+    if (!included.length) return null;
+    return [included.join(' '), ...excluded.map(term => `NOT ${term}`)].join(' ');
+}
+
+// Subquery yielding rowid, BM25 score (lower is better) and a highlighted snippet;
+// join it to the source table on rowid and bind the MATCH expression.
+function searchSubquery(name) {
+    const { index } = SEARCH_INDEXES[name];
+    return `SELECT rowid, bm25(${index}) AS score,
+        snippet(${index}, -1, '<mark>', '</mark>', '…', 16) AS snippet
+        FROM ${index} WHERE ${index} MATCH ?`;
+}
+
+// Ranked rows plus the total match count for one index
+async function searchIndex(db, name, match, limit) {
+    const { table } = SEARCH_INDEXES[name];
+    const from = `FROM ${table} JOIN (${searchSubquery(name)}) search ON search.rowid = ${table}.rowid`;
+    const [rows, total] = await Promise.all([
+        all(db, `SELECT ${table}.*, search.score, search.snippet ${from} ORDER BY search.score LIMIT ?`, [match, limit]),
+        get(db, `SELECT COUNT(*) AS count ${from}`, [match])
+    ]);
+    return { rows, count: total.count };
+}
+
+// Error for a keyword that was given but has no term to match (only -exclusions, operators or punctuation)
+function invalidKeyword(keyword, match) {
+    if (match || keyword === undefined || !String(keyword).trim()) return null;
+    return 'Search must include at least one term to match; excluded (-term), NOT-only and operator-only ' +
+        'searches are not supported';
+}
+
+module.exports = { SEARCH_INDEXES, createSearchIndexes, buildMatchQuery, invalidKeyword, searchSubquery, searchIndex };
@@ -0,0 +1,229 @@
+// Committee hearing and markup schedules: House Committee Repository meeting XML
+// (docs.house.gov, <committee-meeting>) and the Senate's committee schedule
+// (senate.gov hearings.xml, <css_meetings_scheduled>). Times are Eastern, stored as
+// local "YYYY-MM-DDTHH:MM" strings; bills named in a meeting go to hearing_bills.
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const { run, transaction } = require('./sqlite');
+const { normalizeBillId } = require('./rollCallImporter');
+
+function asArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Element text whether or not xml2js attached attributes to it
+function text(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object') value = value._;
+    const trimmed = String(value ?? '').replace(/\s+/g, ' ').trim();
+    return trimmed || null;
+}
+
+// House meeting-type codes
+const HOUSE_MEETING_TYPES = { HHRG: 'hearing', HMKP: 'markup', HMTG: 'meeting' };
+
+const STATUSES = [
+    [/cancel/i, 'cancelled'],
+    [/postpone/i, 'postponed'],
+    [/resched/i, 'rescheduled']
+];
+const meetingStatus = value => (STATUSES.find(([pattern]) => pattern.test(value || '')) || [])[1] || 'scheduled';
+
+// Senate meetings have no type field; the matter says what the meeting is for
+function senateMeetingType(matter) {
+    if (/business meeting|markup|to consider/i.test(matter || '')) return 'markup';
+    if (/hearing|to examine|nomination/i.test(matter || '')) return 'hearing';
+    return 'meeting';
+}
+
+// "H.R. 1", "S. 40", "H.J.Res. 5", "S.Con.Res. 2" in free text; case-sensitive so "it's 2025" is no bill
+const BILL_REFERENCE =
+    /\b(H\.?\s?R|S|[HS]\.?\s?J\.?\s?R[Ee][Ss]|[HS]\.?\s?C[Oo][Nn]\.?\s?R[Ee][Ss]|[HS]\.?\s?R[Ee][Ss])\.?\s?(\d+)\b/g;
+
+function billReferences(value, congress) {
+    return [...String(value || '').matchAll(BILL_REFERENCE)]
+        .map(([, type, number]) => normalizeBillId(type.replace(/[.\s]/g, '').toLowerCase(), number, congress));
+}
+
+const congressForDate = date => Math.floor((parseInt(date.slice(0, 4)) - 1789) / 2) + 1;
+
+// "09:30:00" / "9:30 AM" -> "09:30"
+function clockTime(value) {
+    const match = String(value || '').match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*([AP]M)?/i);
+    if (!match) return null;
+    let hours = parseInt(match[1]);
+    if (match[3]?.toUpperCase() === 'PM' && hours < 12) hours += 12;
+    if (match[3]?.toUpperCase() === 'AM' && hours === 12) hours = 0;
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+// "11-Feb-2025 10:00 AM" / "2025-02-11" -> "2025-02-11"
+function calendarDate(value) {
+    const iso = String(value || '').match(/(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return iso.slice(1).join('-');
+    const dayMonthYear = String(value || '').match(/(\d{1,2})-([A-Za-z]{3})-(\d{4})/);
+    if (dayMonthYear && MONTHS[dayMonthYear[2].toLowerCase()]) {
+        return [dayMonthYear[3], String(MONTHS[dayMonthYear[2].toLowerCase()]).padStart(2, '0'),
+            dayMonthYear[1].padStart(2, '0')].join('-');
+    }
+    return null;
+}
+
+class HearingsImporter {
+    constructor(db, dataDir = process.env.HEARINGS_DATA_DIR || path.join(__dirname, '../data/hearings')) {
+        this.db = db;
+        this.dataDir = dataDir;
+        this.parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: false });
+    }
+
+    listFiles(dir = this.dataDir) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this.listFiles(file);
+            return entry.name.toLowerCase().endsWith('.xml') ? [file] : [];
+        });
+    }
+
+    // House committee ids drop the HS prefix: JU00 is the full committee, JU01 a subcommittee
+    parseHouseMeeting(meeting, file) {
+        const details = meeting['meeting-details'] || {};
+        const attributes = meeting.$ || {};
+        const committee = asArray(details.committees?.['committee-name'])[0];
+        const subcommittee = asArray(details.subcommittees?.['committee-name'])[0];
+        const committeeCode = committee?.$?.id || subcommittee?.$?.id || '';
+        const date = calendarDate(text(details['meeting-date']?.['calendar-date']));
+        if (!attributes['meeting-id'] || !date) return null;
+
+        const congress = parseInt(attributes['congress-num']) || congressForDate(date);
+        const time = clockTime(text(details['meeting-date']?.['start-time']));
+        const location = details['meeting-location'] || {};
+        const documents = asArray(meeting['meeting-documents']?.['committee-document']);
+        const title = text(details['meeting-title']);
+        const bills = [
+            ...documents.flatMap(document => billReferences(document.$?.['legis-num'], congress)),
+            ...billReferences(title, congress)
+        ];
+
+        return {
+            hearing: {
+                hearing_id: `house-${attributes['meeting-id']}`,
+                chamber: 'house',
+                congress,
+                meeting_type: HOUSE_MEETING_TYPES[attributes['meeting-type']] || 'meeting',
+                title,
+                committee_id: committeeCode ? `HS${committeeCode.slice(0, 2)}`.toUpperCase() : null,
+                subcommittee_id: subcommittee?.$?.id && !subcommittee.$.id.endsWith('00')
+                    ? `HS${subcommittee.$.id}`.toUpperCase()
+                    : null,
+                committee_name: text(subcommittee) || text(committee),
+                hearing_date: date,
+                start_time: time ? `${date}T${time}` : date,
+                location: [text(location.room), text(location.building)].filter(Boolean).join(', ') || null,
+                status: meetingStatus(attributes['meeting-status']),
+                url: `https://docs.house.gov/Committee/Calendar/ByEvent.aspx?EventID=${attributes['meeting-id']}`,
+                source_file: path.basename(file)
+            },
+            bills
+        };
+    }
+
+    // Senate committee codes are THOMAS ids padded to six: SSFI00 full committee, SSFI13 subcommittee
+    parseSenateMeeting(meeting, file) {
+        const date = calendarDate(text(meeting.date));
+        const code = (text(meeting.cmte_code) || '').toUpperCase();
+        if (!date) return null;
+
+        const matter = text(meeting.matter);
+        const time = clockTime(text(meeting.time) || text(meeting.date));
+        const congress = congressForDate(date);
+        const identifier = text(meeting.identifier) || `${code}-${date}-${time || ''}`;
+        return {
+            hearing: {
+                hearing_id: `senate-${identifier}`,
+                chamber: 'senate',
+                congress,
+                meeting_type: senateMeetingType(matter),
+                title: matter,
+                committee_id: code ? code.slice(0, 4) : null,
+                subcommittee_id: code.length === 6 && !code.endsWith('00') ? code : null,
+                committee_name: text(meeting.sub_committee) || text(meeting.committee),
+                hearing_date: date,
+                start_time: time ? `${date}T${time}` : date,
+                location: text(meeting.room),
+                status: meetingStatus(`${matter} ${text(meeting.status) || ''}`),
+                url: text(meeting.committee_url),
+                source_file: path.basename(file)
+            },
+            bills: billReferences(`${matter} ${text(meeting.documents) || ''}`, congress)
+        };
+    }
+
+    async parseFile(file) {
+        const parsed = await this.parser.parseStringPromise(fs.readFileSync(file, 'utf8'));
+        if (parsed['committee-meeting']) {
+            return [this.parseHouseMeeting(parsed['committee-meeting'], file)].filter(Boolean);
+        }
+        if (parsed.css_meetings_scheduled) {
+            return asArray(parsed.css_meetings_scheduled.meeting)
+                .map(meeting => this.parseSenateMeeting(meeting, file))
+                .filter(Boolean);
+        }
+        throw new Error('not a House committee meeting or Senate schedule file');
+    }
+
+    async saveHearing({ hearing, bills }) {
+        await run(this.db, `INSERT INTO hearings
+            (hearing_id, chamber, congress, meeting_type, title, committee_id, subcommittee_id, committee_name,
+             hearing_date, start_time, location, status, url, source_file, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(hearing_id) DO UPDATE SET chamber = excluded.chamber, congress = excluded.congress,
+                meeting_type = excluded.meeting_type, title = excluded.title, committee_id = excluded.committee_id,
+                subcommittee_id = excluded.subcommittee_id, committee_name = excluded.committee_name,
+                hearing_date = excluded.hearing_date, start_time = excluded.start_time,
+                location = excluded.location, status = excluded.status, url = excluded.url,
+                source_file = excluded.source_file, updated_at = CURRENT_TIMESTAMP`,
+            [hearing.hearing_id, hearing.chamber, hearing.congress, hearing.meeting_type, hearing.title,
+             hearing.committee_id, hearing.subcommittee_id, hearing.committee_name, hearing.hearing_date,
+             hearing.start_time, hearing.location, hearing.status, hearing.url, hearing.source_file]);
+
+        await run(this.db, 'DELETE FROM hearing_bills WHERE hearing_id = ?', [hearing.hearing_id]);
+        for (const billId of new Set(bills)) {
+            await run(this.db, 'INSERT INTO hearing_bills (hearing_id, bill_id) VALUES (?, ?)',
+                [hearing.hearing_id, billId]);
+        }
+    }
+
+    async import() {
+        const files = this.listFiles();
+        if (!files.length) {
+            return { success: false, error: `No committee schedule XML files found in ${this.dataDir}` };
+        }
+
+        const errors = [];
+        let hearings = 0;
+        let bills = 0;
+
+        await transaction(this.db, async () => {
+            for (const file of files) {
+                try {
+                    for (const meeting of await this.parseFile(file)) {
+                        await this.saveHearing(meeting);
+                        hearings++;
+                        bills += new Set(meeting.bills).size;
+                    }
+                } catch (error) {
+                    errors.push(`${path.basename(file)}: ${error.message}`);
+                }
+            }
+        });
+
+        return { success: true, files: files.length, hearings, bills, errors };
+    }
+}
+
+module.exports = HearingsImporter;
@@ -0,0 +1,99 @@
+// iCalendar (RFC 5545) feeds of committee hearings for calendar app subscriptions
+const crypto = require('crypto');
+
+// Hearing times are Eastern; clients resolve TZID through this definition
+const EASTERN_TIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    'TZID:America/New_York',
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'TZNAME:EDT',
+    'DTSTART:19700308T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'TZNAME:EST',
+    'DTSTART:19701101T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+// Hearings rarely publish an end time
+const DEFAULT_DURATION = 'PT2H';
+
+const ICS_STATUSES = { cancelled: 'CANCELLED', postponed: 'TENTATIVE', rescheduled: 'TENTATIVE' };
+
+const escapeText = value => String(value ?? '')
+    .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets continue on lines starting with a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// "2025-02-11T10:00" -> "20250211T100000"; "2025-02-11" -> "20250211"
+const icsDate = value => value.replace(/[-:]/g, '') + (value.includes('T') ? '00' : '');
+
+// "2025-02-11 15:04:05" (SQLite UTC) -> "20250211T150405Z"
+const icsTimestamp = value => `${String(value).replace(' ', 'T').replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+function hearingEvent(hearing, host) {
+    const allDay = !hearing.start_time.includes('T');
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${hearing.hearing_id}@${host}`,
+        `DTSTAMP:${icsTimestamp(hearing.updated_at || new Date().toISOString())}`,
+        allDay ? `DTSTART;VALUE=DATE:${icsDate(hearing.start_time)}`
+            : `DTSTART;TZID=America/New_York:${icsDate(hearing.start_time)}`,
+        allDay ? 'DURATION:P1D' : `DURATION:${DEFAULT_DURATION}`,
+        `SUMMARY:${escapeText(`${hearing.status === 'cancelled' ? 'CANCELLED: ' : ''}${hearing.committee_name
+            ? `${hearing.committee_name}: ` : ''}${hearing.title || hearing.meeting_type}`)}`,
+        `STATUS:${ICS_STATUSES[hearing.status] || 'CONFIRMED'}`
+    ];
+    if (hearing.location) lines.push(`LOCATION:${escapeText(hearing.location)}`);
+    if (hearing.bill_ids) lines.push(`DESCRIPTION:${escapeText(`Bills: ${hearing.bill_ids.toUpperCase()}`)}`);
+    if (hearing.url) lines.push(`URL:${hearing.url}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Renders hearings as a VCALENDAR. Each hearing needs hearing_id, start_time,
+ * title, status and may carry committee_name, location, url, bill_ids and updated_at.
+ */
+function buildCalendar({ name, host, hearings }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Government Watchdog//Committee Hearings//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'X-WR-TIMEZONE:America/New_York',
+        ...EASTERN_TIMEZONE,
+        ...hearings.flatMap(hearing => hearingEvent(hearing, host)),
+        'END:VCALENDAR'
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// Unguessable id for a feed URL; calendar apps cannot send an Authorization header
+function generateFeedToken() {
+    return crypto.randomBytes(20).toString('hex');
+}
+
+module.exports = { buildCalendar, generateFeedToken };
@@ -0,0 +1,618 @@
+// Senate Lobbying Disclosure Act filings: the lda.senate.gov API's JSON (a page with
+// `results`, or a bare list of filings) and the older bulk XML (<PublicFilings><Filing>).
+// Each registrant/client pair has one lobbying row per registration and per reporting
+// period; amendments and later filings for the same period replace it in place, and a
+// termination report closes out the registration. Every filing is kept in lobbying_filings.
+// LD-203 contribution reports (filings without a client) go to lobbying_contributions, the
+// newest report for a lobbyist's period replacing the items of the one before.
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const { run, get, all, transaction } = require('./sqlite');
+const SponsorResolver = require('./sponsorResolver');
+const { parseSponsor, matchMembers, congressForYear } = SponsorResolver;
+
+// LDA general issue area codes
+const LDA_ISSUE_CODES = {
+    ACC: 'Accounting',
+    ADV: 'Advertising',
+    AER: 'Aerospace',
+    AGR: 'Agriculture',
+    ALC: 'Alcohol and Drug Abuse',
+    ANI: 'Animals',
+    APP: 'Apparel/Clothing Industry/Textiles',
+    ART: 'Arts/Entertainment',
+    AUT: 'Automotive Industry',
+    AVI: 'Aviation/Aircraft/Airlines',
+    BAN: 'Banking',
+    BNK: 'Bankruptcy',
+    BEV: 'Beverage Industry',
+    BUD: 'Budget/Appropriations',
+    CAW: 'Clean Air and Water (Quality)',
+    CDT: 'Commodities (Big Ticket)',
+    CHM: 'Chemicals/Chemical Industry',
+    CIV: 'Civil Rights/Civil Liberties',
+    COM: 'Communications/Broadcasting/Radio/TV',
+    CPI: 'Computer Industry',
+    CSP: 'Consumer Issues/Safety/Protection',
+    CON: 'Constitution',
+    CPT: 'Copyright/Patent/Trademark',
+    DEF: 'Defense',
+    DIS: 'Disaster Planning/Emergencies',
+    DOC: 'District of Columbia',
+    ECN: 'Economics/Economic Development',
+    EDU: 'Education',
+    ENG: 'Energy/Nuclear',
+    ENV: 'Environmental/Superfund',
+    FAM: 'Family Issues/Abortion/Adoption',
+    FIR: 'Firearms/Guns/Ammunition',
+    FIN: 'Financial Institutions/Investments/Securities',
+    FOO: 'Food Industry (Safety, Labeling, etc.)',
+    FOR: 'Foreign Relations',
+    FUE: 'Fuel/Gas/Oil',
+    GAM: 'Gaming/Gambling/Casino',
+    GOV: 'Government Issues',
+    HCR: 'Health Issues',
+    HOM: 'Homeland Security',
+    HOU: 'Housing',
+    IMM: 'Immigration',
+    IND: 'Indian/Native American Affairs',
+    INS: 'Insurance',
+    INT: 'Intelligence and Surveillance',
+    LBR: 'Labor Issues/Antitrust/Workplace',
+    LAW: 'Law Enforcement/Crime/Criminal Justice',
+    MAN: 'Manufacturing',
+    MAR: 'Marine/Maritime/Boating/Fisheries',
+    MIA: 'Media (Information/Publishing)',
+    MED: 'Medical/Disease Research/Clinical Labs',
+    MMM: 'Medicare/Medicaid',
+    MON: 'Minting/Money/Gold Standard',
+    NAT: 'Natural Resources',
+    PHA: 'Pharmacy',
+    POS: 'Postal',
+    RRR: 'Railroads',
+    RES: 'Real Estate/Land Use/Conservation',
+    REL: 'Religion',
+    RET: 'Retirement',
+    ROD: 'Roads/Highway',
+    SCI: 'Science/Technology',
+    SMB: 'Small Business',
+    SPO: 'Sports/Athletics',
+    TAR: 'Miscellaneous Tariff Bills',
+    TAX: 'Taxation/Internal Revenue Code',
+    TEC: 'Telecommunications',
+    TOB: 'Tobacco',
+    TOR: 'Torts',
+    TRD: 'Trade (Domestic & Foreign)',
+    TRA: 'Transportation',
+    TOU: 'Travel/Tourism',
+    TRU: 'Trucking/Shipping',
+    URB: 'Urban Development/Municipalities',
+    UNM: 'Unemployment',
+    UTI: 'Utilities',
+    VET: 'Veterans',
+    WAS: 'Waste (hazardous/solid/interstate/nuclear)',
+    WEL: 'Welfare'
+};
+
+// The XML names issue areas in capitals ("TAXATION/INTERNAL REVENUE CODE")
+const ISSUE_CODES_BY_NAME = new Map(Object.entries(LDA_ISSUE_CODES).map(([code, name]) => [name.toUpperCase(), code]));
+
+// Reporting periods: quarterly since 2008, mid-year and year-end before
+const PERIODS = [
+    [/first|1st/i, 'Q1', 1, '1st Quarter'],
+    [/second|2nd/i, 'Q2', 2, '2nd Quarter'],
+    [/third|3rd/i, 'Q3', 3, '3rd Quarter'],
+    [/fourth|4th/i, 'Q4', 4, '4th Quarter'],
+    [/mid.?year/i, 'MY', null, 'Mid-Year'],
+    [/year.?end/i, 'YE', null, 'Year-End']
+];
+
+function asArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+const clean = value => {
+    const trimmed = String(value ?? '').replace(/\s+/g, ' ').trim();
+    return trimmed || null;
+};
+
+const money = value => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+// First of several attribute spellings the XML has used over the years
+const attribute = (node, ...names) => clean(names.map(name => node?.$?.[name]).find(value => value));
+
+// "DOE, JANE A" -> "Jane A Doe"
+function displayName(value) {
+    const name = clean(value);
+    if (!name) return null;
+    const [last, first] = name.split(',').map(part => part.trim());
+    const ordered = first ? `${first} ${last}` : last;
+    return ordered === ordered.toUpperCase()
+        ? ordered.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase())
+        : ordered;
+}
+
+/**
+ * Reads a filing type ("1st Quarter - Amendment", "FIRST QUARTER TERMINATION",
+ * "Registration") and period into { kind, period, quarter, label, amendment, termination }.
+ */
+function classifyFiling(type, period) {
+    const text = `${type || ''} ${period || ''}`;
+    const amendment = /amend/i.test(type || '');
+    const termination = /terminat/i.test(type || '');
+    if (/registration/i.test(type || '')) {
+        return { kind: 'registration', period: 'RR', quarter: null, label: 'Registration', amendment, termination };
+    }
+    const [, code, quarter, name] = PERIODS.find(([pattern]) => pattern.test(text)) || [null, null, null, null];
+    return {
+        kind: 'report',
+        period: code,
+        quarter,
+        label: `${name ? `${name} ` : ''}${termination ? 'Termination' : 'Report'}`,
+        amendment,
+        termination
+    };
+}
+
+// Code from an LDA code, a full issue area name, or one part of one ("Taxation")
+function issueCode(code, name) {
+    const value = clean(code)?.toUpperCase();
+    if (value && LDA_ISSUE_CODES[value]) return value;
+    const area = clean(name || code)?.toUpperCase();
+    if (!area) return null;
+    if (ISSUE_CODES_BY_NAME.has(area)) return ISSUE_CODES_BY_NAME.get(area);
+    const partial = [...ISSUE_CODES_BY_NAME].find(([fullName]) => fullName.split('/').includes(area));
+    return partial ? partial[1] : null;
+}
+
+// lda.senate.gov/api/v1/filings/ result
+function parseJsonFiling(filing) {
+    const classified = classifyFiling(filing.filing_type_display || filing.filing_type, filing.filing_period);
+    const activities = asArray(filing.lobbying_activities);
+    const registrant = filing.registrant || {};
+    const client = filing.client || {};
+    return {
+        filing_uuid: String(filing.filing_uuid || filing.url || ''),
+        ...classified,
+        year: parseInt(filing.filing_year) || null,
+        posted_at: clean(filing.dt_posted),
+        registrant_id: registrant.id ? String(registrant.id) : null,
+        registrant_name: clean(registrant.name),
+        registrant_address: [registrant.address_1, registrant.address_2, registrant.city, registrant.state,
+            registrant.zip].map(clean).filter(Boolean).join(', ') || null,
+        client_id: client.id ? String(client.id) : null,
+        client_name: clean(client.name),
+        client_description: clean(client.general_description),
+        income: money(filing.income),
+        expenses: money(filing.expenses),
+        termination_date: clean(filing.termination_date),
+        issues: activities.map(activity => ({
+            issue_code: issueCode(activity.general_issue_code, activity.general_issue_code_display),
+            issue_area: clean(activity.general_issue_code_display) || clean(activity.general_issue_code),
+            description: clean(activity.description),
+            government_entities: asArray(activity.government_entities).map(entity => clean(entity.name))
+                .filter(Boolean),
+            lobbyists: asArray(activity.lobbyists).map(entry => ({
+                lobbyist_name: displayName([entry.lobbyist?.first_name, entry.lobbyist?.middle_name,
+                    entry.lobbyist?.last_name, entry.lobbyist?.suffix].map(clean).filter(Boolean).join(' ')),
+                lobbyist_id: entry.lobbyist?.id ? String(entry.lobbyist.id) : null,
+                covered_position: clean(entry.covered_position),
+                is_new: entry.new ? 1 : 0
+            }))
+        })),
+        foreign_entities: asArray(filing.foreign_entities).map(entity =>
+            [clean(entity.name), clean(entity.country_display || entity.country)].filter(Boolean))
+    };
+}
+
+// <Filing> from the Senate Office of Public Records bulk XML
+function parseXmlFiling(filing) {
+    const type = attribute(filing, 'Type');
+    const classified = classifyFiling(type, attribute(filing, 'Period'));
+    const registrant = asArray(filing.Registrant)[0];
+    const client = asArray(filing.Client)[0];
+    const amount = money(attribute(filing, 'Amount'));
+    const selfFiled = /true/i.test(attribute(client, 'SelfFiled') || '');
+    const entities = asArray(filing.GovernmentEntities?.[0]?.GovernmentEntity)
+        .map(entity => attribute(entity, 'GovEntityName', 'GOVEntityName', 'Name')).filter(Boolean);
+    const lobbyists = asArray(filing.Lobbyists?.[0]?.Lobbyist).map(lobbyist => ({
+        lobbyist_name: displayName(attribute(lobbyist, 'LobbyistName')),
+        lobbyist_id: null,
+        covered_position: /not covered/i.test(attribute(lobbyist, 'LobbyistCoveredGovPositionIndicator') || '')
+            ? null
+            : attribute(lobbyist, 'OfficialPosition', 'CoveredPosition'),
+        is_new: 0
+    }));
+    // The XML lists lobbyists and entities once per filing rather than per issue
+    const issues = asArray(filing.Issues?.[0]?.Issue).map((issue, index) => ({
+        issue_code: issueCode(attribute(issue, 'Code'), attribute(issue, 'Code')),
+        issue_area: attribute(issue, 'Code'),
+        description: attribute(issue, 'SpecificIssue'),
+        government_entities: index === 0 ? entities : [],
+        lobbyists: index === 0 ? lobbyists : []
+    }));
+    if (!issues.length && (entities.length || lobbyists.length)) {
+        issues.push({ issue_code: null, issue_area: null, description: null, government_entities: entities,
+            lobbyists });
+    }
+
+    return {
+        filing_uuid: attribute(filing, 'ID'),
+        ...classified,
+        year: parseInt(attribute(filing, 'Year')) || null,
+        posted_at: attribute(filing, 'Received'),
+        registrant_id: attribute(registrant, 'RegistrantID'),
+        registrant_name: attribute(registrant, 'RegistrantName'),
+        registrant_address: attribute(registrant, 'Address'),
+        client_id: attribute(client, 'ClientID'),
+        client_name: attribute(client, 'ClientName'),
+        client_description: attribute(client, 'GeneralDescription'),
+        income: selfFiled ? null : amount,
+        expenses: selfFiled ? amount : null,
+        termination_date: classified.termination ? attribute(filing, 'Received')?.slice(0, 10) || null : null,
+        issues,
+        foreign_entities: asArray(filing.ForeignEntities?.[0]?.ForeignEntity).map(entity =>
+            [attribute(entity, 'ForeignEntityName', 'Name'), attribute(entity, 'ForeignEntityCountry', 'Country')]
+                .filter(Boolean))
+    };
+}
+
+// LD-203 semiannual contribution report from lda.senate.gov/api/v1/contributions/
+function parseJsonContributionReport(report) {
+    const lobbyist = report.lobbyist || {};
+    return {
+        form: 'LD-203',
+        filing_uuid: String(report.filing_uuid || report.url || ''),
+        ...classifyFiling(report.filing_type_display || report.filing_type, report.filing_period),
+        year: parseInt(report.filing_year) || null,
+        posted_at: clean(report.dt_posted),
+        registrant_id: report.registrant?.id ? String(report.registrant.id) : null,
+        registrant_name: clean(report.registrant?.name),
+        lobbyist_id: lobbyist.id ? String(lobbyist.id) : null,
+        lobbyist_name: displayName([lobbyist.first_name, lobbyist.middle_name, lobbyist.last_name, lobbyist.suffix]
+            .map(clean).filter(Boolean).join(' ')),
+        no_contributions: report.no_contributions ? 1 : 0,
+        items: asArray(report.contribution_items).map(item => ({
+            contribution_type: clean(item.contribution_type_display) || clean(item.contribution_type),
+            contributor_name: clean(item.contributor_name),
+            payee_name: clean(item.payee_name),
+            honoree_name: clean(item.honoree_name),
+            amount: money(item.amount),
+            contribution_date: clean(item.date)?.slice(0, 10) || null
+        }))
+    };
+}
+
+// LD-203 <Filing> from the bulk XML: a registrant and, unless it filed for itself, a lobbyist
+function parseXmlContributionReport(filing) {
+    const registrant = asArray(filing.Registrant)[0];
+    const lobbyist = asArray(filing.Lobbyist)[0];
+    return {
+        form: 'LD-203',
+        filing_uuid: attribute(filing, 'ID'),
+        ...classifyFiling(attribute(filing, 'Type'), attribute(filing, 'Period')),
+        year: parseInt(attribute(filing, 'Year')) || null,
+        posted_at: attribute(filing, 'Received'),
+        registrant_id: attribute(registrant, 'RegistrantID'),
+        registrant_name: attribute(registrant, 'RegistrantName'),
+        lobbyist_id: null,
+        lobbyist_name: displayName(attribute(lobbyist, 'LobbyistName')),
+        no_contributions: /true/i.test(attribute(filing, 'NoContributions') || '') ? 1 : 0,
+        items: asArray(filing.Contributions?.[0]?.Contribution).map(item => ({
+            contribution_type: attribute(item, 'ContributionType', 'Type'),
+            contributor_name: displayName(attribute(item, 'Contributor', 'ContributorName')),
+            payee_name: attribute(item, 'Payee', 'PayeeName'),
+            honoree_name: attribute(item, 'Honoree', 'HonoreeName'),
+            amount: money(attribute(item, 'Amount')),
+            contribution_date: attribute(item, 'ContributionDate', 'Date')?.slice(0, 10) || null
+        }))
+    };
+}
+
+const unique = values => [...new Set(values.filter(Boolean))];
+
+// Replaces a lobbying row's lobbyists, issues and contacted entities ([type, name, country])
+async function saveChildRows(db, lobbyingId, { lobbyists, issues, entities }) {
+    await run(db, 'DELETE FROM lobbying_lobbyists WHERE lobbying_id = ?', [lobbyingId]);
+    for (const lobbyist of lobbyists.filter(entry => entry.lobbyist_name)) {
+        await run(db, `INSERT OR IGNORE INTO lobbying_lobbyists
+            (lobbying_id, lobbyist_name, lobbyist_id, covered_position, is_new) VALUES (?, ?, ?, ?, ?)`,
+            [lobbyingId, lobbyist.lobbyist_name, lobbyist.lobbyist_id || null, lobbyist.covered_position || null,
+             lobbyist.is_new || 0]);
+    }
+    await run(db, 'DELETE FROM lobbying_issues WHERE lobbying_id = ?', [lobbyingId]);
+    for (const issue of issues.filter(entry => entry.issue_area || entry.description)) {
+        await run(db, `INSERT INTO lobbying_issues (lobbying_id, issue_code, issue_area, description)
+            VALUES (?, ?, ?, ?)`, [lobbyingId, issue.issue_code, issue.issue_area, issue.description || null]);
+    }
+    await run(db, 'DELETE FROM lobbying_entities WHERE lobbying_id = ?', [lobbyingId]);
+    for (const [type, name, country] of entities.filter(([, name]) => name)) {
+        await run(db, `INSERT OR IGNORE INTO lobbying_entities (lobbying_id, entity_type, name, country)
+            VALUES (?, ?, ?, ?)`, [lobbyingId, type, name, country || null]);
+    }
+}
+
+const splitList = value => unique(String(value || '').split(',').map(clean));
+
+/**
+ * Rows that did not come from an LDA filing (the OpenSecrets sync, older loads) only carry
+ * the comma-joined strings; this splits them into the same child tables so the issue,
+ * entity and lobbyist filters cover every row. Returns the number of rows normalized.
+ */
+async function normalizeLobbyingStrings(db) {
+    const rows = await all(db, `SELECT id, lobbyist_name, issue_areas, specific_issues, government_entities,
+        foreign_entities FROM lobbying WHERE filing_uuid IS NULL`);
+    return transaction(db, async () => {
+        for (const row of rows) {
+            const areas = splitList(row.issue_areas);
+            await saveChildRows(db, row.id, {
+                lobbyists: splitList(row.lobbyist_name).map(name => ({ lobbyist_name: name })),
+                issues: areas.length
+                    ? areas.map((area, index) => ({ issue_code: issueCode(null, area), issue_area: area,
+                        description: index === 0 ? clean(row.specific_issues) : null }))
+                    : [{ issue_code: null, issue_area: null, description: clean(row.specific_issues) }],
+                entities: [
+                    ...splitList(row.government_entities).map(name => ['government', name]),
+                    ...splitList(row.foreign_entities).map(name => ['foreign', name])
+                ]
+            });
+        }
+        return rows.length;
+    });
+}
+
+// Registration and period a filing reports on; amendments and terminations share it
+const slotKey = filing => `LDA-${filing.registrant_id}-${filing.client_id}-${filing.year}-${filing.period || 'XX'}`;
+
+// Lobbyist (or the registrant itself) and period an LD-203 report covers
+const contributionReportKey = report => ['LD203', report.registrant_id,
+    report.lobbyist_id || report.lobbyist_name?.toLowerCase() || 'registrant', report.year, report.period].join('-');
+
+// Older first; on the same timestamp an amendment supersedes the filing it amends
+const filingOrder = (a, b) => (a.posted_at || '').localeCompare(b.posted_at || '') || a.amendment - b.amendment;
+
+// "Hon. Chip Roy", "Congresswoman Jane Doe", "Friends of John Smith", "Roy for Congress"
+// -> a name the sponsor parser reads
+function honoreeName(value) {
+    return String(value || '')
+        .replace(/^(?:the\s+)?hon(?:orable|\.)?\s+/i, '')
+        .replace(/^congress(?:man|woman)\s+/i, 'Rep. ')
+        .replace(/^friends of\s+/i, '')
+        .replace(/\s+for\s+[a-z .]+$/i, '')
+        .trim();
+}
+
+/**
+ * Links LD-203 honorees to congress_members by name, the way bill sponsors are matched.
+ * Honorees who are not members, or match more than one, stay unlinked.
+ * Returns { honorees, resolved, unresolved } counted by distinct honoree and year.
+ */
+async function resolveContributionHonorees(db) {
+    const honorees = await all(db, `SELECT DISTINCT honoree_name, year FROM lobbying_contributions
+        WHERE bioguide_id IS NULL AND honoree_name IS NOT NULL`);
+    const totals = { honorees: honorees.length, resolved: 0, unresolved: 0 };
+    if (!honorees.length) return totals;
+
+    const members = await new SponsorResolver(db).loadMembers();
+    await transaction(db, async () => {
+        for (const { honoree_name: honoree, year } of honorees) {
+            const matches = matchMembers(parseSponsor(honoreeName(honoree)), members,
+                year ? congressForYear(year) : null);
+            if (matches.length !== 1) {
+                totals.unresolved++;
+                continue;
+            }
+            await run(db, `UPDATE lobbying_contributions SET bioguide_id = ?
+                WHERE honoree_name = ? AND year IS ? AND bioguide_id IS NULL`, [matches[0].bioguide_id, honoree, year]);
+            totals.resolved++;
+        }
+    });
+    return totals;
+}
+
+class LdaImporter {
+    constructor(db, dataDir = process.env.LDA_DATA_DIR || path.join(__dirname, '../data/lda')) {
+        this.db = db;
+        this.dataDir = dataDir;
+        this.parser = new xml2js.Parser();
+    }
+
+    listFiles(dir = this.dataDir) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this.listFiles(file);
+            return /\.(xml|json)$/i.test(entry.name) ? [file] : [];
+        });
+    }
+
+    async parseFile(file) {
+        // The Senate's bulk XML downloads are UTF-16 with a byte order mark
+        const buffer = fs.readFileSync(file);
+        const contents = buffer[0] === 0xff && buffer[1] === 0xfe
+            ? buffer.toString('utf16le', 2)
+            : buffer.toString('utf8').replace(/^\uFEFF/, '');
+        if (file.toLowerCase().endsWith('.json')) {
+            const parsed = JSON.parse(contents);
+            const filings = Array.isArray(parsed) ? parsed : parsed.results;
+            if (!Array.isArray(filings)) throw new Error('no filings list');
+            // LD-203 contribution reports are the filings without a client
+            return filings.map(filing => (filing.client
+                ? parseJsonFiling(filing)
+                : parseJsonContributionReport(filing)));
+        }
+        const parsed = await this.parser.parseStringPromise(contents);
+        if (!parsed.PublicFilings) throw new Error('not an LDA PublicFilings file');
+        return asArray(parsed.PublicFilings.Filing)
+            .map(filing => (filing.Client ? parseXmlFiling(filing) : parseXmlContributionReport(filing)));
+    }
+
+    async saveFiling(filing) {
+        const registrationId = slotKey(filing);
+        await run(this.db, `INSERT OR REPLACE INTO lobbying_filings
+            (filing_uuid, registration_id, filing_type, report_type, year, filing_period, is_amendment,
+             is_termination, income, expenses, posted_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [filing.filing_uuid, registrationId, filing.kind, filing.label, filing.year, filing.period,
+             filing.amendment ? 1 : 0, filing.termination ? 1 : 0, filing.income, filing.expenses,
+             filing.posted_at]);
+
+        const current = await get(this.db, `SELECT lobbying.id, lobbying.filing_uuid, lobbying_filings.posted_at,
+                lobbying_filings.is_amendment
+            FROM lobbying LEFT JOIN lobbying_filings ON lobbying_filings.filing_uuid = lobbying.filing_uuid
+            WHERE lobbying.registration_id = ?`, [registrationId]);
+        if (current && current.filing_uuid !== filing.filing_uuid && filingOrder(filing, {
+            posted_at: current.posted_at, amendment: Boolean(current.is_amendment)
+        }) < 0) {
+            await run(this.db, 'UPDATE lobbying_filings SET superseded_by = ? WHERE filing_uuid = ?',
+                [current.filing_uuid, filing.filing_uuid]);
+            return;
+        }
+
+        const lobbyists = [];
+        for (const lobbyist of filing.issues.flatMap(issue => issue.lobbyists)) {
+            const seen = lobbyists.find(entry => entry.lobbyist_name === lobbyist.lobbyist_name);
+            if (!seen) lobbyists.push({ ...lobbyist });
+            else seen.covered_position = seen.covered_position || lobbyist.covered_position;
+        }
+        const values = [
+            filing.client_name, filing.client_description, filing.registrant_name, filing.registrant_address,
+            unique(lobbyists.map(lobbyist => lobbyist.lobbyist_name)).join(', ') || null,
+            filing.income ?? filing.expenses, filing.year, filing.quarter,
+            filing.label + (filing.amendment ? ' (Amended)' : ''),
+            unique(filing.issues.map(issue => issue.issue_area)).join(', ') || null,
+            unique(filing.issues.map(issue => issue.description)).join('\n') || null,
+            unique(filing.issues.flatMap(issue => issue.government_entities)).join(', ') || null,
+            unique(filing.foreign_entities.map(([name, country]) => (country ? `${name} (${country})` : name)))
+                .join(', ') || null,
+            filing.posted_at?.slice(0, 10) || null,
+            filing.filing_uuid, filing.registrant_id, filing.client_id, filing.period, filing.income, filing.expenses
+        ];
+
+        let lobbyingId = current?.id;
+        if (current) {
+            await run(this.db, `UPDATE lobbying SET client_name = ?, client_description = ?, registrant_name = ?,
+                    registrant_address = ?, lobbyist_name = ?, amount = ?, year = ?, quarter = ?, report_type = ?,
+                    issue_areas = ?, specific_issues = ?, government_entities = ?, foreign_entities = ?,
+                    posted_date = ?, filing_uuid = ?, registrant_id = ?, client_id = ?, filing_period = ?,
+                    income = ?, expenses = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?`, [...values, current.id]);
+            if (current.filing_uuid !== filing.filing_uuid) {
+                await run(this.db, 'UPDATE lobbying_filings SET superseded_by = ? WHERE filing_uuid = ?',
+                    [filing.filing_uuid, current.filing_uuid]);
+            }
+        } else {
+            lobbyingId = (await run(this.db, `INSERT INTO lobbying
+                (client_name, client_description, registrant_name, registrant_address, lobbyist_name, amount, year,
+                 quarter, report_type, issue_areas, specific_issues, government_entities, foreign_entities,
+                 posted_date, filing_uuid, registrant_id, client_id, filing_period, income, expenses,
+                 registration_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [...values, registrationId])).lastID;
+        }
+
+        await saveChildRows(this.db, lobbyingId, {
+            lobbyists,
+            issues: filing.issues,
+            entities: [
+                ...unique(filing.issues.flatMap(issue => issue.government_entities)).map(name => ['government', name]),
+                ...filing.foreign_entities.map(([name, country]) => ['foreign', name, country])
+            ]
+        });
+    }
+
+    async saveContributionReport(report) {
+        const reportKey = contributionReportKey(report);
+        await run(this.db, `INSERT OR REPLACE INTO lobbying_contribution_reports
+            (filing_uuid, report_key, registrant_id, registrant_name, lobbyist_name, year, filing_period,
+             is_amendment, no_contributions, posted_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [report.filing_uuid, reportKey, report.registrant_id, report.registrant_name, report.lobbyist_name,
+             report.year, report.period, report.amendment ? 1 : 0, report.no_contributions, report.posted_at]);
+
+        const current = await get(this.db, `SELECT filing_uuid, posted_at, is_amendment
+            FROM lobbying_contribution_reports
+            WHERE report_key = ? AND filing_uuid != ? AND superseded_by IS NULL
+            ORDER BY posted_at DESC LIMIT 1`, [reportKey, report.filing_uuid]);
+        const older = current && filingOrder(report, {
+            posted_at: current.posted_at, amendment: Boolean(current.is_amendment)
+        }) < 0;
+        const [superseded, replacement] = older ? [report.filing_uuid, current.filing_uuid]
+            : [current?.filing_uuid, report.filing_uuid];
+        if (superseded) {
+            await run(this.db, 'UPDATE lobbying_contribution_reports SET superseded_by = ? WHERE filing_uuid = ?',
+                [replacement, superseded]);
+            await run(this.db, 'DELETE FROM lobbying_contributions WHERE filing_uuid = ?', [superseded]);
+        }
+        if (older) return;
+
+        await run(this.db, 'DELETE FROM lobbying_contributions WHERE filing_uuid = ?', [report.filing_uuid]);
+        for (const item of report.items) {
+            await run(this.db, `INSERT INTO lobbying_contributions
+                (filing_uuid, registrant_id, registrant_name, lobbyist_name, contributor_name, contribution_type,
+                 payee_name, honoree_name, amount, contribution_date, year)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [report.filing_uuid, report.registrant_id, report.registrant_name, report.lobbyist_name,
+                 item.contributor_name || report.lobbyist_name || report.registrant_name, item.contribution_type,
+                 item.payee_name, item.honoree_name, item.amount, item.contribution_date,
+                 parseInt(item.contribution_date) || report.year]);
+        }
+    }
+
+    // A termination ends the registration: it and every period reported up to it are closed
+    async applyTermination(filing) {
+        const terminated = filing.termination_date || filing.posted_at?.slice(0, 10);
+        await run(this.db, `UPDATE lobbying SET termination_date = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE registrant_id = ? AND client_id = ? AND (posted_date IS NULL OR posted_date <= ?)
+                AND termination_date IS NOT ?`,
+            [terminated, filing.registrant_id, filing.client_id, filing.posted_at?.slice(0, 10) || terminated,
+             terminated]);
+    }
+
+    async import() {
+        const files = this.listFiles();
+        if (!files.length) {
+            return { success: false, error: `No LDA filing files found in ${this.dataDir}` };
+        }
+
+        const errors = [];
+        const filings = [];
+        const reports = [];
+        for (const file of files) {
+            try {
+                for (const entry of await this.parseFile(file)) {
+                    if (!entry.filing_uuid || !entry.registrant_id) continue;
+                    if (entry.form === 'LD-203') reports.push(entry);
+                    else if (entry.client_id) filings.push(entry);
+                }
+            } catch (error) {
+                errors.push(`${path.basename(file)}: ${error.message}`);
+            }
+        }
+        filings.sort(filingOrder);
+        reports.sort(filingOrder);
+
+        const terminations = filings.filter(filing => filing.termination);
+        await transaction(this.db, async () => {
+            for (const filing of filings) await this.saveFiling(filing);
+            for (const filing of terminations) await this.applyTermination(filing);
+            for (const report of reports) await this.saveContributionReport(report);
+        });
+
+        const current = new Set(filings.map(slotKey)).size;
+        // Sorted oldest first, so the last report for each key is the one kept
+        const currentReports = [...new Map(reports.map(report => [contributionReportKey(report), report])).values()];
+        return { success: true, files: files.length, filings: filings.length, current,
+            superseded: filings.length - current, terminations: terminations.length,
+            contribution_reports: reports.length,
+            contributions: currentReports.reduce((sum, report) => sum + report.items.length, 0), errors };
+    }
+}
+
+module.exports = LdaImporter;
+module.exports.LDA_ISSUE_CODES = LDA_ISSUE_CODES;
+module.exports.classifyFiling = classifyFiling;
+module.exports.normalizeLobbyingStrings = normalizeLobbyingStrings;
+module.exports.resolveContributionHonorees = resolveContributionHonorees;
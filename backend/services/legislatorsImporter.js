@@ -0,0 +1,183 @@
+// congress-legislators dataset importer (https://github.com/unitedstates/congress-legislators)
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { run, all, transaction } = require('./sqlite');
+
+const PARTY_CODES = {
+    Democrat: 'D',
+    Republican: 'R',
+    Independent: 'I',
+    Libertarian: 'L',
+    'Popular Democrat': 'D',
+    'New Progressive': 'R'
+};
+
+const CHAMBERS = { rep: 'house', sen: 'senate' };
+
+class LegislatorsImporter {
+    constructor(db, dataDir = process.env.LEGISLATORS_DATA_DIR || path.join(__dirname, '../data/congress-legislators')) {
+        this.db = db;
+        this.dataDir = dataDir;
+    }
+
+    // Reads <name>.yaml, <name>.yml or <name>.json from the data directory
+    readDataset(name) {
+        for (const ext of ['.yaml', '.yml', '.json']) {
+            const file = path.join(this.dataDir, name + ext);
+            if (!fs.existsSync(file)) continue;
+
+            const contents = fs.readFileSync(file, 'utf8');
+            const records = ext === '.json' ? JSON.parse(contents) : yaml.load(contents);
+            if (!Array.isArray(records)) {
+                throw new Error(`${file} does not contain a list of legislators`);
+            }
+            return records;
+        }
+        return null;
+    }
+
+    mapTerm(bioguideId, term) {
+        return {
+            bioguide_id: bioguideId,
+            chamber: CHAMBERS[term.type] || term.type,
+            state: term.state,
+            district: term.district !== undefined && term.district !== null ? String(term.district) : null,
+            party: PARTY_CODES[term.party] || term.party || null,
+            start_date: term.start,
+            end_date: term.end,
+            state_rank: term.state_rank || null,
+            senate_class: term.class || null
+        };
+    }
+
+    mapLegislator(record, social = {}, today = new Date().toISOString().slice(0, 10)) {
+        const bioguideId = record.id?.bioguide;
+        if (!bioguideId) return null;
+
+        const terms = (record.terms || []).map(term => this.mapTerm(bioguideId, term));
+        const latest = record.terms?.[record.terms.length - 1] || {};
+        const currentTerm = terms[terms.length - 1] || {};
+        const inOffice = Boolean(currentTerm.end_date && currentTerm.end_date >= today);
+
+        const activeRole = (record.leadership_roles || [])
+            .filter(role => !role.end || role.end >= today)
+            .pop();
+
+        return {
+            member: {
+                bioguide_id: bioguideId,
+                first_name: record.name?.nickname || record.name?.first,
+                last_name: record.name?.last,
+                party: currentTerm.party,
+                state: currentTerm.state,
+                chamber: currentTerm.chamber,
+                district: currentTerm.district,
+                position: inOffice ? activeRole?.title || null : null,
+                in_office: inOffice ? 1 : 0,
+                next_election: inOffice && currentTerm.end_date
+                    ? String(parseInt(currentTerm.end_date.slice(0, 4)) - 1)
+                    : null,
+                phone: latest.phone || null,
+                twitter_handle: social.twitter || null,
+                facebook_handle: social.facebook || null,
+                youtube_handle: social.youtube || social.youtube_id || null,
+                website: latest.url || null,
+                lis_id: record.id?.lis || null
+            },
+            terms,
+            fecIds: record.id?.fec || []
+        };
+    }
+
+    async saveMember({ member, terms, fecIds }) {
+        await run(this.db, `INSERT INTO congress_members
+            (bioguide_id, first_name, last_name, party, state, chamber, district, position, in_office,
+             next_election, phone, twitter_handle, facebook_handle, youtube_handle, website, lis_id, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(bioguide_id) DO UPDATE SET
+                first_name = excluded.first_name, last_name = excluded.last_name,
+                party = excluded.party, state = excluded.state, chamber = excluded.chamber,
+                district = excluded.district, position = excluded.position, in_office = excluded.in_office,
+                next_election = excluded.next_election, phone = excluded.phone,
+                twitter_handle = excluded.twitter_handle, facebook_handle = excluded.facebook_handle,
+                youtube_handle = excluded.youtube_handle, website = excluded.website,
+                lis_id = excluded.lis_id, updated_at = CURRENT_TIMESTAMP`,
+            [member.bioguide_id, member.first_name, member.last_name, member.party, member.state,
+             member.chamber, member.district, member.position, member.in_office, member.next_election,
+             member.phone, member.twitter_handle, member.facebook_handle, member.youtube_handle, member.website,
+             member.lis_id]
+        );
+
+        await run(this.db, 'DELETE FROM member_terms WHERE bioguide_id = ?', [member.bioguide_id]);
+        for (const term of terms) {
+            await run(this.db, `INSERT INTO member_terms
+                (bioguide_id, chamber, state, district, party, start_date, end_date, state_rank, senate_class)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [term.bioguide_id, term.chamber, term.state, term.district, term.party,
+                 term.start_date, term.end_date, term.state_rank, term.senate_class]
+            );
+        }
+
+        await run(this.db, 'DELETE FROM member_fec_ids WHERE bioguide_id = ?', [member.bioguide_id]);
+        for (const fecId of fecIds) {
+            await run(this.db, 'INSERT OR REPLACE INTO member_fec_ids (fec_id, bioguide_id) VALUES (?, ?)',
+                [fecId, member.bioguide_id]);
+        }
+    }
+
+    async import() {
+        const current = this.readDataset('legislators-current');
+        if (!current) {
+            return { success: false, error: `No legislators-current dataset found in ${this.dataDir}` };
+        }
+        const historical = this.readDataset('legislators-historical') || [];
+        const socialMedia = this.readDataset('legislators-social-media') || [];
+
+        const socialById = new Map(socialMedia.map(entry => [entry.id?.bioguide, entry.social || {}]));
+        const currentIds = new Set();
+
+        return transaction(this.db, async () => {
+            let currentCount = 0;
+            for (const record of current) {
+                const mapped = this.mapLegislator(record, socialById.get(record.id?.bioguide));
+                if (!mapped) continue;
+                await this.saveMember(mapped);
+                currentIds.add(mapped.member.bioguide_id);
+                currentCount++;
+            }
+
+            // Historical records only refresh members we already track, so party
+            // and term history survives without loading every former member.
+            const tracked = new Set((await all(this.db, 'SELECT bioguide_id FROM congress_members'))
+                .map(row => row.bioguide_id));
+            let historicalCount = 0;
+            for (const record of historical) {
+                const bioguideId = record.id?.bioguide;
+                if (!tracked.has(bioguideId) || currentIds.has(bioguideId)) continue;
+                const mapped = this.mapLegislator(record, socialById.get(bioguideId));
+                mapped.member.in_office = 0;
+                await this.saveMember(mapped);
+                historicalCount++;
+            }
+
+            // Anyone left in a chamber without a current term has departed
+            const placeholders = [...currentIds].map(() => '?').join(', ') || 'NULL';
+            const departed = await run(this.db, `UPDATE congress_members
+                SET in_office = 0, position = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE chamber IN ('house', 'senate') AND in_office = 1
+                AND bioguide_id NOT IN (${placeholders})`,
+                [...currentIds]
+            );
+
+            return {
+                success: true,
+                current: currentCount,
+                historical: historicalCount,
+                departed: departed.changes
+            };
+        });
+    }
+}
+
+module.exports = LegislatorsImporter;
@@ -0,0 +1,29 @@
+// One-off data migrations, applied in order after the schema is created. The number applied is
+// kept in sqlite's PRAGMA user_version, so each runs once per database however often the server starts.
+const { run, get, transaction } = require('./sqlite');
+
+const MIGRATIONS = [
+    // 1: filings the old hardcoded lobbying loader inserted
+    db => run(db, `DELETE FROM lobbying WHERE registration_id LIKE 'LOB2025-%'`),
+    // 2: Senate positions whose unmatched LIS id ("S270") was stored as the member's bioguide id
+    db => run(db, `UPDATE member_votes SET lis_id = member_id, member_id = NULL
+        WHERE member_id GLOB 'S[0-9][0-9][0-9]'
+            AND vote_id IN (SELECT vote_id FROM votes WHERE chamber = 'senate')`)
+];
+
+/**
+ * Runs the migrations this database has not had yet. Returns { from, to } schema versions.
+ */
+async function migrate(db, migrations = MIGRATIONS) {
+    const { user_version: from } = await get(db, 'PRAGMA user_version');
+    for (let version = from; version < migrations.length; version++) {
+        await transaction(db, async () => {
+            await migrations[version](db);
+            // PRAGMA values cannot be bound as parameters
+            await run(db, `PRAGMA user_version = ${version + 1}`);
+        });
+    }
+    return { from, to: Math.max(from, migrations.length) };
+}
+
+module.exports = { MIGRATIONS, migrate };
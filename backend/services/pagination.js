@@ -0,0 +1,147 @@
+// Shared pagination, sorting and response envelope for list endpoints
+const { all, get } = require('./sqlite');
+
+const MAX_LIMIT = 200;
+
+function invalidCursor() {
+    const error = new Error('Invalid cursor');
+    error.status = 400;
+    return error;
+}
+
+// Cursors are opaque to clients; they hold the sort key values of the last row
+// returned (k), the sort and order they were issued for and the next page number
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+        const validKey = key => key === null || ['string', 'number'].includes(typeof key);
+        return Array.isArray(cursor.k) && cursor.k.every(validKey) && Number.isInteger(cursor.p) && cursor.p > 1
+            ? cursor
+            : null;
+    } catch {
+        return null;
+    }
+}
+
+// 'first_name, bioguide_id DESC' -> [{ expression: 'first_name', direction: 'ASC' }, ...]
+function parseOrderTerms(terms) {
+    return terms.split(',').map(term => {
+        const [, expression, direction] = term.trim().match(/^(.*?)(?:\s+(ASC|DESC))?$/i);
+        return { expression, direction: (direction || 'ASC').toUpperCase() };
+    });
+}
+
+/**
+ * Reads limit, cursor/page, sort and order from a request query.
+ * sortFields maps public sort names to SQL expressions; unknown names fall
+ * back to defaultSort. tiebreaker must make the order unique so cursors
+ * resume exactly after the last row of the previous page.
+ */
+function parseListParams(query, { sortFields, defaultSort, defaultOrder = 'desc', defaultLimit = 50, tiebreaker }) {
+    const requestedLimit = parseInt(query.limit);
+    const limit = requestedLimit > 0 && requestedLimit <= MAX_LIMIT ? requestedLimit : defaultLimit;
+
+    const sort = Object.prototype.hasOwnProperty.call(sortFields, query.sort) ? query.sort : defaultSort;
+    const requestedOrder = String(query.order || '').toLowerCase();
+    const order = ['asc', 'desc'].includes(requestedOrder)
+        ? requestedOrder
+        : sort === defaultSort ? defaultOrder : 'asc';
+
+    const keys = [
+        { expression: sortFields[sort], direction: order.toUpperCase() },
+        ...(tiebreaker ? parseOrderTerms(tiebreaker) : [])
+    ];
+
+    let offset = 0;
+    let after = null;
+    let page = 1;
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor || cursor.k.length !== keys.length || cursor.s !== sort || cursor.o !== order) {
+            throw invalidCursor();
+        }
+        after = cursor.k;
+        page = cursor.p;
+    } else if (parseInt(query.page) > 1) {
+        page = parseInt(query.page);
+        offset = (page - 1) * limit;
+    }
+
+    const orderBy = keys.map(({ expression, direction }) => `${expression} ${direction}`).join(', ');
+    return { limit, offset, page, sort, order, orderBy, keys, after };
+}
+
+// Rows after `values` in key order. SQLite sorts NULLs first ascending and last descending.
+function keysetCondition(keys, values) {
+    const params = [];
+    const branches = keys.map(({ direction }, index) => {
+        const column = `_key${index}`;
+        const value = values[index];
+        const conditions = values.slice(0, index).map((previous, position) => {
+            params.push(previous);
+            return `_key${position} IS ?`;
+        });
+        if (direction === 'ASC') {
+            if (value === null) {
+                conditions.push(`${column} IS NOT NULL`);
+            } else {
+                conditions.push(`${column} > ?`);
+                params.push(value);
+            }
+        } else if (value === null) {
+            conditions.push('0');
+        } else {
+            conditions.push(`(${column} < ? OR ${column} IS NULL)`);
+            params.push(value);
+        }
+        return `(${conditions.join(' AND ')})`;
+    });
+    return { sql: branches.join(' OR '), params };
+}
+
+/**
+ * Runs a list query and its count and returns the standard envelope:
+ * { data, total, limit, page, sort, order, next_cursor, filters }.
+ * `from` is everything after the select list up to (not including) ORDER BY.
+ * Sort keys are selected alongside the rows so the next cursor can resume after
+ * the last one; counts run over the whole query so GROUP BY counts groups.
+ */
+async function paginate(db, { select, from, params = [], list, filters = {} }) {
+    const keyColumns = list.keys.map(({ expression }, index) => `${expression} AS _key${index}`).join(', ');
+    const orderBy = list.keys.map(({ direction }, index) => `_key${index} ${direction}`).join(', ');
+    const after = list.after ? keysetCondition(list.keys, list.after) : { sql: '1', params: [] };
+
+    // One extra row tells whether another page follows
+    const [rows, total] = await Promise.all([
+        all(db, `SELECT * FROM (SELECT ${select}, ${keyColumns} ${from})
+            WHERE ${after.sql} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+            [...params, ...after.params, list.limit + 1, list.offset]),
+        get(db, `SELECT COUNT(*) AS count FROM (SELECT ${select} ${from})`, params)
+    ]);
+
+    const data = rows.slice(0, list.limit);
+    const last = data[data.length - 1];
+    const next = rows.length > list.limit
+        ? { k: list.keys.map((key, index) => last[`_key${index}`]), s: list.sort, o: list.order, p: list.page + 1 }
+        : null;
+    for (const row of data) {
+        list.keys.forEach((key, index) => delete row[`_key${index}`]);
+    }
+
+    return {
+        data,
+        total: total.count,
+        limit: list.limit,
+        page: list.page,
+        sort: list.sort,
+        order: list.order,
+        next_cursor: next ? encodeCursor(next) : null,
+        filters
+    };
+}
+
+module.exports = { parseListParams, paginate, encodeCursor, decodeCursor };
@@ -0,0 +1,120 @@
+// Versioned history of bills, federal_spending and lobbying rows. Each refresh
+// closes the open version of every record that changed and opens a new one, so
+// the data can be reconstructed as it stood on any date since recording began.
+const { run, all, transaction } = require('./sqlite');
+const { TRACKED_SOURCES, snapshot, diffFields } = require('./changeTracker');
+
+const HISTORY_COLUMNS = [['version', 'INTEGER'], ['valid_from', 'DATETIME'], ['valid_to', 'DATETIME']];
+
+// Row ids and refresh timestamps change on every load without the data changing
+const IGNORED_COLUMNS = ['id', 'updated_at'];
+
+const historyTable = source => `${TRACKED_SOURCES[source].table}_history`;
+
+const sqliteTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+// Must run inside db.serialize() after the source tables exist. History tables copy
+// the source columns; columns added to a source later are copied by recordVersions.
+function createHistoryTables(db) {
+    Object.keys(TRACKED_SOURCES).forEach(source => {
+        const { table, key } = TRACKED_SOURCES[source];
+        const history = historyTable(source);
+        db.run(`CREATE TABLE IF NOT EXISTS ${history} AS SELECT * FROM ${table} WHERE 0`);
+        HISTORY_COLUMNS.forEach(([column, type]) => {
+            db.run(`ALTER TABLE ${history} ADD COLUMN ${column} ${type}`, (err) => {
+                if (err && !err.message.includes('duplicate column')) {
+                    console.log(`${history}.${column} column error:`, err.message);
+                }
+            });
+        });
+        db.run(`CREATE INDEX IF NOT EXISTS idx_${history}_key ON ${history}(${key}, version)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_${history}_valid ON ${history}(valid_from, valid_to)`);
+    });
+}
+
+async function columnNames(db, table) {
+    return (await all(db, `PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+// Adds source columns the history table is missing; returns the data columns to copy
+async function syncColumns(db, source) {
+    const { table } = TRACKED_SOURCES[source];
+    const history = historyTable(source);
+    const sourceColumns = await columnNames(db, table);
+    const historyColumns = new Set(await columnNames(db, history));
+    for (const column of sourceColumns.filter(column => !historyColumns.has(column))) {
+        await run(db, `ALTER TABLE ${history} ADD COLUMN ${column}`);
+    }
+    return sourceColumns;
+}
+
+/**
+ * Brings one source's history up to date with its table: records without an open
+ * version, or whose open version differs, get a new version; records that are
+ * gone have their open version closed. Returns { created, updated, closed }.
+ */
+async function recordVersions(db, source, now = new Date()) {
+    const { key } = TRACKED_SOURCES[source];
+    const history = historyTable(source);
+    const columns = await syncColumns(db, source);
+    const compared = columns.filter(column => !IGNORED_COLUMNS.includes(column));
+    const timestamp = sqliteTimestamp(now);
+
+    const current = await snapshot(db, source);
+    const open = new Map((await all(db, `SELECT rowid AS history_rowid, * FROM ${history} WHERE valid_to IS NULL`))
+        .map(row => [String(row[key]), row]));
+    const totals = { created: 0, updated: 0, closed: 0 };
+
+    await transaction(db, async () => {
+        const close = version => run(db, `UPDATE ${history} SET valid_to = ? WHERE rowid = ?`,
+            [timestamp, version.history_rowid]);
+
+        for (const [id, record] of current) {
+            const version = open.get(id);
+            if (version && !Object.keys(diffFields(version, record, compared)).length) continue;
+
+            if (version) await close(version);
+            await run(db, `INSERT INTO ${history} (${columns.join(', ')}, version, valid_from)
+                VALUES (${columns.map(() => '?').join(', ')}, ?, ?)`,
+                [...columns.map(column => record[column]), version ? version.version + 1 : 1, timestamp]);
+            totals[version ? 'updated' : 'created']++;
+        }
+
+        for (const [id, version] of open) {
+            if (!current.has(id)) {
+                await close(version);
+                totals.closed++;
+            }
+        }
+    });
+    return totals;
+}
+
+// Subquery standing in for a source table as it was at the end of `date` (YYYY-MM-DD);
+// alias it with the table name so existing filters keep working. Binds `date` twice.
+function asOfSubquery(source) {
+    return `(SELECT * FROM ${historyTable(source)}
+        WHERE datetime(valid_from) < datetime(?, '+1 day')
+            AND (valid_to IS NULL OR datetime(valid_to) >= datetime(?, '+1 day')))`;
+}
+
+// Every version of one record, oldest first, each with the fields changed from the one before
+async function versionHistory(db, source, id) {
+    const { key } = TRACKED_SOURCES[source];
+    const versions = await all(db, `SELECT * FROM ${historyTable(source)} WHERE ${key} = ?
+        ORDER BY version`, [id]);
+    const compared = versions.length
+        ? Object.keys(versions[0]).filter(column =>
+            ![...IGNORED_COLUMNS, ...HISTORY_COLUMNS.map(([name]) => name)].includes(column))
+        : [];
+
+    return versions.map(({ version, valid_from, valid_to, ...record }, i) => ({
+        version,
+        valid_from,
+        valid_to,
+        record,
+        changes: i ? diffFields(versions[i - 1], record, compared) : {}
+    }));
+}
+
+module.exports = { createHistoryTables, recordVersions, asOfSubquery, versionHistory };
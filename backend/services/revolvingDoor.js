@@ -0,0 +1,205 @@
+// Revolving door: the covered positions lobbyists list on LD-2 filings ("Chief of Staff,
+// Sen. Elizabeth Warren", "Counsel, House Judiciary Committee", "Deputy Administrator, EPA")
+// linked to the member, committee or agency they served. Each position and each entity a
+// filing contacted reduce to an office key (house, senate or an agency code); a lobbyist
+// whose position and contacted entity share a key is lobbying their old office.
+const { run, get, all, transaction } = require('./sqlite');
+const SponsorResolver = require('./sponsorResolver');
+const { parseSponsor, matchMembers, congressDates, congressForYear } = SponsorResolver;
+
+// Executive agencies as LDA entity lists and covered positions name them. Names match in any case;
+// an acronym that is also an ordinary word ("va", "sec") only matches in capitals.
+const AGENCIES = [
+    { code: 'EOP', name: 'Executive Office of the President',
+        pattern: /white house|executive office of the president|\bEOP\b|national security council|\bNSC\b/i },
+    { code: 'OMB', name: 'Office of Management and Budget', pattern: /management (?:and|&) budget|\bOMB\b/i },
+    { code: 'USTR', name: 'U.S. Trade Representative', pattern: /trade representative|\bUSTR\b/i },
+    { code: 'USDA', name: 'Department of Agriculture',
+        pattern: /agriculture,? dep|dep\w*\.? of agriculture|\bUSDA\b/i },
+    { code: 'DOC', name: 'Department of Commerce',
+        pattern: /commerce,? dep|dep\w*\.? of commerce|commerce department|\bDOC\b/i },
+    { code: 'DOD', name: 'Department of Defense',
+        pattern: /defen[cs]e,? dep|dep\w*\.? of defen[cs]e|\bDOD\b|pentagon|\b(?:army|navy|air force)\b/i },
+    { code: 'ED', name: 'Department of Education', pattern: /education,? dep|dep\w*\.? of education/i },
+    { code: 'DOE', name: 'Department of Energy', pattern: /energy,? dep|dep\w*\.? of energy|\bDOE\b/i },
+    { code: 'HHS', name: 'Department of Health and Human Services',
+        pattern: /health (?:and|&) human services|\bHHS\b|\bDHHS\b/i },
+    { code: 'DHS', name: 'Department of Homeland Security',
+        pattern: /homeland security,? dep|dep\w*\.? of homeland security|\bDHS\b/i },
+    { code: 'HUD', name: 'Department of Housing and Urban Development',
+        pattern: /housing (?:and|&) urban development|\bHUD\b/i },
+    { code: 'DOI', name: 'Department of the Interior',
+        pattern: /interior,? dep|dep\w*\.? of (?:the )?interior|\bDOI\b/i },
+    { code: 'DOJ', name: 'Department of Justice', pattern: /justice,? dep|dep\w*\.? of justice|\bDOJ\b|\bFBI\b/i },
+    { code: 'DOL', name: 'Department of Labor', pattern: /labor,? dep|dep\w*\.? of labor|\bDOL\b/i },
+    { code: 'DOS', name: 'Department of State', pattern: /state,? dep|dep\w*\.? of state|state department|\bUSAID\b/i },
+    { code: 'DOT', name: 'Department of Transportation',
+        pattern: /transportation,? dep|dep\w*\.? of transportation|\bDOT\b|\bFAA\b/i },
+    { code: 'TREAS', name: 'Department of the Treasury', pattern: /treasury|\bIRS\b|internal revenue service/i },
+    { code: 'VA', name: 'Department of Veterans Affairs',
+        pattern: /veterans affairs,? dep|dep\w*\.? of veterans affairs/i, acronym: /\bVA\b/ },
+    { code: 'EPA', name: 'Environmental Protection Agency', pattern: /environmental protection agency|\bEPA\b/i },
+    { code: 'FCC', name: 'Federal Communications Commission', pattern: /federal communications commission|\bFCC\b/i },
+    { code: 'FTC', name: 'Federal Trade Commission', pattern: /federal trade commission|\bFTC\b/i },
+    { code: 'SEC', name: 'Securities and Exchange Commission',
+        pattern: /securities (?:and|&) exchange commission/i, acronym: /\bSEC\b/ },
+    { code: 'CFTC', name: 'Commodity Futures Trading Commission', pattern: /commodity futures|\bCFTC\b/i },
+    { code: 'FERC', name: 'Federal Energy Regulatory Commission', pattern: /federal energy regulatory|\bFERC\b/i },
+    { code: 'NRC', name: 'Nuclear Regulatory Commission', pattern: /nuclear regulatory|\bNRC\b/i },
+    { code: 'FDA', name: 'Food and Drug Administration', pattern: /food (?:and|&) drug administration|\bFDA\b/i },
+    { code: 'CMS', name: 'Centers for Medicare and Medicaid Services',
+        pattern: /medicare (?:and|&) medicaid services|\bCMS\b/i },
+    { code: 'FRS', name: 'Federal Reserve System', pattern: /federal reserve/i },
+    { code: 'CFPB', name: 'Consumer Financial Protection Bureau', pattern: /consumer financial protection|\bCFPB\b/i },
+    { code: 'FDIC', name: 'Federal Deposit Insurance Corporation', pattern: /federal deposit insurance|\bFDIC\b/i },
+    { code: 'NASA', name: 'National Aeronautics and Space Administration',
+        pattern: /aeronautics (?:and|&) space|\bNASA\b/i },
+    { code: 'SBA', name: 'Small Business Administration', pattern: /small business administration|\bSBA\b/i }
+];
+
+// LDA covered positions are those held in the 20 years before a filing
+const COVERED_POSITION_YEARS = 20;
+
+// Terms a covered position on a filing from `year` could have been served in: any that overlap the
+// lookback window up to the end of the filing's Congress, including members who have since left
+function servicePeriod(year) {
+    if (!year) return null;
+    return { start: `${year - COVERED_POSITION_YEARS}-01-01`, end: congressDates(congressForYear(year)).end };
+}
+
+const MEMBER_REFERENCE =
+    /\b(Rep|Representative|Sen|Senator|Congressman|Congresswoman)\.?\s+((?:[A-Z][\w'’-]*\.?\s*){1,4})/;
+
+// Words that say nothing about which committee a position was on
+const COMMITTEE_STOP_WORDS = new Set(['house', 'senate', 'us', 'u', 's', 'committee', 'subcommittee', 'on', 'the',
+    'and', 'of', 'for', 'select', 'permanent', 'special', 'joint', '&']);
+
+const keywords = value => String(value || '').toLowerCase().replace(/[.,()'’]/g, ' ').split(/\s+/)
+    .filter(word => word && !COMMITTEE_STOP_WORDS.has(word));
+
+const chamberOf = value => (/\bsenate\b|\bsenator\b|\bsen\./i.test(value) ? 'senate'
+    : /\bhouse\b(?<!white house)|\bcongress(?:man|woman)\b|\brep\./i.test(value) ? 'house' : null);
+
+const agencyFor = value => AGENCIES.find(agency => agency.pattern.test(value || '')
+    || agency.acronym?.test(value || '')) || null;
+
+/**
+ * Office key of a contacted entity: 'house', 'senate', an agency code, or null.
+ * LDA lists the chambers as "HOUSE OF REPRESENTATIVES" and "SENATE".
+ */
+function officeKey(entity) {
+    const agency = agencyFor(entity);
+    if (agency) return agency.code;
+    if (/^\s*senate|senate\s*$/i.test(entity || '')) return 'senate';
+    if (/^\s*house of representatives|^\s*house\s*$/i.test(entity || '')) return 'house';
+    return null;
+}
+
+// "Chief of Staff, Sen. Warren; LD, Rep. Roy" -> one entry per position, title before the first comma
+function splitPositions(text) {
+    return String(text || '').split(/\s*[;\n]\s*/).map(part => part.trim()).filter(Boolean).map(part => {
+        const comma = part.indexOf(',');
+        return { text: part, title: comma > 0 ? part.slice(0, comma).trim() : null };
+    });
+}
+
+class RevolvingDoorLinker {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Committee whose distinguishing words all appear in the position, preferring the most specific
+    matchCommittee(text, chamber, committees) {
+        const words = new Set(keywords(text));
+        const matches = committees
+            .filter(committee => (!chamber || committee.chamber === chamber))
+            .map(committee => ({ committee, words: keywords(committee.name) }))
+            .filter(entry => entry.words.length && entry.words.every(word => words.has(word)))
+            .sort((a, b) => b.words.length - a.words.length);
+        return matches.length && (matches.length === 1 || matches[0].words.length > matches[1].words.length)
+            ? matches[0].committee
+            : null;
+    }
+
+    // Classifies one position as a member's office, a committee, an agency or a chamber
+    linkPosition(position, year, members, committees) {
+        const linked = { office_type: 'other', bioguide_id: null, committee_id: null, agency_code: null,
+            office_key: null };
+        const member = position.text.match(MEMBER_REFERENCE);
+        if (member && !/committee/i.test(position.text)) {
+            const title = /^sen/i.test(member[1]) ? 'Sen.' : 'Rep.';
+            const matches = matchMembers(parseSponsor(`${title} ${member[2].trim()}`), members, servicePeriod(year));
+            const chamber = title === 'Sen.' ? 'senate' : 'house';
+            return { ...linked, office_type: 'member', office_key: chamber,
+                bioguide_id: matches.length === 1 ? matches[0].bioguide_id : null };
+        }
+        if (/committee/i.test(position.text)) {
+            const chamber = /\bjoint\b/i.test(position.text) ? 'joint' : chamberOf(position.text);
+            const committee = this.matchCommittee(position.text, chamber, committees);
+            const committeeChamber = committee?.chamber || chamber;
+            return { ...linked, office_type: 'committee', committee_id: committee?.committee_id || null,
+                office_key: ['house', 'senate'].includes(committeeChamber) ? committeeChamber : null };
+        }
+        const agency = agencyFor(position.text);
+        if (agency) {
+            return { ...linked, office_type: 'agency', agency_code: agency.code, office_key: agency.code };
+        }
+        const chamber = chamberOf(position.text);
+        return chamber ? { ...linked, office_type: 'chamber', office_key: chamber } : linked;
+    }
+
+    /**
+     * Rebuilds lobbyist_positions from the covered positions on current filings and keys
+     * every contacted entity. Returns { positions, members, committees, agencies, matches }.
+     */
+    async link() {
+        const lobbyists = await all(this.db, `SELECT lobbying_lobbyists.lobbying_id, lobbying_lobbyists.lobbyist_name,
+                lobbying_lobbyists.covered_position, lobbying.year
+            FROM lobbying_lobbyists JOIN lobbying ON lobbying.id = lobbying_lobbyists.lobbying_id
+            WHERE lobbying_lobbyists.covered_position IS NOT NULL`);
+        const entities = await all(this.db, 'SELECT DISTINCT name FROM lobbying_entities WHERE entity_type = ?',
+            ['government']);
+        const [members, committees] = lobbyists.length
+            ? await Promise.all([
+                new SponsorResolver(this.db).loadMembers(),
+                all(this.db, 'SELECT committee_id, chamber, name FROM committees')
+            ])
+            : [[], []];
+        const totals = { positions: 0, members: 0, committees: 0, agencies: 0, matches: 0 };
+
+        await transaction(this.db, async () => {
+            for (const { name } of entities) {
+                await run(this.db, `UPDATE lobbying_entities SET office_key = ?
+                    WHERE name = ? AND entity_type = 'government'`, [officeKey(name), name]);
+            }
+
+            await run(this.db, 'DELETE FROM lobbyist_positions');
+            for (const lobbyist of lobbyists) {
+                for (const position of splitPositions(lobbyist.covered_position)) {
+                    const linked = this.linkPosition(position, lobbyist.year, members, committees);
+                    await run(this.db, `INSERT INTO lobbyist_positions
+                        (lobbying_id, lobbyist_name, covered_position, position_title, office_type, bioguide_id,
+                         committee_id, agency_code, office_key) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [lobbyist.lobbying_id, lobbyist.lobbyist_name, position.text, position.title,
+                         linked.office_type, linked.bioguide_id, linked.committee_id, linked.agency_code,
+                         linked.office_key]);
+                    totals.positions++;
+                    if (linked.bioguide_id) totals.members++;
+                    if (linked.committee_id) totals.committees++;
+                    if (linked.agency_code) totals.agencies++;
+                }
+            }
+        });
+
+        const { count } = await get(this.db, `SELECT COUNT(*) AS count FROM lobbyist_positions
+            WHERE office_key IS NOT NULL AND EXISTS (SELECT 1 FROM lobbying_entities
+                WHERE lobbying_entities.lobbying_id = lobbyist_positions.lobbying_id
+                    AND lobbying_entities.office_key = lobbyist_positions.office_key)`);
+        totals.matches = count;
+        return totals;
+    }
+}
+
+module.exports = RevolvingDoorLinker;
+module.exports.AGENCIES = AGENCIES;
+module.exports.officeKey = officeKey;
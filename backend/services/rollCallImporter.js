@@ -0,0 +1,273 @@
+// House Clerk and Senate roll-call vote XML importer
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const { run, all, transaction } = require('./sqlite');
+
+const POSITIONS = {
+    yea: 'Yes',
+    aye: 'Yes',
+    yes: 'Yes',
+    nay: 'No',
+    no: 'No',
+    present: 'Present',
+    'not voting': 'Not Voting'
+};
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+function asArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function text(node) {
+    if (node === undefined || node === null) return null;
+    if (typeof node === 'object') return node._ !== undefined ? String(node._).trim() : null;
+    return String(node).trim() || null;
+}
+
+function toInt(node) {
+    const value = parseInt(text(node));
+    return Number.isNaN(value) ? 0 : value;
+}
+
+function normalizePosition(value) {
+    const position = String(value || '').trim();
+    return POSITIONS[position.toLowerCase()] || position;
+}
+
+// "H R 29", "H.J.Res. 7", "S. 5" -> hr29-119, hjres7-119, s5-119 (the bills.bill_id format)
+function normalizeBillId(type, number, congress) {
+    const billType = String(type || '').replace(/[^a-zA-Z]/g, '').toLowerCase();
+    if (!billType || !number || !congress) return null;
+    return `${billType}${parseInt(number)}-${congress}`;
+}
+
+// House dates look like "7-Jan-2025" with a separate 24h "15:15" time
+function parseHouseDate(date, time) {
+    const [day, month, year] = String(date || '').split('-');
+    if (!MONTHS[month?.toLowerCase()]) return null;
+    return `${year}-${pad(MONTHS[month.toLowerCase()])}-${pad(day)}${time ? `T${time}` : ''}`;
+}
+
+// Senate dates look like "January 20, 2025,  06:05 PM"
+function parseSenateDate(value) {
+    const match = String(value || '').match(/([A-Za-z]+)\s+(\d+),\s*(\d{4}),?\s*(?:(\d{1,2}):(\d{2})\s*([AP]M))?/);
+    if (!match) return null;
+    const [, monthName, day, year, hour, minute, meridiem] = match;
+    const month = MONTHS[monthName.slice(0, 3).toLowerCase()];
+    if (!month) return null;
+
+    let date = `${year}-${pad(month)}-${pad(day)}`;
+    if (hour) {
+        const hours = (parseInt(hour) % 12) + (meridiem === 'PM' ? 12 : 0);
+        date += `T${pad(hours)}:${minute}`;
+    }
+    return date;
+}
+
+// Senate files identify members by LIS id; fall back to surname + state
+async function loadMemberLookup(db) {
+    const members = await all(db,
+        `SELECT bioguide_id, lis_id, last_name, state, chamber FROM congress_members
+         WHERE chamber IN ('house', 'senate')`);
+    const byLis = new Map();
+    const byName = new Map();
+    for (const member of members) {
+        if (member.lis_id) byLis.set(member.lis_id, member.bioguide_id);
+        byName.set(`${member.chamber}|${member.last_name?.toLowerCase()}|${member.state}`, member.bioguide_id);
+    }
+    return { byLis, byName };
+}
+
+function resolveMember(position, chamber, lookup) {
+    if (position.member_id) return position.member_id;
+    return lookup.byLis.get(position.lis_id)
+        || lookup.byName.get(`${chamber}|${position.last_name?.toLowerCase()}|${position.state}`)
+        || null;
+}
+
+/**
+ * Fills in member_id on positions saved before their member was loaded. Reruns after member
+ * loads. Returns { positions, resolved } counted over the positions still unmatched.
+ */
+async function resolveMemberVotes(db) {
+    const pending = await all(db, `SELECT member_votes.id, member_votes.lis_id, member_votes.last_name,
+            member_votes.state, votes.chamber
+        FROM member_votes JOIN votes ON votes.vote_id = member_votes.vote_id
+        WHERE member_votes.member_id IS NULL`);
+    const totals = { positions: pending.length, resolved: 0 };
+    if (!pending.length) return totals;
+
+    const lookup = await loadMemberLookup(db);
+    await transaction(db, async () => {
+        for (const position of pending) {
+            const memberId = resolveMember(position, position.chamber, lookup);
+            if (!memberId) continue;
+            await run(db, 'UPDATE member_votes SET member_id = ? WHERE id = ?', [memberId, position.id]);
+            totals.resolved++;
+        }
+    });
+    return totals;
+}
+
+class RollCallImporter {
+    constructor(db, dataDir = process.env.ROLL_CALL_DATA_DIR || path.join(__dirname, '../data/roll-calls')) {
+        this.db = db;
+        this.dataDir = dataDir;
+        this.parser = new xml2js.Parser({ explicitArray: false, trim: true });
+    }
+
+    listFiles(dir = this.dataDir) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this.listFiles(file);
+            return entry.name.toLowerCase().endsWith('.xml') ? [file] : [];
+        });
+    }
+
+    parseHouse(doc) {
+        const meta = doc['vote-metadata'] || {};
+        const congress = toInt(meta.congress);
+        const session = parseInt(text(meta.session)) || null;
+        const rollCall = toInt(meta['rollcall-num']);
+        const date = parseHouseDate(text(meta['action-date']), meta['action-time']?.$?.['time-etz']);
+        const totals = meta['vote-totals']?.['totals-by-vote'] || {};
+        const [, legisType, legisNumber] = String(text(meta['legis-num']) || '').match(/^([A-Za-z.\s]+?)\s*(\d+)$/) || [];
+
+        return {
+            vote: {
+                vote_id: `h${rollCall}-${congress}.${session}`,
+                congress,
+                chamber: 'house',
+                session,
+                roll_call: rollCall,
+                source_url: date ? `https://clerk.house.gov/evs/${date.slice(0, 4)}/roll${pad(rollCall, 3)}.xml` : null,
+                bill_id: normalizeBillId(legisType, legisNumber, congress),
+                question: text(meta['vote-question']),
+                description: text(meta['vote-desc']),
+                vote_type: text(meta['vote-type']),
+                date_time: date,
+                result: text(meta['vote-result']),
+                total_yes: toInt(totals['yea-total']),
+                total_no: toInt(totals['nay-total']),
+                total_present: toInt(totals['present-total']),
+                total_not_voting: toInt(totals['not-voting-total'])
+            },
+            positions: asArray(doc['vote-data']?.['recorded-vote']).map(record => ({
+                member_id: record.legislator?.$?.['name-id'],
+                last_name: text(record.legislator),
+                state: record.legislator?.$?.state,
+                position: normalizePosition(text(record.vote))
+            }))
+        };
+    }
+
+    parseSenate(doc) {
+        const congress = toInt(doc.congress);
+        const session = toInt(doc.session);
+        const rollCall = toInt(doc.vote_number);
+        const document = doc.document || {};
+        const count = doc.count || {};
+
+        return {
+            vote: {
+                vote_id: `s${rollCall}-${congress}.${session}`,
+                congress,
+                chamber: 'senate',
+                session,
+                roll_call: rollCall,
+                source_url: `https://www.senate.gov/legislative/LIS/roll_call_votes/vote${congress}${session}/vote_${congress}_${session}_${pad(rollCall, 5)}.xml`,
+                bill_id: normalizeBillId(text(document.document_type), text(document.document_number),
+                    toInt(document.document_congress) || congress),
+                question: text(doc.question) || text(doc.vote_question_text),
+                description: text(doc.vote_title) || text(doc.vote_document_text),
+                vote_type: text(doc.majority_requirement) ? `${text(doc.majority_requirement)} majority` : null,
+                date_time: parseSenateDate(text(doc.vote_date)),
+                result: text(doc.vote_result) || text(doc.vote_result_text),
+                total_yes: toInt(count.yeas),
+                total_no: toInt(count.nays),
+                total_present: toInt(count.present),
+                total_not_voting: toInt(count.absent)
+            },
+            positions: asArray(doc.members?.member).map(member => ({
+                lis_id: text(member.lis_member_id),
+                last_name: text(member.last_name),
+                state: text(member.state),
+                position: normalizePosition(text(member.vote_cast))
+            }))
+        };
+    }
+
+    async parseFile(file) {
+        const parsed = await this.parser.parseStringPromise(fs.readFileSync(file, 'utf8'));
+        if (parsed['rollcall-vote']) return this.parseHouse(parsed['rollcall-vote']);
+        if (parsed.roll_call_vote) return this.parseSenate(parsed.roll_call_vote);
+        throw new Error('not a House or Senate roll-call vote');
+    }
+
+    async saveVote({ vote, positions }, lookup) {
+        await run(this.db, `INSERT OR REPLACE INTO votes
+            (vote_id, congress, chamber, session, roll_call, source_url, bill_id, question, description, vote_type,
+             date_time, result, total_yes, total_no, total_present, total_not_voting, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [vote.vote_id, vote.congress, vote.chamber, vote.session, vote.roll_call, vote.source_url, vote.bill_id,
+             vote.question, vote.description, vote.vote_type, vote.date_time, vote.result, vote.total_yes,
+             vote.total_no, vote.total_present, vote.total_not_voting]
+        );
+
+        await run(this.db, 'DELETE FROM member_votes WHERE vote_id = ?', [vote.vote_id]);
+        let unresolved = 0;
+        for (const position of positions) {
+            // Unmatched positions keep the file's LIS id, surname and state for resolveMemberVotes
+            const memberId = resolveMember(position, vote.chamber, lookup);
+            if (!memberId) unresolved++;
+            await run(this.db, `INSERT INTO member_votes (vote_id, member_id, lis_id, last_name, state, vote_position)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+                [vote.vote_id, memberId, position.lis_id || null, position.last_name || null, position.state || null,
+                 position.position]);
+        }
+        return unresolved;
+    }
+
+    async import() {
+        const files = this.listFiles();
+        if (!files.length) {
+            return { success: false, error: `No roll-call XML files found in ${this.dataDir}` };
+        }
+
+        const lookup = await loadMemberLookup(this.db);
+        const errors = [];
+        let votes = 0;
+        let positions = 0;
+        let unresolved = 0;
+
+        await transaction(this.db, async () => {
+            for (const file of files) {
+                try {
+                    const rollCall = await this.parseFile(file);
+                    unresolved += await this.saveVote(rollCall, lookup);
+                    votes++;
+                    positions += rollCall.positions.length;
+                } catch (error) {
+                    errors.push(`${path.basename(file)}: ${error.message}`);
+                }
+            }
+        });
+
+        return { success: true, files: files.length, votes, positions, unresolved, errors };
+    }
+}
+
+module.exports = RollCallImporter;
+module.exports.normalizeBillId = normalizeBillId;
+module.exports.parseHouseDate = parseHouseDate;
+module.exports.parseSenateDate = parseSenateDate;
+module.exports.resolveMemberVotes = resolveMemberVotes;
@@ -0,0 +1,190 @@
+// Resolves free-text bill sponsors ("Rep. Roy (TX)", "Speaker Johnson", "Sen. Thune",
+// "Rep. Roy, Chip [R-TX-21]") to bioguide ids by name, state, district and chamber.
+// Names that match no member, or more than one, wait in unresolved_sponsors until the
+// member data improves or someone maps them by hand in sponsor_aliases.
+const { run, get, all, transaction } = require('./sqlite');
+
+// Leading titles -> chamber and the leadership position they imply
+const TITLES = [
+    { pattern: /^(?:rep|representative|del|delegate|resident commissioner)\.?\s+/i, chamber: 'house' },
+    { pattern: /^(?:sen|senator)\.?\s+/i, chamber: 'senate' },
+    { pattern: /^speaker\s+/i, chamber: 'house', position: 'speaker' },
+    { pattern: /^(?:(?:majority|minority)\s+)?leader\s+/i, position: 'leader' },
+    { pattern: /^(?:(?:majority|minority)\s+)?whip\s+/i, position: 'whip' }
+];
+
+const NAME_SUFFIXES = /\s+(?:jr|sr|ii|iii|iv)$/;
+
+// Lowercase, accents and periods removed, suffixes dropped
+function normalizeName(value) {
+    return String(value || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[.,]/g, '').replace(/\s+/g, ' ').trim()
+        .replace(NAME_SUFFIXES, '');
+}
+
+/**
+ * Splits a sponsor string into { name, first_name, chamber, position, party, state, district }.
+ * `name` is the surname (or "first last" when written that way); the rest are null when absent.
+ */
+function parseSponsor(sponsor) {
+    let rest = String(sponsor || '').trim();
+    const parsed = { name: null, first_name: null, chamber: null, position: null, party: null, state: null,
+        district: null };
+
+    const title = TITLES.find(({ pattern }) => pattern.test(rest));
+    if (title) {
+        parsed.chamber = title.chamber || null;
+        parsed.position = title.position || null;
+        rest = rest.replace(title.pattern, '');
+    }
+
+    // congress.gov style "[R-TX-21]" or a bare "(TX)" / "(TX-21)"
+    const bracket = rest.match(/\[([A-Z]+)-([A-Z]{2})(?:-(\d+|At Large))?\]/i);
+    const paren = rest.match(/\(([A-Z]{2})(?:-(\d+))?\)/i);
+    if (bracket) {
+        parsed.party = bracket[1].toUpperCase();
+        parsed.state = bracket[2].toUpperCase();
+        parsed.district = bracket[3] && /^\d+$/.test(bracket[3]) ? String(parseInt(bracket[3])) : null;
+    } else if (paren) {
+        parsed.state = paren[1].toUpperCase();
+        parsed.district = paren[2] ? String(parseInt(paren[2])) : null;
+    }
+    rest = rest.replace(/\[[^\]]*\]|\([^)]*\)/g, '').trim();
+
+    // "Last, First Middle" or "First Last" / "Last"
+    const [last, first] = rest.split(',').map(part => part.trim());
+    parsed.name = normalizeName(last) || null;
+    parsed.first_name = first ? normalizeName(first).split(' ')[0] : null;
+    return parsed;
+}
+
+// Date range of a Congress: the 1st began in 1789, each runs two years from January 3
+function congressDates(congress) {
+    const start = 1789 + 2 * (congress - 1);
+    return { start: `${start}-01-03`, end: `${start + 2}-01-03` };
+}
+
+// Congress sitting for most of a calendar year
+const congressForYear = year => Math.floor((year - 1789) / 2) + 1;
+
+const surnameMatches = (member, name) => ` ${normalizeName(`${member.first_name} ${member.last_name}`)}`
+    .endsWith(` ${name}`) || normalizeName(member.last_name) === name;
+
+// Members a parsed sponsor could refer to in a given Congress, or with a term overlapping a
+// { start, end } date range
+function matchMembers(parsed, members, period) {
+    const dates = typeof period === 'number' ? congressDates(period) : period || null;
+    let matches = members.filter(member => {
+        if (parsed.name && !surnameMatches(member, parsed.name)) return false;
+        if (parsed.position && !String(member.position || '').toLowerCase().includes(parsed.position)) {
+            return false;
+        }
+        return member.terms.some(term =>
+            (!parsed.chamber || term.chamber === parsed.chamber)
+            && (!parsed.state || term.state === parsed.state)
+            && (!parsed.district || String(term.district) === parsed.district)
+            && (!dates || !term.start_date || (term.start_date < dates.end && term.end_date > dates.start)));
+    });
+
+    // A first name only narrows the field; nicknames mean it may not match at all
+    if (parsed.first_name && matches.length > 1) {
+        const byFirst = matches.filter(member => normalizeName(member.first_name).startsWith(parsed.first_name)
+            || parsed.first_name.startsWith(normalizeName(member.first_name)));
+        if (byFirst.length) matches = byFirst;
+    }
+    return matches;
+}
+
+class SponsorResolver {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Legislators with their terms; members loaded without term history stand for their current seat
+    async loadMembers() {
+        const members = await all(this.db, `SELECT bioguide_id, first_name, last_name, position, chamber, state,
+                district FROM congress_members WHERE chamber IN ('house', 'senate')`);
+        const terms = await all(this.db, `SELECT bioguide_id, chamber, state, district, start_date, end_date
+            FROM member_terms`);
+        const byMember = new Map();
+        for (const term of terms) {
+            if (!byMember.has(term.bioguide_id)) byMember.set(term.bioguide_id, []);
+            byMember.get(term.bioguide_id).push(term);
+        }
+        return members.map(member => ({
+            ...member,
+            terms: byMember.get(member.bioguide_id) || [{
+                chamber: member.chamber, state: member.state, district: member.district
+            }]
+        }));
+    }
+
+    /**
+     * Sets sponsor_id on bills that only have a sponsor_name and refreshes the
+     * unresolved queue. Returns { success, bills, resolved, unresolved }.
+     */
+    async resolve() {
+        // Older loads wrote the sponsor string itself into sponsor_id
+        await run(this.db, `UPDATE bills SET sponsor_name = sponsor_id, sponsor_id = NULL
+            WHERE sponsor_id IS NOT NULL AND sponsor_id NOT GLOB '[A-Z][0-9][0-9][0-9][0-9][0-9][0-9]'`);
+
+        const groups = await all(this.db, `SELECT sponsor_name, congress, COUNT(*) AS bill_count FROM bills
+            WHERE sponsor_id IS NULL AND sponsor_name IS NOT NULL GROUP BY sponsor_name, congress`);
+        const aliases = new Map((await all(this.db, 'SELECT sponsor_name, bioguide_id FROM sponsor_aliases'))
+            .map(alias => [alias.sponsor_name, alias.bioguide_id]));
+        const members = groups.length ? await this.loadMembers() : [];
+        const totals = { success: true, bills: 0, resolved: 0, unresolved: 0 };
+
+        await transaction(this.db, async () => {
+            for (const { sponsor_name: sponsorName, congress, bill_count: billCount } of groups) {
+                totals.bills += billCount;
+                const matches = aliases.has(sponsorName)
+                    ? [{ bioguide_id: aliases.get(sponsorName) }]
+                    : matchMembers(parseSponsor(sponsorName), members, congress);
+
+                if (matches.length === 1) {
+                    await run(this.db, `UPDATE bills SET sponsor_id = ?
+                        WHERE sponsor_id IS NULL AND sponsor_name = ? AND congress IS ?`,
+                        [matches[0].bioguide_id, sponsorName, congress]);
+                    totals.resolved += billCount;
+                    continue;
+                }
+
+                await run(this.db, `INSERT INTO unresolved_sponsors (sponsor_name, congress, reason, candidates)
+                    VALUES (?, ?, ?, ?)
+                    ON CONFLICT(sponsor_name, congress) DO UPDATE SET reason = excluded.reason,
+                        candidates = excluded.candidates, last_seen = CURRENT_TIMESTAMP`,
+                    [sponsorName, congress, matches.length ? 'ambiguous' : 'no_match',
+                     JSON.stringify(matches.map(member => member.bioguide_id))]);
+                totals.unresolved += billCount;
+            }
+
+            // Drop queue entries whose bills have since been resolved or removed
+            await run(this.db, `DELETE FROM unresolved_sponsors WHERE NOT EXISTS (SELECT 1 FROM bills
+                WHERE bills.sponsor_name = unresolved_sponsors.sponsor_name
+                    AND bills.congress IS unresolved_sponsors.congress AND bills.sponsor_id IS NULL)`);
+        });
+        return totals;
+    }
+
+    // Maps a sponsor string to a member by hand and applies it to every bill that uses it
+    async addAlias(sponsorName, bioguideId) {
+        await transaction(this.db, async () => {
+            await run(this.db, `INSERT INTO sponsor_aliases (sponsor_name, bioguide_id) VALUES (?, ?)
+                ON CONFLICT(sponsor_name) DO UPDATE SET bioguide_id = excluded.bioguide_id,
+                    created_at = CURRENT_TIMESTAMP`, [sponsorName, bioguideId]);
+            await run(this.db, 'UPDATE bills SET sponsor_id = ? WHERE sponsor_name = ?', [bioguideId, sponsorName]);
+            await run(this.db, 'DELETE FROM unresolved_sponsors WHERE sponsor_name = ?', [sponsorName]);
+        });
+        const { count } = await get(this.db, 'SELECT COUNT(*) AS count FROM bills WHERE sponsor_name = ?',
+            [sponsorName]);
+        return count;
+    }
+}
+
+module.exports = SponsorResolver;
+module.exports.parseSponsor = parseSponsor;
+module.exports.matchMembers = matchMembers;
+module.exports.congressDates = congressDates;
+module.exports.congressForYear = congressForYear;
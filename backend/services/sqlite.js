@@ -0,0 +1,44 @@
+// Promise wrappers around the sqlite3 callback API used by the importers
+const queues = new WeakMap();
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+    });
+}
+
+// sqlite3 shares one connection, so transactions are queued per database
+// handle to keep concurrent refreshes from nesting BEGIN statements.
+function transaction(db, callback) {
+    const previous = queues.get(db) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        await run(db, 'BEGIN');
+        try {
+            const result = await callback();
+            await run(db, 'COMMIT');
+            return result;
+        } catch (error) {
+            await run(db, 'ROLLBACK').catch(() => {});
+            throw error;
+        }
+    });
+    queues.set(db, next);
+    return next;
+}
+
+module.exports = { run, get, all, transaction };
@@ -0,0 +1,126 @@
+// Word-level diffs of bill text, matched section by section
+
+// Token pairs the LCS table may cover; longer changed spans fall back to one delete plus one insert
+const MAX_LCS_CELLS = 4000000;
+
+// Words with their trailing whitespace, so joined tokens reproduce the text
+const tokenize = text => (text || '').match(/\S+\s*|\s+/g) || [];
+
+// Merges adjacent segments of the same type
+function pushSegment(segments, type, text) {
+    if (!text) return;
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+}
+
+/**
+ * Diffs two strings word by word. Returns [{ type: 'equal' | 'delete' | 'insert', text }].
+ */
+function diffWords(from, to) {
+    const a = tokenize(from);
+    const b = tokenize(to);
+
+    // Common prefix and suffix need no table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const segments = [];
+    pushSegment(segments, 'equal', a.slice(0, start).join(''));
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    if ((midA.length + 1) * (midB.length + 1) > MAX_LCS_CELLS) {
+        pushSegment(segments, 'delete', midA.join(''));
+        pushSegment(segments, 'insert', midB.join(''));
+    } else {
+        // lengths[i][j]: LCS of midA[i..] and midB[j..], flattened
+        const width = midB.length + 1;
+        const lengths = new Uint32Array((midA.length + 1) * width);
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = midA[i] === midB[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                pushSegment(segments, 'equal', midA[i++]);
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                pushSegment(segments, 'delete', midA[i++]);
+            } else {
+                pushSegment(segments, 'insert', midB[j++]);
+            }
+        }
+        pushSegment(segments, 'delete', midA.slice(i).join(''));
+        pushSegment(segments, 'insert', midB.slice(j).join(''));
+    }
+
+    pushSegment(segments, 'equal', a.slice(endA).join(''));
+    return segments;
+}
+
+// Headings differ in case between the XML and text renditions
+const sameHeading = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+function sectionEntry(change, from, to) {
+    const section = to || from;
+    const entry = { section_key: section.section_key, num: section.num, heading: section.heading, change };
+    if (change === 'added') entry.segments = [{ type: 'insert', text: to.text || '' }];
+    else if (change === 'removed') entry.segments = [{ type: 'delete', text: from.text || '' }];
+    else {
+        entry.segments = diffWords(from.text, to.text);
+        if (!sameHeading(from.heading, to.heading)) entry.previous_heading = from.heading;
+    }
+    return entry;
+}
+
+/**
+ * Matches two versions' sections by section_key and diffs each pair. Returns entries in the
+ * newer version's order, removed sections placed after the section that preceded them:
+ * [{ section_key, num, heading, change: 'added' | 'removed' | 'modified' | 'unchanged',
+ *    previous_heading?, segments }]
+ */
+function diffSections(fromSections, toSections) {
+    const fromByKey = new Map(fromSections.map(section => [section.section_key, section]));
+    const toKeys = new Set(toSections.map(section => section.section_key));
+
+    // Removed sections keyed by the nearest surviving section before them ('' for the start)
+    const removedAfter = new Map();
+    let anchor = '';
+    for (const section of fromSections) {
+        if (toKeys.has(section.section_key)) {
+            anchor = section.section_key;
+            continue;
+        }
+        if (!removedAfter.has(anchor)) removedAfter.set(anchor, []);
+        removedAfter.get(anchor).push(sectionEntry('removed', section, null));
+    }
+
+    const entries = [...(removedAfter.get('') || [])];
+    for (const to of toSections) {
+        const from = fromByKey.get(to.section_key);
+        if (!from) {
+            entries.push(sectionEntry('added', null, to));
+            continue;
+        }
+        const entry = sectionEntry('modified', from, to);
+        if (entry.segments.every(segment => segment.type === 'equal') && !entry.previous_heading) {
+            entry.change = 'unchanged';
+        }
+        entries.push(entry, ...(removedAfter.get(to.section_key) || []));
+    }
+    return entries;
+}
+
+module.exports = { diffWords, diffSections };
@@ -0,0 +1,142 @@
+// Member voting statistics computed from roll calls in member_votes
+const { all, get } = require('./sqlite');
+
+// Only Yes/No positions count as taking a side; "Present" is neither missed nor cast
+const CAST = `('Yes', 'No')`;
+
+const percent = (part, whole) => whole ? Math.round((part / whole) * 1000) / 10 : null;
+
+// Restricts a votes alias to a congress and/or inclusive date range
+function scopeClause(alias, { congress, from_date, to_date } = {}) {
+    const clauses = [];
+    const params = [];
+    if (congress) {
+        clauses.push(`${alias}.congress = ?`);
+        params.push(congress);
+    }
+    // date_time may carry a time of day, so both bounds compare calendar dates
+    if (from_date) {
+        clauses.push(`date(${alias}.date_time) >= date(?)`);
+        params.push(from_date);
+    }
+    if (to_date) {
+        clauses.push(`date(${alias}.date_time) <= date(?)`);
+        params.push(to_date);
+    }
+    return { sql: clauses.map(clause => ` AND ${clause}`).join(''), params };
+}
+
+// The party a member sat with on the vote's date, from their terms; members loaded
+// without term history fall back to their current party
+const PARTY_AT_VOTE = `COALESCE((SELECT member_terms.party FROM member_terms
+        WHERE member_terms.bioguide_id = member_votes.member_id
+            AND date(votes.date_time) BETWEEN member_terms.start_date AND member_terms.end_date
+        ORDER BY member_terms.start_date DESC LIMIT 1),
+    congress_members.party)`;
+
+/**
+ * Missed-vote percentage and party-unity score for one member.
+ * A party-unity vote is one where a majority of voting Democrats opposed a
+ * majority of voting Republicans; the score is how often the member sided
+ * with their party's majority on those votes, by the party they belonged to
+ * when each vote was taken. Votes cast outside the two major parties don't count.
+ */
+async function memberStats(db, memberId, scope = {}) {
+    const { sql, params } = scopeClause('votes', scope);
+
+    const totals = await get(db, `SELECT
+            COUNT(*) AS total_votes,
+            SUM(member_votes.vote_position IN ${CAST}) AS votes_cast,
+            SUM(member_votes.vote_position = 'Present') AS present,
+            SUM(member_votes.vote_position = 'Not Voting') AS missed_votes,
+            MIN(votes.date_time) AS first_vote,
+            MAX(votes.date_time) AS last_vote
+        FROM member_votes JOIN votes ON votes.vote_id = member_votes.vote_id
+        WHERE member_votes.member_id = ?${sql}`,
+        [memberId, ...params]);
+
+    const unity = await get(db, `WITH positions AS (
+            SELECT member_votes.vote_id, member_votes.member_id, member_votes.vote_position,
+                ${PARTY_AT_VOTE} AS party
+            FROM member_votes
+            JOIN votes ON votes.vote_id = member_votes.vote_id
+            LEFT JOIN congress_members ON congress_members.bioguide_id = member_votes.member_id
+            WHERE member_votes.member_id IS NOT NULL${sql}
+        ),
+        party_majorities AS (
+            SELECT vote_id, party,
+                CASE
+                    WHEN SUM(vote_position = 'Yes') > SUM(vote_position = 'No') THEN 'Yes'
+                    WHEN SUM(vote_position = 'No') > SUM(vote_position = 'Yes') THEN 'No'
+                END AS majority
+            FROM positions
+            WHERE party IN ('D', 'R')
+            GROUP BY vote_id, party
+        ),
+        unity_votes AS (
+            SELECT dem.vote_id, dem.majority AS d, rep.majority AS r
+            FROM party_majorities dem
+            JOIN party_majorities rep ON rep.vote_id = dem.vote_id AND rep.party = 'R'
+            WHERE dem.party = 'D' AND dem.majority IS NOT NULL AND rep.majority IS NOT NULL
+                AND dem.majority <> rep.majority
+        )
+        SELECT COUNT(*) AS party_unity_votes,
+            SUM(positions.vote_position = CASE positions.party
+                WHEN 'D' THEN unity_votes.d ELSE unity_votes.r END) AS votes_with_party
+        FROM unity_votes
+        JOIN positions ON positions.vote_id = unity_votes.vote_id
+        WHERE positions.member_id = ? AND positions.party IN ('D', 'R')
+            AND positions.vote_position IN ${CAST}`,
+        [...params, memberId]);
+
+    return {
+        total_votes: totals.total_votes,
+        votes_cast: totals.votes_cast || 0,
+        present: totals.present || 0,
+        missed_votes: totals.missed_votes || 0,
+        missed_vote_pct: percent(totals.missed_votes, totals.total_votes),
+        party_unity_votes: unity.party_unity_votes,
+        votes_with_party: unity.votes_with_party || 0,
+        party_unity_pct: percent(unity.votes_with_party, unity.party_unity_votes),
+        first_vote: totals.first_vote,
+        last_vote: totals.last_vote
+    };
+}
+
+// How often two members took the same side on roll calls where both voted Yes or No
+async function agreement(db, memberA, memberB, scope = {}) {
+    const { sql, params } = scopeClause('votes', scope);
+
+    const row = await get(db, `SELECT
+            COUNT(*) AS shared_votes,
+            SUM(a.vote_position IN ${CAST} AND b.vote_position IN ${CAST}) AS both_voted,
+            SUM(a.vote_position IN ${CAST} AND a.vote_position = b.vote_position) AS agreed
+        FROM member_votes a
+        JOIN member_votes b ON b.vote_id = a.vote_id AND b.member_id = ?
+        JOIN votes ON votes.vote_id = a.vote_id
+        WHERE a.member_id = ?${sql}`,
+        [memberB, memberA, ...params]);
+
+    const disagreements = await all(db, `SELECT votes.vote_id, votes.chamber, votes.date_time, votes.bill_id,
+            votes.question, votes.description, a.vote_position AS position_a, b.vote_position AS position_b
+        FROM member_votes a
+        JOIN member_votes b ON b.vote_id = a.vote_id AND b.member_id = ?
+        JOIN votes ON votes.vote_id = a.vote_id
+        WHERE a.member_id = ? AND a.vote_position IN ${CAST} AND b.vote_position IN ${CAST}
+            AND a.vote_position <> b.vote_position${sql}
+        ORDER BY votes.date_time DESC LIMIT 10`,
+        [memberB, memberA, ...params]);
+
+    const bothVoted = row.both_voted || 0;
+    const agreed = row.agreed || 0;
+    return {
+        shared_votes: row.shared_votes,
+        both_voted: bothVoted,
+        agreed,
+        disagreed: bothVoted - agreed,
+        agreement_pct: percent(agreed, bothVoted),
+        recent_disagreements: disagreements
+    };
+}
+
+module.exports = { memberStats, agreement, PARTY_AT_VOTE };
@@ -0,0 +1,284 @@
+// Outbound webhooks: HMAC-signed event payloads, retried with exponential backoff
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { run, get, all } = require('./sqlite');
+
+// Event types a webhook can subscribe to
+const WEBHOOK_EVENTS = {
+    'bill.created': 'A new bill is added',
+    'bill.status_changed': 'A bill changes status',
+    'award.created': "A new federal award at or above the webhook's min_award_amount",
+    'lobbying.filing_created': 'A new lobbying filing is added'
+};
+
+// Attempts per delivery; retries wait RETRY_BASE_MS, then double (1, 2, 4, 8 minutes)
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, benchmarking, multicast and
+// reserved ranges; webhooks may only reach public addresses
+const BLOCKED_IPV4 = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+];
+
+const ipv4Number = address => address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+// Eight 16-bit groups of an IPv6 address; a dotted IPv4 tail ("::ffff:10.0.0.1") becomes the last two
+function ipv6Groups(address) {
+    let text = address.toLowerCase().split('%')[0];
+    const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const value = ipv4Number(dotted[1]);
+        const tail = `${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`;
+        text = text.slice(0, -dotted[1].length) + tail;
+    }
+    const [head, tail] = text.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const zeros = tail === undefined ? [] : Array(8 - left.length - right.length).fill('0');
+    return [...left, ...zeros, ...right].map(group => parseInt(group, 16));
+}
+
+const embeddedIpv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const value = ipv4Number(address);
+        return BLOCKED_IPV4.some(([base, bits]) =>
+            Math.floor(value / 2 ** (32 - bits)) === Math.floor(ipv4Number(base) / 2 ** (32 - bits)));
+    }
+    if (!net.isIPv6(address)) return true;
+    const groups = ipv6Groups(address);
+    // IPv4-mapped (::ffff:a.b.c.d) and the deprecated IPv4-compatible form, which covers :: and ::1
+    if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0 || groups[5] === 0xffff)) {
+        return isPrivateAddress(embeddedIpv4(groups[6], groups[7]));
+    }
+    // NAT64 (64:ff9b::/96, 64:ff9b:1::/48) and 6to4 (2002::/16) relay to any IPv4 address, private ones included
+    if (groups[0] === 0x64 && groups[1] === 0xff9b) return true;
+    if (groups[0] === 0x2002) return true;
+    // Unique local fc00::/7, link- and site-local fe80::/9, multicast ff00::/8
+    return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xff80) === 0xfe80 || (groups[0] & 0xff00) === 0xff00;
+}
+
+const blockedError = (hostname, address) =>
+    new Error(`${hostname} points at a loopback, private or link-local address (${address})`);
+
+// dns.lookup that refuses private addresses; connections made through it use the address that was
+// checked, so a hostname cannot be re-pointed at an internal host between check and request
+function publicLookup(lookup = dns.lookup) {
+    return (hostname, options, callback) => {
+        if (typeof options === 'function') [options, callback] = [{}, options];
+        lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+            if (blocked) return callback(blockedError(hostname, blocked.address));
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+/**
+ * Rejects webhook URLs whose host is, or resolves to, a loopback, private or link-local address.
+ * Run when a webhook is saved and again before every delivery.
+ */
+async function checkWebhookUrl(url, lookup = dns.lookup) {
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (/^localhost$|\.localhost$/i.test(host)) throw blockedError(host, host);
+    if (net.isIP(host)) {
+        if (isPrivateAddress(host)) throw blockedError(host, host);
+        return;
+    }
+    await new Promise((resolve, reject) => {
+        publicLookup(lookup)(host, {}, error => (error ? reject(error) : resolve()));
+    });
+}
+
+const sqliteTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+function retryDelay(attempts) {
+    return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Receivers recompute HMAC-SHA256("<timestamp>.<raw body>") with their secret
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Turns changeTracker diffs of one data source into webhook events
+function eventsFromChanges(source, diffs) {
+    const events = [];
+    for (const { change, entity_id, record, changes } of diffs) {
+        if (source === 'legislation' && change === 'created') {
+            events.push({ type: 'bill.created', entity_id, data: { bill: record } });
+        } else if (source === 'legislation' && changes.status) {
+            events.push({
+                type: 'bill.status_changed',
+                entity_id,
+                data: { bill: record, previous_status: changes.status.from, status: changes.status.to }
+            });
+        } else if (source === 'spending' && change === 'created') {
+            events.push({ type: 'award.created', entity_id, data: { award: record } });
+        } else if (source === 'lobbying' && change === 'created') {
+            events.push({ type: 'lobbying.filing_created', entity_id, data: { filing: record } });
+        }
+    }
+    return events;
+}
+
+function subscribes(webhook, event) {
+    if (!JSON.parse(webhook.events || '[]').includes(event.type)) return false;
+    if (event.type === 'award.created' && webhook.min_award_amount !== null) {
+        return (parseFloat(event.data.award.award_amount) || 0) >= webhook.min_award_amount;
+    }
+    return true;
+}
+
+class WebhookDispatcher {
+    constructor(db, { httpClient = axios, lookup = dns.lookup } = {}) {
+        this.db = db;
+        this.httpClient = httpClient;
+        this.lookup = lookup;
+        this.httpAgent = new http.Agent({ lookup: publicLookup(lookup) });
+        this.httpsAgent = new https.Agent({ lookup: publicLookup(lookup) });
+        this.processing = false;
+    }
+
+    // Queues a delivery of each event to every active webhook subscribed to it
+    async publish(events) {
+        if (!events.length) return 0;
+        const webhooks = await all(this.db, 'SELECT * FROM webhooks WHERE is_active = 1');
+        let queued = 0;
+        for (const event of events) {
+            for (const webhook of webhooks.filter(webhook => subscribes(webhook, event))) {
+                await this.queue(webhook, event);
+                queued++;
+            }
+        }
+        return queued;
+    }
+
+    async queue(webhook, event, maxAttempts = MAX_ATTEMPTS) {
+        const deliveryId = crypto.randomUUID();
+        const payload = JSON.stringify({
+            id: deliveryId,
+            event: event.type,
+            created_at: new Date().toISOString(),
+            webhook_id: webhook.id,
+            data: event.data
+        });
+        const result = await run(this.db, `INSERT INTO webhook_deliveries
+            (delivery_id, webhook_id, event_type, entity_id, payload, status, max_attempts, next_attempt_at)
+            VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`,
+            [deliveryId, webhook.id, event.type, event.entity_id ?? null, payload, maxAttempts,
+             sqliteTimestamp(new Date())]);
+        return result.lastID;
+    }
+
+    // POSTs one delivery and records the outcome; failures are rescheduled until attempts run out
+    async attempt(delivery, webhook, now = new Date()) {
+        const timestamp = Math.floor(now.getTime() / 1000);
+        const started = Date.now();
+        let responseStatus = null;
+        let error = null;
+
+        try {
+            await checkWebhookUrl(webhook.url, this.lookup);
+            const response = await this.httpClient.post(webhook.url, delivery.payload, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'GovernmentWatchdog-Webhooks/1.0',
+                    'X-Watchdog-Event': delivery.event_type,
+                    'X-Watchdog-Delivery': delivery.delivery_id,
+                    'X-Watchdog-Timestamp': String(timestamp),
+                    'X-Watchdog-Signature': signPayload(webhook.secret, timestamp, delivery.payload)
+                },
+                timeout: REQUEST_TIMEOUT_MS,
+                maxRedirects: 0,
+                httpAgent: this.httpAgent,
+                httpsAgent: this.httpsAgent,
+                proxy: false,
+                responseType: 'text',
+                transformRequest: [data => data],
+                validateStatus: () => true
+            });
+            // Only the status is logged; receiver response bodies are never stored or shown
+            responseStatus = response.status;
+            if (response.status < 200 || response.status >= 300) {
+                error = `HTTP ${response.status}`;
+            }
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        const attempts = delivery.attempts + 1;
+        const status = !error ? 'succeeded' : attempts >= delivery.max_attempts ? 'failed' : 'pending';
+        await run(this.db, `UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?,
+                error = ?, duration_ms = ?, last_attempt_at = ?, next_attempt_at = ?, delivered_at = ?
+            WHERE id = ?`,
+            [status, attempts, responseStatus, error, Date.now() - started, sqliteTimestamp(now),
+             status === 'pending' ? sqliteTimestamp(new Date(now.getTime() + retryDelay(attempts))) : null,
+             status === 'succeeded' ? sqliteTimestamp(now) : null, delivery.id]);
+        return get(this.db, 'SELECT * FROM webhook_deliveries WHERE id = ?', [delivery.id]);
+    }
+
+    // Sends every pending delivery that is due; returns per-run totals
+    async processDue(now = new Date()) {
+        // Slow receivers can outlast the cron interval; skip overlapping runs
+        if (this.processing) return { attempted: 0, succeeded: 0, failed: 0, retrying: 0 };
+        this.processing = true;
+        try {
+            return await this.sendDue(now);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async sendDue(now) {
+        const due = await all(this.db, `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+            FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+            WHERE webhook_deliveries.status = 'pending' AND webhooks.is_active = 1
+                AND datetime(webhook_deliveries.next_attempt_at) <= datetime(?)
+            ORDER BY webhook_deliveries.id`,
+            [sqliteTimestamp(now)]);
+
+        const totals = { attempted: due.length, succeeded: 0, failed: 0, retrying: 0 };
+        for (const delivery of due) {
+            const result = await this.attempt(delivery, delivery, now);
+            if (result.status === 'succeeded') totals.succeeded++;
+            else if (result.status === 'failed') totals.failed++;
+            else totals.retrying++;
+        }
+        return totals;
+    }
+
+    // Sends a ping to one webhook right away, without retries
+    async testFire(webhook) {
+        const id = await this.queue(webhook, {
+            type: 'ping',
+            data: { message: 'Test delivery from Government Watchdog', events: JSON.parse(webhook.events || '[]') }
+        }, 1);
+        const delivery = await get(this.db, 'SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+        return this.attempt(delivery, webhook);
+    }
+}
+
+module.exports = WebhookDispatcher;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.generateSecret = generateSecret;
+module.exports.signPayload = signPayload;
+module.exports.eventsFromChanges = eventsFromChanges;
+module.exports.checkWebhookUrl = checkWebhookUrl;
+module.exports.isPrivateAddress = isPrivateAddress;
@@ -0,0 +1,147 @@
+const AlertEvaluator = require('../services/alertEvaluator');
+const DigestMailer = require('../services/digestMailer');
+const { snapshot, diffSnapshots, recordChanges } = require('../services/changeTracker');
+const { createSearchIndexes } = require('../services/fullTextSearch');
+const { run, get, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const SCHEMA = [
+    `CREATE TABLE bills (
+        bill_id TEXT PRIMARY KEY, bill_type TEXT, number INTEGER, title TEXT, summary TEXT, subjects TEXT,
+        committees TEXT, latest_action TEXT, latest_action_date TEXT, status TEXT, sponsor_id TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE federal_spending (
+        award_id TEXT PRIMARY KEY, recipient_name TEXT, award_amount REAL, award_type TEXT, awarding_agency TEXT,
+        funding_agency TEXT, award_description TEXT, place_of_performance TEXT, award_date TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE lobbying (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, registration_id TEXT UNIQUE, client_name TEXT, registrant_name TEXT,
+        lobbyist_name TEXT, amount REAL, year INTEGER, quarter INTEGER, report_type TEXT, issue_areas TEXT,
+        specific_issues TEXT, government_entities TEXT, termination_date TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE activity_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, event_type TEXT, description TEXT, data_source TEXT, entity_id TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP, severity TEXT DEFAULT 'info', field TEXT, old_value TEXT,
+        new_value TEXT
+    )`,
+    `CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT, email TEXT, alerts_enabled INTEGER DEFAULT 1
+    )`,
+    `CREATE TABLE user_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, alert_type TEXT, keywords TEXT,
+        frequency TEXT DEFAULT 'daily', last_triggered DATETIME, is_active INTEGER DEFAULT 1, name TEXT,
+        created_at DATETIME, last_checked DATETIME
+    )`,
+    `CREATE TABLE alert_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, alert_id INTEGER, user_id INTEGER, data_source TEXT, entity_id TEXT,
+        title TEXT, snippet TEXT, content_hash TEXT, matched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        notified_at DATETIME
+    )`,
+    `CREATE UNIQUE INDEX idx_alert_hits_unique ON alert_hits(alert_id, data_source, entity_id, content_hash)`
+];
+
+// createSearchIndexes queues its statements without callbacks; this waits for them to finish
+const createIndexes = db => new Promise((resolve, reject) => db.serialize(() => {
+    createSearchIndexes(db);
+    db.get('SELECT 1', error => (error ? reject(error) : resolve()));
+}));
+
+// What refreshDataSource does around a load: snapshot, load, diff into activity_log
+async function refresh(db, source, load) {
+    const before = await snapshot(db, source);
+    await load();
+    await recordChanges(db, source, diffSnapshots(source, before, await snapshot(db, source)));
+}
+
+const BILL = `INSERT OR REPLACE INTO bills (bill_id, bill_type, number, title, status, updated_at)
+    VALUES (?, 'hr', ?, ?, ?, CURRENT_TIMESTAMP)`;
+
+describe('AlertEvaluator', () => {
+    let db;
+    let evaluator;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        await createIndexes(db);
+        evaluator = new AlertEvaluator(db);
+
+        await run(db, BILL, ['hr1-119', 1, 'Solar Energy Jobs Act', 'Introduced']);
+        await run(db, BILL, ['hr2-119', 2, 'Highway Funding Act', 'Introduced']);
+        await run(db, `INSERT INTO users (username, email) VALUES ('ada', 'ada@example.com')`);
+        await run(db, `INSERT INTO user_alerts (user_id, alert_type, keywords, frequency, name, created_at)
+            VALUES (1, 'bills', 'solar', 'immediate', 'Solar', datetime('now', '-1 minute'))`);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    const hits = () => all(db, 'SELECT alert_id, data_source, entity_id, title FROM alert_hits ORDER BY entity_id');
+
+    test('ignores matching records that a refresh rewrote without changing', async () => {
+        await refresh(db, 'legislation', () => run(db, BILL, ['hr1-119', 1, 'Solar Energy Jobs Act', 'Introduced']));
+
+        expect(await evaluator.evaluate()).toEqual({ evaluated: 1, hits: 0 });
+        expect(await hits()).toEqual([]);
+    });
+
+    test('records a hit when a matching record is added or a tracked field changes', async () => {
+        await refresh(db, 'legislation', async () => {
+            await run(db, BILL, ['hr1-119', 1, 'Solar Energy Jobs Act', 'Passed House']);
+            await run(db, BILL, ['hr3-119', 3, 'Rooftop Solar Access Act', 'Introduced']);
+            await run(db, BILL, ['hr2-119', 2, 'Highway Funding Act', 'Passed House']);
+        });
+
+        expect(await evaluator.evaluate()).toEqual({ evaluated: 1, hits: 2 });
+        expect(await hits()).toEqual([
+            { alert_id: 1, data_source: 'bills', entity_id: 'hr1-119', title: 'HR 1: Solar Energy Jobs Act' },
+            { alert_id: 1, data_source: 'bills', entity_id: 'hr3-119', title: 'HR 3: Rooftop Solar Access Act' }
+        ]);
+        expect(await get(db, 'SELECT last_triggered IS NOT NULL AS triggered FROM user_alerts'))
+            .toEqual({ triggered: 1 });
+    });
+
+    test('does not record the same change twice', async () => {
+        await refresh(db, 'legislation', () => run(db, BILL, ['hr1-119', 1, 'Solar Energy Jobs Act', 'Passed House']));
+        await evaluator.evaluate();
+        // The next run re-reads the boundary second of the last check
+        expect(await evaluator.evaluate()).toEqual({ evaluated: 1, hits: 0 });
+
+        await refresh(db, 'legislation', () => run(db, BILL, ['hr1-119', 1, 'Solar Energy Jobs Act', 'Enacted']));
+        expect(await evaluator.evaluate()).toEqual({ evaluated: 1, hits: 1 });
+    });
+
+    test('matches lobbying changes by registration and reports the filing row', async () => {
+        await run(db, `UPDATE user_alerts SET alert_type = 'lobbying', keywords = 'pipeline'`);
+        await run(db, `INSERT INTO lobbying (registration_id, client_name, registrant_name, specific_issues, amount)
+            VALUES ('LDA-1', 'Acme Energy', 'Capitol Partners', 'Pipeline permitting', 50000)`);
+
+        await refresh(db, 'lobbying', () => run(db, 'UPDATE lobbying SET amount = 80000'));
+
+        expect(await evaluator.evaluate()).toEqual({ evaluated: 1, hits: 1 });
+        expect(await hits()).toEqual([
+            { alert_id: 1, data_source: 'lobbying', entity_id: '1', title: 'Acme Energy (Capitol Partners)' }
+        ]);
+    });
+
+    test('waits out the frequency between evaluations', async () => {
+        await run(db, `UPDATE user_alerts SET frequency = 'daily'`);
+        const now = new Date();
+        expect(await evaluator.evaluate(now)).toEqual({ evaluated: 1, hits: 0 });
+        expect(await evaluator.evaluate(new Date(now.getTime() + 60 * 60 * 1000))).toEqual({ evaluated: 0, hits: 0 });
+        expect(await evaluator.evaluate(new Date(now.getTime() + 25 * 60 * 60 * 1000)))
+            .toEqual({ evaluated: 1, hits: 0 });
+    });
+
+    test('immediate hits go out on their own rather than in the daily digest', async () => {
+        await refresh(db, 'legislation', () => run(db, BILL, ['hr1-119', 1, 'Solar Energy Jobs Act', 'Passed House']));
+        await evaluator.evaluate();
+
+        const mailer = new DigestMailer(db, { transport: null, appUrl: 'http://localhost', secret: 'test' });
+        expect(await mailer.pendingDigests('daily')).toEqual([]);
+        const [digest] = await mailer.pendingDigests('immediate');
+        expect(digest.user.email).toBe('ada@example.com');
+        expect(digest.alerts[0].hits.map(hit => hit.entity_id)).toEqual(['hr1-119']);
+    });
+});
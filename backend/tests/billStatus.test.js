@@ -0,0 +1,124 @@
+const path = require('path');
+const BillStatusImporter = require('../services/billStatusImporter');
+const { normalizeStatus, canTransition, applyTransition, deriveStatus } = require('../services/billStatus');
+const { run, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const FIXTURES = path.join(__dirname, 'fixtures/billstatus');
+
+const SCHEMA = [
+    `CREATE TABLE bills (
+        bill_id TEXT PRIMARY KEY, congress INTEGER, bill_type TEXT, number TEXT, title TEXT, summary TEXT,
+        introduced_date TEXT, latest_action TEXT, latest_action_date TEXT, sponsor_id TEXT, committees TEXT,
+        subjects TEXT, status TEXT, policy_area TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE bill_actions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, bill_id TEXT, action_date TEXT, action_time TEXT, action_code TEXT,
+        action_type TEXT, text TEXT, source_system TEXT, committee_code TEXT
+    )`,
+    `CREATE TABLE bill_cosponsors (
+        bill_id TEXT, bioguide_id TEXT, full_name TEXT, party TEXT, state TEXT, district TEXT,
+        sponsorship_date TEXT, is_original INTEGER, withdrawn_date TEXT, PRIMARY KEY(bill_id, bioguide_id)
+    )`,
+    `CREATE TABLE bill_committees (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, bill_id TEXT, committee_code TEXT, parent_code TEXT, name TEXT,
+        chamber TEXT, activity TEXT, activity_date TEXT
+    )`,
+    `CREATE TABLE related_bills (
+        bill_id TEXT, related_bill_id TEXT, relationship TEXT, identified_by TEXT, title TEXT, latest_action TEXT,
+        latest_action_date TEXT, PRIMARY KEY(bill_id, related_bill_id, relationship)
+    )`,
+    `CREATE TABLE bill_subjects (
+        bill_id TEXT, subject TEXT, is_policy_area INTEGER DEFAULT 0, PRIMARY KEY(bill_id, subject)
+    )`
+];
+
+describe('bill status lifecycle', () => {
+    test('maps legacy and free-form statuses onto the canonical set', () => {
+        expect(normalizeStatus('Passed House')).toBe('passed_house');
+        expect(normalizeStatus('in_committee')).toBe('introduced');
+        expect(normalizeStatus('enacted')).toBe('law');
+        expect(normalizeStatus('passed', 'hr')).toBe('passed_house');
+        expect(normalizeStatus('passed', 'sjres')).toBe('passed_senate');
+        expect(normalizeStatus('tabled')).toBeNull();
+    });
+
+    test('allows moves forward along the transitions, including skipped steps', () => {
+        expect(canTransition('introduced', 'passed_house')).toBe(true);
+        expect(canTransition('introduced', 'law')).toBe(true);
+        expect(canTransition('vetoed', 'law')).toBe(true);
+        expect(canTransition('passed_house', 'passed_senate')).toBe(false);
+        expect(canTransition('law', 'passed_house')).toBe(false);
+        expect(canTransition('vetoed', 'signed')).toBe(false);
+    });
+
+    test('keeps the stored status when a load would move it backwards', () => {
+        expect(applyTransition(null, 'reported')).toEqual({ status: 'reported', rejected: false });
+        expect(applyTransition('in_committee', 'reported')).toEqual({ status: 'reported', rejected: false });
+        expect(applyTransition('reported', null)).toEqual({ status: 'reported', rejected: false });
+        expect(applyTransition('passed_senate', 'passed_house')).toEqual({ status: 'passed_both', rejected: false });
+        expect(applyTransition('enrolled', 'reported')).toEqual({ status: 'enrolled', rejected: true });
+    });
+
+    test('derives the status from actions in date order whatever order they arrive in', () => {
+        const actions = [
+            { action_date: '2024-03-01', text: 'Vetoed by President.' },
+            { action_date: '2024-02-20', action_code: '28000', text: 'Presented to President.' },
+            { action_date: '2024-02-01', text: 'On passage Passed by recorded vote: 220 - 210 (Roll no. 40).',
+                source_system: 'House floor actions' },
+            { action_date: '2024-01-10', text: 'Committee on Rules. Ordered to be Reported.' },
+            { action_date: '2024-02-15', text: 'Passed Senate without amendment by Voice Vote.' }
+        ];
+        expect(deriveStatus(actions)).toBe('vetoed');
+        expect(deriveStatus(actions.slice(2))).toBe('passed_both');
+        expect(deriveStatus(actions.slice(3))).toBe('passed_senate');
+        // Markup alone does not report a bill
+        expect(deriveStatus(actions.slice(3, 4))).toBe('introduced');
+        expect(deriveStatus([])).toBe('introduced');
+    });
+});
+
+describe('BillStatusImporter status ingest', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    const status = async () => (await all(db, 'SELECT status FROM bills'))[0].status;
+
+    test('sets the status the BILLSTATUS actions lead to', async () => {
+        const result = await new BillStatusImporter(db, FIXTURES).import();
+
+        expect(result).toMatchObject({ success: true, bills: 1, actions: 8, status_rejected: [], errors: [] });
+        expect(await status()).toBe('law');
+    });
+
+    test('moves a stored bill forward but never back', async () => {
+        const importer = new BillStatusImporter(db, FIXTURES);
+        const [file] = importer.listFiles();
+
+        await run(db, `INSERT INTO bills (bill_id, status) VALUES ('hr2872-118', 'passed_house')`);
+        expect(await importer.saveBill(await importer.parseFile(file))).toBe(true);
+        expect(await status()).toBe('law');
+
+        // An older file from before the Senate vote is reported rather than applied
+        await run(db, `UPDATE bills SET status = 'passed_both'`);
+        const stale = await importer.parseFile(file);
+        stale.actions = stale.actions.filter(action => action.action_date < '2024-01-18');
+        expect(await importer.saveBill(stale)).toBe(false);
+        expect(await status()).toBe('passed_both');
+
+        await run(db, `UPDATE bills SET status = 'enrolled'`);
+        const result = await importer.import();
+        expect(result.status_rejected).toEqual([]);
+        expect(await status()).toBe('law');
+
+        await run(db, `UPDATE bills SET status = 'law'`);
+        stale.actions.push({ action_date: '2024-01-18', text: 'Passed Senate.' });
+        expect(await importer.saveBill(stale)).toBe(false);
+        expect(await status()).toBe('law');
+    });
+});
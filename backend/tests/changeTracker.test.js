@@ -0,0 +1,112 @@
+const { snapshot, diffFields, diffSnapshots, recordChanges } = require('../services/changeTracker');
+const { run, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const SCHEMA = [
+    `CREATE TABLE bills (
+        bill_id TEXT PRIMARY KEY, title TEXT, summary TEXT, status TEXT, latest_action TEXT,
+        latest_action_date TEXT, sponsor_id TEXT, committees TEXT, updated_at DATETIME
+    )`,
+    `CREATE TABLE lobbying (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, registration_id TEXT, client_name TEXT, registrant_name TEXT,
+        lobbyist_name TEXT, amount REAL, year INTEGER, quarter INTEGER, report_type TEXT, specific_issues TEXT,
+        termination_date TEXT
+    )`,
+    `CREATE TABLE activity_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, event_type TEXT, description TEXT, data_source TEXT, entity_id TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP, severity TEXT DEFAULT 'info', field TEXT, old_value TEXT,
+        new_value TEXT
+    )`
+];
+
+describe('diffFields', () => {
+    test('treats numbers stored as text and NULL vs empty as unchanged', () => {
+        expect(diffFields({ amount: 5000, client: null, year: '2024' }, { amount: '5000', client: '', year: 2024 },
+            ['amount', 'client', 'year'])).toEqual({});
+        expect(diffFields({ amount: 5000, client: 'Acme' }, { amount: 6000, client: null }, ['amount', 'client']))
+            .toEqual({ amount: { from: 5000, to: 6000 }, client: { from: 'Acme', to: null } });
+    });
+});
+
+describe('changeTracker', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        await run(db, `INSERT INTO bills (bill_id, title, status, latest_action, updated_at) VALUES
+            ('hr1-119', 'Solar Energy Jobs Act', 'introduced', 'Referred to committee', '2025-01-01'),
+            ('hr2-119', 'Highway Funding Act', 'introduced', 'Referred to committee', '2025-01-01')`);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('snapshots tracked sources by their natural key and ignores others', async () => {
+        await run(db, `INSERT INTO lobbying (registration_id, client_name, amount) VALUES
+            ('LDA-1', 'Acme', 1000), ('LDA-1', 'Acme (older row)', 500), (NULL, 'Unkeyed', 1)`);
+
+        const lobbying = await snapshot(db, 'lobbying');
+        expect([...lobbying.keys()]).toEqual(['LDA-1']);
+        expect(lobbying.get('LDA-1').client_name).toBe('Acme');
+        expect(await snapshot(db, 'votes')).toBeNull();
+    });
+
+    test('diffs created records and tracked field changes, ignoring untracked columns', async () => {
+        const before = await snapshot(db, 'legislation');
+        await run(db, `UPDATE bills SET status = 'passed_house', latest_action = 'Passed House',
+            updated_at = '2025-02-01' WHERE bill_id = 'hr1-119'`);
+        await run(db, `UPDATE bills SET updated_at = '2025-02-01' WHERE bill_id = 'hr2-119'`);
+        await run(db, `INSERT INTO bills (bill_id, title, status)
+            VALUES ('hr3-119', 'Rooftop Solar Act', 'introduced')`);
+
+        const diffs = diffSnapshots('legislation', before, await snapshot(db, 'legislation'));
+        expect(diffs.map(({ change, entity_id, changes }) => ({ change, entity_id, changes }))).toEqual([
+            {
+                change: 'updated',
+                entity_id: 'hr1-119',
+                changes: {
+                    status: { from: 'introduced', to: 'passed_house' },
+                    latest_action: { from: 'Referred to committee', to: 'Passed House' }
+                }
+            },
+            { change: 'created', entity_id: 'hr3-119', changes: {} }
+        ]);
+    });
+
+    test('writes one activity entry per new record or changed field with its severity', async () => {
+        const before = await snapshot(db, 'legislation');
+        await run(db, `UPDATE bills SET status = 'passed_house', summary = ? WHERE bill_id = 'hr1-119'`,
+            ['A'.repeat(100)]);
+        await run(db, `INSERT INTO bills (bill_id, title) VALUES ('hr3-119', 'Rooftop Solar Act')`);
+
+        const count = await recordChanges(db, 'legislation',
+            diffSnapshots('legislation', before, await snapshot(db, 'legislation')));
+
+        expect(count).toBe(3);
+        expect(await all(db, `SELECT event_type, description, data_source, entity_id, field, old_value, new_value,
+            severity FROM activity_log ORDER BY id`)).toEqual([
+            {
+                event_type: 'summary_changed', data_source: 'legislation', entity_id: 'hr1-119', field: 'summary',
+                old_value: null, new_value: 'A'.repeat(100), severity: 'info',
+                description: `Bill hr1-119 summary changed from empty to "${'A'.repeat(77)}..."`
+            },
+            {
+                event_type: 'status_changed', data_source: 'legislation', entity_id: 'hr1-119', field: 'status',
+                old_value: 'introduced', new_value: 'passed_house', severity: 'high',
+                description: 'Bill hr1-119 status changed from "introduced" to "passed_house"'
+            },
+            {
+                event_type: 'created', data_source: 'legislation', entity_id: 'hr3-119', field: null,
+                old_value: null, new_value: null, severity: 'info', description: 'Bill hr3-119 added'
+            }
+        ]);
+    });
+
+    test('records nothing when a refresh leaves every tracked field alone', async () => {
+        const before = await snapshot(db, 'legislation');
+        await run(db, `UPDATE bills SET updated_at = '2025-03-01'`);
+
+        expect(await recordChanges(db, 'legislation',
+            diffSnapshots('legislation', before, await snapshot(db, 'legislation')))).toBe(0);
+        expect(await all(db, 'SELECT * FROM activity_log')).toEqual([]);
+    });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommitteesImporter = require('../services/committeesImporter');
+const { run, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const FIXTURES = path.join(__dirname, 'fixtures/congress-legislators');
+
+const SCHEMA = [
+    `CREATE TABLE committees (
+        committee_id TEXT PRIMARY KEY, chamber TEXT, name TEXT, system_code TEXT, url TEXT, jurisdiction TEXT,
+        address TEXT, phone TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE subcommittees (
+        subcommittee_id TEXT PRIMARY KEY, committee_id TEXT, name TEXT, system_code TEXT, address TEXT, phone TEXT
+    )`,
+    `CREATE TABLE committee_memberships (
+        committee_id TEXT, bioguide_id TEXT, name TEXT, side TEXT, rank INTEGER, title TEXT, role TEXT,
+        PRIMARY KEY(committee_id, bioguide_id)
+    )`
+];
+
+describe('CommitteesImporter', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('loads committees with BILLSTATUS system codes and their subcommittees', async () => {
+        const result = await new CommitteesImporter(db, FIXTURES).import();
+        expect(result).toEqual({ success: true, committees: 3, subcommittees: 2, memberships: 5 });
+
+        expect(await all(db, 'SELECT committee_id, chamber, name, system_code, phone FROM committees ORDER BY 1'))
+            .toEqual([
+                { committee_id: 'HSAG', chamber: 'house', name: 'House Committee on Agriculture',
+                    system_code: 'hsag00', phone: '(202) 225-2171' },
+                { committee_id: 'JSEC', chamber: 'joint', name: 'Joint Economic Committee', system_code: 'jsec00',
+                    phone: null },
+                { committee_id: 'SSFI', chamber: 'senate', name: 'Senate Committee on Finance',
+                    system_code: 'ssfi00', phone: '(202) 224-4515' }
+            ]);
+        expect(await all(db, 'SELECT subcommittee_id, committee_id, name, system_code FROM subcommittees ORDER BY 1'))
+            .toEqual([
+                { subcommittee_id: 'HSAG14', committee_id: 'HSAG', name: 'Conservation, Research, and Biotechnology',
+                    system_code: 'hsag14' },
+                { subcommittee_id: 'HSAG29', committee_id: 'HSAG', name: 'Livestock, Dairy, and Poultry',
+                    system_code: 'hsag29' }
+            ]);
+    });
+
+    test('maps membership titles to roles and skips entries without a bioguide id', async () => {
+        await new CommitteesImporter(db, FIXTURES).import();
+
+        expect(await all(db, `SELECT committee_id, bioguide_id, side, rank, title, role FROM committee_memberships
+            ORDER BY committee_id, rank`)).toEqual([
+            { committee_id: 'HSAG', bioguide_id: 'C001119', side: 'minority', rank: 1, title: 'Ranking Member',
+                role: 'ranking_member' },
+            { committee_id: 'HSAG', bioguide_id: 'T000467', side: 'majority', rank: 1, title: 'Chairman',
+                role: 'chair' },
+            { committee_id: 'HSAG', bioguide_id: 'R000614', side: 'majority', rank: 2, title: null, role: 'member' },
+            { committee_id: 'HSAG14', bioguide_id: 'R000614', side: 'majority', rank: 1, title: 'Vice Chair',
+                role: 'vice_chair' },
+            { committee_id: 'SSFI', bioguide_id: 'S000148', side: 'minority', rank: 3, title: 'Ex Officio',
+                role: 'ex_officio' }
+        ]);
+    });
+
+    test('replaces rosters and subcommittees on reload', async () => {
+        await run(db, `INSERT INTO subcommittees (subcommittee_id, committee_id, name)
+            VALUES ('HSAG99', 'HSAG', 'Old')`);
+        await run(db, `INSERT INTO committee_memberships (committee_id, bioguide_id, role)
+            VALUES ('SSFI', 'X000001', 'member')`);
+
+        await new CommitteesImporter(db, FIXTURES).import();
+
+        expect(await all(db, `SELECT subcommittee_id FROM subcommittees WHERE subcommittee_id = 'HSAG99'`)).toEqual([]);
+        expect(await all(db, `SELECT bioguide_id FROM committee_memberships WHERE committee_id = 'SSFI'`))
+            .toEqual([{ bioguide_id: 'S000148' }]);
+    });
+
+    test('reads JSON and loads committees without a membership file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'committees-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'committees-current.json'), JSON.stringify([
+                { type: 'senate', name: 'Senate Committee on Finance', thomas_id: 'SSFI' }
+            ]));
+            expect(await new CommitteesImporter(db, dir).import())
+                .toEqual({ success: true, committees: 1, subcommittees: 0, memberships: 0 });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('fails without a committees-current file', async () => {
+        const result = await new CommitteesImporter(db, path.join(FIXTURES, 'missing')).import();
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/No committees-current dataset/);
+    });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContributionsImporter = require('../services/contributionsImporter');
+const { run, get, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const FIXTURES = path.join(__dirname, 'fixtures/fec-itemized');
+
+const SCHEMA = [
+    'CREATE TABLE campaign_finance (candidate_id TEXT, cycle INTEGER, principal_committee_id TEXT)',
+    `CREATE TABLE fec_committees (
+        committee_id TEXT, cycle INTEGER, name TEXT, designation TEXT, committee_type TEXT, party TEXT,
+        connected_org TEXT, candidate_id TEXT, PRIMARY KEY(committee_id, cycle)
+    )`,
+    `CREATE TABLE candidate_committees (
+        candidate_id TEXT, committee_id TEXT, cycle INTEGER, designation TEXT, committee_type TEXT,
+        PRIMARY KEY(candidate_id, committee_id, cycle)
+    )`,
+    `CREATE TABLE individual_contributions (
+        sub_id TEXT PRIMARY KEY, committee_id TEXT, cycle INTEGER, report_type TEXT, transaction_type TEXT,
+        entity_type TEXT, name TEXT, city TEXT, state TEXT, zip_code TEXT, employer TEXT, occupation TEXT,
+        transaction_date TEXT, amount REAL, memo_code TEXT
+    )`,
+    `CREATE TABLE committee_contributions (
+        sub_id TEXT PRIMARY KEY, committee_id TEXT, candidate_id TEXT, cycle INTEGER, report_type TEXT,
+        transaction_type TEXT, recipient_name TEXT, city TEXT, state TEXT, zip_code TEXT, transaction_date TEXT,
+        amount REAL, other_id TEXT, memo_code TEXT
+    )`,
+    `CREATE TABLE contribution_rollups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, candidate_id TEXT, cycle INTEGER, dimension TEXT, value TEXT,
+        detail TEXT, total_amount REAL, contribution_count INTEGER
+    )`
+];
+
+describe('ContributionsImporter', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        // The principal committee is also linked by ccl24.txt; contributions must not count twice
+        await run(db, `INSERT INTO campaign_finance VALUES ('H4TX21123', 2024, 'C00483396')`);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    const rollup = dimension => all(db, `SELECT value, detail, total_amount, contribution_count
+        FROM contribution_rollups WHERE candidate_id = 'H4TX21123' AND cycle = 2024 AND dimension = ?
+        ORDER BY total_amount DESC`, [dimension]);
+
+    test('imports committees, linkages and itemized rows', async () => {
+        expect(await new ContributionsImporter(db, FIXTURES).import()).toEqual({
+            success: true, committees: 2, linkages: 1, individual: 5, transfers: 3
+        });
+
+        expect(await get(db, 'SELECT * FROM individual_contributions WHERE sub_id = ?', ['4011520241'])).toEqual({
+            sub_id: '4011520241', committee_id: 'C00483396', cycle: 2024, report_type: 'Q1', transaction_type: '15',
+            entity_type: 'IND', name: 'SMITH, JOHN', city: 'AUSTIN', state: 'TX', zip_code: '787011234',
+            employer: 'ACME', occupation: 'ENGINEER', transaction_date: '2024-01-15', amount: 500, memo_code: null
+        });
+        expect(await get(db, 'SELECT * FROM fec_committees WHERE committee_id = ?', ['C00000001']))
+            .toMatchObject({ name: 'BIG INDUSTRY PAC', committee_type: 'Q', connected_org: 'ACME CORP' });
+    });
+
+    test('rolls individual donors up by normalized employer, ZIP and donor, skipping memo entries', async () => {
+        await new ContributionsImporter(db, FIXTURES).import();
+
+        expect(await rollup('employer')).toEqual([
+            { value: 'NOT REPORTED', detail: null, total_amount: 1000, contribution_count: 1 },
+            { value: 'ACME', detail: null, total_amount: 750, contribution_count: 2 }
+        ]);
+        expect(await rollup('state')).toEqual([
+            { value: 'TX', detail: null, total_amount: 1750, contribution_count: 3 }
+        ]);
+        expect(await rollup('zip')).toEqual([
+            { value: '75201', detail: 'TX', total_amount: 1000, contribution_count: 1 },
+            { value: '78701', detail: 'TX', total_amount: 750, contribution_count: 2 }
+        ]);
+        expect(await rollup('donor')).toEqual([
+            { value: 'DOE, JANE', detail: 'DALLAS, TX 75201', total_amount: 1000, contribution_count: 1 },
+            { value: 'SMITH, JOHN', detail: 'AUSTIN, TX 78701', total_amount: 750, contribution_count: 2 }
+        ]);
+    });
+
+    test('counts only direct and in-kind committee contributions', async () => {
+        await new ContributionsImporter(db, FIXTURES).import();
+
+        expect(await rollup('committee')).toEqual([
+            { value: 'C00000001', detail: 'BIG INDUSTRY PAC', total_amount: 5000, contribution_count: 1 }
+        ]);
+    });
+
+    test('rebuilds rollups instead of adding to them on a rerun', async () => {
+        await new ContributionsImporter(db, FIXTURES).import();
+        await new ContributionsImporter(db, FIXTURES).import();
+
+        expect(await rollup('state')).toEqual([
+            { value: 'TX', detail: null, total_amount: 1750, contribution_count: 3 }
+        ]);
+    });
+
+    test('streams files larger than one batch', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fec-'));
+        try {
+            const lines = Array.from({ length: 5003 }, (_, i) =>
+                `C00483396|N|Q1|P2024||15|IND|DONOR ${i}|AUSTIN|TX|78701|||01152024|10||||||${i + 1}`);
+            fs.writeFileSync(path.join(dir, 'indiv24.txt'), `${lines.join('\n')}\n`);
+
+            expect(await new ContributionsImporter(db, dir).import())
+                .toMatchObject({ success: true, individual: 5003 });
+            expect(await get(db, 'SELECT COUNT(*) AS count, SUM(amount) AS total FROM individual_contributions'))
+                .toEqual({ count: 5003, total: 50030 });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('reports a directory without itemized files', async () => {
+        const result = await new ContributionsImporter(db, path.join(__dirname, 'fixtures/fec')).import();
+        expect(result).toEqual({ success: false, error: expect.stringMatching(/No FEC itemized files/) });
+    });
+});
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const DigestMailer = require('../services/digestMailer');
+const { unsubscribeSecret, signUnsubscribeToken, verifyUnsubscribeToken } = DigestMailer;
+const { renderSubject, renderHtml, renderText } = require('../services/digestTemplates');
+const { run, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const SCHEMA = [
+    `CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT, email TEXT, alerts_enabled INTEGER DEFAULT 1
+    )`,
+    `CREATE TABLE user_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, alert_type TEXT, keywords TEXT,
+        frequency TEXT DEFAULT 'daily', is_active INTEGER DEFAULT 1, name TEXT
+    )`,
+    `CREATE TABLE alert_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, alert_id INTEGER, user_id INTEGER, data_source TEXT, entity_id TEXT,
+        title TEXT, snippet TEXT, content_hash TEXT, matched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        notified_at DATETIME
+    )`
+];
+
+describe('unsubscribe tokens', () => {
+    test('round-trip a user and an optional alert', () => {
+        expect(verifyUnsubscribeToken('secret', signUnsubscribeToken('secret', 7)))
+            .toEqual({ userId: 7, alertId: null });
+        expect(verifyUnsubscribeToken('secret', signUnsubscribeToken('secret', 7, 3)))
+            .toEqual({ userId: 7, alertId: 3 });
+    });
+
+    test('reject tokens that were altered or signed with another secret', () => {
+        const token = signUnsubscribeToken('secret', 7, 3);
+        const [, signature] = token.split('.');
+        const forged = `${Buffer.from(JSON.stringify({ u: 8, a: 3 })).toString('base64url')}.${signature}`;
+
+        expect(verifyUnsubscribeToken('other secret', token)).toBeNull();
+        expect(verifyUnsubscribeToken('secret', forged)).toBeNull();
+        expect(verifyUnsubscribeToken('secret', `${token}x`)).toBeNull();
+        expect(verifyUnsubscribeToken('secret', 'garbage')).toBeNull();
+        expect(verifyUnsubscribeToken('secret', undefined)).toBeNull();
+    });
+
+    test('reject a validly signed payload without a numeric user', () => {
+        const payload = Buffer.from(JSON.stringify({ u: '7' })).toString('base64url');
+        const signature = crypto.createHmac('sha256', 'secret').update(payload).digest('base64url').slice(0, 22);
+        expect(verifyUnsubscribeToken('secret', `${payload}.${signature}`)).toBeNull();
+    });
+});
+
+describe('unsubscribeSecret', () => {
+    test('prefers UNSUBSCRIBE_SECRET', () => {
+        expect(unsubscribeSecret({ UNSUBSCRIBE_SECRET: 'links', JWT_SECRET: 'logins' })).toBe('links');
+    });
+
+    test('derives a stable key from JWT_SECRET that differs from it', () => {
+        const derived = unsubscribeSecret({ JWT_SECRET: 'logins' });
+        expect(derived).toBe(unsubscribeSecret({ JWT_SECRET: 'logins' }));
+        expect(derived).not.toBe('logins');
+        expect(derived).not.toBe(unsubscribeSecret({ JWT_SECRET: 'other' }));
+    });
+
+    test('is null without either secret', () => {
+        expect(unsubscribeSecret({})).toBeNull();
+    });
+});
+
+describe('digest templates', () => {
+    const digest = {
+        user: { id: 1, username: '<b>ada</b>' },
+        period: 'daily',
+        alerts: [{
+            alert: { id: 2, name: 'Solar <script>', keywords: 'solar "tax"' },
+            hits: [
+                { data_source: 'bills', title: 'HR 1: Sun & <Sky> Act', snippet: 'the <mark>solar</mark> <img src=x>' },
+                { data_source: 'spending', title: 'Acme — DOE', snippet: null }
+            ],
+            more: 3,
+            unsubscribeUrl: 'https://watchdog.example/api/unsubscribe/a"b'
+        }],
+        unsubscribeAllUrl: 'https://watchdog.example/api/unsubscribe/all',
+        appUrl: 'https://watchdog.example'
+    };
+
+    test('subject counts listed and summarized hits', () => {
+        expect(renderSubject(digest)).toBe('Your daily Government Watchdog digest: 5 new matches');
+        expect(renderSubject({ ...digest, period: 'immediate' })).toBe('Government Watchdog alert: 5 new matches');
+    });
+
+    test('HTML escapes every record field and keeps only the snippet highlights', () => {
+        const html = renderHtml(digest);
+
+        expect(html).toContain('Hi &lt;b&gt;ada&lt;/b&gt;');
+        expect(html).toContain('Solar &lt;script&gt;');
+        expect(html).toContain('for “solar &quot;tax&quot;”');
+        expect(html).toContain('HR 1: Sun &amp; &lt;Sky&gt; Act');
+        expect(html).toContain('the <mark>solar</mark> &lt;img src=x&gt;');
+        expect(html).toContain('href="https://watchdog.example/api/unsubscribe/a&quot;b"');
+        expect(html).toContain('…and 3 more');
+        expect(html).not.toMatch(/<script|<img|<b>/);
+    });
+
+    test('plain text drops the highlight tags', () => {
+        const text = renderText(digest);
+
+        expect(text).toContain('* Bill: HR 1: Sun & <Sky> Act\n  ...the solar <img src=x>...');
+        expect(text).toContain('* Federal award: Acme — DOE');
+        expect(text).toContain('Unsubscribe from all alert emails: https://watchdog.example/api/unsubscribe/all');
+    });
+});
+
+describe('DigestMailer.sendDigests', () => {
+    let db;
+    let transport;
+    let mailer;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        transport = { sendMail: jest.fn().mockResolvedValue({}) };
+        mailer = new DigestMailer(db, { transport, appUrl: 'https://watchdog.example', secret: 'secret' });
+
+        await run(db, `INSERT INTO users (username, email, alerts_enabled) VALUES
+            ('ada', 'ada@example.com', 1), ('bob', 'bob@example.com', 0), ('cy', NULL, 1)`);
+        await run(db, `INSERT INTO user_alerts (user_id, keywords, frequency, name, is_active) VALUES
+            (1, 'solar', 'daily', 'Solar', 1), (1, 'wind', 'weekly', 'Wind', 1), (1, 'coal', 'daily', 'Coal', 0),
+            (2, 'solar', 'daily', 'Solar', 1), (3, 'solar', 'daily', 'Solar', 1)`);
+        for (const [alertId, userId] of [[1, 1], [2, 1], [3, 1], [4, 2], [5, 3]]) {
+            await run(db, `INSERT INTO alert_hits (alert_id, user_id, data_source, entity_id, title)
+                VALUES (?, ?, 'bills', 'hr1-119', 'HR 1: Solar Energy Jobs Act')`, [alertId, userId]);
+        }
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    const notified = () => all(db, 'SELECT alert_id FROM alert_hits WHERE notified_at IS NOT NULL ORDER BY alert_id');
+
+    test('emails each opted-in user their active alerts for the period and marks the hits sent', async () => {
+        expect(await mailer.sendDigests('daily')).toEqual({
+            success: true, period: 'daily', sent: 1, failed: 0, errors: []
+        });
+
+        expect(transport.sendMail).toHaveBeenCalledTimes(1);
+        const message = transport.sendMail.mock.calls[0][0];
+        expect(message).toMatchObject({
+            to: 'ada@example.com',
+            subject: 'Your daily Government Watchdog digest: 1 new match',
+            headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        });
+        const [, token] = message.headers['List-Unsubscribe'].match(/unsubscribe\/([^>]+)>/);
+        expect(verifyUnsubscribeToken('secret', token)).toEqual({ userId: 1, alertId: null });
+        expect(await notified()).toEqual([{ alert_id: 1 }]);
+
+        // Nothing left to send for the period
+        expect(await mailer.sendDigests('daily')).toMatchObject({ sent: 0 });
+        expect(await mailer.sendDigests('weekly')).toMatchObject({ sent: 1 });
+    });
+
+    test('lists at most 25 hits per alert and summarizes the rest', async () => {
+        for (let i = 2; i <= 30; i++) {
+            await run(db, `INSERT INTO alert_hits (alert_id, user_id, data_source, entity_id, title)
+                VALUES (1, 1, 'bills', ?, 'Bill')`, [`hr${i}-119`]);
+        }
+        const [digest] = await mailer.pendingDigests('daily');
+
+        expect(digest.alerts[0]).toMatchObject({ more: 5 });
+        expect(digest.alerts[0].hits).toHaveLength(25);
+        expect(digest.hitIds).toHaveLength(30);
+    });
+
+    test('keeps hits pending when delivery fails', async () => {
+        transport.sendMail.mockRejectedValue(new Error('connection refused'));
+
+        expect(await mailer.sendDigests('daily')).toEqual({
+            success: true, period: 'daily', sent: 0, failed: 1, errors: ['ada@example.com: connection refused']
+        });
+        expect(await notified()).toEqual([]);
+    });
+
+    test('refuses to send without a transport, a secret or a known period', async () => {
+        expect(await new DigestMailer(db, { transport: null, secret: 'secret' }).sendDigests('daily'))
+            .toEqual({ success: false, error: 'SMTP_HOST is not configured' });
+        expect(await new DigestMailer(db, { transport, secret: null }).sendDigests('daily'))
+            .toEqual({ success: false, error: expect.stringMatching(/UNSUBSCRIBE_SECRET/) });
+        expect(await mailer.sendDigests('monthly'))
+            .toEqual({ success: false, error: 'Unknown digest period: monthly' });
+        expect(transport.sendMail).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,139 @@
+const path = require('path');
+const FaraImporter = require('../services/faraImporter');
+const { linkFaraClients } = FaraImporter;
+const { run, get, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const FIXTURES = path.join(__dirname, 'fixtures/fara');
+
+const SCHEMA = [
+    `CREATE TABLE fara_registrants (
+        registration_number TEXT PRIMARY KEY, name TEXT, business_name TEXT, address TEXT, city TEXT, state TEXT,
+        zip TEXT, registration_date TEXT, termination_date TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE fara_foreign_principals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, registration_number TEXT, principal_name TEXT, country TEXT,
+        address TEXT, city TEXT, state TEXT, registration_date TEXT, termination_date TEXT,
+        UNIQUE (registration_number, principal_name, country)
+    )`,
+    `CREATE TABLE fara_short_forms (
+        registration_number TEXT, last_name TEXT, first_name TEXT, short_form_date TEXT, termination_date TEXT,
+        PRIMARY KEY (registration_number, last_name, first_name)
+    )`,
+    `CREATE TABLE fara_informational_materials (
+        registration_number TEXT, date_stamped TEXT, principal_name TEXT, country TEXT, document_type TEXT,
+        url TEXT, PRIMARY KEY (registration_number, date_stamped, url)
+    )`,
+    'CREATE TABLE fara_lda_clients (principal_id INTEGER, client_name TEXT, PRIMARY KEY (principal_id, client_name))',
+    'CREATE TABLE lobbying (id INTEGER PRIMARY KEY AUTOINCREMENT, client_name TEXT)'
+];
+
+describe('FaraImporter.import', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('recognizes each bulk file by its header and reports files it cannot place', async () => {
+        const result = await new FaraImporter(db, FIXTURES).import();
+        expect(result).toEqual({
+            success: true, files: 5, registrants: 2, principals: 4, short_forms: 2, informational_materials: 1,
+            errors: ['report-notes.csv: unrecognized FARA CSV header']
+        });
+    });
+
+    test('reads registrants from a UTF-8 file with a byte order mark and CRLF line endings', async () => {
+        await new FaraImporter(db, FIXTURES).import();
+
+        expect(await get(db, 'SELECT * FROM fara_registrants WHERE registration_number = ?', ['6001'])).toMatchObject({
+            name: 'Capitol Strategies, LLC', business_name: null, address: '1100 K St NW, Suite 300',
+            city: 'Washington', zip: '20005', registration_date: '2012-03-15', termination_date: null
+        });
+        expect(await get(db, 'SELECT termination_date FROM fara_registrants WHERE registration_number = ?', ['5002']))
+            .toEqual({ termination_date: '2020-12-31' });
+        // Only named in the principals file
+        expect(await get(db, 'SELECT name, registration_date FROM fara_registrants WHERE registration_number = ?',
+            ['7003'])).toEqual({ name: 'New Registrant Group', registration_date: '2021-07-07' });
+    });
+
+    test('keeps quoted commas, doubled quotes and line breaks inside principal fields', async () => {
+        await new FaraImporter(db, FIXTURES).import();
+
+        const principal = await get(db, `SELECT principal_name, country, address, termination_date
+            FROM fara_foreign_principals WHERE principal_name LIKE 'Ministry%'`);
+        expect(principal).toEqual({
+            principal_name: 'Ministry of Tourism, "Visit" Board', country: 'JAPAN', address: 'Tokyo\nOffice',
+            termination_date: '2022-01-01'
+        });
+    });
+
+    test('keeps only informational materials from the registrant documents', async () => {
+        await new FaraImporter(db, FIXTURES).import();
+
+        expect(await all(db, 'SELECT principal_name, document_type, date_stamped FROM fara_informational_materials'))
+            .toEqual([{ principal_name: 'Embassy of Japan', document_type: 'Informational Materials',
+                date_stamped: '2024-02-01' }]);
+        const shortForms = await all(db, 'SELECT last_name, termination_date FROM fara_short_forms ORDER BY last_name');
+        expect(shortForms).toEqual([
+            { last_name: 'Chen', termination_date: null },
+            { last_name: 'Doe', termination_date: '2019-06-30' }
+        ]);
+    });
+
+    test('updates rows in place on a rerun', async () => {
+        await new FaraImporter(db, FIXTURES).import();
+        await new FaraImporter(db, FIXTURES).import();
+
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM fara_foreign_principals')).toEqual({ count: 4 });
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM fara_informational_materials')).toEqual({ count: 1 });
+    });
+
+    test('decodes older Windows-1252 downloads', async () => {
+        const result = await new FaraImporter(db, path.join(__dirname, 'fixtures/fara-windows-1252')).import();
+        expect(result.registrants).toBe(1);
+        expect(await get(db, 'SELECT name FROM fara_registrants')).toEqual({ name: 'Café “Quoted” – Firm €' });
+    });
+
+    test('fails without any CSV files', async () => {
+        const result = await new FaraImporter(db, path.join(FIXTURES, 'missing')).import();
+        expect(result).toMatchObject({ success: false, error: expect.stringMatching(/No FARA CSV files/) });
+    });
+});
+
+describe('linkFaraClients', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        await new FaraImporter(db, FIXTURES).import();
+        for (const client of ['ACME ENERGY CO', 'WIDGET CORP', 'The Widget Corporation', 'Embassy of France']) {
+            await run(db, 'INSERT INTO lobbying (client_name) VALUES (?)', [client]);
+        }
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('links principals to LDA clients whose names differ only in case, punctuation and suffixes', async () => {
+        expect(await linkFaraClients(db)).toEqual({ principals: 2, clients: 3 });
+
+        const links = await all(db, `SELECT principal_name, client_name FROM fara_lda_clients
+            JOIN fara_foreign_principals ON fara_foreign_principals.id = fara_lda_clients.principal_id
+            ORDER BY client_name`);
+        expect(links).toEqual([
+            { principal_name: 'Acme Energy Company', client_name: 'ACME ENERGY CO' },
+            { principal_name: 'Widget Corp.', client_name: 'The Widget Corporation' },
+            { principal_name: 'Widget Corp.', client_name: 'WIDGET CORP' }
+        ]);
+    });
+
+    test('replaces earlier links when rerun', async () => {
+        await linkFaraClients(db);
+        await run(db, `DELETE FROM lobbying WHERE client_name = 'ACME ENERGY CO'`);
+
+        expect(await linkFaraClients(db)).toEqual({ principals: 1, clients: 2 });
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM fara_lda_clients')).toEqual({ count: 2 });
+    });
+});
@@ -0,0 +1,92 @@
+const path = require('path');
+const FecImporter = require('../services/fecImporter');
+const { readPipeDelimited, cycleFromFileName } = FecImporter;
+const { all, get } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const FIXTURES = path.join(__dirname, 'fixtures/fec');
+
+const SCHEMA = [
+    `CREATE TABLE campaign_finance (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, candidate_id TEXT, candidate_name TEXT, office TEXT, party TEXT,
+        cycle INTEGER, total_receipts REAL, total_disbursements REAL, cash_on_hand REAL, debt REAL,
+        last_updated TEXT, state TEXT, district TEXT, incumbent_challenger TEXT, principal_committee_id TEXT,
+        individual_contributions REAL
+    )`,
+    'CREATE UNIQUE INDEX idx_campaign_finance_candidate_cycle ON campaign_finance(candidate_id, cycle)'
+];
+
+describe('cycleFromFileName', () => {
+    test('reads the two-digit cycle from FEC bulk file names', () => {
+        expect(cycleFromFileName('/data/fec/weball24.txt', 'weball')).toBe(2024);
+        expect(cycleFromFileName('CN26.TXT', 'cn')).toBe(2026);
+        expect(cycleFromFileName('weball24.zip', 'weball')).toBeNull();
+        expect(cycleFromFileName('cn24.txt', 'weball')).toBeNull();
+    });
+});
+
+describe('readPipeDelimited', () => {
+    test('maps each latin-1 line onto the column layout and skips blank lines', async () => {
+        const rows = [];
+        const count = await readPipeDelimited(path.join(FIXTURES, 'weball24.txt'),
+            ['CAND_ID', 'CAND_NAME', 'CAND_ICI'], row => rows.push(row));
+
+        expect(count).toBe(3);
+        expect(rows).toEqual([
+            { CAND_ID: 'H4TX21123', CAND_NAME: 'ROY, CHIP', CAND_ICI: 'I' },
+            { CAND_ID: 'S4MN00123', CAND_NAME: 'MUÑOZ, ANA', CAND_ICI: 'C' },
+            { CAND_ID: 'P80001571', CAND_NAME: 'DOE, JANE', CAND_ICI: 'O' }
+        ]);
+    });
+});
+
+describe('FecImporter.import', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('loads candidate summaries filled in from the candidate master', async () => {
+        expect(await new FecImporter(db, FIXTURES).import()).toEqual({ success: true, files: 1, candidates: 3 });
+
+        const rows = await all(db, `SELECT candidate_id, candidate_name, office, party, state, district,
+                incumbent_challenger, principal_committee_id, cycle, total_receipts, total_disbursements,
+                cash_on_hand, debt, individual_contributions, last_updated
+            FROM campaign_finance ORDER BY candidate_id`);
+        expect(rows).toEqual([
+            {
+                candidate_id: 'H4TX21123', candidate_name: 'ROY, CHIP', office: 'house', party: 'R', state: 'TX',
+                district: '21', incumbent_challenger: 'I', principal_committee_id: 'C00483396', cycle: 2024,
+                total_receipts: 5000000.5, total_disbursements: 4000000, cash_on_hand: 1100000.5, debt: 25000,
+                individual_contributions: 3000000, last_updated: '2024-06-30'
+            },
+            {
+                candidate_id: 'P80001571', candidate_name: 'DOE, JANE', office: 'president', party: 'I', state: null,
+                district: null, incumbent_challenger: 'O', principal_committee_id: null, cycle: 2024,
+                total_receipts: 0, total_disbursements: 0, cash_on_hand: 0, debt: 0, individual_contributions: 0,
+                last_updated: null
+            },
+            {
+                candidate_id: 'S4MN00123', candidate_name: 'MUÑOZ, ANA', office: 'senate', party: 'D', state: 'MN',
+                district: null, incumbent_challenger: 'C', principal_committee_id: 'C00999999', cycle: 2024,
+                total_receipts: 750000, total_disbursements: 800000, cash_on_hand: 12000, debt: 0,
+                individual_contributions: 600000, last_updated: '2024-09-30'
+            }
+        ]);
+    });
+
+    test('updates candidates in place on a rerun', async () => {
+        await new FecImporter(db, FIXTURES).import();
+        await new FecImporter(db, FIXTURES).import();
+
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM campaign_finance')).toEqual({ count: 3 });
+    });
+
+    test('reports a missing data directory', async () => {
+        const result = await new FecImporter(db, path.join(FIXTURES, 'missing')).import();
+        expect(result).toEqual({ success: false, error: expect.stringMatching(/No FEC candidate summary/) });
+    });
+});
@@ -0,0 +1,85 @@
+const { createSearchIndexes, buildMatchQuery, invalidKeyword, searchIndex } = require('../services/fullTextSearch');
+const { run } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const SCHEMA = [
+    `CREATE TABLE bills (
+        bill_id TEXT PRIMARY KEY, title TEXT, summary TEXT, subjects TEXT, committees TEXT, latest_action TEXT
+    )`,
+    `CREATE TABLE federal_spending (
+        award_id TEXT, recipient_name TEXT, award_description TEXT, awarding_agency TEXT, funding_agency TEXT
+    )`,
+    `CREATE TABLE lobbying (
+        client_name TEXT, registrant_name TEXT, lobbyist_name TEXT, issue_areas TEXT, specific_issues TEXT,
+        government_entities TEXT
+    )`
+];
+
+// createSearchIndexes queues its statements without callbacks; this waits for them to finish
+const createIndexes = db => new Promise((resolve, reject) => db.serialize(() => {
+    createSearchIndexes(db);
+    db.get('SELECT 1', error => (error ? reject(error) : resolve()));
+}));
+
+describe('buildMatchQuery', () => {
+    test.each([
+        ['solar energy', '"solar" "energy"'],
+        ['"clean energy" tax*', '"clean energy" "tax"*'],
+        ['solar OR wind', '"solar" OR "wind"'],
+        ['energy -nuclear NOT coal', '"energy" NOT "nuclear" NOT "coal"'],
+        ['H.R. 1', '"H.R." "1"'],
+        ['drop" table;', '"drop" "table"']
+    ])('%s -> %s', (input, expected) => {
+        expect(buildMatchQuery(input)).toBe(expected);
+    });
+
+    test.each(['', 'NOT', 'AND OR', '-boeing', 'NOT boeing', '"', '!!!'])('%p has nothing to match', input => {
+        expect(buildMatchQuery(input)).toBeNull();
+    });
+});
+
+describe('invalidKeyword', () => {
+    test('flags keywords that were given but leave nothing to match', () => {
+        expect(invalidKeyword('-boeing', buildMatchQuery('-boeing'))).toMatch(/at least one term/);
+        expect(invalidKeyword('NOT', buildMatchQuery('NOT'))).toMatch(/at least one term/);
+    });
+
+    test('accepts missing or blank keywords and ones with a term', () => {
+        expect(invalidKeyword(undefined, null)).toBeNull();
+        expect(invalidKeyword('  ', null)).toBeNull();
+        expect(invalidKeyword('solar', buildMatchQuery('solar'))).toBeNull();
+    });
+});
+
+describe('searchIndex', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        await run(db, `INSERT INTO bills (bill_id, title, summary) VALUES
+            ('hr1-119', 'Solar Energy Jobs Act', 'Extends tax credits for solar installations'),
+            ('s5-119', 'Nuclear Energy Innovation Act', 'Licensing reform')`);
+        await createIndexes(db);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('indexes rows written before the index existed', async () => {
+        const { rows, count } = await searchIndex(db, 'bills', buildMatchQuery('energy -nuclear'), 10);
+        expect(count).toBe(1);
+        expect(rows[0]).toMatchObject({ bill_id: 'hr1-119', snippet: expect.stringContaining('<mark>') });
+    });
+
+    test('follows later inserts, updates and deletes through its triggers', async () => {
+        // A second startup leaves the index as it is
+        await createIndexes(db);
+        await run(db, `UPDATE bills SET title = 'Fusion Energy Act' WHERE bill_id = 's5-119'`);
+        await run(db, `INSERT INTO bills (bill_id, title) VALUES ('hr2-119', 'Solar Permitting Act')`);
+        await run(db, `DELETE FROM bills WHERE bill_id = 'hr1-119'`);
+
+        expect((await searchIndex(db, 'bills', buildMatchQuery('nuclear'), 10)).count).toBe(0);
+        expect((await searchIndex(db, 'bills', buildMatchQuery('fusion'), 10)).count).toBe(1);
+        const solar = await searchIndex(db, 'bills', buildMatchQuery('solar'), 10);
+        expect(solar.rows.map(row => row.bill_id)).toEqual(['hr2-119']);
+    });
+});
@@ -0,0 +1,65 @@
+const path = require('path');
+const GovernmentAPIService = require('../services/governmentAPI');
+
+const FIXTURES = path.join(__dirname, 'fixtures/government-api');
+
+// The fixtures were recorded for 2024, which is part of the OpenSecrets and USAspending fixture keys
+const replay = (options = {}) =>
+    new GovernmentAPIService({ mode: 'replay', fixtureDir: FIXTURES, year: 2024, ...options });
+
+describe('GovernmentAPIService in replay mode', () => {
+    test('pages through /member until Congress.gov stops returning a next link', async () => {
+        const members = await replay().fetchCongressMembers();
+        expect(members.map(member => member.bioguide_id)).toEqual(['J000299', 'S000148', 'S001217']);
+        expect(members[0]).toMatchObject({
+            first_name: 'Mike', last_name: 'Johnson', party: 'R', chamber: 'house', district: '4', in_office: true
+        });
+        expect(members[1]).toMatchObject({ first_name: 'Charles E.', party: 'D', chamber: 'senate', district: null });
+    });
+
+    test('maps recorded bills with a status derived from the latest action', async () => {
+        const bills = await replay().fetchLegislation();
+        expect(bills).toEqual([
+            expect.objectContaining({ bill_id: 'hr1-119', bill_type: 'hr', number: '1', sponsor_id: 'A000375',
+                latest_action_date: '2025-07-04', status: 'law' }),
+            expect.objectContaining({ bill_id: 's5-119', sponsor_id: undefined, status: 'introduced' })
+        ]);
+    });
+
+    test('queries lobbying for the configured year', async () => {
+        const records = await replay().fetchLobbyingData();
+        expect(records).toEqual([
+            expect.objectContaining({ registration_id: 'D000000082', client_name: 'Lockheed Martin', amount: 3350000,
+                year: 2024 }),
+            expect.objectContaining({ registration_id: 'OS-2024-Pfizer Inc-Akin Gump', amount: 0 })
+        ]);
+    });
+
+    test('rejects when a response was never recorded instead of returning no data', async () => {
+        await expect(replay({ year: 2023 }).fetchLobbyingData()).rejects.toThrow(/No recorded opensecrets response/);
+        await expect(replay().fetchFederalSpending()).rejects.toThrow(/No recorded usaspending response/);
+    });
+
+    test('reads the year from GOV_API_YEAR when none is passed', () => {
+        const previous = process.env.GOV_API_YEAR;
+        process.env.GOV_API_YEAR = '2022';
+        try {
+            expect(new GovernmentAPIService({ mode: 'replay' }).year).toBe(2022);
+        } finally {
+            if (previous === undefined) delete process.env.GOV_API_YEAR;
+            else process.env.GOV_API_YEAR = previous;
+        }
+    });
+});
+
+describe('GovernmentAPIService.fixturePath', () => {
+    test('keys fixtures by endpoint, query in any order and request body', () => {
+        const service = replay();
+        const first = service.fixturePath('congress', '/bill', { limit: 50, format: 'json' });
+        expect(service.fixturePath('congress', '/bill', { format: 'json', limit: 50 })).toBe(first);
+        expect(service.fixturePath('congress', '/bill', { limit: 20, format: 'json' })).not.toBe(first);
+        expect(path.basename(first)).toMatch(/^bill-[0-9a-f]{12}\.json$/);
+        expect(service.fixturePath('usaspending', '/search/', {}, { a: 1 }))
+            .not.toBe(service.fixturePath('usaspending', '/search/', {}, { a: 2 }));
+    });
+});
@@ -0,0 +1,99 @@
+const path = require('path');
+const HearingsImporter = require('../services/hearingsImporter');
+const { get, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const FIXTURES = path.join(__dirname, 'fixtures/hearings');
+
+const SCHEMA = [
+    `CREATE TABLE hearings (
+        hearing_id TEXT PRIMARY KEY, chamber TEXT, congress INTEGER, meeting_type TEXT, title TEXT,
+        committee_id TEXT, subcommittee_id TEXT, committee_name TEXT, hearing_date TEXT, start_time TEXT,
+        location TEXT, status TEXT, url TEXT, source_file TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE TABLE hearing_bills (hearing_id TEXT, bill_id TEXT, PRIMARY KEY(hearing_id, bill_id))'
+];
+
+describe('HearingsImporter.parseFile', () => {
+    const importer = new HearingsImporter(null, FIXTURES);
+
+    test('reads a House committee meeting with its subcommittee, room and documents', async () => {
+        const [{ hearing, bills }] = await importer.parseFile(path.join(FIXTURES, 'house/HMKP-119-JU00-20250211.xml'));
+        expect(hearing).toMatchObject({
+            hearing_id: 'house-117812',
+            chamber: 'house',
+            congress: 119,
+            meeting_type: 'markup',
+            committee_id: 'HSJU',
+            subcommittee_id: 'HSJU08',
+            committee_name: 'Subcommittee on Crime and Federal Government Surveillance',
+            hearing_date: '2025-02-11',
+            start_time: '2025-02-11T10:00',
+            location: '2141, Rayburn House Office Building',
+            status: 'scheduled',
+            source_file: 'HMKP-119-JU00-20250211.xml'
+        });
+        expect(bills).toEqual(['hr27-119', 'hr1140-119', 'hr27-119', 'hjres5-119']);
+    });
+
+    test('reads every meeting in a Senate schedule, typed and dated from its matter and date text', async () => {
+        const [finance, judiciary] = await importer.parseFile(path.join(FIXTURES, 'senate-hearings.xml'));
+        expect(finance.hearing).toMatchObject({
+            hearing_id: 'senate-SSFI-20250212-1000',
+            meeting_type: 'hearing',
+            committee_id: 'SSFI',
+            subcommittee_id: null,
+            committee_name: 'Finance',
+            start_time: '2025-02-12T10:00',
+            status: 'scheduled'
+        });
+        expect(judiciary.hearing).toMatchObject({
+            hearing_id: 'senate-SSJU22-2025-02-13-14:30',
+            meeting_type: 'markup',
+            committee_id: 'SSJU',
+            subcommittee_id: 'SSJU22',
+            committee_name: 'Subcommittee on the Constitution',
+            status: 'cancelled'
+        });
+        expect(judiciary.bills).toEqual(['s40-119', 'sjres3-119']);
+    });
+
+    test('rejects XML that is neither schedule format', async () => {
+        await expect(importer.parseFile(path.join(FIXTURES, 'unrelated.xml'))).rejects.toThrow(/not a House/);
+    });
+});
+
+describe('HearingsImporter.import', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('saves hearings and their bills from every file and reports the ones it could not read', async () => {
+        const result = await new HearingsImporter(db, FIXTURES).import();
+        expect(result).toEqual({
+            success: true, files: 3, hearings: 3, bills: 5,
+            errors: ['unrelated.xml: not a House committee meeting or Senate schedule file']
+        });
+
+        const bills = await all(db, 'SELECT bill_id FROM hearing_bills WHERE hearing_id = ? ORDER BY bill_id',
+            ['house-117812']);
+        expect(bills.map(row => row.bill_id)).toEqual(['hjres5-119', 'hr1140-119', 'hr27-119']);
+    });
+
+    test('updates meetings in place on a rerun', async () => {
+        await new HearingsImporter(db, FIXTURES).import();
+        await new HearingsImporter(db, FIXTURES).import();
+
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM hearings')).toEqual({ count: 3 });
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM hearing_bills')).toEqual({ count: 5 });
+    });
+
+    test('fails without any schedule files', async () => {
+        const result = await new HearingsImporter(db, path.join(FIXTURES, 'missing')).import();
+        expect(result).toMatchObject({ success: false, error: expect.stringMatching(/No committee schedule XML/) });
+    });
+});
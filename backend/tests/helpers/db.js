@@ -0,0 +1,18 @@
+// In-memory sqlite databases for importer tests. Each test file passes the slice of the
+// server.js schema its importer writes to.
+const sqlite3 = require('sqlite3');
+const { run } = require('../../services/sqlite');
+
+async function openDatabase(schema = []) {
+    const db = new sqlite3.Database(':memory:');
+    for (const statement of schema) {
+        await run(db, statement);
+    }
+    return db;
+}
+
+function closeDatabase(db) {
+    return new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())));
+}
+
+module.exports = { openDatabase, closeDatabase };
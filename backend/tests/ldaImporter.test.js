@@ -0,0 +1,345 @@
+const path = require('path');
+const LdaImporter = require('../services/ldaImporter');
+const { classifyFiling, normalizeLobbyingStrings, resolveContributionHonorees } = LdaImporter;
+const { run, get, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const FIXTURES = path.join(__dirname, 'fixtures/lda');
+const LD203_FIXTURES = path.join(__dirname, 'fixtures/lda-203');
+
+const SCHEMA = [
+    `CREATE TABLE lobbying (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, registration_id TEXT, client_name TEXT, client_description TEXT,
+        registrant_name TEXT, registrant_address TEXT, lobbyist_name TEXT, lobbyist_title TEXT, amount REAL,
+        year INTEGER, quarter INTEGER, report_type TEXT, issue_areas TEXT, specific_issues TEXT,
+        government_entities TEXT, foreign_entities TEXT, termination_date TEXT, posted_date TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP, filing_uuid TEXT, registrant_id TEXT, client_id TEXT,
+        filing_period TEXT, income REAL, expenses REAL
+    )`,
+    `CREATE TABLE lobbying_filings (
+        filing_uuid TEXT PRIMARY KEY, registration_id TEXT, filing_type TEXT, report_type TEXT, year INTEGER,
+        filing_period TEXT, is_amendment INTEGER DEFAULT 0, is_termination INTEGER DEFAULT 0, income REAL,
+        expenses REAL, posted_at TEXT, superseded_by TEXT
+    )`,
+    `CREATE TABLE lobbying_lobbyists (
+        lobbying_id INTEGER, lobbyist_name TEXT, lobbyist_id TEXT, covered_position TEXT, is_new INTEGER DEFAULT 0,
+        PRIMARY KEY (lobbying_id, lobbyist_name)
+    )`,
+    'CREATE TABLE lobbying_issues (lobbying_id INTEGER, issue_code TEXT, issue_area TEXT, description TEXT)',
+    `CREATE TABLE lobbying_entities (
+        lobbying_id INTEGER, entity_type TEXT, name TEXT, country TEXT, PRIMARY KEY (lobbying_id, entity_type, name)
+    )`,
+    `CREATE TABLE lobbying_contribution_reports (
+        filing_uuid TEXT PRIMARY KEY, report_key TEXT, registrant_id TEXT, registrant_name TEXT, lobbyist_name TEXT,
+        year INTEGER, filing_period TEXT, is_amendment INTEGER DEFAULT 0, no_contributions INTEGER DEFAULT 0,
+        posted_at TEXT, superseded_by TEXT
+    )`,
+    `CREATE TABLE lobbying_contributions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, filing_uuid TEXT, registrant_id TEXT, registrant_name TEXT,
+        lobbyist_name TEXT, contributor_name TEXT, contribution_type TEXT, payee_name TEXT, honoree_name TEXT,
+        bioguide_id TEXT, amount REAL, contribution_date TEXT, year INTEGER
+    )`,
+    `CREATE TABLE congress_members (
+        bioguide_id TEXT PRIMARY KEY, first_name TEXT, last_name TEXT, position TEXT, chamber TEXT, state TEXT,
+        district TEXT
+    )`,
+    `CREATE TABLE member_terms (
+        bioguide_id TEXT, chamber TEXT, state TEXT, district TEXT, start_date TEXT, end_date TEXT
+    )`
+];
+
+describe('classifyFiling', () => {
+    test('reads the period, amendment and termination from API and bulk XML filing types', () => {
+        expect(classifyFiling('1st Quarter - Amendment', 'first_quarter')).toEqual({
+            kind: 'report', period: 'Q1', quarter: 1, label: '1st Quarter Report', amendment: true, termination: false
+        });
+        expect(classifyFiling('SECOND QUARTER TERMINATION', '')).toMatchObject({
+            period: 'Q2', label: '2nd Quarter Termination', termination: true
+        });
+        expect(classifyFiling('Mid-Year Report', 'mid_year')).toMatchObject({ period: 'MY', quarter: null });
+        expect(classifyFiling('REGISTRATION', '')).toMatchObject({ kind: 'registration', period: 'RR' });
+    });
+});
+
+describe('LdaImporter.parseFile', () => {
+    const importer = new LdaImporter(null, FIXTURES);
+
+    test('decodes UTF-16 bulk XML and maps covered positions, issues and entities', async () => {
+        const [report, amendment, registration] = await importer.parseFile(path.join(FIXTURES, 'xml/2025_1_1.xml'));
+        expect(report).toMatchObject({
+            filing_uuid: 'AAAA-0001',
+            period: 'Q1',
+            registrant_id: '401',
+            registrant_name: 'BGR GOVERNMENT AFFAIRS',
+            client_id: '77',
+            client_name: 'ACME ENERGY CO',
+            income: 50000,
+            expenses: null
+        });
+        expect(report.issues.map(issue => issue.issue_code)).toEqual(['ENG', 'TAX']);
+        expect(report.issues[0].government_entities).toEqual(['HOUSE OF REPRESENTATIVES', 'Energy, Dept of (DOE)']);
+        expect(report.issues[0].lobbyists).toEqual([
+            { lobbyist_name: 'Ed Rogers', lobbyist_id: null, covered_position: null, is_new: 0 },
+            { lobbyist_name: 'Jane Smith', lobbyist_id: null, covered_position: 'Chief of Staff, Rep. Chip Roy',
+                is_new: 0 }
+        ]);
+        expect(amendment).toMatchObject({ amendment: true, income: 60000 });
+        expect(registration).toMatchObject({ kind: 'registration', income: null });
+    });
+
+    test('reads API filings and treats the ones without a client as LD-203 reports', async () => {
+        const [filing] = await importer.parseFile(path.join(FIXTURES, 'api/filings-page1.json'));
+        expect(filing).toMatchObject({
+            filing_uuid: 'b-q1',
+            registrant_address: '1 Main St, Dayton, OH, 45402',
+            expenses: 250000,
+            foreign_entities: [['Widget GmbH', 'Germany']]
+        });
+        expect(filing.issues[0].lobbyists[0]).toEqual({
+            lobbyist_name: 'Tom Jones', lobbyist_id: '5', covered_position: 'LD, Sen. Warren', is_new: 1
+        });
+
+        const [report] = await importer.parseFile(path.join(FIXTURES, 'api/contributions.json'));
+        expect(report).toMatchObject({
+            form: 'LD-203', period: 'MY', lobbyist_name: 'Jane Smith', lobbyist_id: '77'
+        });
+        expect(report.items[0]).toEqual({
+            contribution_type: 'FECA', contributor_name: 'Jane Smith', payee_name: 'Roy for Congress',
+            honoree_name: 'Rep. Chip Roy', amount: 1000, contribution_date: '2025-03-01'
+        });
+    });
+});
+
+describe('LdaImporter.import', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('keeps one row per registration and period and reports files it could not read', async () => {
+        const result = await new LdaImporter(db, FIXTURES).import();
+        expect(result).toMatchObject({
+            success: true, files: 5, filings: 6, current: 5, superseded: 1, terminations: 1,
+            contribution_reports: 3, contributions: 3
+        });
+        expect(result.errors).toEqual([expect.stringMatching(/^truncated\.xml: /)]);
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM lobbying')).toEqual({ count: 5 });
+    });
+
+    test('replaces a period\'s row with its amendment and marks the original superseded', async () => {
+        await new LdaImporter(db, FIXTURES).import();
+
+        const row = await get(db, `SELECT id, amount, report_type, lobbyist_name, specific_issues, filing_uuid
+            FROM lobbying WHERE registration_id = 'LDA-401-77-2025-Q1'`);
+        expect(row).toMatchObject({
+            amount: 60000, report_type: '1st Quarter Report (Amended)', lobbyist_name: 'Jane Smith',
+            specific_issues: 'H.R. 1, permitting reform (amended)', filing_uuid: 'AAAA-0002'
+        });
+        expect(await get(db, 'SELECT superseded_by FROM lobbying_filings WHERE filing_uuid = ?', ['AAAA-0001']))
+            .toEqual({ superseded_by: 'AAAA-0002' });
+        const lobbyists = await all(db, 'SELECT lobbyist_name FROM lobbying_lobbyists WHERE lobbying_id = ?',
+            [row.id]);
+        expect(lobbyists).toEqual([{ lobbyist_name: 'Jane Smith' }]);
+    });
+
+    test('closes every period of a terminated registration', async () => {
+        await new LdaImporter(db, FIXTURES).import();
+
+        const rows = await all(db, `SELECT filing_period, termination_date FROM lobbying
+            WHERE registrant_id = '900' ORDER BY filing_period`);
+        expect(rows).toEqual([
+            { filing_period: 'Q1', termination_date: '2025-06-30' },
+            { filing_period: 'Q2', termination_date: '2025-06-30' }
+        ]);
+        const other = await get(db, `SELECT termination_date FROM lobbying
+            WHERE registrant_id = '401' AND client_id = '78'`);
+        expect(other).toEqual({ termination_date: null });
+    });
+
+    test('keeps only the newest LD-203 report for a lobbyist\'s period', async () => {
+        await new LdaImporter(db, FIXTURES).import();
+
+        const items = await all(db, `SELECT filing_uuid, honoree_name, amount FROM lobbying_contributions
+            ORDER BY amount DESC`);
+        expect(items).toEqual([
+            { filing_uuid: 'XML203-1', honoree_name: 'Congressman Sam Graves', amount: 2000 },
+            { filing_uuid: 'ld203-1a', honoree_name: 'Rep. Chip Roy', amount: 1500 },
+            { filing_uuid: 'ld203-1a', honoree_name: 'Hon. Johnson', amount: 250 }
+        ]);
+        expect(await get(db, 'SELECT superseded_by FROM lobbying_contribution_reports WHERE filing_uuid = ?',
+            ['ld203-1'])).toEqual({ superseded_by: 'ld203-1a' });
+    });
+
+    test('is unchanged by a rerun', async () => {
+        await new LdaImporter(db, FIXTURES).import();
+        await new LdaImporter(db, FIXTURES).import();
+
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM lobbying')).toEqual({ count: 5 });
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM lobbying_contributions')).toEqual({ count: 3 });
+    });
+});
+
+describe('lobbying child tables', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    const childRows = async lobbyingId => ({
+        lobbyists: await all(db, `SELECT lobbyist_name, covered_position, is_new FROM lobbying_lobbyists
+            WHERE lobbying_id = ?`, [lobbyingId]),
+        issues: await all(db, `SELECT issue_code, issue_area, description FROM lobbying_issues WHERE lobbying_id = ?
+            ORDER BY issue_code`, [lobbyingId]),
+        entities: await all(db, `SELECT entity_type, name, country FROM lobbying_entities WHERE lobbying_id = ?
+            ORDER BY entity_type DESC, name`, [lobbyingId])
+    });
+    const rowId = async filingUuid => (await get(db, 'SELECT id FROM lobbying WHERE filing_uuid = ?', [filingUuid])).id;
+
+    test('splits a filing\'s lobbyists, issue codes and contacted entities into child rows', async () => {
+        await new LdaImporter(db, FIXTURES).import();
+
+        expect(await childRows(await rowId('b-q1'))).toEqual({
+            lobbyists: [{ lobbyist_name: 'Tom Jones', covered_position: 'LD, Sen. Warren', is_new: 1 }],
+            issues: [{ issue_code: 'MAN', issue_area: 'Manufacturing', description: 'Tariffs on steel' }],
+            entities: [
+                { entity_type: 'government', name: 'Commerce, Dept of (DOC)', country: null },
+                { entity_type: 'government', name: 'SENATE', country: null },
+                { entity_type: 'foreign', name: 'Widget GmbH', country: 'Germany' }
+            ]
+        });
+    });
+
+    test('replaces the original filing\'s child rows with its amendment\'s', async () => {
+        await new LdaImporter(db, FIXTURES).import();
+
+        const { issues, entities } = await childRows(await rowId('AAAA-0002'));
+        expect(issues).toEqual([
+            { issue_code: 'ENG', issue_area: 'ENERGY/NUCLEAR', description: 'H.R. 1, permitting reform (amended)' }
+        ]);
+        expect(entities).toEqual([{ entity_type: 'government', name: 'HOUSE OF REPRESENTATIVES', country: null }]);
+    });
+
+    test('splits the comma-joined strings of rows that did not come from a filing', async () => {
+        const { lastID } = await run(db, `INSERT INTO lobbying (registration_id, lobbyist_name, issue_areas,
+                specific_issues, government_entities, foreign_entities)
+            VALUES ('OS-1', 'Ann Lee, Bo Park, Ann Lee', 'Taxation, Defense', 'Tax credits for shipyards',
+                'SENATE, Internal Revenue Service (IRS)', 'Widget GmbH')`);
+        await new LdaImporter(db, FIXTURES).import();
+
+        expect(await normalizeLobbyingStrings(db)).toBe(1);
+        expect(await normalizeLobbyingStrings(db)).toBe(1);
+        expect(await childRows(lastID)).toEqual({
+            lobbyists: [
+                { lobbyist_name: 'Ann Lee', covered_position: null, is_new: 0 },
+                { lobbyist_name: 'Bo Park', covered_position: null, is_new: 0 }
+            ],
+            issues: [
+                { issue_code: 'DEF', issue_area: 'Defense', description: null },
+                { issue_code: 'TAX', issue_area: 'Taxation', description: 'Tax credits for shipyards' }
+            ],
+            entities: [
+                { entity_type: 'government', name: 'Internal Revenue Service (IRS)', country: null },
+                { entity_type: 'government', name: 'SENATE', country: null },
+                { entity_type: 'foreign', name: 'Widget GmbH', country: null }
+            ]
+        });
+        // Filing rows keep the child rows their filing gave them
+        expect((await childRows(await rowId('b-q1'))).issues).toHaveLength(1);
+    });
+});
+
+describe('resolveContributionHonorees', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        for (const member of [
+            ['R000614', 'Chip', 'Roy', 'house', 'TX', '21'],
+            ['G000546', 'Sam', 'Graves', 'house', 'MO', '6'],
+            ['J000299', 'Mike', 'Johnson', 'house', 'LA', '4'],
+            ['J000288', 'Hank', 'Johnson', 'house', 'GA', '4']
+        ]) {
+            await run(db, `INSERT INTO congress_members (bioguide_id, first_name, last_name, chamber, state, district)
+                VALUES (?, ?, ?, ?, ?, ?)`, member);
+        }
+        await new LdaImporter(db, FIXTURES).import();
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('links honorees to the one member their name matches and leaves ambiguous ones alone', async () => {
+        expect(await resolveContributionHonorees(db)).toEqual({ honorees: 3, resolved: 2, unresolved: 1 });
+
+        const linked = await all(db, `SELECT honoree_name, bioguide_id FROM lobbying_contributions
+            ORDER BY honoree_name`);
+        expect(linked).toEqual([
+            { honoree_name: 'Congressman Sam Graves', bioguide_id: 'G000546' },
+            { honoree_name: 'Hon. Johnson', bioguide_id: null },
+            { honoree_name: 'Rep. Chip Roy', bioguide_id: 'R000614' }
+        ]);
+    });
+});
+
+describe('LD-203 honorees', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        for (const member of [
+            ['R000614', 'Chip', 'Roy', 'house', 'TX', '21'],
+            ['J000299', 'Mike', 'Johnson', 'house', 'LA', '4'],
+            ['J000288', 'Hank', 'Johnson', 'house', 'GA', '4'],
+            ['C001119', 'Angie', 'Craig', 'house', 'MN', '2']
+        ]) {
+            await run(db, `INSERT INTO congress_members (bioguide_id, first_name, last_name, chamber, state, district)
+                VALUES (?, ?, ?, ?, ?, ?)`, member);
+        }
+        // Roy took his seat in 2019
+        await run(db, `INSERT INTO member_terms (bioguide_id, chamber, state, district, start_date, end_date)
+            VALUES ('R000614', 'house', 'TX', '21', '2019-01-03', '2027-01-03')`);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('records reports without contributions and credits registrant reports to the registrant', async () => {
+        const result = await new LdaImporter(db, LD203_FIXTURES).import();
+        expect(result).toMatchObject({ success: true, contribution_reports: 3, contributions: 6, errors: [] });
+
+        expect(await all(db, `SELECT filing_uuid, lobbyist_name, filing_period, no_contributions
+            FROM lobbying_contribution_reports ORDER BY filing_uuid`)).toEqual([
+            { filing_uuid: 'XML203-2', lobbyist_name: null, filing_period: 'YE', no_contributions: 1 },
+            { filing_uuid: 'XML203-3', lobbyist_name: null, filing_period: 'YE', no_contributions: 0 },
+            { filing_uuid: 'XML203-4', lobbyist_name: 'Jane Smith', filing_period: 'MY', no_contributions: 0 }
+        ]);
+        expect(await all(db, `SELECT DISTINCT contributor_name FROM lobbying_contributions
+            WHERE filing_uuid = 'XML203-3' ORDER BY 1`)).toEqual([
+            { contributor_name: 'BGR GOVERNMENT AFFAIRS' },
+            { contributor_name: 'BGR Government Affairs PAC' }
+        ]);
+    });
+
+    test('reads titles, committee names and the year of the contribution when linking honorees', async () => {
+        await new LdaImporter(db, LD203_FIXTURES).import();
+
+        expect(await resolveContributionHonorees(db)).toEqual({ honorees: 6, resolved: 4, unresolved: 2 });
+        expect(await all(db, `SELECT honoree_name, year, bioguide_id FROM lobbying_contributions
+            ORDER BY honoree_name`)).toEqual([
+            { honoree_name: 'Congresswoman Angie Craig', year: 2025, bioguide_id: 'C001119' },
+            { honoree_name: 'Energy Leadership Forum', year: 2025, bioguide_id: null },
+            { honoree_name: 'Friends of Hank Johnson', year: 2025, bioguide_id: 'J000288' },
+            // Not yet in office in 2018
+            { honoree_name: 'Rep. Chip Roy', year: 2018, bioguide_id: null },
+            { honoree_name: 'Roy for Congress', year: 2025, bioguide_id: 'R000614' },
+            { honoree_name: 'The Honorable Mike Johnson', year: 2025, bioguide_id: 'J000299' }
+        ]);
+
+        // Later runs only look at honorees still unlinked
+        expect(await resolveContributionHonorees(db)).toEqual({ honorees: 2, resolved: 0, unresolved: 2 });
+    });
+});
@@ -0,0 +1,125 @@
+const path = require('path');
+const LegislatorsImporter = require('../services/legislatorsImporter');
+const { run, get, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const FIXTURES = path.join(__dirname, 'fixtures/congress-legislators');
+
+const SCHEMA = [
+    `CREATE TABLE congress_members (
+        bioguide_id TEXT PRIMARY KEY, first_name TEXT, last_name TEXT, party TEXT, state TEXT, chamber TEXT,
+        district TEXT, position TEXT, in_office INTEGER DEFAULT 1, next_election TEXT, phone TEXT,
+        twitter_handle TEXT, facebook_handle TEXT, youtube_handle TEXT, website TEXT, lis_id TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE member_terms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, bioguide_id TEXT, chamber TEXT, state TEXT, district TEXT,
+        party TEXT, start_date TEXT, end_date TEXT, state_rank TEXT, senate_class INTEGER
+    )`,
+    'CREATE TABLE member_fec_ids (fec_id TEXT PRIMARY KEY, bioguide_id TEXT)'
+];
+
+// The fixtures hold the 119th Congress, so "today" is pinned inside it
+const TODAY = '2025-06-01';
+
+describe('LegislatorsImporter.mapLegislator', () => {
+    const importer = new LegislatorsImporter(null, FIXTURES);
+    const [schumer, roy] = importer.readDataset('legislators-current');
+
+    test('maps the latest term, nickname, party code and active leadership role', () => {
+        const { member, terms, fecIds } = importer.mapLegislator(schumer, { twitter: 'SenSchumer' }, TODAY);
+        expect(member).toMatchObject({
+            bioguide_id: 'S000148',
+            first_name: 'Chuck',
+            last_name: 'Schumer',
+            party: 'D',
+            state: 'NY',
+            chamber: 'senate',
+            district: null,
+            position: 'Minority Leader',
+            in_office: 1,
+            next_election: '2028',
+            phone: '202-224-6542',
+            website: 'https://www.schumer.senate.gov',
+            twitter_handle: 'SenSchumer',
+            lis_id: 'S270'
+        });
+        expect(terms).toHaveLength(2);
+        expect(terms[0]).toMatchObject({ chamber: 'house', district: '9', party: 'D', start_date: '1993-01-05' });
+        expect(terms[1]).toMatchObject({ senate_class: 3, state_rank: 'senior' });
+        expect(fecIds).toEqual(['S8NY00082', 'H0NY09072']);
+    });
+
+    test('leaves a member whose last term has ended out of office with no position or election', () => {
+        const { member } = importer.mapLegislator(schumer, {}, '2029-02-01');
+        expect(member).toMatchObject({ in_office: 0, position: null, next_election: null });
+    });
+
+    test('reads YouTube handles from either social field and skips records without a bioguide ID', () => {
+        expect(importer.mapLegislator(roy, { youtube_id: 'UCabc' }, TODAY).member.youtube_handle).toBe('UCabc');
+        expect(importer.mapLegislator({ name: { last: 'Nobody' } }, {}, TODAY)).toBeNull();
+    });
+});
+
+describe('LegislatorsImporter.import', () => {
+    let db;
+
+    beforeEach(async () => {
+        jest.useFakeTimers({ now: new Date(`${TODAY}T12:00:00Z`), doNotFake: ['nextTick', 'setImmediate'] });
+        db = await openDatabase(SCHEMA);
+        // A former member tracked from the bundled data, and one with no record in either file
+        await run(db, `INSERT INTO congress_members (bioguide_id, first_name, last_name, party, state, chamber,
+            district, position, in_office) VALUES ('P000592', 'Ted', 'Poe', 'R', 'TX', 'house', '2', NULL, 1)`);
+        await run(db, `INSERT INTO congress_members (bioguide_id, first_name, last_name, party, state, chamber,
+            position, in_office) VALUES ('X000001', 'Gone', 'Member', 'D', 'CA', 'senate', 'Whip', 1)`);
+    });
+
+    afterEach(async () => {
+        jest.useRealTimers();
+        await closeDatabase(db);
+    });
+
+    test('loads current members with their terms, FEC IDs and social handles', async () => {
+        const result = await new LegislatorsImporter(db, FIXTURES).import();
+        expect(result).toEqual({ success: true, current: 3, historical: 1, departed: 1 });
+
+        const roy = await get(db, 'SELECT * FROM congress_members WHERE bioguide_id = ?', ['R000614']);
+        expect(roy).toMatchObject({
+            first_name: 'Chip', chamber: 'house', district: '21', in_office: 1, next_election: '2026',
+            twitter_handle: 'RepChipRoy', youtube_handle: 'UCJCq3mDE1cCgmBrbyI3DNXw'
+        });
+        const fecIds = await all(db, 'SELECT fec_id FROM member_fec_ids WHERE bioguide_id = ? ORDER BY fec_id',
+            ['S000148']);
+        expect(fecIds.map(row => row.fec_id)).toEqual(['H0NY09072', 'S8NY00082']);
+    });
+
+    test('refreshes tracked former members from the historical file without loading untracked ones', async () => {
+        await new LegislatorsImporter(db, FIXTURES).import();
+
+        const poe = await get(db, 'SELECT in_office, next_election FROM congress_members WHERE bioguide_id = ?',
+            ['P000592']);
+        expect(poe).toEqual({ in_office: 0, next_election: null });
+        const terms = await all(db, 'SELECT end_date FROM member_terms WHERE bioguide_id = ? ORDER BY start_date',
+            ['P000592']);
+        expect(terms.map(term => term.end_date)).toEqual(['2007-01-03', '2019-01-03']);
+        expect(await get(db, 'SELECT 1 FROM congress_members WHERE bioguide_id = ?', ['L000001'])).toBeUndefined();
+    });
+
+    test('marks members missing from the current file as departed and clears their position', async () => {
+        await new LegislatorsImporter(db, FIXTURES).import();
+
+        const gone = await get(db, 'SELECT in_office, position FROM congress_members WHERE bioguide_id = ?',
+            ['X000001']);
+        expect(gone).toEqual({ in_office: 0, position: null });
+
+        // A rerun finds nobody new to mark
+        const rerun = await new LegislatorsImporter(db, FIXTURES).import();
+        expect(rerun.departed).toBe(0);
+    });
+
+    test('fails without a legislators-current file', async () => {
+        const result = await new LegislatorsImporter(db, path.join(FIXTURES, 'missing')).import();
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/No legislators-current dataset/);
+    });
+});
@@ -0,0 +1,58 @@
+const { MIGRATIONS, migrate } = require('../services/migrations');
+const { run, get, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+describe('migrate', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase([
+            'CREATE TABLE lobbying (id INTEGER PRIMARY KEY AUTOINCREMENT, registration_id TEXT)',
+            'CREATE TABLE votes (vote_id TEXT PRIMARY KEY, chamber TEXT)',
+            `CREATE TABLE member_votes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, vote_id TEXT, member_id TEXT, vote_position TEXT, lis_id TEXT
+            )`
+        ]);
+        await run(db, `INSERT INTO lobbying (registration_id) VALUES ('LOB2025-001'), ('LDA-401-77-2025-Q1')`);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('applies every migration to a new database and records the schema version', async () => {
+        expect(await migrate(db)).toEqual({ from: 0, to: MIGRATIONS.length });
+        expect(await get(db, 'PRAGMA user_version')).toEqual({ user_version: MIGRATIONS.length });
+        expect(await all(db, 'SELECT registration_id FROM lobbying')).toEqual([
+            { registration_id: 'LDA-401-77-2025-Q1' }
+        ]);
+    });
+
+    test('moves Senate LIS ids stored as member ids into lis_id', async () => {
+        await run(db, `INSERT INTO votes (vote_id, chamber) VALUES ('s7-119.1', 'senate'), ('h2-119.1', 'house')`);
+        await run(db, `INSERT INTO member_votes (vote_id, member_id, vote_position) VALUES
+            ('s7-119.1', 'S270', 'Yes'), ('s7-119.1', 'S000148', 'Yes'), ('h2-119.1', 'S001', 'No')`);
+        await migrate(db);
+
+        expect(await all(db, 'SELECT vote_id, member_id, lis_id FROM member_votes ORDER BY id')).toEqual([
+            { vote_id: 's7-119.1', member_id: null, lis_id: 'S270' },
+            { vote_id: 's7-119.1', member_id: 'S000148', lis_id: null },
+            { vote_id: 'h2-119.1', member_id: 'S001', lis_id: null }
+        ]);
+    });
+
+    test('runs each migration only once', async () => {
+        const migration = jest.fn(() => run(db, 'DELETE FROM lobbying WHERE id = 1'));
+        await migrate(db, [migration]);
+        await run(db, `INSERT INTO lobbying (id, registration_id) VALUES (1, 'LOB2025-002')`);
+
+        expect(await migrate(db, [migration])).toEqual({ from: 1, to: 1 });
+        expect(migration).toHaveBeenCalledTimes(1);
+        expect(await get(db, 'SELECT registration_id FROM lobbying WHERE id = 1'))
+            .toEqual({ registration_id: 'LOB2025-002' });
+    });
+
+    test('leaves the version alone when a migration fails', async () => {
+        const failing = () => run(db, 'DELETE FROM missing_table');
+        await expect(migrate(db, [MIGRATIONS[0], failing])).rejects.toThrow(/no such table/);
+        expect(await get(db, 'PRAGMA user_version')).toEqual({ user_version: 1 });
+    });
+});
@@ -0,0 +1,122 @@
+const { parseListParams, paginate, encodeCursor } = require('../services/pagination');
+const { run, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const SCHEMA = [
+    'CREATE TABLE awards (award_id TEXT PRIMARY KEY, recipient TEXT, amount REAL, agency TEXT)'
+];
+
+// Ties, NULLs and mixed case so every branch of the keyset comparison is crossed
+const AWARDS = [
+    ['A1', 'boeing', 500], ['A2', 'Acme', 100], ['A3', 'Boeing', 500], ['A4', null, 250], ['A5', 'Zenith', null],
+    ['A6', 'acme', 100], ['A7', null, null], ['A8', 'Lockheed', 900], ['A9', 'Raytheon', 250]
+];
+
+const OPTIONS = {
+    sortFields: { amount: 'amount', recipient: 'recipient COLLATE NOCASE' },
+    defaultSort: 'amount',
+    tiebreaker: 'award_id'
+};
+
+describe('paginate', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        for (const [id, recipient, amount] of AWARDS) {
+            await run(db, 'INSERT INTO awards (award_id, recipient, amount, agency) VALUES (?, ?, ?, ?)',
+                [id, recipient, amount, Number(id.slice(1)) % 2 ? 'DOD' : 'NASA']);
+        }
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    // Follows next_cursor to the end and returns every page
+    async function walk(query) {
+        const pages = [];
+        let cursor;
+        do {
+            const list = parseListParams({ ...query, limit: '2', cursor }, OPTIONS);
+            const page = await paginate(db, { select: '*', from: 'FROM awards', list });
+            pages.push(page);
+            cursor = page.next_cursor;
+        } while (cursor);
+        return pages;
+    }
+
+    test.each([
+        [{}, 'amount DESC'],
+        [{ order: 'asc' }, 'amount ASC'],
+        [{ sort: 'recipient' }, 'recipient COLLATE NOCASE ASC'],
+        [{ sort: 'recipient', order: 'desc' }, 'recipient COLLATE NOCASE DESC']
+    ])('cursors walk %p in the same order as ORDER BY %s', async (query, orderBy) => {
+        const expected = await all(db, `SELECT * FROM awards ORDER BY ${orderBy}, award_id`);
+        const pages = await walk(query);
+
+        expect(pages.flatMap(page => page.data)).toEqual(expected);
+        expect(pages.map(page => page.page)).toEqual([1, 2, 3, 4, 5]);
+        expect(pages.every(page => page.total === AWARDS.length)).toBe(true);
+    });
+
+    test('resumes after the last row even when rows are added before it', async () => {
+        const first = await paginate(db, { select: 'award_id', from: 'FROM awards', list: parseListParams(
+            { sort: 'recipient', limit: '3' }, OPTIONS) });
+        expect(first.data.map(row => row.award_id)).toEqual(['A4', 'A7', 'A2']);
+
+        await run(db, `INSERT INTO awards (award_id, recipient, amount) VALUES ('A0', 'Abbott', 10)`);
+        const second = await paginate(db, { select: 'award_id', from: 'FROM awards', list: parseListParams(
+            { sort: 'recipient', limit: '3', cursor: first.next_cursor }, OPTIONS) });
+        expect(second.data.map(row => row.award_id)).toEqual(['A6', 'A1', 'A3']);
+    });
+
+    test('page skips ahead by offset and still hands out a cursor', async () => {
+        const page = await paginate(db, { select: 'award_id', from: 'FROM awards', list: parseListParams(
+            { order: 'asc', limit: '4', page: '2' }, OPTIONS) });
+        expect(page).toMatchObject({ page: 2, data: [{ award_id: 'A4' }, { award_id: 'A9' }, { award_id: 'A1' },
+            { award_id: 'A3' }] });
+
+        const next = await paginate(db, { select: 'award_id', from: 'FROM awards', list: parseListParams(
+            { order: 'asc', limit: '4', cursor: page.next_cursor }, OPTIONS) });
+        expect(next).toMatchObject({ page: 3, data: [{ award_id: 'A8' }], next_cursor: null });
+    });
+
+    test('counts groups rather than rows for grouped queries', async () => {
+        const list = parseListParams({ limit: '1' }, {
+            sortFields: { awards: 'COUNT(*)' },
+            defaultSort: 'awards',
+            tiebreaker: 'agency'
+        });
+        const page = await paginate(db, {
+            select: 'agency, COUNT(*) AS awards',
+            from: 'FROM awards GROUP BY agency',
+            list
+        });
+
+        expect(page).toMatchObject({ total: 2, data: [{ agency: 'DOD', awards: 5 }] });
+        expect(page.data[0]).not.toHaveProperty('_key0');
+    });
+});
+
+describe('parseListParams', () => {
+    test.each([
+        ['not a cursor'],
+        [encodeCursor({ k: [500, 'A1'], s: 'amount', o: 'asc', p: 2 })],
+        [encodeCursor({ k: ['boeing', 'A1'], s: 'recipient', o: 'asc', p: 2 })],
+        [encodeCursor({ k: [500], s: 'amount', o: 'desc', p: 2 })],
+        [encodeCursor({ k: [{}, 'A1'], s: 'amount', o: 'desc', p: 2 })]
+    ])('rejects cursor %p for an amount DESC listing', cursor => {
+        expect(() => parseListParams({ cursor }, OPTIONS)).toThrow(expect.objectContaining({
+            message: 'Invalid cursor', status: 400
+        }));
+    });
+
+    test('splits the tiebreaker into sort keys', () => {
+        const list = parseListParams({ sort: 'recipient' }, { ...OPTIONS, tiebreaker: 'agency DESC, award_id' });
+        expect(list.keys).toEqual([
+            { expression: 'recipient COLLATE NOCASE', direction: 'ASC' },
+            { expression: 'agency', direction: 'DESC' },
+            { expression: 'award_id', direction: 'ASC' }
+        ]);
+        expect(list.orderBy).toBe('recipient COLLATE NOCASE ASC, agency DESC, award_id ASC');
+    });
+});
@@ -0,0 +1,115 @@
+const { createHistoryTables, recordVersions, asOfSubquery, versionHistory } = require('../services/recordHistory');
+const { run, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const SCHEMA = [
+    `CREATE TABLE bills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, bill_id TEXT UNIQUE, title TEXT, status TEXT, latest_action TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE federal_spending (
+        award_id TEXT PRIMARY KEY, recipient_name TEXT, award_amount REAL, updated_at DATETIME
+    )`,
+    `CREATE TABLE lobbying (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, registration_id TEXT UNIQUE, client_name TEXT, amount REAL,
+        updated_at DATETIME
+    )`
+];
+
+// createHistoryTables queues its statements without callbacks; this waits for them to finish
+const createTables = db => new Promise((resolve, reject) => db.serialize(() => {
+    createHistoryTables(db);
+    db.get('SELECT 1', error => (error ? reject(error) : resolve()));
+}));
+
+const BILL = `INSERT OR REPLACE INTO bills (bill_id, title, status, latest_action, updated_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`;
+
+const JAN = new Date('2025-01-10T12:00:00Z');
+const FEB = new Date('2025-02-10T12:00:00Z');
+const MAR = new Date('2025-03-10T12:00:00Z');
+
+describe('recordHistory', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        await createTables(db);
+        await run(db, BILL, ['hr1-119', 'Solar Energy Jobs Act', 'introduced', 'Referred to committee']);
+        await run(db, BILL, ['hr2-119', 'Highway Funding Act', 'introduced', 'Referred to committee']);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    const billsAsOf = date => all(db, `SELECT bills.bill_id, bills.status FROM ${asOfSubquery('legislation')} AS bills
+        ORDER BY bills.bill_id`, [date, date]);
+
+    test('opens a version per new record and ignores reloads that change nothing', async () => {
+        expect(await recordVersions(db, 'legislation', JAN)).toEqual({ created: 2, updated: 0, closed: 0 });
+
+        // A reload replaces rows with new ids and refresh timestamps
+        await run(db, BILL, ['hr1-119', 'Solar Energy Jobs Act', 'introduced', 'Referred to committee']);
+        expect(await recordVersions(db, 'legislation', FEB)).toEqual({ created: 0, updated: 0, closed: 0 });
+        expect(await all(db, 'SELECT bill_id, version, valid_from, valid_to FROM bills_history ORDER BY bill_id'))
+            .toEqual([
+                { bill_id: 'hr1-119', version: 1, valid_from: '2025-01-10 12:00:00', valid_to: null },
+                { bill_id: 'hr2-119', version: 1, valid_from: '2025-01-10 12:00:00', valid_to: null }
+            ]);
+    });
+
+    test('closes changed and removed records and reads the table as it stood on a date', async () => {
+        await recordVersions(db, 'legislation', JAN);
+        await run(db, BILL, ['hr1-119', 'Solar Energy Jobs Act', 'passed_house', 'Passed House']);
+        expect(await recordVersions(db, 'legislation', FEB)).toEqual({ created: 0, updated: 1, closed: 0 });
+        await run(db, `DELETE FROM bills WHERE bill_id = 'hr2-119'`);
+        await run(db, BILL, ['hr3-119', 'Rooftop Solar Act', 'introduced', 'Referred to committee']);
+        expect(await recordVersions(db, 'legislation', MAR)).toEqual({ created: 1, updated: 0, closed: 1 });
+
+        expect(await billsAsOf('2025-01-09')).toEqual([]);
+        expect(await billsAsOf('2025-01-10')).toEqual([
+            { bill_id: 'hr1-119', status: 'introduced' },
+            { bill_id: 'hr2-119', status: 'introduced' }
+        ]);
+        expect(await billsAsOf('2025-02-10')).toEqual([
+            { bill_id: 'hr1-119', status: 'passed_house' },
+            { bill_id: 'hr2-119', status: 'introduced' }
+        ]);
+        expect(await billsAsOf('2025-03-31')).toEqual([
+            { bill_id: 'hr1-119', status: 'passed_house' },
+            { bill_id: 'hr3-119', status: 'introduced' }
+        ]);
+    });
+
+    test('lists every version of a record with the fields changed from the one before', async () => {
+        await recordVersions(db, 'legislation', JAN);
+        await run(db, BILL, ['hr1-119', 'Solar Energy Jobs Act', 'passed_house', 'Passed House']);
+        await recordVersions(db, 'legislation', FEB);
+
+        const versions = await versionHistory(db, 'legislation', 'hr1-119');
+        const summary = ({ version, valid_from, valid_to, changes }) => ({ version, valid_from, valid_to, changes });
+        expect(versions.map(summary)).toEqual([
+            { version: 1, valid_from: '2025-01-10 12:00:00', valid_to: '2025-02-10 12:00:00', changes: {} },
+            {
+                version: 2,
+                valid_from: '2025-02-10 12:00:00',
+                valid_to: null,
+                changes: {
+                    status: { from: 'introduced', to: 'passed_house' },
+                    latest_action: { from: 'Referred to committee', to: 'Passed House' }
+                }
+            }
+        ]);
+        expect(versions[1].record.title).toBe('Solar Energy Jobs Act');
+        expect(await versionHistory(db, 'legislation', 'hr9-119')).toEqual([]);
+    });
+
+    test('copies columns added to the source table after history began', async () => {
+        await recordVersions(db, 'legislation', JAN);
+        await run(db, 'ALTER TABLE bills ADD COLUMN policy_area TEXT');
+        await run(db, `UPDATE bills SET policy_area = 'Energy' WHERE bill_id = 'hr1-119'`);
+
+        expect(await recordVersions(db, 'legislation', FEB)).toEqual({ created: 0, updated: 1, closed: 0 });
+        expect(await all(db, `SELECT version, policy_area FROM bills_history WHERE bill_id = 'hr1-119'
+            ORDER BY version`)).toEqual([{ version: 1, policy_area: null }, { version: 2, policy_area: 'Energy' }]);
+    });
+});
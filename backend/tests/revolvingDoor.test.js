@@ -0,0 +1,60 @@
+const RevolvingDoorLinker = require('../services/revolvingDoor');
+const { officeKey } = RevolvingDoorLinker;
+
+const term = (chamber, state, start_date, end_date, district = null) =>
+    ({ chamber, state, district, start_date, end_date });
+
+const MEMBERS = [
+    { bioguide_id: 'P000592', first_name: 'Ted', last_name: 'Poe', chamber: 'house', state: 'TX', district: '2',
+        terms: [term('house', 'TX', '2005-01-04', '2019-01-03', '2')] },
+    { bioguide_id: 'W000817', first_name: 'Elizabeth', last_name: 'Warren', chamber: 'senate', state: 'MA',
+        terms: [term('senate', 'MA', '2013-01-03', '2031-01-03')] },
+    { bioguide_id: 'F000999', first_name: 'Future', last_name: 'Freshman', chamber: 'house', state: 'OH',
+        terms: [term('house', 'OH', '2031-01-03', '2033-01-03', '1')] }
+];
+
+describe('officeKey', () => {
+    test.each([
+        ['SENATE', 'senate'],
+        ['HOUSE OF REPRESENTATIVES', 'house'],
+        ['Environmental Protection Agency (EPA)', 'EPA'],
+        ['Veterans Affairs, Dept of (VA)', 'VA'],
+        ['VETERANS AFFAIRS, DEPT OF', 'VA'],
+        ['Department of Veterans Affairs', 'VA'],
+        ['Securities & Exchange Commission (SEC)', 'SEC'],
+        ['SECURITIES AND EXCHANGE COMMISSION', 'SEC'],
+        ['Commerce, Dept of (DOC)', 'DOC'],
+        ['Smithsonian Institution', null]
+    ])('%s -> %s', (entity, expected) => {
+        expect(officeKey(entity)).toBe(expected);
+    });
+
+    test('only reads VA and SEC as acronyms in capitals', () => {
+        expect(officeKey('Federal Trade Commission (FTC), staff sec')).toBe('FTC');
+        expect(officeKey('Va. state liaison')).toBeNull();
+        expect(officeKey('second assistant')).toBeNull();
+    });
+});
+
+describe('RevolvingDoorLinker.linkPosition', () => {
+    const linker = new RevolvingDoorLinker(null);
+    const link = (text, year) => linker.linkPosition({ text }, year, MEMBERS, []);
+
+    test('links a position with a member who has since left Congress', () => {
+        expect(link('Legislative Director, Rep. Ted Poe', 2025)).toMatchObject({
+            office_type: 'member', office_key: 'house', bioguide_id: 'P000592'
+        });
+    });
+
+    test('stays unlinked when the member\'s service falls outside the covered-position window', () => {
+        expect(link('Legislative Director, Rep. Ted Poe', 2045).bioguide_id).toBeNull();
+        expect(link('Scheduler, Rep. Future Freshman', 2025).bioguide_id).toBeNull();
+    });
+
+    test('keys senators, agencies and chambers', () => {
+        expect(link('Counsel, Sen. Warren', 2025)).toMatchObject({ office_key: 'senate', bioguide_id: 'W000817' });
+        expect(link('Deputy Administrator, EPA', 2025)).toMatchObject({ office_type: 'agency', agency_code: 'EPA' });
+        expect(link('Attorney, Securities and Exchange Commission', 2025)).toMatchObject({ agency_code: 'SEC' });
+        expect(link('Page, U.S. Senate', 2025)).toMatchObject({ office_type: 'chamber', office_key: 'senate' });
+    });
+});
@@ -0,0 +1,141 @@
+const path = require('path');
+const RollCallImporter = require('../services/rollCallImporter');
+const { normalizeBillId, parseHouseDate, parseSenateDate, resolveMemberVotes } = RollCallImporter;
+const { run, get, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const FIXTURES = path.join(__dirname, 'fixtures/roll-calls');
+
+const SCHEMA = [
+    `CREATE TABLE votes (
+        vote_id TEXT PRIMARY KEY, chamber TEXT, session INTEGER, roll_call INTEGER, source_url TEXT, bill_id TEXT,
+        question TEXT, description TEXT, vote_type TEXT, date_time TEXT, result TEXT, total_yes INTEGER,
+        total_no INTEGER, total_not_voting INTEGER, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP, congress INTEGER,
+        total_present INTEGER
+    )`,
+    `CREATE TABLE member_votes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, vote_id TEXT, member_id TEXT, vote_position TEXT, lis_id TEXT,
+        last_name TEXT, state TEXT
+    )`,
+    `CREATE TABLE congress_members (
+        bioguide_id TEXT PRIMARY KEY, first_name TEXT, last_name TEXT, state TEXT, chamber TEXT, lis_id TEXT
+    )`
+];
+
+const MEMBERS = [
+    ['R000614', 'Roy', 'TX', 'house', null],
+    ['S000148', 'Schumer', 'NY', 'senate', 'S270'],
+    // No LIS id yet: matched on surname and state
+    ['W000817', 'Warren', 'MA', 'senate', null]
+];
+
+describe('parseHouseDate', () => {
+    test('reads the Clerk\'s day-month-year date and 24-hour time', () => {
+        expect(parseHouseDate('7-Jan-2025', '15:15')).toBe('2025-01-07T15:15');
+        expect(parseHouseDate('21-Nov-2024')).toBe('2024-11-21');
+        expect(parseHouseDate('2025-01-07')).toBeNull();
+        expect(parseHouseDate(null)).toBeNull();
+    });
+});
+
+describe('parseSenateDate', () => {
+    test.each([
+        ['January 20, 2025,  06:05 PM', '2025-01-20T18:05'],
+        ['March 3, 2025, 12:30 AM', '2025-03-03T00:30'],
+        ['March 3, 2025, 12:15 PM', '2025-03-03T12:15'],
+        ['September 9, 2025', '2025-09-09'],
+        ['Smarch 1, 2025', null],
+        ['', null]
+    ])('%p -> %p', (value, expected) => {
+        expect(parseSenateDate(value)).toBe(expected);
+    });
+});
+
+describe('normalizeBillId', () => {
+    test('builds bills.bill_id from either chamber\'s bill type spelling', () => {
+        expect(normalizeBillId('H R', '29', 119)).toBe('hr29-119');
+        expect(normalizeBillId('H.J.Res.', '007', 119)).toBe('hjres7-119');
+        expect(normalizeBillId('S.', '5', 119)).toBe('s5-119');
+        expect(normalizeBillId('PN', '', 119)).toBeNull();
+        expect(normalizeBillId('', '5', 119)).toBeNull();
+    });
+});
+
+describe('RollCallImporter.import', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        for (const member of MEMBERS) {
+            await run(db, `INSERT INTO congress_members (bioguide_id, last_name, state, chamber, lis_id)
+                VALUES (?, ?, ?, ?, ?)`, member);
+        }
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('saves House and Senate votes and reports files that are not roll calls', async () => {
+        const result = await new RollCallImporter(db, FIXTURES).import();
+        expect(result).toEqual({
+            success: true, files: 3, votes: 2, positions: 6, unresolved: 1,
+            errors: ['not-a-vote.xml: not a House or Senate roll-call vote']
+        });
+
+        expect(await get(db, 'SELECT * FROM votes WHERE vote_id = ?', ['h2-119.1'])).toMatchObject({
+            chamber: 'house', congress: 119, roll_call: 2, bill_id: 'hr29-119', date_time: '2025-01-07T15:15',
+            source_url: 'https://clerk.house.gov/evs/2025/roll002.xml', total_yes: 264, total_not_voting: 12
+        });
+        expect(await get(db, 'SELECT * FROM votes WHERE vote_id = ?', ['s7-119.1'])).toMatchObject({
+            chamber: 'senate', bill_id: 's5-119', question: 'On the Cloture Motion', vote_type: '3/5 majority',
+            date_time: '2025-01-20T18:05', total_present: 0, total_not_voting: 7
+        });
+    });
+
+    test('matches Senate positions by LIS id, then surname and state, and leaves the rest unlinked', async () => {
+        await new RollCallImporter(db, FIXTURES).import();
+
+        const positions = await all(db, `SELECT member_id, lis_id, last_name, vote_position FROM member_votes
+            WHERE vote_id = 's7-119.1' ORDER BY id`);
+        expect(positions).toEqual([
+            { member_id: 'S000148', lis_id: 'S270', last_name: 'Schumer', vote_position: 'Yes' },
+            { member_id: 'W000817', lis_id: 'S366', last_name: 'Warren', vote_position: 'No' },
+            { member_id: null, lis_id: 'S999', last_name: 'Newcomer', vote_position: 'Yes' }
+        ]);
+        const house = await all(db, `SELECT member_id, vote_position FROM member_votes
+            WHERE vote_id = 'h2-119.1' ORDER BY id`);
+        expect(house.map(row => row.member_id)).toEqual(['R000614', 'J000299', 'G000546']);
+        expect(house.map(row => row.vote_position)).toEqual(['Yes', 'Yes', 'Not Voting']);
+    });
+
+    test('replaces a vote\'s positions on a rerun', async () => {
+        await new RollCallImporter(db, FIXTURES).import();
+        await new RollCallImporter(db, FIXTURES).import();
+
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM member_votes')).toEqual({ count: 6 });
+    });
+});
+
+describe('resolveMemberVotes', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        await new RollCallImporter(db, FIXTURES).import();
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('links positions once their member loads', async () => {
+        expect(await resolveMemberVotes(db)).toEqual({ positions: 3, resolved: 0 });
+
+        await run(db, `INSERT INTO congress_members (bioguide_id, last_name, state, chamber, lis_id)
+            VALUES ('N000001', 'Newcomer', 'OH', 'senate', 'S999'), ('S000148', 'Schumer', 'NY', 'senate', 'S270')`);
+        expect(await resolveMemberVotes(db)).toEqual({ positions: 3, resolved: 2 });
+        expect(await all(db, `SELECT lis_id, member_id FROM member_votes WHERE vote_id = 's7-119.1' ORDER BY id`))
+            .toEqual([
+                { lis_id: 'S270', member_id: 'S000148' },
+                { lis_id: 'S366', member_id: null },
+                { lis_id: 'S999', member_id: 'N000001' }
+            ]);
+    });
+});
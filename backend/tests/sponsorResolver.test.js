@@ -0,0 +1,157 @@
+const SponsorResolver = require('../services/sponsorResolver');
+const { parseSponsor, congressDates, congressForYear } = SponsorResolver;
+const { run, all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const SCHEMA = [
+    `CREATE TABLE congress_members (
+        bioguide_id TEXT PRIMARY KEY, first_name TEXT, last_name TEXT, party TEXT, state TEXT, chamber TEXT,
+        district TEXT, position TEXT
+    )`,
+    `CREATE TABLE member_terms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, bioguide_id TEXT, chamber TEXT, state TEXT, district TEXT,
+        party TEXT, start_date TEXT, end_date TEXT
+    )`,
+    `CREATE TABLE bills (
+        bill_id TEXT PRIMARY KEY, congress INTEGER, title TEXT, sponsor_id TEXT, sponsor_name TEXT
+    )`,
+    `CREATE TABLE unresolved_sponsors (
+        sponsor_name TEXT, congress INTEGER, reason TEXT, candidates TEXT,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP, last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY(sponsor_name, congress)
+    )`,
+    `CREATE TABLE sponsor_aliases (
+        sponsor_name TEXT PRIMARY KEY, bioguide_id TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+];
+
+const MEMBERS = [
+    ['R000614', 'Chip', 'Roy', 'R', 'TX', 'house', '21', null],
+    ['J000299', 'Mike', 'Johnson', 'R', 'LA', 'house', '4', 'Speaker of the House'],
+    ['J000301', 'Dusty', 'Johnson', 'R', 'SD', 'house', '0', null],
+    ['T000250', 'John', 'Thune', 'R', 'SD', 'senate', null, 'Majority Leader'],
+    ['R000307', 'Pat', 'Roberts', 'R', 'KS', 'senate', null, null]
+];
+
+// 119th Congress seats, plus a senator who retired before it
+const TERMS = [
+    ['R000614', 'house', 'TX', '21', '2025-01-03', '2027-01-03'],
+    ['J000299', 'house', 'LA', '4', '2025-01-03', '2027-01-03'],
+    ['J000301', 'house', 'SD', '0', '2025-01-03', '2027-01-03'],
+    ['T000250', 'senate', 'SD', null, '2023-01-03', '2029-01-03'],
+    ['R000307', 'senate', 'KS', null, '2015-01-03', '2021-01-03']
+];
+
+describe('parseSponsor', () => {
+    test('reads titles, leadership positions and the state and district in either notation', () => {
+        expect(parseSponsor('Rep. Roy (TX)')).toEqual({ name: 'roy', first_name: null, chamber: 'house',
+            position: null, party: null, state: 'TX', district: null });
+        expect(parseSponsor('Rep. Roy, Chip [R-TX-21]')).toEqual({ name: 'roy', first_name: 'chip',
+            chamber: 'house', position: null, party: 'R', state: 'TX', district: '21' });
+        expect(parseSponsor('Speaker Johnson')).toMatchObject({ name: 'johnson', chamber: 'house',
+            position: 'speaker' });
+        expect(parseSponsor('Majority Leader Thune')).toMatchObject({ name: 'thune', chamber: null,
+            position: 'leader' });
+        expect(parseSponsor('Sen. Luján, Ben Ray [D-NM]')).toMatchObject({ name: 'lujan', first_name: 'ben',
+            chamber: 'senate', state: 'NM', district: null });
+        expect(parseSponsor('Rep. Johnson, Dusty [R-SD-At Large]')).toMatchObject({ state: 'SD', district: null });
+    });
+
+    test('maps Congresses to their dates and years', () => {
+        expect(congressDates(119)).toEqual({ start: '2025-01-03', end: '2027-01-03' });
+        expect(congressForYear(2025)).toBe(119);
+        expect(congressForYear(2026)).toBe(119);
+    });
+});
+
+describe('SponsorResolver', () => {
+    let db;
+    let resolver;
+
+    const addBills = bills => Promise.all(bills.map(([billId, sponsorName, sponsorId = null]) =>
+        run(db, 'INSERT INTO bills (bill_id, congress, sponsor_name, sponsor_id) VALUES (?, 119, ?, ?)',
+            [billId, sponsorName, sponsorId])));
+    const sponsors = () => all(db, 'SELECT bill_id, sponsor_id FROM bills ORDER BY bill_id');
+    const queue = () => all(db, 'SELECT sponsor_name, congress, reason, candidates FROM unresolved_sponsors');
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        for (const member of MEMBERS) {
+            await run(db, `INSERT INTO congress_members (bioguide_id, first_name, last_name, party, state, chamber,
+                district, position) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, member);
+        }
+        for (const term of TERMS) {
+            await run(db, `INSERT INTO member_terms (bioguide_id, chamber, state, district, start_date, end_date)
+                VALUES (?, ?, ?, ?, ?, ?)`, term);
+        }
+        resolver = new SponsorResolver(db);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('resolves sponsors by name, state, district, chamber and position', async () => {
+        await addBills([
+            ['hr1-119', 'Rep. Roy (TX)'],
+            ['hr2-119', 'Rep. Roy, Chip [R-TX-21]'],
+            ['hr3-119', 'Speaker Johnson'],
+            ['s1-119', 'Sen. Thune'],
+            ['s2-119', 'Majority Leader Thune']
+        ]);
+
+        expect(await resolver.resolve()).toEqual({ success: true, bills: 5, resolved: 5, unresolved: 0 });
+        expect(await sponsors()).toEqual([
+            { bill_id: 'hr1-119', sponsor_id: 'R000614' },
+            { bill_id: 'hr2-119', sponsor_id: 'R000614' },
+            { bill_id: 'hr3-119', sponsor_id: 'J000299' },
+            { bill_id: 's1-119', sponsor_id: 'T000250' },
+            { bill_id: 's2-119', sponsor_id: 'T000250' }
+        ]);
+    });
+
+    test('queues ambiguous and unmatched sponsors, including members not serving in that Congress', async () => {
+        await addBills([['hr4-119', 'Rep. Johnson'], ['s3-119', 'Sen. Roberts (KS)']]);
+
+        expect(await resolver.resolve()).toEqual({ success: true, bills: 2, resolved: 0, unresolved: 2 });
+        expect(await queue()).toEqual([
+            { sponsor_name: 'Rep. Johnson', congress: 119, reason: 'ambiguous', candidates: '["J000299","J000301"]' },
+            { sponsor_name: 'Sen. Roberts (KS)', congress: 119, reason: 'no_match', candidates: '[]' }
+        ]);
+    });
+
+    test('moves sponsor strings older loads wrote into sponsor_id back to sponsor_name', async () => {
+        await addBills([['hr1-119', null, 'Rep. Roy (TX)'], ['hr2-119', null, 'J000301']]);
+
+        await resolver.resolve();
+        expect(await all(db, 'SELECT bill_id, sponsor_id, sponsor_name FROM bills ORDER BY bill_id')).toEqual([
+            { bill_id: 'hr1-119', sponsor_id: 'R000614', sponsor_name: 'Rep. Roy (TX)' },
+            { bill_id: 'hr2-119', sponsor_id: 'J000301', sponsor_name: null }
+        ]);
+    });
+
+    test('aliases settle a queued sponsor now and on later loads', async () => {
+        await addBills([['hr4-119', 'Rep. Johnson']]);
+        await resolver.resolve();
+
+        expect(await resolver.addAlias('Rep. Johnson', 'J000301')).toBe(1);
+        expect(await sponsors()).toEqual([{ bill_id: 'hr4-119', sponsor_id: 'J000301' }]);
+        expect(await queue()).toEqual([]);
+
+        await addBills([['hr5-119', 'Rep. Johnson']]);
+        expect(await resolver.resolve()).toEqual({ success: true, bills: 1, resolved: 1, unresolved: 0 });
+        expect(await sponsors()).toEqual([
+            { bill_id: 'hr4-119', sponsor_id: 'J000301' },
+            { bill_id: 'hr5-119', sponsor_id: 'J000301' }
+        ]);
+    });
+
+    test('drops queue entries once their bills resolve', async () => {
+        await addBills([['s3-119', 'Sen. Roberts (KS)']]);
+        await resolver.resolve();
+        expect(await queue()).toHaveLength(1);
+
+        await run(db, `INSERT INTO member_terms (bioguide_id, chamber, state, start_date, end_date)
+            VALUES ('R000307', 'senate', 'KS', '2025-01-03', '2031-01-03')`);
+        expect(await resolver.resolve()).toEqual({ success: true, bills: 1, resolved: 1, unresolved: 0 });
+        expect(await queue()).toEqual([]);
+    });
+});
@@ -0,0 +1,126 @@
+const path = require('path');
+const BillTextImporter = require('../services/billTextImporter');
+const { diffWords, diffSections } = require('../services/textDiff');
+const { all } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const FIXTURES = path.join(__dirname, 'fixtures/bill-text');
+
+const SCHEMA = [
+    `CREATE TABLE bill_text_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, bill_id TEXT, version_code TEXT, version_name TEXT, version_date TEXT,
+        format TEXT, source_file TEXT, full_text TEXT, section_count INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP, UNIQUE(bill_id, version_code)
+    )`,
+    `CREATE TABLE bill_text_sections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, bill_id TEXT, version_code TEXT, position INTEGER, section_key TEXT,
+        num TEXT, heading TEXT, text TEXT
+    )`
+];
+
+describe('diffWords', () => {
+    test('marks replaced words and keeps the surrounding text whole', () => {
+        expect(diffWords('award grants to States for solar', 'award grants to States and tribes for solar'))
+            .toEqual([
+                { type: 'equal', text: 'award grants to States ' },
+                { type: 'insert', text: 'and tribes ' },
+                { type: 'equal', text: 'for solar' }
+            ]);
+        expect(diffWords('appropriated $100,000,000 for 2026', 'appropriated $250,000,000 for 2026')).toEqual([
+            { type: 'equal', text: 'appropriated ' },
+            { type: 'delete', text: '$100,000,000 ' },
+            { type: 'insert', text: '$250,000,000 ' },
+            { type: 'equal', text: 'for 2026' }
+        ]);
+        expect(diffWords('', 'New text')).toEqual([{ type: 'insert', text: 'New text' }]);
+    });
+});
+
+describe('diffSections', () => {
+    const section = (key, text, heading = null) => ({ section_key: key, num: key.slice(4), heading, text });
+
+    test('places removed sections after the section that preceded them', () => {
+        const from = [section('sec-1', 'a'), section('sec-2', 'b'), section('sec-3', 'c'), section('sec-4', 'd')];
+        const to = [section('sec-2', 'b'), section('sec-4', 'd changed'), section('sec-5', 'e')];
+
+        expect(diffSections(from, to).map(entry => [entry.section_key, entry.change])).toEqual([
+            ['sec-1', 'removed'],
+            ['sec-2', 'unchanged'],
+            ['sec-3', 'removed'],
+            ['sec-4', 'modified'],
+            ['sec-5', 'added']
+        ]);
+    });
+
+    test('reports a renamed heading but not a change of case', () => {
+        const [renamed, recased] = diffSections(
+            [section('sec-1', 'a', 'Short title'), section('sec-2', 'b', 'Reports')],
+            [section('sec-1', 'a', 'Popular name'), section('sec-2', 'b', 'REPORTS')]);
+
+        expect(renamed).toMatchObject({ change: 'modified', heading: 'Popular name', previous_heading: 'Short title' });
+        expect(recased.change).toBe('unchanged');
+        expect(recased).not.toHaveProperty('previous_heading');
+    });
+});
+
+describe('bill text versions', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    const sections = code => all(db, `SELECT section_key, num, heading, text FROM bill_text_sections
+        WHERE bill_id = 'hr1-119' AND version_code = ? ORDER BY position`, [code]);
+
+    test('imports the XML and plain-text renditions into comparable sections', async () => {
+        const result = await new BillTextImporter(db, FIXTURES).import();
+        expect(result).toEqual({ success: true, files: 2, versions: 2, sections: 6, errors: [] });
+
+        expect(await all(db, `SELECT version_code, version_name, version_date, format, section_count
+            FROM bill_text_versions ORDER BY version_code`)).toEqual([
+            { version_code: 'eh', version_name: 'Engrossed in House', version_date: null, format: 'text',
+                section_count: 3 },
+            { version_code: 'ih', version_name: 'Introduced in House', version_date: '2025-01-03', format: 'xml',
+                section_count: 3 }
+        ]);
+        expect(await sections('ih')).toEqual([
+            { section_key: 'sec-1', num: '1', heading: 'Short title',
+                text: 'This Act may be cited as the “Solar Energy Jobs Act”.' },
+            { section_key: 'sec-2', num: '2', heading: 'Grants for rooftop solar',
+                text: '(a) In general.—The Secretary of Energy shall award grants to States for rooftop solar '
+                    + 'installations.\n(b) Authorization of appropriations.—There is authorized to be appropriated '
+                    + '$100,000,000 for fiscal year 2026.' },
+            { section_key: 'sec-3', num: '3', heading: 'Reports',
+                text: 'The Secretary shall report to Congress annually on grants awarded under section 2.' }
+        ]);
+        // The attestation after the last section is not part of it
+        expect((await sections('eh'))[2]).toEqual({ section_key: 'sec-4', num: '4', heading: 'WORKFORCE TRAINING',
+            text: 'The Secretary of Labor shall fund apprenticeships for solar installers.' });
+    });
+
+    test('diffs the introduced and engrossed versions section by section', async () => {
+        await new BillTextImporter(db, FIXTURES).import();
+
+        const entries = diffSections(await sections('ih'), await sections('eh'));
+        expect(entries.map(({ section_key, change }) => [section_key, change])).toEqual([
+            ['sec-1', 'unchanged'],
+            ['sec-2', 'modified'],
+            ['sec-3', 'removed'],
+            ['sec-4', 'added']
+        ]);
+        expect(entries[1].segments.filter(segment => segment.type !== 'equal')).toEqual([
+            { type: 'delete', text: 'general.—The ' },
+            { type: 'insert', text: 'General.—The ' },
+            { type: 'insert', text: 'and Indian tribes ' },
+            { type: 'delete', text: 'appropriations.—There ' },
+            { type: 'insert', text: 'Appropriations.—There ' },
+            { type: 'delete', text: '$100,000,000 ' },
+            { type: 'insert', text: '$250,000,000 ' }
+        ]);
+        expect(entries[2].segments).toEqual([{ type: 'delete',
+            text: 'The Secretary shall report to Congress annually on grants awarded under section 2.' }]);
+    });
+});
@@ -0,0 +1,94 @@
+const { memberStats, agreement } = require('../services/voteStats');
+const { run } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const SCHEMA = [
+    'CREATE TABLE votes (vote_id TEXT PRIMARY KEY, chamber TEXT, congress INTEGER, date_time TEXT, bill_id TEXT, ' +
+        'question TEXT, description TEXT)',
+    'CREATE TABLE member_votes (id INTEGER PRIMARY KEY AUTOINCREMENT, vote_id TEXT, member_id TEXT, ' +
+        'vote_position TEXT)',
+    'CREATE TABLE congress_members (bioguide_id TEXT PRIMARY KEY, party TEXT)',
+    'CREATE TABLE member_terms (id INTEGER PRIMARY KEY AUTOINCREMENT, bioguide_id TEXT, party TEXT, start_date TEXT, ' +
+        'end_date TEXT)'
+];
+
+// S000001 switched from Democrat to Republican at the start of the 117th Congress
+const MEMBERS = [['D000001', 'D'], ['D000002', 'D'], ['R000001', 'R'], ['R000002', 'R'], ['S000001', 'R']];
+const TERMS = [
+    ['S000001', 'D', '2019-01-03', '2021-01-03'],
+    ['S000001', 'R', '2021-01-03', '2023-01-03']
+];
+
+// vote_id -> [congress, date_time, { member: position }]
+const VOTES = {
+    v1: [116, '2020-06-01T14:00', { D000001: 'Yes', D000002: 'Yes', R000001: 'No', R000002: 'No', S000001: 'Yes' }],
+    v2: [117, '2022-03-01T10:30', { D000001: 'Yes', D000002: 'Yes', R000001: 'No', R000002: 'No', S000001: 'No' }],
+    v3: [117, '2022-03-01T18:00', { D000001: 'Yes', R000001: 'Yes', S000001: 'Not Voting' }],
+    v4: [117, '2022-04-01', { D000001: 'Yes', D000002: 'Yes', R000001: 'No', R000002: 'No', S000001: 'Yes' }]
+};
+
+describe('voteStats', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+        for (const member of MEMBERS) {
+            await run(db, 'INSERT INTO congress_members (bioguide_id, party) VALUES (?, ?)', member);
+        }
+        for (const term of TERMS) {
+            await run(db, 'INSERT INTO member_terms (bioguide_id, party, start_date, end_date) VALUES (?, ?, ?, ?)',
+                term);
+        }
+        for (const [voteId, [congress, dateTime, positions]] of Object.entries(VOTES)) {
+            await run(db, `INSERT INTO votes (vote_id, chamber, congress, date_time) VALUES (?, 'house', ?, ?)`,
+                [voteId, congress, dateTime]);
+            for (const [memberId, position] of Object.entries(positions)) {
+                await run(db, 'INSERT INTO member_votes (vote_id, member_id, vote_position) VALUES (?, ?, ?)',
+                    [voteId, memberId, position]);
+            }
+        }
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('scores party unity by the party the member belonged to on each vote', async () => {
+        expect(await memberStats(db, 'S000001')).toEqual({
+            total_votes: 4,
+            votes_cast: 3,
+            present: 0,
+            missed_votes: 1,
+            missed_vote_pct: 25,
+            party_unity_votes: 3,
+            votes_with_party: 2,
+            party_unity_pct: 66.7,
+            first_vote: '2020-06-01T14:00',
+            last_vote: '2022-04-01'
+        });
+    });
+
+    test('falls back to the current party for members without term history', async () => {
+        expect(await memberStats(db, 'D000002')).toMatchObject({ party_unity_votes: 3, votes_with_party: 3 });
+    });
+
+    test('date bounds are inclusive whole days whatever the time of the vote', async () => {
+        expect(await memberStats(db, 'S000001', { to_date: '2022-03-01' }))
+            .toMatchObject({ total_votes: 3, missed_votes: 1, last_vote: '2022-03-01T18:00' });
+        expect(await memberStats(db, 'S000001', { from_date: '2022-03-01' }))
+            .toMatchObject({ total_votes: 3, first_vote: '2022-03-01T10:30' });
+        expect(await memberStats(db, 'S000001', { from_date: '2022-03-01', to_date: '2022-03-01' }))
+            .toMatchObject({ total_votes: 2, party_unity_votes: 1, votes_with_party: 1 });
+        expect(await memberStats(db, 'S000001', { congress: 116 }))
+            .toMatchObject({ total_votes: 1, party_unity_pct: 100 });
+    });
+
+    test('agreement counts only votes where both members took a side', async () => {
+        const result = await agreement(db, 'S000001', 'D000001');
+        expect(result).toMatchObject({ shared_votes: 4, both_voted: 3, agreed: 2, disagreed: 1, agreement_pct: 66.7 });
+        expect(result.recent_disagreements).toEqual([expect.objectContaining({
+            vote_id: 'v2', position_a: 'No', position_b: 'Yes'
+        })]);
+
+        expect(await agreement(db, 'S000001', 'D000001', { to_date: '2020-12-31' }))
+            .toMatchObject({ shared_votes: 1, agreed: 1 });
+    });
+});
@@ -0,0 +1,97 @@
+const WebhookDispatcher = require('../services/webhookDispatcher');
+const { checkWebhookUrl, isPrivateAddress, signPayload } = WebhookDispatcher;
+const { get } = require('../services/sqlite');
+const { openDatabase, closeDatabase } = require('./helpers/db');
+
+const SCHEMA = [
+    `CREATE TABLE webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, url TEXT, description TEXT, events TEXT,
+        min_award_amount REAL, secret TEXT, is_active INTEGER DEFAULT 1, created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, delivery_id TEXT UNIQUE, webhook_id INTEGER, event_type TEXT,
+        entity_id TEXT, payload TEXT, status TEXT DEFAULT 'pending', attempts INTEGER DEFAULT 0, max_attempts INTEGER,
+        next_attempt_at DATETIME, last_attempt_at DATETIME, response_status INTEGER, error TEXT,
+        duration_ms INTEGER, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, delivered_at DATETIME
+    )`
+];
+
+// dns.lookup stand-in answering every hostname with the given addresses
+const resolvesTo = (...addresses) => (hostname, options, callback) =>
+    callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+
+describe('isPrivateAddress', () => {
+    test.each([
+        '127.0.0.1', '10.1.2.3', '172.31.255.255', '192.168.0.10', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', '0:0:0:0:0:0:0:1', 'fd00::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe',
+        '64:ff9b::a00:1', '64:ff9b::8.8.8.8', '64:ff9b:1::1', '2002:a00:1::1', '2002:808:808::1', 'not-an-address'
+    ])('blocks %s', address => {
+        expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each(['8.8.8.8', '172.32.0.1', '192.169.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8', '::ffff:808:808'])(
+        'allows %s',
+        address => {
+            expect(isPrivateAddress(address)).toBe(false);
+        });
+});
+
+describe('checkWebhookUrl', () => {
+    test('rejects localhost and private literal addresses without a lookup', async () => {
+        const lookup = jest.fn();
+        await expect(checkWebhookUrl('http://localhost:3000/hook', lookup)).rejects.toThrow(/loopback/);
+        await expect(checkWebhookUrl('http://api.localhost/hook', lookup)).rejects.toThrow(/loopback/);
+        await expect(checkWebhookUrl('http://[::1]/hook', lookup)).rejects.toThrow(/loopback/);
+        await expect(checkWebhookUrl('http://169.254.169.254/latest/meta-data', lookup)).rejects.toThrow(/link-local/);
+        expect(lookup).not.toHaveBeenCalled();
+    });
+
+    test('rejects hostnames that resolve to any private address', async () => {
+        await expect(checkWebhookUrl('https://hooks.example.com/in', resolvesTo('93.184.216.34', '10.0.0.5')))
+            .rejects.toThrow('hooks.example.com points at a loopback, private or link-local address (10.0.0.5)');
+    });
+
+    test('accepts public hosts', async () => {
+        await expect(checkWebhookUrl('https://hooks.example.com/in', resolvesTo('93.184.216.34'))).resolves
+            .toBeUndefined();
+        await expect(checkWebhookUrl('https://93.184.216.34/in', jest.fn())).resolves.toBeUndefined();
+    });
+});
+
+describe('WebhookDispatcher.attempt', () => {
+    let db;
+    const webhook = { id: 1, url: 'https://hooks.example.com/in', secret: 'whsec_test', events: '[]' };
+
+    beforeEach(async () => {
+        db = await openDatabase(SCHEMA);
+    });
+
+    afterEach(() => closeDatabase(db));
+
+    test('re-checks the host at send time so a rebound name is never posted to', async () => {
+        const httpClient = { post: jest.fn() };
+        const dispatcher = new WebhookDispatcher(db, { httpClient, lookup: resolvesTo('127.0.0.1') });
+
+        const delivery = await dispatcher.testFire(webhook);
+        expect(httpClient.post).not.toHaveBeenCalled();
+        expect(delivery).toMatchObject({ status: 'failed', attempts: 1, response_status: null });
+        expect(delivery.error).toMatch(/127\.0\.0\.1/);
+    });
+
+    test('signs the payload and stores the status but never the response body', async () => {
+        const httpClient = { post: jest.fn().mockResolvedValue({ status: 200, data: 'internal details' }) };
+        const dispatcher = new WebhookDispatcher(db, { httpClient, lookup: resolvesTo('93.184.216.34') });
+
+        const delivery = await dispatcher.testFire(webhook);
+        expect(delivery).toMatchObject({ status: 'succeeded', response_status: 200, error: null });
+        expect(JSON.stringify(delivery)).not.toContain('internal details');
+
+        const [url, body, { headers, proxy, maxRedirects }] = httpClient.post.mock.calls[0];
+        expect(url).toBe(webhook.url);
+        expect(proxy).toBe(false);
+        expect(maxRedirects).toBe(0);
+        expect(headers['X-Watchdog-Signature'])
+            .toBe(signPayload(webhook.secret, Number(headers['X-Watchdog-Timestamp']), body));
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM webhook_deliveries')).toEqual({ count: 1 });
+    });
+});
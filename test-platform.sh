@@ -11,19 +11,19 @@ echo ""
 echo "📊 CONGRESS MEMBERS API"
 echo "----------------------"
 echo -n "✓ Basic endpoint: "
-CONGRESS_BASIC=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?limit=5" | jq 'length')
+CONGRESS_BASIC=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?limit=5" | jq '.data | length')
 echo "$CONGRESS_BASIC records"
 
 echo -n "✓ State filtering (CA): "
-CONGRESS_STATE=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?state=CA&limit=5" | jq 'length')
+CONGRESS_STATE=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?state=CA&limit=5" | jq '.data | length')
 echo "$CONGRESS_STATE records"
 
 echo -n "✓ Keyword search (pelosi): "
-CONGRESS_KEYWORD=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?keyword=pelosi" | jq 'length')
+CONGRESS_KEYWORD=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?keyword=pelosi" | jq '.data | length')
 echo "$CONGRESS_KEYWORD records"
 
 echo -n "✓ Combined filters (CA + nancy): "
-CONGRESS_COMBO=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?state=CA&keyword=nancy" | jq 'length')
+CONGRESS_COMBO=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?state=CA&keyword=nancy" | jq '.data | length')
 echo "$CONGRESS_COMBO records"
 
 echo ""
@@ -32,19 +32,19 @@ echo ""
 echo "💰 FEDERAL SPENDING API"
 echo "------------------------"
 echo -n "✓ Basic endpoint: "
-SPENDING_BASIC=$(curl -s "https://gov-search-app-production.up.railway.app/api/spending?limit=5" | jq 'length')
+SPENDING_BASIC=$(curl -s "https://gov-search-app-production.up.railway.app/api/spending?limit=5" | jq '.data | length')
 echo "$SPENDING_BASIC records"
 
 echo -n "✓ State filtering (texas): "
-SPENDING_STATE=$(curl -s "https://gov-search-app-production.up.railway.app/api/spending?state=texas&limit=5" | jq 'length')
+SPENDING_STATE=$(curl -s "https://gov-search-app-production.up.railway.app/api/spending?state=texas&limit=5" | jq '.data | length')
 echo "$SPENDING_STATE records"
 
 echo -n "✓ Keyword search (defense): "
-SPENDING_KEYWORD=$(curl -s "https://gov-search-app-production.up.railway.app/api/spending?keyword=defense&limit=5" | jq 'length')
+SPENDING_KEYWORD=$(curl -s "https://gov-search-app-production.up.railway.app/api/spending?keyword=defense&limit=5" | jq '.data | length')
 echo "$SPENDING_KEYWORD records"
 
 echo -n "✓ Combined filters (california + university): "
-SPENDING_COMBO=$(curl -s "https://gov-search-app-production.up.railway.app/api/spending?state=california&keyword=university&limit=5" | jq 'length')
+SPENDING_COMBO=$(curl -s "https://gov-search-app-production.up.railway.app/api/spending?state=california&keyword=university&limit=5" | jq '.data | length')
 echo "$SPENDING_COMBO records"
 
 echo ""
@@ -53,23 +53,23 @@ echo ""
 echo "📋 LEGISLATION API"
 echo "-------------------"
 echo -n "✓ Basic endpoint: "
-LEG_BASIC=$(curl -s "https://gov-search-app-production.up.railway.app/api/legislation/bills?limit=5" | jq 'length')
+LEG_BASIC=$(curl -s "https://gov-search-app-production.up.railway.app/api/legislation/bills?limit=5" | jq '.data | length')
 echo "$LEG_BASIC records"
 
 echo -n "✓ Bill type filtering (hr): "
-LEG_TYPE=$(curl -s "https://gov-search-app-production.up.railway.app/api/legislation/bills?bill_type=hr&limit=5" | jq 'length')
+LEG_TYPE=$(curl -s "https://gov-search-app-production.up.railway.app/api/legislation/bills?bill_type=hr&limit=5" | jq '.data | length')
 echo "$LEG_TYPE records"
 
 echo -n "✓ Congress filtering (119): "
-LEG_CONGRESS=$(curl -s "https://gov-search-app-production.up.railway.app/api/legislation/bills?congress=119&limit=5" | jq 'length')
+LEG_CONGRESS=$(curl -s "https://gov-search-app-production.up.railway.app/api/legislation/bills?congress=119&limit=5" | jq '.data | length')
 echo "$LEG_CONGRESS records"
 
 echo -n "✓ Keyword search (tax): "
-LEG_KEYWORD=$(curl -s "https://gov-search-app-production.up.railway.app/api/legislation/bills?keyword=tax&limit=5" | jq 'length')
+LEG_KEYWORD=$(curl -s "https://gov-search-app-production.up.railway.app/api/legislation/bills?keyword=tax&limit=5" | jq '.data | length')
 echo "$LEG_KEYWORD records"
 
 echo -n "✓ Multiple filters (hr + 119 + tax): "
-LEG_COMBO=$(curl -s "https://gov-search-app-production.up.railway.app/api/legislation/bills?bill_type=hr&congress=119&keyword=tax" | jq 'length')
+LEG_COMBO=$(curl -s "https://gov-search-app-production.up.railway.app/api/legislation/bills?bill_type=hr&congress=119&keyword=tax" | jq '.data | length')
 echo "$LEG_COMBO records"
 
 echo ""
@@ -78,15 +78,15 @@ echo ""
 echo "🤝 LOBBYING API"
 echo "----------------"
 echo -n "✓ Basic endpoint: "
-LOBBY_BASIC=$(curl -s "https://gov-search-app-production.up.railway.app/api/lobbying?limit=5" | jq 'length')
+LOBBY_BASIC=$(curl -s "https://gov-search-app-production.up.railway.app/api/lobbying?limit=5" | jq '.data | length')
 echo "$LOBBY_BASIC records"
 
 echo -n "✓ Keyword search (chamber): "
-LOBBY_KEYWORD=$(curl -s "https://gov-search-app-production.up.railway.app/api/lobbying?keyword=chamber&limit=5" | jq 'length')
+LOBBY_KEYWORD=$(curl -s "https://gov-search-app-production.up.railway.app/api/lobbying?keyword=chamber&limit=5" | jq '.data | length')
 echo "$LOBBY_KEYWORD records"
 
 echo -n "⏳ State filtering (enhanced - pending deployment): "
-LOBBY_STATE=$(curl -s "https://gov-search-app-production.up.railway.app/api/lobbying?state=TX&limit=2" | jq '. | type')
+LOBBY_STATE=$(curl -s "https://gov-search-app-production.up.railway.app/api/lobbying?state=TX&limit=2" | jq '.data | type')
 if [ "$LOBBY_STATE" = '"array"' ]; then
   echo "Working"
 else
@@ -99,15 +99,15 @@ echo ""
 echo "⚡ PERFORMANCE & LIMITS"
 echo "-----------------------"
 echo -n "✓ Large result set (spending, limit=100): "
-PERF_LARGE=$(curl -s "https://gov-search-app-production.up.railway.app/api/spending?limit=100" | jq 'length')
+PERF_LARGE=$(curl -s "https://gov-search-app-production.up.railway.app/api/spending?limit=100" | jq '.data | length')
 echo "$PERF_LARGE records"
 
 echo -n "✓ Edge case - no results (invalid keyword): "
-EDGE_EMPTY=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?keyword=zzinvalidzz" | jq 'length')
+EDGE_EMPTY=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?keyword=zzinvalidzz" | jq '.data | length')
 echo "$EDGE_EMPTY records"
 
 echo -n "✓ Edge case - invalid state: "
-EDGE_STATE=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?state=INVALID" | jq 'length')
+EDGE_STATE=$(curl -s "https://gov-search-app-production.up.railway.app/api/congress/members?state=INVALID" | jq '.data | length')
 echo "$EDGE_STATE records"
 
 echo ""